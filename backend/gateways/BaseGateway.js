@@ -0,0 +1,158 @@
+/**
+ * BaseGateway - Abstract base class for payment gateways
+ *
+ * All gateway implementations must extend this class and implement the
+ * required methods, so checkout, verification, webhooks and refunds work the
+ * same way whichever gateway a payment goes through.
+ *
+ * Amounts are in major units (rupees, dollars) everywhere outside the
+ * gateway; each gateway converts to what its API expects.
+ *
+ * Supported gateways:
+ * - Razorpay (India, default)
+ * - Stripe (Checkout)
+ * - Fake (local checkout without a gateway account)
+ */
+
+const crypto = require('crypto');
+
+// Currencies without a minor unit (Stripe / ISO 4217)
+const ZERO_DECIMAL_CURRENCIES = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+
+class BaseGateway {
+  /**
+   * @param {Object} credentials - Gateway keys from settings
+   * @param {Object} config - Gateway-specific configuration
+   */
+  constructor(credentials = {}, config = {}) {
+    if (new.target === BaseGateway) {
+      throw new Error('BaseGateway is abstract and cannot be instantiated directly');
+    }
+
+    this.credentials = credentials;
+    this.config = config;
+    this.name = 'base';
+  }
+
+  /**
+   * Get gateway name
+   * @returns {string}
+   */
+  getName() {
+    return this.name;
+  }
+
+  /**
+   * Check if the gateway has the credentials it needs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    throw new Error('isConfigured() must be implemented by gateway');
+  }
+
+  /**
+   * Create an order (checkout) for a payment
+   * @param {Object} order
+   * @param {number} order.amount - Amount in major units
+   * @param {string} order.currency - ISO currency code
+   * @param {string} order.receipt - Our payment ID
+   * @param {string} order.description - Shown at checkout
+   * @param {Object} [order.notes] - Metadata stored with the order at the gateway
+   * @param {Object} [order.customer] - { email, name } to prefill checkout
+   * @returns {Promise<GatewayOrder>}
+   */
+  async createOrder(order) {
+    throw new Error('createOrder() must be implemented by gateway');
+  }
+
+  /**
+   * Confirm an order was paid, from what checkout returned to the client
+   * @param {string} orderId - Gateway order ID
+   * @param {Object} payload - Verification fields from the client (request body)
+   * @returns {Promise<{paymentId: string, signature?: string}|null>} - null when not paid / not authentic
+   */
+  async verifyPayment(orderId, payload) {
+    throw new Error('verifyPayment() must be implemented by gateway');
+  }
+
+  /**
+   * Verify a webhook delivery's signature
+   * @param {Object} headers - Request headers
+   * @param {Buffer|string} rawBody - Unparsed body
+   * @returns {boolean}
+   */
+  verifyWebhook(headers, rawBody) {
+    throw new Error('verifyWebhook() must be implemented by gateway');
+  }
+
+  /**
+   * Map a webhook body to a gateway-independent event
+   * @param {Object} body - Parsed webhook body
+   * @returns {GatewayEvent}
+   */
+  parseWebhook(body) {
+    throw new Error('parseWebhook() must be implemented by gateway');
+  }
+
+  /**
+   * Refund a payment, fully or partly
+   * @param {string} paymentId - Gateway payment ID
+   * @param {Object} refund
+   * @param {number} refund.amount - Amount in major units
+   * @param {string} refund.currency
+   * @param {string} [refund.reason]
+   * @returns {Promise<{refundId: string, amount: number, status: string}>}
+   */
+  async refund(paymentId, refund) {
+    throw new Error('refund() must be implemented by gateway');
+  }
+
+  /**
+   * Major units to the smallest currency unit (paise, cents)
+   */
+  toMinorUnits(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase())
+      ? Math.round(amount)
+      : Math.round(amount * 100);
+  }
+
+  /**
+   * Smallest currency unit to major units
+   */
+  fromMinorUnits(amount, currency) {
+    return ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase()) ? amount : amount / 100;
+  }
+
+  /**
+   * Compare an HMAC-SHA256 signature in constant time
+   */
+  verifyHmac(secret, payload, signature) {
+    if (!secret || typeof signature !== 'string') return false;
+    const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+    return expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  }
+}
+
+/**
+ * @typedef {Object} GatewayOrder
+ * @property {string} orderId - Gateway order ID (stored as payments.gatewayOrderId)
+ * @property {number} amount - Amount in major units
+ * @property {string} currency
+ * @property {Object} checkout - What the client needs to take the payment:
+ *   { type: 'razorpay', key, orderId, amount (minor units), currency }
+ *   { type: 'redirect', url }
+ *   { type: 'fake', orderId, amount, currency }
+ */
+
+/**
+ * @typedef {Object} GatewayEvent
+ * @property {string} type - 'payment.succeeded' | 'payment.failed' | 'refund.succeeded' | 'subscription' | 'ignored'
+ * @property {string} [orderId] - Gateway order ID
+ * @property {string} [paymentId] - Gateway payment ID
+ * @property {string} [refundId]
+ * @property {number} [amount] - Refund amount in major units
+ * @property {Object} [event] - Original body (gateway subscription events)
+ */
+
+module.exports = BaseGateway;
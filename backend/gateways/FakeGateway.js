@@ -0,0 +1,98 @@
+/**
+ * Fake Gateway
+ *
+ * Local stand-in for a payment gateway, for development and tests: checkout
+ * works offline and no money moves. Enable with FAKE_PAYMENT_GATEWAY=true or
+ * the fakeGatewayEnabled setting.
+ *
+ * Checkout: the client "pays" through POST /api/payments/fake/pay, which
+ * returns { orderId, paymentId, signature } to send to /api/payments/verify,
+ * like Razorpay Checkout. Webhooks are JSON bodies
+ * ({ event: 'payment.succeeded' | 'payment.failed' | 'refund.succeeded', orderId, paymentId, ... })
+ * signed with HMAC-SHA256 in x-fake-signature; signWebhook() builds them.
+ * Signatures use the fakeGatewaySecret setting (FAKE_GATEWAY_SECRET), or a
+ * secret generated when the process starts, so they can't be forged from the source.
+ */
+
+const crypto = require('crypto');
+const BaseGateway = require('./BaseGateway');
+
+// Used when no fakeGatewaySecret is set; signatures from checkout stay valid until a restart
+const PROCESS_SECRET = crypto.randomBytes(32).toString('hex');
+
+class FakeGateway extends BaseGateway {
+  /**
+   * @param {Object} credentials - { enabled, secret }
+   */
+  constructor(credentials = {}, config = {}) {
+    super(credentials, config);
+    this.name = 'fake';
+    this.secret = credentials.secret || PROCESS_SECRET;
+  }
+
+  isConfigured() {
+    return ['true', '1'].includes(String(this.credentials.enabled).toLowerCase());
+  }
+
+  async createOrder({ amount, currency }) {
+    const orderId = `order_fake_${crypto.randomBytes(8).toString('hex')}`;
+    return {
+      orderId,
+      amount,
+      currency,
+      checkout: { type: 'fake', orderId, amount, currency }
+    };
+  }
+
+  /**
+   * Simulate the customer completing checkout
+   * @param {string} orderId
+   * @returns {{orderId: string, paymentId: string, signature: string}}
+   */
+  pay(orderId) {
+    const paymentId = `pay_fake_${crypto.randomBytes(8).toString('hex')}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(`${orderId}|${paymentId}`).digest('hex');
+    return { orderId, paymentId, signature };
+  }
+
+  async verifyPayment(orderId, payload) {
+    const { paymentId, signature } = payload;
+    if (!paymentId || !this.verifyHmac(this.secret, `${orderId}|${paymentId}`, signature)) {
+      return null;
+    }
+    return { paymentId, signature };
+  }
+
+  /**
+   * Build a signed webhook delivery
+   * @param {Object} body - { event, orderId, paymentId, refundId, amount }
+   * @returns {{headers: Object, rawBody: string}}
+   */
+  signWebhook(body) {
+    const rawBody = JSON.stringify(body);
+    const signature = crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+    return { headers: { 'x-fake-signature': signature }, rawBody };
+  }
+
+  verifyWebhook(headers, rawBody) {
+    return this.verifyHmac(this.secret, String(rawBody || ''), headers['x-fake-signature']);
+  }
+
+  parseWebhook(body) {
+    switch (body.event) {
+      case 'payment.succeeded':
+      case 'payment.failed':
+        return { type: body.event, orderId: body.orderId, paymentId: body.paymentId };
+      case 'refund.succeeded':
+        return { type: body.event, paymentId: body.paymentId, refundId: body.refundId, amount: body.amount };
+      default:
+        return { type: 'ignored' };
+    }
+  }
+
+  async refund(paymentId, { amount }) {
+    return { refundId: `rfnd_fake_${crypto.randomBytes(8).toString('hex')}`, amount, status: 'processed' };
+  }
+}
+
+module.exports = FakeGateway;
@@ -0,0 +1,99 @@
+/**
+ * Razorpay Gateway
+ *
+ * Orders API with Razorpay Checkout on the client. Checkout returns
+ * razorpay_payment_id / razorpay_signature, signed over "order_id|payment_id"
+ * with the key secret. Webhooks are signed with the webhook secret
+ * (x-razorpay-signature); installs that never set one used the key secret.
+ */
+
+const Razorpay = require('razorpay');
+const BaseGateway = require('./BaseGateway');
+
+class RazorpayGateway extends BaseGateway {
+  /**
+   * @param {Object} credentials - { keyId, keySecret, webhookSecret }
+   */
+  constructor(credentials = {}, config = {}) {
+    super(credentials, config);
+    this.name = 'razorpay';
+    this.client = this.isConfigured()
+      ? new Razorpay({ key_id: credentials.keyId, key_secret: credentials.keySecret })
+      : null;
+  }
+
+  isConfigured() {
+    return !!(this.credentials.keyId && this.credentials.keySecret);
+  }
+
+  async createOrder({ amount, currency, receipt, notes = {} }) {
+    const order = await this.client.orders.create({
+      amount: this.toMinorUnits(amount, currency),
+      currency,
+      receipt,
+      notes
+    });
+
+    return {
+      orderId: order.id,
+      amount,
+      currency: order.currency,
+      checkout: {
+        type: 'razorpay',
+        key: this.credentials.keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency
+      }
+    };
+  }
+
+  async verifyPayment(orderId, payload) {
+    const paymentId = payload.paymentId || payload.razorpay_payment_id;
+    const signature = payload.signature || payload.razorpay_signature;
+    if (!paymentId || !this.verifyHmac(this.credentials.keySecret, `${orderId}|${paymentId}`, signature)) {
+      return null;
+    }
+    return { paymentId, signature };
+  }
+
+  verifyWebhook(headers, rawBody) {
+    const secret = this.credentials.webhookSecret || this.credentials.keySecret;
+    return this.verifyHmac(secret, String(rawBody || ''), headers['x-razorpay-signature']);
+  }
+
+  parseWebhook(body) {
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+
+    switch (body.event) {
+      case 'payment.captured':
+        return { type: 'payment.succeeded', orderId: payment.order_id, paymentId: payment.id };
+      case 'payment.failed':
+        return { type: 'payment.failed', orderId: payment.order_id, paymentId: payment.id };
+      case 'refund.processed':
+        return {
+          type: 'refund.succeeded',
+          paymentId: refund.payment_id,
+          refundId: refund.id,
+          amount: this.fromMinorUnits(refund.amount, refund.currency)
+        };
+      default:
+        // Recurring subscription charges, failed charges and cancellations (subscriptionBilling)
+        if (String(body.event).startsWith('subscription.')) {
+          return { type: 'subscription', event: body };
+        }
+        return { type: 'ignored' };
+    }
+  }
+
+  async refund(paymentId, { amount, currency, reason }) {
+    const refund = await this.client.payments.refund(paymentId, {
+      amount: this.toMinorUnits(amount, currency),
+      notes: reason ? { reason } : {}
+    });
+    return { refundId: refund.id, amount, status: refund.status };
+  }
+}
+
+module.exports = RazorpayGateway;
@@ -0,0 +1,151 @@
+/**
+ * Stripe Gateway
+ *
+ * Stripe Checkout (hosted payment page) through the REST API. An order is a
+ * Checkout Session: the client is redirected to its URL, and Stripe sends the
+ * customer back to returnUrl with the session ID, which is verified by
+ * fetching the session. Webhooks (checkout.session.*) complete payments whose
+ * customer never came back. Signatures are checked against the endpoint's
+ * signing secret (Stripe-Signature).
+ */
+
+const axios = require('axios');
+const BaseGateway = require('./BaseGateway');
+
+const API_URL = 'https://api.stripe.com/v1';
+const WEBHOOK_TOLERANCE = 5 * 60; // seconds
+
+/**
+ * Encode nested params the way the Stripe API expects (line_items[0][price_data][currency]=usd)
+ */
+function encodeForm(params, prefix = '') {
+  const parts = [];
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+    const name = prefix ? `${prefix}[${key}]` : key;
+    if (typeof value === 'object') {
+      parts.push(encodeForm(value, name));
+    } else {
+      parts.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+    }
+  }
+  return parts.filter(Boolean).join('&');
+}
+
+class StripeGateway extends BaseGateway {
+  /**
+   * @param {Object} credentials - { secretKey, webhookSecret }
+   * @param {Object} config - { returnUrl } - where Stripe sends the customer after checkout
+   */
+  constructor(credentials = {}, config = {}) {
+    super(credentials, config);
+    this.name = 'stripe';
+  }
+
+  isConfigured() {
+    return !!this.credentials.secretKey;
+  }
+
+  async request(method, path, params) {
+    try {
+      const response = await axios({
+        method,
+        url: `${API_URL}${path}`,
+        data: params ? encodeForm(params) : undefined,
+        headers: {
+          Authorization: `Bearer ${this.credentials.secretKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error?.message || error.message);
+    }
+  }
+
+  async createOrder({ amount, currency, receipt, description, notes = {}, customer = {} }) {
+    const returnUrl = this.config.returnUrl;
+    const session = await this.request('post', '/checkout/sessions', {
+      mode: 'payment',
+      client_reference_id: receipt,
+      customer_email: customer.email,
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: currency.toLowerCase(),
+          unit_amount: this.toMinorUnits(amount, currency),
+          product_data: { name: description }
+        }
+      }],
+      metadata: notes,
+      payment_intent_data: { metadata: notes },
+      // {CHECKOUT_SESSION_ID} is filled in by Stripe
+      success_url: `${returnUrl}?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${returnUrl}?cancelled=1`
+    });
+
+    return {
+      orderId: session.id,
+      amount,
+      currency: currency.toUpperCase(),
+      checkout: { type: 'redirect', url: session.url }
+    };
+  }
+
+  async verifyPayment(orderId) {
+    const session = await this.request('get', `/checkout/sessions/${encodeURIComponent(orderId)}`);
+    if (session.payment_status !== 'paid') return null;
+    return { paymentId: session.payment_intent };
+  }
+
+  verifyWebhook(headers, rawBody) {
+    const header = String(headers['stripe-signature'] || '');
+    const parts = header.split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > WEBHOOK_TOLERANCE) {
+      return false;
+    }
+    const payload = `${timestamp}.${String(rawBody || '')}`;
+    return signatures.some(signature => this.verifyHmac(this.credentials.webhookSecret, payload, signature));
+  }
+
+  parseWebhook(body) {
+    const object = body.data?.object || {};
+
+    switch (body.type) {
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded':
+        // Delayed payment methods complete later (async_payment_succeeded)
+        if (object.payment_status !== 'paid') return { type: 'ignored' };
+        return { type: 'payment.succeeded', orderId: object.id, paymentId: object.payment_intent };
+      case 'checkout.session.async_payment_failed':
+      case 'checkout.session.expired':
+        return { type: 'payment.failed', orderId: object.id, paymentId: object.payment_intent };
+      case 'refund.created':
+      case 'refund.updated':
+        if (object.status !== 'succeeded') return { type: 'ignored' };
+        return {
+          type: 'refund.succeeded',
+          paymentId: object.payment_intent,
+          refundId: object.id,
+          amount: this.fromMinorUnits(object.amount, object.currency)
+        };
+      default:
+        return { type: 'ignored' };
+    }
+  }
+
+  async refund(paymentId, { amount, currency, reason }) {
+    const refund = await this.request('post', '/refunds', {
+      payment_intent: paymentId,
+      amount: this.toMinorUnits(amount, currency),
+      metadata: reason ? { reason } : undefined
+    });
+    return { refundId: refund.id, amount, status: refund.status };
+  }
+}
+
+module.exports = StripeGateway;
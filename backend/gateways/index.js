@@ -0,0 +1,172 @@
+/**
+ * Payment Gateway Registry
+ *
+ * Central registry for payment gateways, like the provider registry.
+ * Provides factory methods to get gateway instances and picks the gateway
+ * for a payment from the admin settings:
+ * - paymentGatewayCurrencies - currency rules, e.g. "USD:stripe,EUR:stripe"
+ * - paymentGatewayRegions - region (ISO country) rules, e.g. "IN:razorpay,US:stripe"
+ * - paymentGateway - default gateway (razorpay)
+ * A currency rule wins over a region rule. Plan prices are in BASE_CURRENCY;
+ * paymentCurrencyRates ("USD:0.012,EUR:0.011", per 1 INR) enables other
+ * currencies and converts prices into them.
+ */
+
+const BaseGateway = require('./BaseGateway');
+const RazorpayGateway = require('./RazorpayGateway');
+const StripeGateway = require('./StripeGateway');
+const FakeGateway = require('./FakeGateway');
+
+const BASE_CURRENCY = 'INR';
+const DEFAULT_GATEWAY = 'razorpay';
+
+// Gateway configuration: credential -> settings key
+const GATEWAY_CONFIG = {
+  razorpay: {
+    name: 'Razorpay',
+    class: RazorpayGateway,
+    settings: { keyId: 'razorpayKeyId', keySecret: 'razorpayKeySecret', webhookSecret: 'razorpayWebhookSecret' },
+  },
+  stripe: {
+    name: 'Stripe',
+    class: StripeGateway,
+    settings: { secretKey: 'stripeSecretKey', webhookSecret: 'stripeWebhookSecret' },
+  },
+  fake: {
+    name: 'Fake (local)',
+    class: FakeGateway,
+    settings: { enabled: 'fakeGatewayEnabled', secret: 'fakeGatewaySecret' },
+  },
+};
+
+// Cached gateway instances
+const gatewayInstances = new Map();
+
+/**
+ * Get a gateway instance
+ * @param {string} gatewayId - Gateway ID (razorpay, stripe, fake)
+ * @param {Function} getSettingFn - Function to get settings (DB, then environment)
+ * @returns {BaseGateway}
+ */
+function getGateway(gatewayId, getSettingFn) {
+  if (gatewayInstances.has(gatewayId)) {
+    return gatewayInstances.get(gatewayId);
+  }
+
+  const config = GATEWAY_CONFIG[gatewayId];
+  if (!config) {
+    throw new Error(`Unknown payment gateway: ${gatewayId}`);
+  }
+
+  const credentials = {};
+  for (const [name, key] of Object.entries(config.settings)) {
+    credentials[name] = (getSettingFn && getSettingFn(key)) || null;
+  }
+
+  // Stripe sends the customer back here after checkout
+  const gatewayConfig = {};
+  if (gatewayId === 'stripe') {
+    const baseUrl = (getSettingFn && getSettingFn('publicApiUrl')) || `http://localhost:${process.env.PORT || 3001}`;
+    gatewayConfig.returnUrl = `${baseUrl.replace(/\/+$/, '')}/api/payments/return/${gatewayId}`;
+  }
+
+  const instance = new config.class(credentials, gatewayConfig);
+  gatewayInstances.set(gatewayId, instance);
+
+  return instance;
+}
+
+/**
+ * Parse "KEY:value,KEY:value" rules (keys upper-cased)
+ * @returns {Object}
+ */
+function parseRules(value) {
+  const rules = {};
+  for (const rule of String(value || '').split(',')) {
+    const [key, target] = rule.split(':').map(part => part && part.trim());
+    if (key && target) rules[key.toUpperCase()] = target;
+  }
+  return rules;
+}
+
+/**
+ * Currencies payments can be taken in, with their rate per 1 BASE_CURRENCY
+ * @param {Function} getSettingFn
+ * @returns {Object<string, number>}
+ */
+function getPaymentCurrencies(getSettingFn) {
+  const currencies = { [BASE_CURRENCY]: 1 };
+  for (const [currency, rate] of Object.entries(parseRules(getSettingFn && getSettingFn('paymentCurrencyRates')))) {
+    const value = parseFloat(rate);
+    if (Number.isFinite(value) && value > 0) currencies[currency] = value;
+  }
+  return currencies;
+}
+
+/**
+ * Convert a BASE_CURRENCY amount, rounded to the smallest unit
+ * @returns {number|null} - null when the currency is not enabled
+ */
+function convertAmount(amount, currency, getSettingFn) {
+  const rate = getPaymentCurrencies(getSettingFn)[String(currency).toUpperCase()];
+  if (!rate) return null;
+  return Math.round(amount * rate * 100) / 100;
+}
+
+/**
+ * Pick the gateway for a payment
+ * @param {Object} options
+ * @param {string} options.currency - ISO currency code
+ * @param {string} [options.region] - ISO country code of the customer
+ * @param {Function} getSettingFn
+ * @returns {BaseGateway|null} - null when the chosen gateway is not configured
+ *   (the fake gateway is only used when it is the one selected, never as a stand-in)
+ */
+function selectGateway({ currency, region }, getSettingFn) {
+  const setting = (key) => getSettingFn && getSettingFn(key);
+  const gatewayId =
+    parseRules(setting('paymentGatewayCurrencies'))[String(currency || '').toUpperCase()] ||
+    parseRules(setting('paymentGatewayRegions'))[String(region || '').toUpperCase()] ||
+    setting('paymentGateway') ||
+    DEFAULT_GATEWAY;
+
+  if (GATEWAY_CONFIG[gatewayId] && getGateway(gatewayId, getSettingFn).isConfigured()) {
+    return getGateway(gatewayId, getSettingFn);
+  }
+  return null;
+}
+
+/**
+ * List gateways and whether each is configured
+ * @param {Function} getSettingFn
+ * @returns {Array<{id: string, name: string, configured: boolean}>}
+ */
+function getGateways(getSettingFn) {
+  return Object.entries(GATEWAY_CONFIG).map(([id, config]) => ({
+    id,
+    name: config.name,
+    configured: getGateway(id, getSettingFn).isConfigured(),
+  }));
+}
+
+/**
+ * Clear cached gateway instances (after settings changes)
+ */
+function clearGatewayCache() {
+  gatewayInstances.clear();
+}
+
+module.exports = {
+  BaseGateway,
+  RazorpayGateway,
+  StripeGateway,
+  FakeGateway,
+  GATEWAY_CONFIG,
+  BASE_CURRENCY,
+  getGateway,
+  selectGateway,
+  getGateways,
+  getPaymentCurrencies,
+  convertAmount,
+  clearGatewayCache,
+};
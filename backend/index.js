@@ -5,7 +5,6 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
 require('dotenv').config();
@@ -16,11 +15,15 @@ const {
   getProvider, 
   getAvailableProviders, 
   getFirstAvailableProvider,
+  clearProviderCache,
+  getWebhookUrl,
+  PROVIDER_CONFIG,
   FalProvider,
   ReplicateProvider,
   SelfHostedProvider
 } = require('./providers');
 const providerRouter = require('./services/providerRouter');
+const { MODEL_REGISTRY, getModelIdByEndpoint } = require('./models/modelRegistry');
 
 // ============ DATABASE ABSTRACTION ============
 // Import PostgreSQL-ready db module
@@ -406,6 +409,28 @@ db.exec(`
     FOREIGN KEY (userId) REFERENCES users(id)
   );
 
+  -- Invoices (one per captured payment; seller, customer and lines are copied at issue time)
+  CREATE TABLE IF NOT EXISTS invoices (
+    id TEXT PRIMARY KEY,
+    number TEXT NOT NULL UNIQUE,
+    sequence INTEGER NOT NULL UNIQUE,
+    paymentId TEXT NOT NULL UNIQUE,
+    userId TEXT NOT NULL,
+    currency TEXT DEFAULT 'INR',
+    subtotal REAL DEFAULT 0,
+    taxTotal REAL DEFAULT 0,
+    total REAL DEFAULT 0,
+    seller TEXT DEFAULT '{}',
+    customer TEXT DEFAULT '{}',
+    lines TEXT DEFAULT '[]',
+    taxLines TEXT DEFAULT '[]',
+    taxNote TEXT,
+    issuedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (paymentId) REFERENCES payments(id),
+    FOREIGN KEY (userId) REFERENCES users(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_invoices_userId ON invoices(userId, issuedAt);
+
   -- Error Logs
   CREATE TABLE IF NOT EXISTS error_logs (
     id TEXT PRIMARY KEY,
@@ -424,6 +449,45 @@ db.exec(`
     createdAt TEXT DEFAULT CURRENT_TIMESTAMP
   );
 
+  -- Provider Health (circuit breaker state and rolling metrics; modelId '' = provider row)
+  CREATE TABLE IF NOT EXISTS provider_health (
+    providerId TEXT NOT NULL,
+    modelId TEXT NOT NULL DEFAULT '',
+    state TEXT DEFAULT 'closed',
+    forcedState TEXT,
+    failures INTEGER DEFAULT 0,
+    successes INTEGER DEFAULT 0,
+    totalFailures INTEGER DEFAULT 0,
+    samples TEXT DEFAULT '[]',
+    lastFailure INTEGER,
+    lastSuccess INTEGER,
+    lastError TEXT,
+    openedAt INTEGER,
+    probeStartedAt INTEGER,
+    updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (providerId, modelId)
+  );
+
+  -- Generation Jobs (persistent work queue; one job per generate batch or upscale)
+  CREATE TABLE IF NOT EXISTS generation_jobs (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    userId TEXT,
+    modelId TEXT,
+    provider TEXT,
+    generationIds TEXT DEFAULT '[]',
+    payload TEXT DEFAULT '{}',
+    priority INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'queued',
+    attempts INTEGER DEFAULT 0,
+    maxAttempts INTEGER DEFAULT 3,
+    lastError TEXT,
+    queuedAt INTEGER,
+    startedAt INTEGER,
+    completedAt INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status, priority, queuedAt);
+
   -- Landing Page Featured Content
   CREATE TABLE IF NOT EXISTS landing_featured (
     id TEXT PRIMARY KEY,
@@ -550,6 +614,45 @@ db.exec(`
     FOREIGN KEY (userId) REFERENCES users(id)
   );
 
+  -- Credit ledger: every credit movement as entries that sum to zero per transaction
+  CREATE TABLE IF NOT EXISTS credit_ledger_transactions (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    description TEXT,
+    userId TEXT,
+    workspaceId TEXT,
+    referenceId TEXT,
+    referenceType TEXT,
+    createdBy TEXT,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
+  CREATE TABLE IF NOT EXISTS credit_ledger_entries (
+    id TEXT PRIMARY KEY,
+    transactionId TEXT NOT NULL,
+    account TEXT NOT NULL,
+    userId TEXT,
+    workspaceId TEXT,
+    amount REAL NOT NULL,
+    balanceAfter REAL,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (transactionId) REFERENCES credit_ledger_transactions(id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_transaction ON credit_ledger_entries(transactionId);
+  CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_account ON credit_ledger_entries(account);
+  CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_user ON credit_ledger_entries(userId);
+  CREATE INDEX IF NOT EXISTS idx_credit_ledger_entries_workspace ON credit_ledger_entries(workspaceId);
+
+  -- Ledger reconciliation runs (balance columns vs ledger)
+  CREATE TABLE IF NOT EXISTS credit_reconciliations (
+    id TEXT PRIMARY KEY,
+    accountsChecked INTEGER DEFAULT 0,
+    driftCount INTEGER DEFAULT 0,
+    ledgerImbalance REAL DEFAULT 0,
+    drift TEXT DEFAULT '[]',
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+
   -- ============ WORKFLOW / AI APPS TABLES ============
   
   -- Workflow Templates (AI Apps definitions)
@@ -625,6 +728,27 @@ db.exec(`
     FOREIGN KEY (runId) REFERENCES workflow_runs(id) ON DELETE CASCADE
   );
 
+  -- Workflow Vector Collections (per-workspace semantic search)
+  CREATE TABLE IF NOT EXISTS workflow_vectors (
+    id TEXT PRIMARY KEY,
+    workspaceId TEXT,
+    userId TEXT NOT NULL,
+    collection TEXT NOT NULL,
+    documentId TEXT NOT NULL,
+    content TEXT,
+    metadata TEXT,
+    embedding TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    model TEXT,
+    runId TEXT,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    updatedAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_workflow_vectors_workspace ON workflow_vectors(workspaceId, collection);
+  CREATE INDEX IF NOT EXISTS idx_workflow_vectors_user ON workflow_vectors(userId, collection);
+
   -- Workflow Categories
   CREATE TABLE IF NOT EXISTS workflow_categories (
     id TEXT PRIMARY KEY,
@@ -776,6 +900,11 @@ const runMigrations = async () => {
   await addColumnIfNotExists('generations', 'maxWaitTime', 'INTEGER DEFAULT 300');
   await addColumnIfNotExists('generations', 'errorType', 'TEXT');
   await addColumnIfNotExists('generations', 'thumbnailUrl', 'TEXT');
+  await addColumnIfNotExists('generations', 'provider', 'TEXT');
+  await addColumnIfNotExists('generations', 'routingReason', 'TEXT');
+  await addColumnIfNotExists('generations', 'providerRequest', 'TEXT');
+  await addColumnIfNotExists('generations', 'jobId', 'TEXT');
+  await addColumnIfNotExists('generations', 'progress', 'INTEGER');
   
   // Conversations table migrations
   await addColumnIfNotExists('conversations', 'workspaceId', 'TEXT');
@@ -814,6 +943,43 @@ const runMigrations = async () => {
   await addColumnIfNotExists('users', 'adminNotes', 'TEXT');
   await addColumnIfNotExists('users', 'lastLoginAt', 'TEXT');
   await addColumnIfNotExists('users', 'totalSpent', 'REAL DEFAULT 0');
+  await addColumnIfNotExists('users', 'billingName', 'TEXT');
+  await addColumnIfNotExists('users', 'billingAddress', 'TEXT');
+  await addColumnIfNotExists('users', 'billingCity', 'TEXT');
+  await addColumnIfNotExists('users', 'billingState', 'TEXT');
+  await addColumnIfNotExists('users', 'billingPostalCode', 'TEXT');
+  await addColumnIfNotExists('users', 'billingCountry', 'TEXT');
+  await addColumnIfNotExists('users', 'taxId', 'TEXT');
+  
+  // Subscription plans table migrations
+  if (await addColumnIfNotExists('subscription_plans', 'queuePriority', 'INTEGER DEFAULT 0')) {
+    // Paid plans jump the generation queue, higher tiers first
+    const setPriority = db.prepare('UPDATE subscription_plans SET queuePriority = ? WHERE id = ?');
+    [['starter', 1], ['standard', 2], ['professional', 3]].forEach(([planId, priority]) => setPriority.run(priority, planId));
+  }
+  
+  // Payments table migrations
+  await addColumnIfNotExists('payments', 'gateway', 'TEXT');
+  await addColumnIfNotExists('payments', 'gatewayPaymentId', 'TEXT');
+  await addColumnIfNotExists('payments', 'refundedAmount', 'REAL DEFAULT 0');
+  if (await addColumnIfNotExists('payments', 'gatewayOrderId', 'TEXT')) {
+    // Payments before the gateway layer all went through Razorpay
+    db.prepare(`
+      UPDATE payments SET gateway = 'razorpay', gatewayOrderId = razorpayOrderId, gatewayPaymentId = razorpayPaymentId
+      WHERE razorpayOrderId IS NOT NULL OR razorpayPaymentId IS NOT NULL
+    `).run();
+  }
+  
+  // User subscriptions table migrations
+  await addColumnIfNotExists('user_subscriptions', 'graceUntil', 'TEXT');
+  await addColumnIfNotExists('user_subscriptions', 'billingBalance', 'REAL DEFAULT 0');
+  if (await addColumnIfNotExists('user_subscriptions', 'nextCreditGrantAt', 'TEXT')) {
+    // Schedule the next monthly credit grant for subscriptions that predate the billing scheduler
+    const { getNextCreditGrant } = require('./services/subscriptionBilling');
+    const setNextGrant = db.prepare('UPDATE user_subscriptions SET nextCreditGrantAt = ? WHERE id = ?');
+    db.prepare("SELECT id, currentPeriodStart FROM user_subscriptions WHERE status = 'active' AND currentPeriodStart IS NOT NULL").all()
+      .forEach(sub => setNextGrant.run(getNextCreditGrant(sub.currentPeriodStart, new Date()).toISOString(), sub.id));
+  }
   
   // Workspaces table migrations
   await addColumnIfNotExists('workspaces', 'reservedCredits', 'REAL DEFAULT 0');
@@ -828,8 +994,9 @@ const runMigrations = async () => {
   console.log('✅ Database migrations complete');
 };
 
-// Run migrations (async for PostgreSQL support)
-(async () => {
+// Run migrations (async for PostgreSQL support). Startup jobs that read migrated
+// columns wait on this promise (see app.listen)
+const migrationsReady = (async () => {
   try {
     await runMigrations();
   } catch (error) {
@@ -3564,6 +3731,22 @@ const seedDefaultData = () => {
     ['creditPrice', '1.00'],
     ['razorpayKeyId', ''],
     ['razorpayKeySecret', ''],
+    ['razorpayWebhookSecret', ''],
+    ['stripeSecretKey', ''],
+    ['stripeWebhookSecret', ''],
+    ['paymentGateway', 'razorpay'],
+    ['paymentGatewayCurrencies', ''],
+    ['paymentGatewayRegions', ''],
+    ['paymentCurrencyRates', ''],
+    ['companyName', 'OmniHub'],
+    ['companyAddress', ''],
+    ['companyState', ''],
+    ['companyCountry', 'IN'],
+    ['companyTaxId', ''],
+    ['companyEmail', ''],
+    ['invoicePrefix', 'INV'],
+    ['gstRate', '18'],
+    ['invoiceTaxRates', ''],
     ['googleClientId', ''],
     ['googleClientSecret', ''],
     ['aiDirectorModel', 'anthropic/claude-sonnet-4.5'],
@@ -3737,7 +3920,13 @@ seedDefaultAiTools();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Provider and payment webhook signatures cover the exact bytes that were sent
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/providers/') || req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+  }
+}));
 
 // Auth middleware
 const userAuthMiddleware = (req, res, next) => {
@@ -3768,6 +3957,10 @@ const adminAuthMiddleware = (req, res, next) => {
   }
 };
 
+// Rate limiting (admin-configured rules from rate_limits table)
+const { createRateLimiter } = require('./services/rateLimiter');
+const rateLimiter = createRateLimiter({ db });
+
 // Helpers - Check ENV first, then database (Admin Panel overrides)
 const ENV_KEY_MAP = {
   falApiKey: 'FAL_KEY',
@@ -3776,6 +3969,31 @@ const ENV_KEY_MAP = {
   freeCredits: 'DEFAULT_FREE_CREDITS',
   creditPrice: 'CREDIT_PRICE',
   profitMargin: 'PROFIT_MARGIN',
+  webhookAllowedHosts: 'WEBHOOK_ALLOWED_HOSTS',
+  embeddingProvider: 'EMBEDDING_PROVIDER',
+  selfhostedEmbeddingUrl: 'SELFHOSTED_EMBEDDING_URL',
+  selfhostedEmbeddingModel: 'SELFHOSTED_EMBEDDING_MODEL',
+  selfhostedTextUrl: 'SELFHOSTED_TEXT_URL',
+  selfhostedTextModel: 'SELFHOSTED_TEXT_MODEL',
+  selfhostedBackend: 'SELFHOSTED_BACKEND',
+  comfyuiTemplatesDir: 'COMFYUI_TEMPLATES_DIR',
+  providerFailureThreshold: 'PROVIDER_FAILURE_THRESHOLD',
+  providerRecoveryTime: 'PROVIDER_RECOVERY_TIME',
+  publicApiUrl: 'PUBLIC_API_URL',
+  replicateWebhookSecret: 'REPLICATE_WEBHOOK_SECRET',
+  mockProviderEnabled: 'MOCK_PROVIDER',
+  mockLatencyMs: 'MOCK_LATENCY_MS',
+  mockQueueMs: 'MOCK_QUEUE_MS',
+  mockFailureRate: 'MOCK_FAILURE_RATE',
+  subscriptionGraceDays: 'SUBSCRIPTION_GRACE_DAYS',
+  paymentGateway: 'PAYMENT_GATEWAY',
+  razorpayKeyId: 'RAZORPAY_KEY_ID',
+  razorpayKeySecret: 'RAZORPAY_KEY_SECRET',
+  razorpayWebhookSecret: 'RAZORPAY_WEBHOOK_SECRET',
+  stripeSecretKey: 'STRIPE_SECRET_KEY',
+  stripeWebhookSecret: 'STRIPE_WEBHOOK_SECRET',
+  fakeGatewayEnabled: 'FAKE_PAYMENT_GATEWAY',
+  fakeGatewaySecret: 'FAKE_GATEWAY_SECRET',
 };
 
 const getSetting = (key) => {
@@ -3792,6 +4010,15 @@ const getSetting = (key) => {
   return null;
 };
 
+// ============ PROVIDER PLUGINS ============
+// Extra providers (RunPod, Modal, ...) discovered from providers/plugins or PROVIDER_PLUGINS_DIR.
+// Their declared settings join ENV_KEY_MAP so getSetting() falls back to their env variables.
+const { loadProviderPlugins, getPluginSettings, getProviderPlugins } = require('./providers/pluginLoader');
+loadProviderPlugins(process.env.PROVIDER_PLUGINS_DIR || undefined, { reservedSettings: Object.keys(ENV_KEY_MAP) });
+for (const setting of getPluginSettings()) {
+  if (setting.env) ENV_KEY_MAP[setting.key] = setting.env;
+}
+
 // Get profit margin for a specific model type
 const getProfitMargin = (modelType) => {
   // Check for type-specific margin first
@@ -3886,14 +4113,40 @@ const calculatePrice = (model, selectedOptions) => {
 };
 
 // ============ PROVIDER-BASED GENERATION ============
+// Circuit breaker state is shared through the DB
+providerRouter.initHealthStore(db, getSetting);
+
 // Get a configured provider instance
 const getConfiguredProvider = (providerId = 'fal') => {
   return getProvider(providerId, getSetting);
 };
 
+// Async providers report results to /api/providers/:providerId/webhook;
+// polling from the cleanup job is the fallback
+const { createProviderWebhooks } = require('./services/providerWebhooks');
+const providerWebhooks = createProviderWebhooks({
+  db,
+  getProvider: getConfiguredProvider,
+  completeGeneration,
+  failGeneration
+});
+
 // Generate using the provider abstraction layer
 // This is the new provider-agnostic generation function
-async function generateWithProvider(model, prompt, options, inputImages, genId = null) {
+// The route is recorded on every generation row in genIds (one per image of a batch)
+async function generateWithProvider(model, prompt, options, inputImages, genIds = []) {
+  // Registry models go through the router so routing policies and failover apply
+  const registryModelId = getModelIdByEndpoint(model.apiEndpoint);
+  if (registryModelId) {
+    const { result } = await generateWithFailover(
+      { id: registryModelId },
+      model.type,
+      { prompt, options, inputImages },
+      genIds
+    );
+    return result;
+  }
+  
   const providerId = model.provider || 'fal';
   const provider = getConfiguredProvider(providerId);
   
@@ -3907,19 +4160,84 @@ async function generateWithProvider(model, prompt, options, inputImages, genId =
     throw new Error(`Provider ${providerId} is not configured or available`);
   }
   
+  const recordRoute = db.prepare('UPDATE generations SET provider = ?, routingReason = ? WHERE id = ?');
+  for (const genId of genIds) {
+    recordRoute.run(providerId, 'model provider (not in registry)', genId);
+  }
+  
   // Route to appropriate generation method
   if (model.type === 'image') {
     return await provider.generateImage(model, prompt, options, inputImages);
   } else if (model.type === 'video') {
-    return await provider.generateVideo(model, prompt, options, inputImages, genId, db);
+    return await provider.generateVideo(model, prompt, options, inputImages, genIds[0], db);
   } else {
     throw new Error(`Unsupported generation type: ${model.type}`);
   }
 }
 
+// Upscale using the provider abstraction layer - like generateWithProvider,
+// registry models are routed (policies, circuit breaker, route recorded on genId)
+async function upscaleWithProvider(model, sourceUrl, sourceType, options, genId) {
+  const registryModelId = getModelIdByEndpoint(model.apiEndpoint);
+  if (registryModelId) {
+    const { result } = await generateWithFailover(
+      { id: registryModelId },
+      'upscale',
+      { prompt: '', options: { ...options, sourceType }, inputImages: [sourceUrl] },
+      [genId]
+    );
+    return result;
+  }
+  
+  const providerId = model.provider || 'fal';
+  const provider = getConfiguredProvider(providerId);
+  if (!provider) {
+    throw new Error(`Provider ${providerId} not available`);
+  }
+  
+  db.prepare('UPDATE generations SET provider = ?, routingReason = ? WHERE id = ?')
+    .run(providerId, 'model provider (not in registry)', genId);
+  
+  if (sourceType === 'video') {
+    return await provider.upscaleVideo(model, sourceUrl, options, genId, db);
+  }
+  return await provider.upscaleImage(model, sourceUrl, options);
+}
+
+// Demo mode (no Fal.ai key): local placeholders from the mock provider,
+// whether or not it is enabled for routing
+async function generateWithMock(model, prompt, options, inputImages, genIds) {
+  const provider = getConfiguredProvider('mock');
+  const recordRoute = db.prepare('UPDATE generations SET provider = ?, routingReason = ? WHERE id = ?');
+  for (const genId of genIds) {
+    recordRoute.run('mock', 'demo mode: no Fal.ai key', genId);
+  }
+  
+  if (model.type === 'video') {
+    return await provider.generateVideo(model, prompt, options, inputImages, genIds[0], db);
+  }
+  return await provider.generateImage(model, prompt, options, inputImages);
+}
+
+// Whether a provider layer failure may still be served by a direct Fal.ai call.
+// Not for a pinned model (only its provider may serve it), and not once the
+// router has been through Fal - tried, or skipped by its circuit breaker
+function canFallBackToFal(providerError) {
+  return providerError.policy !== 'pinned' && !providerError.attempts?.some(a => a.provider === 'fal');
+}
+
+// Direct Fal.ai calls (provider layer disabled, or it failed) bypass the
+// routing policies, so say so on the generation rows
+function recordDirectFalRoute(genIds, reason) {
+  const recordRoute = db.prepare('UPDATE generations SET provider = ?, routingReason = ? WHERE id = ?');
+  for (const genId of genIds) {
+    recordRoute.run('fal', reason, genId);
+  }
+}
+
 // Generate using provider router with automatic failover
 // This tries multiple providers if the first one fails
-async function generateWithFailover(model, type, params, genId = null, userId = null) {
+async function generateWithFailover(model, type, params, genIds = [], userId = null) {
   try {
     const result = await providerRouter.generate(
       model.id,
@@ -3927,7 +4245,7 @@ async function generateWithFailover(model, type, params, genId = null, userId =
       params,
       getSetting,
       logError,
-      { genId, userId, db }
+      { genId: genIds[0] || null, genIds, userId, db }
     );
     return result;
   } catch (error) {
@@ -3941,6 +4259,26 @@ function getProviderHealthStatus() {
   return providerRouter.getHealthStatus();
 }
 
+// Provider webhook - finishes the generation a Fal / Replicate request belongs to
+// Public: authenticated by the provider's signature over the raw body
+app.post('/api/providers/:providerId/webhook', async (req, res) => {
+  try {
+    const result = await providerWebhooks.handle(req.params.providerId, req.headers, req.rawBody);
+    res.json({ received: true, ...result });
+  } catch (err) {
+    console.error(`[WEBHOOK] ${req.params.providerId} delivery rejected:`, err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Mock provider media - placeholder images / videos rendered locally
+// Public like provider CDN URLs; file names are content hashes
+app.get('/api/providers/mock/media/:file', (req, res) => {
+  const filePath = getConfiguredProvider('mock').getMediaPath(req.params.file);
+  if (!filePath) return res.status(404).json({ error: 'Media not found' });
+  res.sendFile(filePath, { maxAge: '1y', immutable: true });
+});
+
 // ============ USER AUTH ============
 // Helper: Create default workspace for user
 function ensureDefaultWorkspace(userId, userName) {
@@ -3986,9 +4324,10 @@ app.post('/api/auth/register', async (req, res) => {
     const userId = uuidv4();
     const userName = name || email.split('@')[0];
     
-    db.prepare('INSERT INTO users (id, email, password, name, credits) VALUES (?, ?, ?, ?, ?)').run(
-      userId, email, hashedPassword, userName, freeCredits
+    db.prepare('INSERT INTO users (id, email, password, name, credits) VALUES (?, ?, ?, ?, 0)').run(
+      userId, email, hashedPassword, userName
     );
+    creditLedger.transfer({ type: 'signup_bonus', from: SYSTEM_ACCOUNTS.GRANTS, to: creditAccounts.user(userId), amount: freeCredits, userId, description: 'Free credits' });
     
     // Create default workspace
     const defaultWorkspace = ensureDefaultWorkspace(userId, userName);
@@ -4093,8 +4432,9 @@ app.post('/api/auth/google', async (req, res) => {
         
         db.prepare(`
           INSERT INTO users (id, email, name, googleId, authProvider, avatarUrl, credits, nickname)
-          VALUES (?, ?, ?, ?, 'google', ?, ?, ?)
-        `).run(userId, email, name, googleId, picture, freeCredits, generateNickname());
+          VALUES (?, ?, ?, ?, 'google', ?, 0, ?)
+        `).run(userId, email, name, googleId, picture, generateNickname());
+        creditLedger.transfer({ type: 'signup_bonus', from: SYSTEM_ACCOUNTS.GRANTS, to: creditAccounts.user(userId), amount: freeCredits, userId, description: 'Free credits' });
         
         user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
         
@@ -4186,7 +4526,34 @@ app.post('/api/models/:id/price', (req, res) => {
 });
 
 // ============ GENERATIONS ============
-app.post('/api/generate', userAuthMiddleware, async (req, res) => {
+// Generation work runs through the persistent job queue (concurrency limits,
+// plan priority, crash recovery) instead of untracked promises
+const { createJobQueue } = require('./services/jobQueue');
+const jobQueue = createJobQueue({
+  db,
+  getSetting,
+  handlers: {
+    generate: ({ modelId, prompt, options, inputImages, numImages }, job) => {
+      const model = getModel(modelId);
+      if (!model) throw new Error(`Model ${modelId} no longer exists`);
+      return processGenerationBatch(job.generationIds, model, prompt, options, inputImages, numImages);
+    },
+    upscale: ({ modelId, sourceUrl, sourceType, options }, job) => {
+      const model = getModel(modelId);
+      if (!model) throw new Error(`Model ${modelId} no longer exists`);
+      return processUpscale(job.generationIds[0], model, sourceUrl, sourceType, options);
+    }
+  },
+  onFailed: (job, err) => job.generationIds.forEach(genId => failGeneration(genId, err))
+});
+
+// Provider a job counts against for per-provider concurrency
+function getJobProvider(model) {
+  if (model.type === 'chat') return 'openrouter';
+  return MODEL_REGISTRY[getModelIdByEndpoint(model.apiEndpoint)]?.defaultProvider || 'fal';
+}
+
+app.post('/api/generate', userAuthMiddleware, rateLimiter.middleware('/api/generate'), async (req, res) => {
   try {
     const { type, model: modelId, prompt, options, inputImages, workspaceId } = req.body;
     
@@ -4206,7 +4573,7 @@ app.post('/api/generate', userAuthMiddleware, async (req, res) => {
     const price = calculatePrice(model, options);
     
     // Reserve credits (not deducted yet, moved to reserved pool)
-    const reservation = reserveCredits(req.user.id, price, workspaceId);
+    const reservation = reserveCredits(req.user.id, price, workspaceId, { description: `${model.name} ${type} generation` });
     if (!reservation.success) {
       return res.status(402).json({ 
         error: reservation.error, 
@@ -4243,10 +4610,21 @@ app.post('/api/generate', userAuthMiddleware, async (req, res) => {
       generationIds.push({ id: genId, visibleId });
     }
     
+    // Process in background - one queued job for the whole batch
+    const { position } = jobQueue.enqueue({
+      kind: 'generate',
+      userId: req.user.id,
+      modelId,
+      provider: getJobProvider(model),
+      generationIds: generationIds.map(g => g.id),
+      payload: { modelId, prompt, options, inputImages, numImages }
+    });
+    
     // Return all generation IDs
     res.json({ 
       generations: generationIds,
       status: 'pending', 
+      queuePosition: position,
       credits: price, 
       remainingCredits: reservation.availableCredits,
       creditSource: reservation.source,
@@ -4255,9 +4633,6 @@ app.post('/api/generate', userAuthMiddleware, async (req, res) => {
       visibleId: generationIds[0].visibleId,
       userCredits: reservation.source.includes('personal') ? reservation.availableCredits : undefined
     });
-    
-    // Process in background - pass all generation IDs
-    processGenerationBatch(generationIds.map(g => g.id), model, prompt, options, inputImages, numImages);
   } catch (err) {
     console.error('Generation error:', err);
     res.status(500).json({ error: 'Generation failed' });
@@ -4268,6 +4643,7 @@ app.get('/api/generations/:id', userAuthMiddleware, (req, res) => {
   const gen = db.prepare('SELECT * FROM generations WHERE id = ? AND userId = ?').get(req.params.id, req.user.id);
   if (!gen) return res.status(404).json({ error: 'Not found' });
   gen.options = JSON.parse(gen.options || '{}');
+  gen.queuePosition = gen.status === 'pending' && gen.jobId ? jobQueue.getPosition(gen.jobId) : null;
   res.json(gen);
 });
 
@@ -4306,7 +4682,11 @@ app.get('/api/generations', userAuthMiddleware, (req, res) => {
   params.push(parseInt(limit), parseInt(offset));
   
   const generations = db.prepare(query).all(...params);
-  generations.forEach(g => g.options = JSON.parse(g.options || '{}'));
+  const positions = jobQueue.getPositions(generations.filter(g => g.status === 'pending').map(g => g.jobId));
+  generations.forEach(g => {
+    g.options = JSON.parse(g.options || '{}');
+    g.queuePosition = positions.get(g.jobId) ?? null;
+  });
   
   // Also filter counts by workspace
   let countQuery = 'SELECT type, COUNT(*) as count FROM generations WHERE userId = ?';
@@ -4356,7 +4736,10 @@ app.post('/api/generations/:id/cancel', userAuthMiddleware, (req, res) => {
   
   // Release reserved credits
   const opts = JSON.parse(gen.options || '{}');
-  releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
+  releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: req.params.id, referenceType: 'generation' });
+  
+  // Requests awaiting a webhook have no poller to notice the cancel, so stop them at the provider
+  providerWebhooks.cancel(gen);
   
   console.log(`[CANCEL] Generation ${req.params.id} cancelled, ${gen.credits} credits released`);
   
@@ -4399,7 +4782,7 @@ app.post('/api/upscale', userAuthMiddleware, async (req, res) => {
     const price = calculatePrice(upscaleModel, options || {});
     
     // Reserve credits
-    const reservation = reserveCredits(req.user.id, price, workspaceId);
+    const reservation = reserveCredits(req.user.id, price, workspaceId, { description: `${upscaleModel.name} upscale` });
     if (!reservation.success) {
       return res.status(402).json({ 
         error: reservation.error, 
@@ -4435,17 +4818,25 @@ app.post('/api/upscale', userAuthMiddleware, async (req, res) => {
       upscaleModel.maxWaitTime || 300
     );
     
+    // Process in background
+    const { position } = jobQueue.enqueue({
+      kind: 'upscale',
+      userId: req.user.id,
+      modelId: upscaleModel.id,
+      provider: getJobProvider(upscaleModel),
+      generationIds: [genId],
+      payload: { modelId: upscaleModel.id, sourceUrl: sourceGen.result, sourceType: sourceGen.type, options }
+    });
+    
     res.json({ 
       id: genId,
       visibleId,
       status: 'pending', 
+      queuePosition: position,
       credits: price,
       remainingCredits: reservation.availableCredits,
       creditSource: reservation.source
     });
-    
-    // Process in background
-    processUpscale(genId, upscaleModel, sourceGen.result, sourceGen.type, options);
   } catch (err) {
     console.error('Upscale error:', err);
     res.status(500).json({ error: 'Upscale failed' });
@@ -4928,7 +5319,10 @@ app.post('/api/website-builder/projects/:id/generate', userAuthMiddleware, async
         
         // Deduct credits from user
         if (creditsUsed > 0) {
-          db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(creditsUsed, req.user.id);
+          creditLedger.transfer({
+            type: 'usage', from: creditAccounts.user(req.user.id), to: SYSTEM_ACCOUNTS.USAGE, amount: creditsUsed,
+            userId: req.user.id, description: 'Website builder', referenceId: project.id, referenceType: 'website_project'
+          });
         }
         
         // Apply file changes to database
@@ -5856,7 +6250,7 @@ app.delete('/api/chat/conversations/:id', userAuthMiddleware, (req, res) => {
 });
 
 // Send message with streaming response
-app.post('/api/chat/conversations/:id/messages', userAuthMiddleware, async (req, res) => {
+app.post('/api/chat/conversations/:id/messages', userAuthMiddleware, rateLimiter.middleware('/api/chat/conversations/:id/messages'), async (req, res) => {
   const { content, imageUrls, webSearch } = req.body;
   const conversation = db.prepare('SELECT * FROM conversations WHERE id = ? AND userId = ?')
     .get(req.params.id, req.user.id);
@@ -5929,116 +6323,69 @@ app.post('/api/chat/conversations/:id/messages', userAuthMiddleware, async (req,
   res.setHeader('X-Accel-Buffering', 'no');
   
   try {
-    const modelEndpoint = webSearch && model.capabilities?.webSearch 
-      ? model.apiEndpoint + ':online' 
-      : model.apiEndpoint;
+    let fullContent = '';
+    let usage = null;
+    
+    const stream = providerRouter.streamText(model, apiMessages, {
+      webSearch: webSearch && model.capabilities?.webSearch,
+      title: 'OmniHub Chat'
+    }, getSetting, logError, { userId: req.user.id });
+    
+    for await (const event of stream) {
+      if (event.type === 'content') {
+        fullContent += event.content;
+        res.write(`data: ${JSON.stringify({ type: 'content', content: event.content })}\n\n`);
+      } else if (event.type === 'done') {
+        usage = event.usage;
+      }
+    }
     
-    const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-      model: modelEndpoint,
-      messages: apiMessages,
-      stream: true
-    }, {
-      headers: {
-        'Authorization': `Bearer ${openrouterKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:5173',
-        'X-Title': 'OmniHub Chat',
-      },
-      responseType: 'stream'
-    });
+    // Calculate actual cost from reported usage, falling back to estimates
+    const actualInputTokens = usage?.inputTokens || inputTokensEstimate;
+    const actualOutputTokens = usage?.outputTokens || Math.ceil(fullContent.length / 4);
+    const actualCost = (actualInputTokens * model.inputCost / 1000) + (actualOutputTokens * model.outputCost / 1000);
     
-    let fullContent = '';
-    let outputTokens = 0;
+    // Save assistant message
+    const assistantMessageId = uuidv4();
+    db.prepare(`
+      INSERT INTO messages (id, conversationId, role, content, outputTokens, credits, webSearchUsed) 
+      VALUES (?, ?, 'assistant', ?, ?, ?, ?)
+    `).run(assistantMessageId, req.params.id, fullContent, actualOutputTokens, actualCost, webSearch ? 1 : 0);
     
-    response.data.on('data', (chunk) => {
-      const lines = chunk.toString().split('\n').filter(line => line.trim().startsWith('data:'));
-      
-      for (const line of lines) {
-        const data = line.replace('data: ', '').trim();
-        if (data === '[DONE]') {
-          continue;
-        }
-        
-        try {
-          const parsed = JSON.parse(data);
-          const delta = parsed.choices?.[0]?.delta?.content;
-          if (delta) {
-            fullContent += delta;
-            outputTokens++;
-            res.write(`data: ${JSON.stringify({ type: 'content', content: delta })}\n\n`);
-          }
-          
-          // Check for usage info
-          if (parsed.usage) {
-            outputTokens = parsed.usage.completion_tokens || outputTokens;
-          }
-        } catch (e) {
-          // Skip invalid JSON
-        }
-      }
-    });
+    // Update conversation
+    db.prepare(`
+      UPDATE conversations SET 
+        totalInputTokens = totalInputTokens + ?,
+        totalOutputTokens = totalOutputTokens + ?,
+        totalCredits = totalCredits + ?,
+        updatedAt = datetime('now')
+      WHERE id = ?
+    `).run(actualInputTokens, actualOutputTokens, actualCost, req.params.id);
     
-    response.data.on('end', async () => {
-      // Calculate actual cost
-      const actualInputTokens = inputTokensEstimate;
-      const actualOutputTokens = outputTokens || Math.ceil(fullContent.length / 4);
-      const actualCost = (actualInputTokens * model.inputCost / 1000) + (actualOutputTokens * model.outputCost / 1000);
-      
-      // Save assistant message
-      const assistantMessageId = uuidv4();
-      db.prepare(`
-        INSERT INTO messages (id, conversationId, role, content, outputTokens, credits, webSearchUsed) 
-        VALUES (?, ?, 'assistant', ?, ?, ?, ?)
-      `).run(assistantMessageId, req.params.id, fullContent, actualOutputTokens, actualCost, webSearch ? 1 : 0);
-      
-      // Update conversation
-      db.prepare(`
-        UPDATE conversations SET 
-          totalInputTokens = totalInputTokens + ?,
-          totalOutputTokens = totalOutputTokens + ?,
-          totalCredits = totalCredits + ?,
-          updatedAt = datetime('now')
-        WHERE id = ?
-      `).run(actualInputTokens, actualOutputTokens, actualCost, req.params.id);
-      
-      // Auto-generate title if first message
-      if (historyMessages.length === 0) {
-        const shortTitle = content.slice(0, 50) + (content.length > 50 ? '...' : '');
-        db.prepare('UPDATE conversations SET title = ? WHERE id = ?').run(shortTitle, req.params.id);
-      }
-      
-      // Deduct credits
-      db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(actualCost, req.user.id);
-      const updatedUser = db.prepare('SELECT credits FROM users WHERE id = ?').get(req.user.id);
-      
-      // Send completion event
-      res.write(`data: ${JSON.stringify({ 
-        type: 'done', 
-        messageId: assistantMessageId,
-        inputTokens: actualInputTokens,
-        outputTokens: actualOutputTokens,
-        credits: actualCost,
-        userCredits: updatedUser.credits
-      })}\n\n`);
-      
-      res.end();
-    });
+    // Auto-generate title if first message
+    if (historyMessages.length === 0) {
+      const shortTitle = content.slice(0, 50) + (content.length > 50 ? '...' : '');
+      db.prepare('UPDATE conversations SET title = ? WHERE id = ?').run(shortTitle, req.params.id);
+    }
     
-    response.data.on('error', (error) => {
-      console.error('[CHAT] Stream error:', error);
-      logError(
-        'chat',
-        req.user?.id,
-        null,
-        'openrouter/chat',
-        'stream_error',
-        error.message,
-        error.stack,
-        { modelId: req.body.modelId, conversationId: req.params.id }
-      );
-      res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-      res.end();
+    // Deduct credits
+    creditLedger.transfer({
+      type: 'usage', from: creditAccounts.user(req.user.id), to: SYSTEM_ACCOUNTS.USAGE, amount: actualCost,
+      userId: req.user.id, description: 'Chat message', referenceId: req.params.id, referenceType: 'conversation'
     });
+    const updatedUser = db.prepare('SELECT credits FROM users WHERE id = ?').get(req.user.id);
+    
+    // Send completion event
+    res.write(`data: ${JSON.stringify({ 
+      type: 'done', 
+      messageId: assistantMessageId,
+      inputTokens: actualInputTokens,
+      outputTokens: actualOutputTokens,
+      credits: actualCost,
+      userCredits: updatedUser.credits
+    })}\n\n`);
+    
+    res.end();
     
   } catch (error) {
     console.error('[CHAT] Error:', error.message);
@@ -6047,14 +6394,13 @@ app.post('/api/chat/conversations/:id/messages', userAuthMiddleware, async (req,
       req.user?.id,
       null,
       'openrouter/chat',
-      error.response?.status === 429 ? 'rate_limit' : 'api_error',
+      error.status === 429 ? 'rate_limit' : 'api_error',
       error.message,
       error.stack,
       { 
         modelId: req.body.modelId, 
         conversationId: req.params.id,
-        responseStatus: error.response?.status,
-        responseData: JSON.stringify(error.response?.data || {}).substring(0, 500)
+        responseStatus: error.status
       }
     );
     res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
@@ -6062,101 +6408,32 @@ app.post('/api/chat/conversations/:id/messages', userAuthMiddleware, async (req,
   }
 });
 
-// Helper function to deduct credits with workspace support
-// Returns: { success, source, remainingCredits, error }
-function deductCredits(userId, amount, workspaceId) {
-  const user = db.prepare('SELECT credits FROM users WHERE id = ?').get(userId);
-  
-  // If no workspace or default personal workspace, use personal credits
-  if (!workspaceId) {
-    if (user.credits < amount) {
-      return { success: false, error: 'Insufficient credits', available: user.credits, required: amount };
-    }
-    db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(amount, userId);
-    return { success: true, source: 'personal', remainingCredits: user.credits - amount };
-  }
-  
-  const workspace = getWorkspace(workspaceId);
-  if (!workspace) {
-    return { success: false, error: 'Workspace not found' };
-  }
-  
-  // Check if user is member
-  const member = db.prepare('SELECT * FROM workspace_members WHERE workspaceId = ? AND userId = ?')
-    .get(workspaceId, userId);
-  if (!member) {
-    return { success: false, error: 'Not a member of this workspace' };
-  }
-  
-  // For default personal workspace, use personal credits
-  if (workspace.isDefault && workspace.ownerId === userId) {
-    if (user.credits < amount) {
-      return { success: false, error: 'Insufficient credits', available: user.credits, required: amount };
-    }
-    db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(amount, userId);
-    return { success: true, source: 'personal', remainingCredits: user.credits - amount, workspaceId };
-  }
-  
-  // Shared mode: use workspace credits first, fallback to personal
-  if (workspace.creditMode === 'shared') {
-    if (workspace.credits >= amount) {
-      db.prepare('UPDATE workspaces SET credits = credits - ? WHERE id = ?').run(amount, workspaceId);
-      return { success: true, source: 'workspace', remainingCredits: workspace.credits - amount, workspaceId };
-    }
-    // Fallback to personal credits
-    if (user.credits >= amount) {
-      db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(amount, userId);
-      return { success: true, source: 'personal_fallback', remainingCredits: user.credits - amount, workspaceId };
-    }
-    return { 
-      success: false, 
-      error: 'Insufficient credits', 
-      workspaceCredits: workspace.credits,
-      personalCredits: user.credits,
-      required: amount 
-    };
-  }
-  
-  // Individual mode: use member's allocated credits first, fallback to personal
-  if (workspace.creditMode === 'individual') {
-    if (member.allocatedCredits >= amount) {
-      db.prepare('UPDATE workspace_members SET allocatedCredits = allocatedCredits - ? WHERE workspaceId = ? AND userId = ?')
-        .run(amount, workspaceId, userId);
-      return { success: true, source: 'allocated', remainingCredits: member.allocatedCredits - amount, workspaceId };
-    }
-    // Fallback to personal credits
-    if (user.credits >= amount) {
-      db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(amount, userId);
-      return { success: true, source: 'personal_fallback', remainingCredits: user.credits - amount, workspaceId };
-    }
-    return { 
-      success: false, 
-      error: 'Insufficient credits', 
-      allocatedCredits: member.allocatedCredits,
-      personalCredits: user.credits,
-      required: amount 
-    };
-  }
-  
-  return { success: false, error: 'Invalid credit mode' };
-}
+// ============ CREDIT LEDGER ============
+// Every credit movement is a balanced ledger posting; the balance columns are kept in step with it
+const { createCreditLedger, accounts: creditAccounts, SYSTEM_ACCOUNTS } = require('./services/creditLedger');
+const creditLedger = createCreditLedger({ db, logAudit, logError });
 
-// Helper function to refund credits (legacy - for backward compatibility)
-function refundCredits(userId, amount, workspaceId, source) {
+/**
+ * Ledger accounts behind a credit source (as returned by deductCredits / reserveCredits)
+ * @returns {{available: string, reserved: string}|null}
+ */
+function getCreditSourceAccounts(userId, workspaceId, source) {
   if (source === 'personal' || source === 'personal_fallback') {
-    db.prepare('UPDATE users SET credits = credits + ? WHERE id = ?').run(amount, userId);
-  } else if (source === 'workspace') {
-    db.prepare('UPDATE workspaces SET credits = credits + ? WHERE id = ?').run(amount, workspaceId);
-  } else if (source === 'allocated') {
-    db.prepare('UPDATE workspace_members SET allocatedCredits = allocatedCredits + ? WHERE workspaceId = ? AND userId = ?')
-      .run(amount, workspaceId, userId);
+    return { available: creditAccounts.user(userId), reserved: creditAccounts.userReserved(userId) };
+  }
+  if (source === 'workspace') {
+    return { available: creditAccounts.workspace(workspaceId), reserved: creditAccounts.workspaceReserved(workspaceId) };
+  }
+  if (source === 'allocated') {
+    return { available: creditAccounts.member(workspaceId, userId), reserved: creditAccounts.memberReserved(workspaceId, userId) };
   }
+  return null;
 }
 
-// ============ RESERVE/COMMIT/RELEASE CREDITS SYSTEM ============
-// Reserve credits - moves from available to reserved pool
-function reserveCredits(userId, amount, workspaceId) {
-  const user = db.prepare('SELECT credits, reservedCredits FROM users WHERE id = ?').get(userId);
+// Pick the balance a charge is paid from, with workspace support
+// Returns: { success, source, available } or { success: false, error, ... }
+function selectCreditSource(userId, amount, workspaceId) {
+  const user = db.prepare('SELECT credits FROM users WHERE id = ?').get(userId);
   if (!user) return { success: false, error: 'User not found' };
   
   // If no workspace, use personal credits
@@ -6164,14 +6441,13 @@ function reserveCredits(userId, amount, workspaceId) {
     if (user.credits < amount) {
       return { success: false, error: 'Insufficient credits', available: user.credits, required: amount };
     }
-    db.prepare('UPDATE users SET credits = credits - ?, reservedCredits = reservedCredits + ? WHERE id = ?')
-      .run(amount, amount, userId);
-    return { success: true, source: 'personal', reservedAmount: amount, availableCredits: user.credits - amount };
+    return { success: true, source: 'personal', available: user.credits };
   }
   
   const workspace = getWorkspace(workspaceId);
   if (!workspace) return { success: false, error: 'Workspace not found' };
   
+  // Check if user is member
   const member = db.prepare('SELECT * FROM workspace_members WHERE workspaceId = ? AND userId = ?')
     .get(workspaceId, userId);
   if (!member) return { success: false, error: 'Not a member of this workspace' };
@@ -6181,39 +6457,27 @@ function reserveCredits(userId, amount, workspaceId) {
     if (user.credits < amount) {
       return { success: false, error: 'Insufficient credits', available: user.credits, required: amount };
     }
-    db.prepare('UPDATE users SET credits = credits - ?, reservedCredits = reservedCredits + ? WHERE id = ?')
-      .run(amount, amount, userId);
-    return { success: true, source: 'personal', reservedAmount: amount, availableCredits: user.credits - amount, workspaceId };
+    return { success: true, source: 'personal', available: user.credits };
   }
   
-  // Shared mode: use workspace credits first
+  // Shared mode: use workspace credits first, fallback to personal
   if (workspace.creditMode === 'shared') {
     if (workspace.credits >= amount) {
-      db.prepare('UPDATE workspaces SET credits = credits - ?, reservedCredits = reservedCredits + ? WHERE id = ?')
-        .run(amount, amount, workspaceId);
-      return { success: true, source: 'workspace', reservedAmount: amount, availableCredits: workspace.credits - amount, workspaceId };
+      return { success: true, source: 'workspace', available: workspace.credits };
     }
-    // Fallback to personal
     if (user.credits >= amount) {
-      db.prepare('UPDATE users SET credits = credits - ?, reservedCredits = reservedCredits + ? WHERE id = ?')
-        .run(amount, amount, userId);
-      return { success: true, source: 'personal_fallback', reservedAmount: amount, availableCredits: user.credits - amount, workspaceId };
+      return { success: true, source: 'personal_fallback', available: user.credits };
     }
     return { success: false, error: 'Insufficient credits', workspaceCredits: workspace.credits, personalCredits: user.credits, required: amount };
   }
   
-  // Individual mode: use allocated credits first
+  // Individual mode: use member's allocated credits first, fallback to personal
   if (workspace.creditMode === 'individual') {
     if (member.allocatedCredits >= amount) {
-      db.prepare('UPDATE workspace_members SET allocatedCredits = allocatedCredits - ?, reservedAllocated = reservedAllocated + ? WHERE workspaceId = ? AND userId = ?')
-        .run(amount, amount, workspaceId, userId);
-      return { success: true, source: 'allocated', reservedAmount: amount, availableCredits: member.allocatedCredits - amount, workspaceId };
+      return { success: true, source: 'allocated', available: member.allocatedCredits };
     }
-    // Fallback to personal
     if (user.credits >= amount) {
-      db.prepare('UPDATE users SET credits = credits - ?, reservedCredits = reservedCredits + ? WHERE id = ?')
-        .run(amount, amount, userId);
-      return { success: true, source: 'personal_fallback', reservedAmount: amount, availableCredits: user.credits - amount, workspaceId };
+      return { success: true, source: 'personal_fallback', available: user.credits };
     }
     return { success: false, error: 'Insufficient credits', allocatedCredits: member.allocatedCredits, personalCredits: user.credits, required: amount };
   }
@@ -6221,32 +6485,61 @@ function reserveCredits(userId, amount, workspaceId) {
   return { success: false, error: 'Invalid credit mode' };
 }
 
-// Commit credits - removes from reserved pool (credits already deducted, just clear reservation)
-function commitCredits(userId, amount, workspaceId, source) {
-  if (source === 'personal' || source === 'personal_fallback') {
-    db.prepare('UPDATE users SET reservedCredits = MAX(0, reservedCredits - ?) WHERE id = ?')
-      .run(amount, userId);
-  } else if (source === 'workspace') {
-    db.prepare('UPDATE workspaces SET reservedCredits = MAX(0, reservedCredits - ?) WHERE id = ?')
-      .run(amount, workspaceId);
-  } else if (source === 'allocated') {
-    db.prepare('UPDATE workspace_members SET reservedAllocated = MAX(0, reservedAllocated - ?) WHERE workspaceId = ? AND userId = ?')
-      .run(amount, workspaceId, userId);
-  }
+// Helper function to deduct credits with workspace support
+// reference: { referenceId, referenceType, description } for the ledger
+// Returns: { success, source, remainingCredits, error }
+function deductCredits(userId, amount, workspaceId, reference = {}) {
+  return db.transaction(() => {
+    const selected = selectCreditSource(userId, amount, workspaceId);
+    if (!selected.success) return selected;
+    
+    const { available } = getCreditSourceAccounts(userId, workspaceId, selected.source);
+    creditLedger.transfer({ type: 'usage', from: available, to: SYSTEM_ACCOUNTS.USAGE, amount, userId, workspaceId, ...reference });
+    return { success: true, source: selected.source, remainingCredits: selected.available - amount, workspaceId };
+  })();
+}
+
+// Helper function to refund credits (legacy - for backward compatibility)
+function refundCredits(userId, amount, workspaceId, source, reference = {}) {
+  const sourceAccounts = getCreditSourceAccounts(userId, workspaceId, source);
+  if (!sourceAccounts) return;
+  creditLedger.transfer({ type: 'refund', from: SYSTEM_ACCOUNTS.USAGE, to: sourceAccounts.available, amount, userId, workspaceId, ...reference });
+}
+
+// ============ RESERVE/COMMIT/RELEASE CREDITS SYSTEM ============
+// Reserve credits - moves from available to reserved pool
+function reserveCredits(userId, amount, workspaceId, reference = {}) {
+  return db.transaction(() => {
+    const selected = selectCreditSource(userId, amount, workspaceId);
+    if (!selected.success) return selected;
+    
+    const { available, reserved } = getCreditSourceAccounts(userId, workspaceId, selected.source);
+    creditLedger.transfer({ type: 'reserve', from: available, to: reserved, amount, userId, workspaceId, ...reference });
+    return { success: true, source: selected.source, reservedAmount: amount, availableCredits: selected.available - amount, workspaceId };
+  })();
+}
+
+// Commit credits - spends from the reserved pool (credits already left the available balance)
+function commitCredits(userId, amount, workspaceId, source, reference = {}) {
+  const sourceAccounts = getCreditSourceAccounts(userId, workspaceId, source);
+  if (!sourceAccounts) return;
+  
+  db.transaction(() => {
+    // Never more than is still reserved (e.g. the member was removed meanwhile)
+    const committed = Math.min(amount, Math.max(0, creditLedger.getBalance(sourceAccounts.reserved)));
+    creditLedger.transfer({ type: 'usage', from: sourceAccounts.reserved, to: SYSTEM_ACCOUNTS.USAGE, amount: committed, userId, workspaceId, ...reference });
+  })();
 }
 
 // Release credits - refunds from reserved pool back to available
-function releaseCredits(userId, amount, workspaceId, source) {
-  if (source === 'personal' || source === 'personal_fallback') {
-    db.prepare('UPDATE users SET credits = credits + ?, reservedCredits = MAX(0, reservedCredits - ?) WHERE id = ?')
-      .run(amount, amount, userId);
-  } else if (source === 'workspace') {
-    db.prepare('UPDATE workspaces SET credits = credits + ?, reservedCredits = MAX(0, reservedCredits - ?) WHERE id = ?')
-      .run(amount, amount, workspaceId);
-  } else if (source === 'allocated') {
-    db.prepare('UPDATE workspace_members SET allocatedCredits = allocatedCredits + ?, reservedAllocated = MAX(0, reservedAllocated - ?) WHERE workspaceId = ? AND userId = ?')
-      .run(amount, amount, workspaceId, userId);
-  }
+function releaseCredits(userId, amount, workspaceId, source, reference = {}) {
+  const sourceAccounts = getCreditSourceAccounts(userId, workspaceId, source);
+  if (!sourceAccounts) return;
+  
+  db.transaction(() => {
+    const released = Math.min(amount, Math.max(0, creditLedger.getBalance(sourceAccounts.reserved)));
+    creditLedger.transfer({ type: 'release', from: sourceAccounts.reserved, to: sourceAccounts.available, amount: released, userId, workspaceId, ...reference });
+  })();
 }
 
 // Generate optimized thumbnail URL from full image/video URL
@@ -6337,6 +6630,48 @@ function categorizeError(err) {
   };
 }
 
+// Finish a pending generation with its result: thumbnail + commit reserved credits.
+// Rows that were already finished, cancelled or timed out are left alone, so a late
+// webhook, poll or retried job is a no-op. Returns whether the row was completed.
+function completeGeneration(genId, resultUrl, thumbnailUrl = getThumbnailUrl(resultUrl, 300, 75)) {
+  const updated = db.prepare("UPDATE generations SET status = 'completed', result = ?, thumbnailUrl = ?, completedAt = datetime('now') WHERE id = ? AND status = 'pending'")
+    .run(resultUrl, thumbnailUrl, genId);
+  if (updated.changes === 0) return false;
+
+  const gen = db.prepare('SELECT userId, credits, workspaceId, options FROM generations WHERE id = ?').get(genId);
+  const opts = JSON.parse(gen.options || '{}');
+  commitCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: genId, referenceType: 'generation' });
+  return true;
+}
+
+// Fail a pending generation reported by a provider (webhook or poll fallback),
+// log it and release refundable credits. Returns whether the row was failed.
+function failGeneration(genId, err) {
+  const errorInfo = categorizeError(err);
+  const updated = db.prepare("UPDATE generations SET status = 'failed', error = ?, errorType = ?, completedAt = datetime('now') WHERE id = ? AND status = 'pending'")
+    .run(errorInfo.userMessage, errorInfo.type, genId);
+  if (updated.changes === 0) return false;
+
+  const gen = db.prepare('SELECT userId, credits, workspaceId, options, model, modelName, provider FROM generations WHERE id = ?').get(genId);
+  logError(
+    'generation',
+    gen.userId,
+    genId,
+    gen.model || 'unknown',
+    errorInfo.type,
+    errorInfo.message,
+    err.stack,
+    { modelName: gen.modelName, provider: gen.provider }
+  );
+
+  if (errorInfo.refundable) {
+    const opts = JSON.parse(gen.options || '{}');
+    releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: genId, referenceType: 'generation' });
+    console.log(`[CREDITS] Released ${gen.credits} credits for generation ${genId}`);
+  }
+  return true;
+}
+
 // Helper function to estimate chat cost
 function estimateChatCost(model, inputText, imageCount, contextTokens) {
   const textTokens = Math.ceil(inputText.length / 4);
@@ -6518,8 +6853,16 @@ app.delete('/api/workspaces/:id', userAuthMiddleware, (req, res) => {
     return res.status(400).json({ error: 'Cannot delete default workspace' });
   }
   
-  // Delete workspace (cascade will handle members and invites)
-  db.prepare('DELETE FROM workspaces WHERE id = ?').run(req.params.id);
+  // Delete workspace (cascade will handle members and invites); its credits are forfeited
+  db.transaction(() => {
+    const members = db.prepare('SELECT userId FROM workspace_members WHERE workspaceId = ?').all(req.params.id);
+    creditLedger.closeAccounts([
+      creditAccounts.workspace(req.params.id),
+      creditAccounts.workspaceReserved(req.params.id),
+      ...members.flatMap(m => [creditAccounts.member(req.params.id, m.userId), creditAccounts.memberReserved(req.params.id, m.userId)])
+    ], { type: 'forfeit', userId: req.user.id, workspaceId: req.params.id, description: 'Workspace deleted' });
+    db.prepare('DELETE FROM workspaces WHERE id = ?').run(req.params.id);
+  })();
   res.json({ success: true });
 });
 
@@ -6684,8 +7027,9 @@ app.patch('/api/workspaces/:id/members/:userId', userAuthMiddleware, (req, res)
     if (allocatedCredits < 0) {
       return res.status(400).json({ error: 'Credits cannot be negative' });
     }
-    db.prepare('UPDATE workspace_members SET allocatedCredits = ? WHERE workspaceId = ? AND userId = ?')
-      .run(allocatedCredits, req.params.id, req.params.userId);
+    creditLedger.setBalance(creditAccounts.member(req.params.id, req.params.userId), allocatedCredits, {
+      type: 'allocation_set', userId: req.user.id, workspaceId: req.params.id, description: 'Member allocation set'
+    });
   }
   
   res.json({ success: true });
@@ -6711,8 +7055,14 @@ app.delete('/api/workspaces/:id/members/:userId', userAuthMiddleware, (req, res)
     return res.status(403).json({ error: 'Permission denied' });
   }
   
-  db.prepare('DELETE FROM workspace_members WHERE workspaceId = ? AND userId = ?')
-    .run(req.params.id, req.params.userId);
+  db.transaction(() => {
+    creditLedger.closeAccounts(
+      [creditAccounts.member(req.params.id, req.params.userId), creditAccounts.memberReserved(req.params.id, req.params.userId)],
+      { type: 'forfeit', userId: req.user.id, workspaceId: req.params.id, description: 'Member removed from workspace' }
+    );
+    db.prepare('DELETE FROM workspace_members WHERE workspaceId = ? AND userId = ?')
+      .run(req.params.id, req.params.userId);
+  })();
   
   res.json({ success: true });
 });
@@ -6732,8 +7082,11 @@ app.post('/api/workspaces/:id/credits/add', userAuthMiddleware, (req, res) => {
     return res.status(403).json({ error: 'Only the owner can add credits' });
   }
   
-  db.prepare("UPDATE workspaces SET credits = credits + ?, updatedAt = datetime('now') WHERE id = ?")
-    .run(amount, req.params.id);
+  creditLedger.transfer({
+    type: 'workspace_topup', from: SYSTEM_ACCOUNTS.GRANTS, to: creditAccounts.workspace(req.params.id), amount,
+    userId: req.user.id, workspaceId: req.params.id, description: 'Workspace credits added'
+  });
+  db.prepare("UPDATE workspaces SET updatedAt = datetime('now') WHERE id = ?").run(req.params.id);
   
   const updated = getWorkspace(req.params.id);
   res.json({ success: true, credits: updated.credits });
@@ -6765,9 +7118,10 @@ app.post('/api/workspaces/:id/credits/allocate', userAuthMiddleware, (req, res)
   }
   
   // Transfer from workspace to member
-  db.prepare('UPDATE workspaces SET credits = credits - ? WHERE id = ?').run(amount, req.params.id);
-  db.prepare('UPDATE workspace_members SET allocatedCredits = allocatedCredits + ? WHERE workspaceId = ? AND userId = ?')
-    .run(amount, req.params.id, userId);
+  creditLedger.transfer({
+    type: 'allocation', from: creditAccounts.workspace(req.params.id), to: creditAccounts.member(req.params.id, userId), amount,
+    userId: req.user.id, workspaceId: req.params.id, description: 'Credits allocated to member'
+  });
   
   res.json({ success: true });
 });
@@ -6925,17 +7279,10 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
       if (!openrouterKey) {
         result = `**Demo Response**\n\nAdd your OpenRouter API key in admin settings for real responses.\n\nPrompt: "${prompt}"`;
       } else {
-        result = await callOpenRouter(model.apiEndpoint, prompt, [], openrouterKey);
+        result = (await completeText(model, prompt)).text;
       }
       // Chat doesn't need thumbnail
-      db.prepare("UPDATE generations SET status = 'completed', result = ?, completedAt = datetime('now') WHERE id = ?").run(result, genId);
-      
-      // Commit credits on success
-      const gen = db.prepare('SELECT userId, credits, workspaceId, options FROM generations WHERE id = ?').get(genId);
-      if (gen) {
-        const opts = JSON.parse(gen.options || '{}');
-        commitCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
-      }
+      completeGeneration(genId, result, null);
     } else if (model.type === 'image') {
       // Smart endpoint selection based on whether images are provided
       const endpoint = getSmartEndpoint(model, inputImages);
@@ -6944,10 +7291,15 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
       // Generate all images in one API call
       let imageUrls = [];
       if (!falKey) {
-        // Demo mode - generate placeholder images
-        for (let i = 0; i < numImages; i++) {
-          imageUrls.push(`https://picsum.photos/seed/${Date.now() + i}/1024/1024`);
-        }
+        // Demo mode - placeholder images from the mock provider
+        const mockResult = await generateWithMock(
+          { ...model, apiEndpoint: endpoint },
+          prompt,
+          { ...options, num_images: numImages },
+          inputImages,
+          genIds
+        );
+        imageUrls = mockResult.urls;
       } else if (useProviderLayer) {
         // Use provider abstraction layer
         try {
@@ -6956,31 +7308,26 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
             prompt,
             { ...options, num_images: numImages },
             inputImages,
-            genIds[0]
+            genIds
           );
           imageUrls = providerResult.urls || [providerResult.url];
           console.log(`[PROVIDER] Generated ${imageUrls.length} images via provider layer`);
         } catch (providerError) {
+          if (!canFallBackToFal(providerError)) throw providerError;
           console.error('[PROVIDER] Provider layer failed, falling back to direct call:', providerError.message);
+          recordDirectFalRoute(genIds, `direct Fal call (provider layer failed: ${providerError.message})`);
           imageUrls = await callFalImageBatch(endpoint, prompt, options, inputImages, falKey, numImages, model);
         }
       } else {
         // Use direct Fal.ai call (current behavior)
+        recordDirectFalRoute(genIds, 'direct Fal call (provider layer disabled)');
         imageUrls = await callFalImageBatch(endpoint, prompt, options, inputImages, falKey, numImages, model);
       }
       
-      // Update each generation record with its corresponding image and commit credits
+      // Update each generation record with its corresponding image (+ thumbnail) and commit credits
       for (let i = 0; i < genIds.length; i++) {
         const imageUrl = imageUrls[i] || imageUrls[0]; // Fallback to first if not enough
-        const thumbnailUrl = getThumbnailUrl(imageUrl, 300, 75); // Generate thumbnail URL
-        db.prepare("UPDATE generations SET status = 'completed', result = ?, thumbnailUrl = ?, completedAt = datetime('now') WHERE id = ?").run(imageUrl, thumbnailUrl, genIds[i]);
-        
-        // Commit credits on success
-        const gen = db.prepare('SELECT userId, credits, workspaceId, options FROM generations WHERE id = ?').get(genIds[i]);
-        if (gen) {
-          const opts = JSON.parse(gen.options || '{}');
-          commitCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
-        }
+        completeGeneration(genIds[i], imageUrl);
       }
     } else if (model.type === 'video') {
       // Smart endpoint selection for video
@@ -6991,7 +7338,8 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
       const genId = genIds[0];
       let result;
       if (!falKey) {
-        result = 'https://commondatastorage.googleapis.com/gtv-videos-bucket/sample/ForBiggerBlazes.mp4';
+        // Demo mode - placeholder video from the mock provider
+        result = (await generateWithMock({ ...model, apiEndpoint: endpoint }, prompt, options, inputImages, [genId])).url;
       } else if (useProviderLayer) {
         // Use provider abstraction layer
         try {
@@ -7000,28 +7348,30 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
             prompt,
             options,
             inputImages,
-            genId
+            [genId]
           );
-          result = providerResult.url;
+          result = providerResult.status === 'pending' ? providerResult : providerResult.url;
           console.log(`[PROVIDER] Generated video via provider layer`);
         } catch (providerError) {
+          if (!canFallBackToFal(providerError)) throw providerError;
           console.error('[PROVIDER] Provider layer failed, falling back to direct call:', providerError.message);
+          recordDirectFalRoute([genId], `direct Fal call (provider layer failed: ${providerError.message})`);
           result = await callFalVideo(endpoint, prompt, options, inputImages, falKey, model, genId);
         }
       } else {
         // Use direct Fal.ai call (current behavior)
+        recordDirectFalRoute([genId], 'direct Fal call (provider layer disabled)');
         result = await callFalVideo(endpoint, prompt, options, inputImages, falKey, model, genId);
       }
-      // Video thumbnail - try to get from Fal.ai CDN if possible
-      const thumbnailUrl = getThumbnailUrl(result, 300, 75);
-      db.prepare("UPDATE generations SET status = 'completed', result = ?, thumbnailUrl = ?, completedAt = datetime('now') WHERE id = ?").run(result, thumbnailUrl, genId);
       
-      // Commit credits on success
-      const gen = db.prepare('SELECT userId, credits, workspaceId, options FROM generations WHERE id = ?').get(genId);
-      if (gen) {
-        const opts = JSON.parse(gen.options || '{}');
-        commitCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
+      // Submitted with a callback - the provider webhook finishes the row
+      if (result?.status === 'pending') {
+        console.log(`[WEBHOOK] Generation ${genId} awaiting provider callback`);
+        return;
       }
+      
+      // Thumbnail (Fal.ai CDN if possible) + commit credits on success
+      completeGeneration(genId, result);
     }
   } catch (err) {
     console.error('[ERROR] Processing error:', err.message);
@@ -7034,12 +7384,14 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
     const errorInfo = categorizeError(err);
     console.log(`[ERROR] Categorized as: ${errorInfo.type} - ${errorInfo.message}`);
     
-    // Mark all generations as failed and release reserved credits
+    // Mark all still-pending generations as failed and release reserved credits
+    // (a generation a retried job already finished or the user cancelled is left alone)
     for (const genId of genIds) {
       const gen = db.prepare('SELECT userId, credits, workspaceId, options, model, modelName FROM generations WHERE id = ?').get(genId);
       
-      db.prepare("UPDATE generations SET status = 'failed', error = ?, errorType = ?, completedAt = datetime('now') WHERE id = ?")
+      const updated = db.prepare("UPDATE generations SET status = 'failed', error = ?, errorType = ?, completedAt = datetime('now') WHERE id = ? AND status = 'pending'")
         .run(errorInfo.userMessage, errorInfo.type, genId);
+      if (updated.changes === 0) continue;
       
       // Log error to error_logs table for monitoring
       logError(
@@ -7062,7 +7414,7 @@ async function processGenerationBatch(genIds, model, prompt, options, inputImage
       
       if (gen && errorInfo.refundable) {
         const opts = JSON.parse(gen.options || '{}');
-        releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
+        releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: genId, referenceType: 'generation' });
         console.log(`[CREDITS] Released ${gen.credits} credits for generation ${genId}`);
       }
     }
@@ -7086,30 +7438,19 @@ async function processUpscale(genId, model, sourceUrl, sourceType, options) {
   console.log(`[UPSCALE] Using provider layer: ${useProviderLayer}`);
   
   try {
-    if (!falKey) {
-      throw new Error('Fal.ai API key not configured');
-    }
-    
     let result;
     
+    // The provider layer picks its own provider; only direct calls need the Fal.ai key
     if (useProviderLayer) {
       // Use provider abstraction layer
-      const provider = getConfiguredProvider(model.provider || 'fal');
-      if (!provider) {
-        throw new Error(`Provider ${model.provider || 'fal'} not available`);
-      }
-      
       try {
-        if (sourceType === 'video') {
-          const upscaleResult = await provider.upscaleVideo(model, sourceUrl, options, genId, db);
-          result = upscaleResult.url;
-        } else {
-          const upscaleResult = await provider.upscaleImage(model, sourceUrl, options);
-          result = upscaleResult.url;
-        }
+        const upscaleResult = await upscaleWithProvider(model, sourceUrl, sourceType, options, genId);
+        result = upscaleResult.status === 'pending' ? upscaleResult : upscaleResult.url;
         console.log(`[PROVIDER] Upscale completed via provider layer`);
       } catch (providerError) {
+        if (!falKey || !canFallBackToFal(providerError)) throw providerError;
         console.error('[PROVIDER] Provider layer failed, falling back to direct call:', providerError.message);
+        recordDirectFalRoute([genId], `direct Fal call (provider layer failed: ${providerError.message})`);
         // Fallback to direct calls
         if (sourceType === 'video') {
           result = await callFalVideoUpscale(model.apiEndpoint, sourceUrl, options, falKey, model, genId);
@@ -7119,6 +7460,10 @@ async function processUpscale(genId, model, sourceUrl, sourceType, options) {
       }
     } else {
       // Use direct Fal.ai calls (current behavior)
+      if (!falKey) {
+        throw new Error('Fal.ai API key not configured');
+      }
+      recordDirectFalRoute([genId], 'direct Fal call (provider layer disabled)');
       if (sourceType === 'video') {
         result = await callFalVideoUpscale(model.apiEndpoint, sourceUrl, options, falKey, model, genId);
       } else {
@@ -7126,28 +7471,25 @@ async function processUpscale(genId, model, sourceUrl, sourceType, options) {
       }
     }
     
-    // Generate thumbnail
-    const thumbnailUrl = getThumbnailUrl(result, 300, 75);
-    
-    // Update generation with result
-    db.prepare("UPDATE generations SET status = 'completed', result = ?, thumbnailUrl = ?, completedAt = datetime('now') WHERE id = ?")
-      .run(result, thumbnailUrl, genId);
+    // Submitted with a callback - the provider webhook finishes the row
+    if (result?.status === 'pending') {
+      console.log(`[WEBHOOK] Upscale ${genId} awaiting provider callback`);
+      return;
+    }
     
-    // Commit credits
-    const gen = db.prepare('SELECT userId, credits, workspaceId, options FROM generations WHERE id = ?').get(genId);
-    if (gen) {
-      const opts = JSON.parse(gen.options || '{}');
-      commitCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
-      console.log(`[UPSCALE] Completed, committed ${gen.credits} credits`);
+    // Update generation with result + thumbnail, commit credits
+    if (completeGeneration(genId, result)) {
+      console.log(`[UPSCALE] Completed, committed credits for ${genId}`);
     }
   } catch (err) {
     console.error('[UPSCALE] Error:', err.message);
     
     const errorInfo = categorizeError(err);
-    const gen = db.prepare('SELECT userId, credits, workspaceId, options, modelId, modelName FROM generations WHERE id = ?').get(genId);
+    const gen = db.prepare('SELECT userId, credits, workspaceId, options, model, modelName FROM generations WHERE id = ?').get(genId);
     
-    db.prepare("UPDATE generations SET status = 'failed', error = ?, errorType = ?, completedAt = datetime('now') WHERE id = ?")
+    const updated = db.prepare("UPDATE generations SET status = 'failed', error = ?, errorType = ?, completedAt = datetime('now') WHERE id = ? AND status = 'pending'")
       .run(errorInfo.userMessage, errorInfo.type, genId);
+    if (updated.changes === 0) return;
     
     // Log error for monitoring
     logError(
@@ -7159,7 +7501,7 @@ async function processUpscale(genId, model, sourceUrl, sourceType, options) {
       errorInfo.message,
       err.stack,
       {
-        modelId: gen?.modelId,
+        modelId: gen?.model,
         modelName: gen?.modelName,
         sourceType,
         sourceUrl: sourceUrl?.substring(0, 200),
@@ -7172,7 +7514,7 @@ async function processUpscale(genId, model, sourceUrl, sourceType, options) {
     // Release credits
     if (gen && errorInfo.refundable) {
       const opts = JSON.parse(gen.options || '{}');
-      releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
+      releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: genId, referenceType: 'generation' });
       console.log(`[UPSCALE] Failed, released ${gen.credits} credits`);
     }
   }
@@ -7216,8 +7558,10 @@ const callFalVideoUpscale = async (endpoint, videoUrl, options, apiKey, model, g
   
   console.log(`[FAL] Video upscale payload:`, JSON.stringify(payload, null, 2));
   
-  // Submit to queue
-  const submitResponse = await axios.post(`https://queue.fal.run/${endpoint}`, payload, {
+  // Submit to queue (with a webhook callback when the generation row can take it)
+  const webhookUrl = genId ? getWebhookUrl('fal', getSetting) : null;
+  const query = webhookUrl ? `?fal_webhook=${encodeURIComponent(webhookUrl)}` : '';
+  const submitResponse = await axios.post(`https://queue.fal.run/${endpoint}${query}`, payload, {
     headers: { 'Authorization': `Key ${apiKey}`, 'Content-Type': 'application/json' }
   });
   
@@ -7233,9 +7577,16 @@ const callFalVideoUpscale = async (endpoint, videoUrl, options, apiKey, model, g
   
   console.log(`[FAL] Video upscale queue response - statusUrl: ${statusUrl}`);
   
-  // Store request ID
-  if (genId) {
-    db.prepare('UPDATE generations SET externalRequestId = ? WHERE id = ?').run(requestId, genId);
+  // Track the request so the webhook (or the poll fallback after a restart) can finish it
+  getConfiguredProvider('fal').trackRequest(db, genId, requestId, {
+    statusUrl,
+    responseUrl,
+    cancelUrl: submitResponse.data.cancel_url,
+    callback: !!webhookUrl
+  });
+  
+  if (webhookUrl) {
+    return { status: 'pending', requestId };
   }
   
   // Poll for result
@@ -7279,23 +7630,13 @@ const callFalVideoUpscale = async (endpoint, videoUrl, options, apiKey, model, g
   throw new Error('Video upscale timed out');
 };
 
-// OpenRouter
-const callOpenRouter = async (modelEndpoint, prompt, chatHistory, apiKey) => {
-  const messages = [...(chatHistory || []), { role: 'user', content: prompt }];
-  
-  const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-    model: modelEndpoint,
-    messages,
-  }, {
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': 'http://localhost:5173',
-      'X-Title': 'OmniHub',
-    }
-  });
-  
-  return response.data.choices[0].message.content;
+// Chat / LLM completion through the text provider router (retries, failover, cost)
+// options: { history, images, system, imageDetail, maxTokens, temperature, title, userId }
+// Returns TextResult ({ text, usage, cost, ... })
+const completeText = async (model, prompt, options = {}) => {
+  const messages = getConfiguredProvider('openrouter').buildMessages(prompt, options.history, options.images, options);
+  const { result } = await providerRouter.generateText(model, messages, options, getSetting, logError, { userId: options.userId });
+  return result;
 };
 
 // Fal.ai Image - returns array of URLs
@@ -7456,10 +7797,12 @@ const callFalVideo = async (modelEndpoint, prompt, options, inputImages, apiKey,
   // Log the full payload for debugging
   console.log(`[FAL] Video full payload:`, JSON.stringify(payload, null, 2));
   
-  // Submit to queue
+  // Submit to queue (with a webhook callback when the generation row can take it)
+  const webhookUrl = genId ? getWebhookUrl('fal', getSetting) : null;
+  const query = webhookUrl ? `?fal_webhook=${encodeURIComponent(webhookUrl)}` : '';
   let submitResponse;
   try {
-    submitResponse = await axios.post(`https://queue.fal.run/${modelEndpoint}`, payload, {
+    submitResponse = await axios.post(`https://queue.fal.run/${modelEndpoint}${query}`, payload, {
       headers: { 'Authorization': `Key ${apiKey}`, 'Content-Type': 'application/json' }
     });
   } catch (submitErr) {
@@ -7485,9 +7828,16 @@ const callFalVideo = async (modelEndpoint, prompt, options, inputImages, apiKey,
   
   console.log(`[FAL] Queue response - statusUrl: ${statusUrl}`);
   
-  // Store external request ID for cancellation support
-  if (genId) {
-    db.prepare('UPDATE generations SET externalRequestId = ? WHERE id = ?').run(requestId, genId);
+  // Track the request for cancellation, the webhook and the poll fallback after a restart
+  getConfiguredProvider('fal').trackRequest(db, genId, requestId, {
+    statusUrl,
+    responseUrl,
+    cancelUrl,
+    callback: !!webhookUrl
+  });
+  
+  if (webhookUrl) {
+    return { status: 'pending', requestId };
   }
   
   // Smart polling with time-based timeout
@@ -7576,33 +7926,22 @@ app.get('/api/admin/stats', adminAuthMiddleware, (req, res) => {
   res.json({ totalGenerations, creditsUsed, activeUsers, imageGenerations, videoGenerations, chatGenerations, revenue, recentActivity });
 });
 
-// Provider health status endpoint
+// Provider health status endpoint - availability, circuit state and rolling metrics
 app.get('/api/admin/providers', adminAuthMiddleware, async (req, res) => {
   try {
-    const providers = ['fal', 'replicate', 'self-hosted'];
+    const routerHealth = getProviderHealthStatus();
     const status = {};
     
-    for (const providerId of providers) {
-      const provider = getConfiguredProvider(providerId);
-      if (provider) {
-        const isAvailable = await provider.isAvailable();
-        status[providerId] = {
-          name: provider.name,
-          available: isAvailable,
-          configured: true
-        };
-      } else {
-        status[providerId] = {
-          name: providerId,
-          available: false,
-          configured: false
-        };
-      }
+    for (const provider of await getAvailableProviders(getSetting)) {
+      status[provider.id] = {
+        name: provider.name,
+        available: provider.available,
+        configured: !provider.error,
+        priority: provider.priority,
+        health: routerHealth[provider.id] || null
+      };
     }
     
-    // Add provider router health info
-    const routerHealth = getProviderHealthStatus();
-    
     res.json({
       providers: status,
       routerHealth,
@@ -7614,6 +7953,151 @@ app.get('/api/admin/providers', adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// Provider plugins and the settings they declare, for the admin settings screen
+app.get('/api/admin/provider-plugins', adminAuthMiddleware, (req, res) => {
+  const { loaded, failed } = getProviderPlugins();
+  const settings = getPluginSettings();
+
+  res.json({
+    plugins: loaded.map(plugin => ({
+      id: plugin.id,
+      name: plugin.name,
+      models: plugin.models,
+      settings: settings.filter(setting => setting.provider === plugin.id)
+        .map(setting => ({ ...setting, envSet: !!(setting.env && process.env[setting.env]) }))
+    })),
+    failed: failed.map(({ source, id, errors }) => ({ source: require('path').basename(source), id, errors }))
+  });
+});
+
+// Force a provider circuit open or closed, or hand it back to the breaker ('auto')
+app.post('/api/admin/providers/:id/circuit', adminAuthMiddleware, (req, res) => {
+  const { state } = req.body;
+  if (!PROVIDER_CONFIG[req.params.id]) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  if (!['open', 'closed', 'auto'].includes(state)) {
+    return res.status(400).json({ error: 'state must be open, closed or auto' });
+  }
+  
+  providerRouter.setProviderCircuit(req.params.id, state === 'auto' ? null : state);
+  logAudit(req.admin.id, 'provider_circuit_changed', 'provider', req.params.id, { state }, req.ip);
+  res.json({ success: true, health: getProviderHealthStatus()[req.params.id] });
+});
+
+// Run the half-open health probe now
+app.post('/api/admin/providers/:id/probe', adminAuthMiddleware, async (req, res) => {
+  if (!PROVIDER_CONFIG[req.params.id]) {
+    return res.status(404).json({ error: 'Provider not found' });
+  }
+  
+  const available = await providerRouter.checkProviderHealth(req.params.id, getSetting);
+  res.json({ available, health: getProviderHealthStatus()[req.params.id] });
+});
+
+// ============ PROVIDER ROUTING POLICIES ============
+// Stored in the routingPolicies setting; see providerRouter planRoute()
+
+// Set or clear (policy: null) the global policy or one model's policy
+const saveRoutingPolicy = (modelId, body) => {
+  const config = providerRouter.getRoutingConfig(getSetting);
+  let policy = null;
+  
+  if (body.policy) {
+    const error = providerRouter.validateRoutingPolicy(body, modelId);
+    if (error) return { error };
+    policy = { policy: body.policy };
+    if (body.policy === 'pinned') policy.provider = body.provider;
+    if (body.policy === 'weighted') policy.weights = body.weights;
+  }
+  
+  if (modelId) {
+    if (policy) config.models[modelId] = policy;
+    else delete config.models[modelId];
+  } else {
+    config.global = policy;
+  }
+  
+  db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('routingPolicies', JSON.stringify(config));
+  return { policy };
+};
+
+// Generations only go through the router (and its policies) with USE_PROVIDER_LAYER=true;
+// otherwise they call Fal.ai directly
+const getRoutingPolicyWarning = () => process.env.USE_PROVIDER_LAYER === 'true'
+  ? null
+  : 'USE_PROVIDER_LAYER is not enabled: image, video and upscale generations call Fal.ai directly and ignore routing policies';
+
+// Routing policies with each registry model's providers, cost and observed latency
+app.get('/api/admin/routing-policies', adminAuthMiddleware, (req, res) => {
+  const config = providerRouter.getRoutingConfig(getSetting);
+  
+  const models = Object.entries(MODEL_REGISTRY).map(([id, model]) => {
+    const route = providerRouter.planRoute(id, {}, getSetting);
+    return {
+      id,
+      name: model.name,
+      type: model.type,
+      policy: config.models[id] || null,
+      effectivePolicy: route.policy,
+      order: route.order,
+      providers: Object.entries(model.providers || {}).map(([providerId, providerConfig]) => ({
+        id: providerId,
+        cost: providerConfig.cost ?? model.baseCost,
+        p50Latency: providerRouter.getObservedLatency(providerId, id),
+        reason: route.reasons[providerId] || null
+      }))
+    };
+  });
+  
+  res.json({
+    policies: providerRouter.ROUTING_POLICIES,
+    global: config.global,
+    models,
+    providerLayerEnabled: process.env.USE_PROVIDER_LAYER === 'true',
+    warning: getRoutingPolicyWarning()
+  });
+});
+
+app.put('/api/admin/routing-policies/global', adminAuthMiddleware, (req, res) => {
+  const result = saveRoutingPolicy(null, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  
+  logAudit(req.admin.id, 'routing_policy_changed', 'routing_policy', 'global', req.body, req.ip);
+  res.json({ success: true, policy: result.policy, warning: getRoutingPolicyWarning() });
+});
+
+app.put('/api/admin/routing-policies/models/:modelId', adminAuthMiddleware, (req, res) => {
+  if (!MODEL_REGISTRY[req.params.modelId]) {
+    return res.status(404).json({ error: 'Model not found' });
+  }
+  
+  const result = saveRoutingPolicy(req.params.modelId, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  
+  logAudit(req.admin.id, 'routing_policy_changed', 'routing_policy', req.params.modelId, req.body, req.ip);
+  res.json({ success: true, policy: result.policy, warning: getRoutingPolicyWarning() });
+});
+
+// ============ GENERATION JOB QUEUE ============
+// Queue depth, running workers and concurrency limits (jobQueueLimits setting)
+app.get('/api/admin/job-queue', adminAuthMiddleware, (req, res) => {
+  res.json(jobQueue.getStatus());
+});
+
+// Replace the concurrency limits: { global, providers: { default, [providerId] }, models: { default, [modelId] } }
+app.put('/api/admin/job-queue/limits', adminAuthMiddleware, (req, res) => {
+  const error = jobQueue.validateLimits(req.body);
+  if (error) return res.status(400).json({ error });
+  
+  db.prepare('INSERT OR REPLACE INTO settings (key, value) VALUES (?, ?)').run('jobQueueLimits', JSON.stringify(req.body));
+  logAudit(req.admin.id, 'job_queue_limits_changed', 'job_queue', 'limits', req.body, req.ip);
+  
+  // Raised limits take effect immediately
+  jobQueue.pump();
+  res.json({ success: true, limits: jobQueue.getLimits() });
+});
+
 app.get('/api/admin/models', adminAuthMiddleware, (req, res) => {
   const models = db.prepare('SELECT * FROM models ORDER BY type, credits').all();
   models.forEach(m => {
@@ -7757,8 +8241,18 @@ app.get('/api/admin/users', adminAuthMiddleware, (req, res) => {
 });
 
 app.put('/api/admin/users/:id/credits', adminAuthMiddleware, (req, res) => {
-  db.prepare('UPDATE users SET credits = ? WHERE id = ?').run(req.body.credits, req.params.id);
-  logAudit(req.admin.id, 'credits_modified', 'user', req.params.id, { newCredits: req.body.credits }, req.ip);
+  const credits = parseFloat(req.body.credits);
+  if (!Number.isFinite(credits)) {
+    return res.status(400).json({ error: 'credits must be a number' });
+  }
+  if (!db.prepare('SELECT 1 FROM users WHERE id = ?').get(req.params.id)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  
+  creditLedger.setBalance(creditAccounts.user(req.params.id), credits, {
+    type: 'admin_adjustment', userId: req.params.id, createdBy: req.admin.id, description: req.body.reason || 'Set by admin'
+  });
+  logAudit(req.admin.id, 'credits_modified', 'user', req.params.id, { newCredits: credits }, req.ip);
   res.json({ success: true });
 });
 
@@ -7947,6 +8441,14 @@ app.delete('/api/admin/users/:id', adminAuthMiddleware, (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // Forfeit the user's balances before their rows go
+    const memberships = db.prepare('SELECT workspaceId FROM workspace_members WHERE userId = ?').all(userId);
+    creditLedger.closeAccounts([
+      creditAccounts.user(userId),
+      creditAccounts.userReserved(userId),
+      ...memberships.flatMap(m => [creditAccounts.member(m.workspaceId, userId), creditAccounts.memberReserved(m.workspaceId, userId)])
+    ], { type: 'forfeit', userId, createdBy: req.admin.id, description: 'User deleted' });
+    
     // Delete related data (cascade should handle most, but be explicit)
     db.prepare('DELETE FROM workspace_members WHERE userId = ?').run(userId);
     db.prepare('DELETE FROM workspace_invites WHERE invitedBy = ?').run(userId);
@@ -8203,6 +8705,122 @@ app.get('/api/admin/audit-logs', adminAuthMiddleware, (req, res) => {
   }
 });
 
+// ============ ADMIN: CREDIT LEDGER ============
+app.get('/api/admin/credit-ledger', adminAuthMiddleware, (req, res) => {
+  try {
+    const { userId, workspaceId, type, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    let where = 'WHERE 1=1';
+    const params = [];
+
+    // A transaction belongs to a user / workspace it was made for or whose accounts it moved
+    if (userId) {
+      where += ' AND (t.userId = ? OR t.id IN (SELECT transactionId FROM credit_ledger_entries WHERE userId = ?))';
+      params.push(userId, userId);
+    }
+    if (workspaceId) {
+      where += ' AND (t.workspaceId = ? OR t.id IN (SELECT transactionId FROM credit_ledger_entries WHERE workspaceId = ?))';
+      params.push(workspaceId, workspaceId);
+    }
+    if (type) {
+      where += ' AND t.type = ?';
+      params.push(type);
+    }
+
+    const transactions = db.prepare(`
+      SELECT t.*, u.email as userEmail, a.username as createdByUsername
+      FROM credit_ledger_transactions t
+      LEFT JOIN users u ON t.userId = u.id
+      LEFT JOIN admins a ON t.createdBy = a.id
+      ${where}
+      ORDER BY t.createdAt DESC, t.rowid DESC LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), offset);
+    const total = db.prepare(`SELECT COUNT(*) as count FROM credit_ledger_transactions t ${where}`).get(...params);
+
+    const getEntries = db.prepare('SELECT account, userId, workspaceId, amount, balanceAfter FROM credit_ledger_entries WHERE transactionId = ? ORDER BY rowid');
+    transactions.forEach(transaction => {
+      transaction.entries = getEntries.all(transaction.id);
+    });
+
+    res.json({ transactions, total: total.count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ledger and column balance of every account of a user or workspace
+app.get('/api/admin/credit-ledger/balances', adminAuthMiddleware, (req, res) => {
+  try {
+    const { userId, workspaceId } = req.query;
+    if (!userId && !workspaceId) {
+      return res.status(400).json({ error: 'userId or workspaceId is required' });
+    }
+
+    const accountList = new Set();
+    if (userId) {
+      accountList.add(creditAccounts.user(userId));
+      accountList.add(creditAccounts.userReserved(userId));
+    }
+    if (workspaceId) {
+      accountList.add(creditAccounts.workspace(workspaceId));
+      accountList.add(creditAccounts.workspaceReserved(workspaceId));
+    }
+    const members = db.prepare(`
+      SELECT workspaceId, userId FROM workspace_members WHERE ${userId ? 'userId = ?' : 'workspaceId = ?'}
+    `).all(userId || workspaceId);
+    for (const member of members) {
+      if (workspaceId && member.workspaceId !== workspaceId) continue;
+      accountList.add(creditAccounts.member(member.workspaceId, member.userId));
+      accountList.add(creditAccounts.memberReserved(member.workspaceId, member.userId));
+    }
+
+    const balances = [...accountList].map(account => {
+      const ledger = creditLedger.getLedgerBalance(account);
+      const actual = creditLedger.getBalance(account);
+      return { account, ledger, actual, drift: Math.abs(actual - ledger) > 1e-6 };
+    });
+
+    res.json({ balances });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/credit-ledger/reconciliations', adminAuthMiddleware, (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const reconciliations = db.prepare(`
+      SELECT * FROM credit_reconciliations ORDER BY createdAt DESC, rowid DESC LIMIT ? OFFSET ?
+    `).all(parseInt(limit), offset);
+    const total = db.prepare('SELECT COUNT(*) as count FROM credit_reconciliations').get();
+
+    reconciliations.forEach(reconciliation => {
+      try {
+        reconciliation.drift = JSON.parse(reconciliation.drift || '[]');
+      } catch (e) {
+        reconciliation.drift = [];
+      }
+    });
+
+    res.json({ reconciliations, total: total.count });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/admin/credit-ledger/reconcile', adminAuthMiddleware, (req, res) => {
+  try {
+    const result = creditLedger.reconcile();
+    logAudit(req.admin.id, 'reconcile_credits', 'credit_reconciliation', result.id, { driftCount: result.driftCount, ledgerImbalance: result.ledgerImbalance }, req.ip);
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============ ADMIN: CSV EXPORT ============
 app.get('/api/admin/export/users', adminAuthMiddleware, (req, res) => {
   try {
@@ -8304,6 +8922,52 @@ app.get('/api/admin/export/payments', adminAuthMiddleware, (req, res) => {
   }
 });
 
+app.get('/api/admin/export/invoices', adminAuthMiddleware, (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT i.number, i.issuedAt, i.paymentId, i.currency, i.subtotal, i.taxTotal, i.total, i.customer, i.taxLines, i.taxNote,
+        p.status as paymentStatus, p.refundedAmount, u.email
+      FROM invoices i
+      JOIN payments p ON i.paymentId = p.id
+      LEFT JOIN users u ON i.userId = u.id
+      ORDER BY i.sequence ASC
+    `).all();
+    
+    const headers = ['Invoice Number', 'Issued At', 'Payment ID', 'User Email', 'Customer Name', 'Customer Country', 'Customer State', 'Customer Tax ID',
+      'Currency', 'Subtotal', 'Tax', 'Tax Lines', 'Total', 'Refunded', 'Payment Status', 'Tax Note'];
+    const csvRows = [headers.join(',')];
+    
+    rows.forEach(row => {
+      const customer = JSON.parse(row.customer || '{}');
+      const taxLines = JSON.parse(row.taxLines || '[]');
+      csvRows.push([
+        row.number,
+        row.issuedAt,
+        row.paymentId,
+        row.email || '',
+        customer.name || '',
+        customer.country || '',
+        customer.state || '',
+        customer.taxId || '',
+        row.currency,
+        row.subtotal,
+        row.taxTotal,
+        taxLines.map(tax => `${tax.name} ${tax.rate}%: ${tax.amount}`).join('; '),
+        row.total,
+        row.refundedAmount || 0,
+        row.paymentStatus,
+        row.taxNote || ''
+      ].map(val => `"${String(val).replace(/"/g, '""')}"`).join(','));
+    });
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=invoices-export.csv');
+    res.send(csvRows.join('\n'));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============ ADMIN: ANALYTICS ============
 app.get('/api/admin/analytics/signups', adminAuthMiddleware, (req, res) => {
   try {
@@ -8680,6 +9344,9 @@ app.put('/api/admin/settings', adminAuthMiddleware, (req, res) => {
         updateSetting.run(key, '');
       }
     });
+    // Provider and gateway instances hold their API keys, so rebuild them with the new settings
+    clearProviderCache();
+    clearGatewayCache();
     res.json({ success: true });
   } catch (err) {
     console.error('Error saving settings:', err);
@@ -9863,33 +10530,28 @@ Guidelines:
   }
   
   try {
-    const response = await axios.post('https://openrouter.ai/api/v1/chat/completions', {
-      model: 'openai/gpt-4o',
-      messages,
-      max_tokens: 300,
-      temperature: 0.7
-    }, {
-      headers: {
-        'Authorization': `Bearer ${openrouterKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': 'http://localhost:5173',
-        'X-Title': 'OmniHub Enhance'
-      }
-    });
+    const { result } = await providerRouter.generateText(model, messages, {
+      maxTokens: 300,
+      temperature: 0.7,
+      title: 'OmniHub Enhance'
+    }, getSetting, logError, { userId: req.user.id });
     
-    const enhancedPrompt = response.data.choices?.[0]?.message?.content?.trim();
+    const enhancedPrompt = result.text.trim();
     if (!enhancedPrompt) {
       return res.status(500).json({ error: 'Failed to generate enhanced prompt' });
     }
     
     // Calculate actual cost from usage
-    const usage = response.data.usage || {};
-    const actualInputTokens = usage.prompt_tokens || inputTokensEstimate;
-    const actualOutputTokens = usage.completion_tokens || outputTokensEstimate;
+    const usage = result.usage || {};
+    const actualInputTokens = usage.inputTokens || inputTokensEstimate;
+    const actualOutputTokens = usage.outputTokens || outputTokensEstimate;
     const actualCost = (actualInputTokens * model.inputCost / 1000) + (actualOutputTokens * model.outputCost / 1000);
     
     // Deduct credits
-    db.prepare('UPDATE users SET credits = credits - ? WHERE id = ?').run(actualCost, req.user.id);
+    creditLedger.transfer({
+      type: 'usage', from: creditAccounts.user(req.user.id), to: SYSTEM_ACCOUNTS.USAGE, amount: actualCost,
+      userId: req.user.id, description: 'Prompt enhancement'
+    });
     const updatedUser = db.prepare('SELECT credits FROM users WHERE id = ?').get(req.user.id);
     
     res.json({
@@ -9901,8 +10563,8 @@ Guidelines:
     });
     
   } catch (error) {
-    console.error('[ENHANCE] Error:', error.response?.data || error.message);
-    res.status(500).json({ error: 'Failed to enhance prompt: ' + (error.response?.data?.error?.message || error.message) });
+    console.error('[ENHANCE] Error:', error.message);
+    res.status(500).json({ error: 'Failed to enhance prompt: ' + error.message });
   }
 });
 
@@ -9935,7 +10597,8 @@ app.post('/api/enhance-prompt/estimate', userAuthMiddleware, (req, res) => {
 // Get current user profile
 app.get('/api/profile', userAuthMiddleware, (req, res) => {
   const user = db.prepare(`
-    SELECT id, email, name, credits, nickname, avatarUrl, bio, isPublicProfile, createdAt
+    SELECT id, email, name, credits, nickname, avatarUrl, bio, isPublicProfile, createdAt,
+      billingName, billingAddress, billingCity, billingState, billingPostalCode, billingCountry, taxId
     FROM users WHERE id = ?
   `).get(req.user.id);
   
@@ -9960,22 +10623,39 @@ app.get('/api/profile', userAuthMiddleware, (req, res) => {
   });
 });
 
+// Billing details printed on invoices
+const BILLING_FIELDS = ['billingName', 'billingAddress', 'billingCity', 'billingState', 'billingPostalCode', 'billingCountry', 'taxId'];
+
 // Update profile
 app.put('/api/profile', userAuthMiddleware, (req, res) => {
   const { name, bio, avatarUrl, isPublicProfile } = req.body;
   
+  const billing = {};
+  for (const field of BILLING_FIELDS) {
+    if (req.body[field] === undefined) continue;
+    billing[field] = String(req.body[field] ?? '').trim().slice(0, 500);
+  }
+  if (billing.billingCountry !== undefined) {
+    billing.billingCountry = billing.billingCountry.toUpperCase();
+    if (billing.billingCountry && !/^[A-Z]{2}$/.test(billing.billingCountry)) {
+      return res.status(400).json({ error: 'billingCountry must be a two-letter country code' });
+    }
+  }
+  
   db.prepare(`
     UPDATE users SET 
       name = COALESCE(?, name),
       bio = COALESCE(?, bio),
       avatarUrl = COALESCE(?, avatarUrl),
-      isPublicProfile = COALESCE(?, isPublicProfile)
+      isPublicProfile = COALESCE(?, isPublicProfile),
+      ${BILLING_FIELDS.map(field => `${field} = COALESCE(?, ${field})`).join(',\n      ')}
     WHERE id = ?
   `).run(
     name || null,
     bio !== undefined ? bio : null,
     avatarUrl || null,
     isPublicProfile !== undefined ? (isPublicProfile ? 1 : 0) : null,
+    ...BILLING_FIELDS.map(field => billing[field] ?? null),
     req.user.id
   );
   
@@ -10029,29 +10709,38 @@ app.get('/api/profile/:nickname', (req, res) => {
 });
 
 
-// ============ RAZORPAY & PAYMENTS ============
-// Initialize Razorpay (lazy loading to handle missing keys)
-let razorpayInstance = null;
-
-function getRazorpay() {
-  if (!razorpayInstance) {
-    const keyId = db.prepare('SELECT value FROM settings WHERE key = ?').get('razorpayKeyId')?.value;
-    const keySecret = db.prepare('SELECT value FROM settings WHERE key = ?').get('razorpayKeySecret')?.value;
-    
-    if (keyId && keySecret) {
-      razorpayInstance = new Razorpay({
-        key_id: keyId,
-        key_secret: keySecret
-      });
-    }
+// ============ PAYMENTS ============
+// Gateways (Razorpay, Stripe, fake) are picked per currency / region from the admin settings
+const {
+  getGateway,
+  selectGateway,
+  getGateways,
+  getPaymentCurrencies,
+  convertAmount,
+  clearGatewayCache,
+  GATEWAY_CONFIG,
+  BASE_CURRENCY
+} = require('./gateways');
+
+// Numbered invoices with tax lines for captured payments
+const { createInvoices } = require('./services/invoices');
+const invoices = createInvoices({ db, getSetting, logAudit });
+
+/**
+ * Issue the invoice for a captured payment. Failures are logged and left to
+ * the startup sweep (issueMissing) so they never fail the payment itself.
+ */
+function issueInvoice(paymentId) {
+  try {
+    invoices.issue(paymentId);
+  } catch (err) {
+    console.error(`[INVOICE] Failed to issue invoice for payment ${paymentId}:`, err.message);
   }
-  return razorpayInstance;
 }
 
-// Reset Razorpay instance when settings change
-function resetRazorpay() {
-  razorpayInstance = null;
-}
+// Billing cycles: renewals, plan credit grants, grace periods and downgrades
+const { createSubscriptionBilling, GATEWAY_EVENTS } = require('./services/subscriptionBilling');
+const subscriptionBilling = createSubscriptionBilling({ db, getSetting, logAudit, creditLedger, onPaymentRecorded: issueInvoice });
 
 // Get subscription plans
 app.get('/api/subscription-plans', (req, res) => {
@@ -10067,18 +10756,212 @@ app.get('/api/subscription-plans', (req, res) => {
   }
 });
 
-// Create Razorpay order for subscription/credits
+/**
+ * Create a gateway order and its pending payments row
+ * @param {Object} user - Paying user (req.user)
+ * @param {Object} order
+ * @param {number} order.amount - Price in BASE_CURRENCY
+ * @param {string} order.type - payments.type ('subscription' | 'credits' | 'plan_change')
+ * @param {string} order.description
+ * @param {string} [order.currency] - Currency to charge in (converted with paymentCurrencyRates)
+ * @param {string} [order.region] - Customer's country, for region gateway rules
+ * @param {Object} [order.metadata] - What was bought, used to fulfil the payment
+ * @returns {Promise<{paymentId: string, gateway: BaseGateway, order: GatewayOrder}>}
+ */
+async function createPaymentOrder(user, { amount, type, description, currency = BASE_CURRENCY, region, metadata = {} }) {
+  currency = String(currency).toUpperCase();
+  const chargeAmount = convertAmount(amount, currency, getSetting);
+  if (chargeAmount === null) {
+    throw Object.assign(new Error(`Payments in ${currency} are not enabled`), { status: 400 });
+  }
+  
+  const gateway = selectGateway({ currency, region }, getSetting);
+  if (!gateway) {
+    throw Object.assign(new Error('Payment gateway not configured'), { status: 500 });
+  }
+  
+  const paymentId = uuidv4();
+  const order = await gateway.createOrder({
+    amount: chargeAmount,
+    currency,
+    receipt: paymentId,
+    description,
+    notes: { userId: user.id, type, planId: metadata.planId || '', billingCycle: metadata.billingCycle || '' },
+    customer: { email: user.email, name: user.name }
+  });
+  
+  db.prepare(`
+    INSERT INTO payments (id, userId, amount, currency, type, description, gateway, gatewayOrderId, status, metadata)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)
+  `).run(paymentId, user.id, chargeAmount, currency, type, description, gateway.getName(), order.orderId,
+    JSON.stringify({ ...metadata, baseAmount: amount }));
+  
+  logAudit(null, 'payment_initiated', 'payment', order.orderId, { userId: user.id, amount: chargeAmount, currency, type, gateway: gateway.getName() });
+  
+  return { paymentId, gateway, order };
+}
+
+/**
+ * Complete a paid order and deliver what was bought. Verification, the
+ * checkout return URL and webhooks can all report the same payment; only
+ * the first one fulfils it.
+ * @param {Object} payment - payments row
+ * @param {Object} paid - { paymentId } from the gateway
+ * @param {Object} [fallback] - planId / billingCycle / credits for orders created before they were kept in metadata
+ * @returns {Promise<Object|null>} - Response for the client, null if the payment was already fulfilled
+ */
+async function fulfillPayment(payment, paid, fallback = {}) {
+  const claimed = db.prepare(`
+    UPDATE payments SET gatewayPaymentId = ?, status = 'completed'
+    WHERE id = ? AND status IN ('pending', 'failed')
+  `).run(paid.paymentId, payment.id);
+  if (claimed.changes === 0) return null;
+  
+  // Captured, so it is invoiced even if fulfilment below fails
+  issueInvoice(payment.id);
+  
+  const metadata = JSON.parse(payment.metadata || '{}');
+  const { planId = fallback.planId, billingCycle = fallback.billingCycle, credits = fallback.credits, quote } = metadata;
+  const spent = metadata.baseAmount ?? payment.amount;
+  
+  if (payment.type === 'plan_change') {
+    // Prorated difference for a plan change, priced when the order was created
+    const subscription = quote && db.prepare('SELECT * FROM user_subscriptions WHERE id = ? AND userId = ?').get(quote.subscriptionId, payment.userId);
+    if (!subscription || !subscriptionBilling.applyPlanChange(subscription, quote)) {
+      // Paid, but the subscription changed since the order (renewed, ended or changed again), so give the money back
+      logError('api', payment.userId, null, '/api/payments/verify', 'PLAN_CHANGE_STALE', `Order ${payment.gatewayOrderId} no longer matches subscription ${quote?.subscriptionId}`);
+      const refunded = await refundUnfulfilledPayment(payment, paid.paymentId, 'Plan change no longer matches the subscription');
+      return {
+        success: false,
+        status: 409,
+        error: refunded
+          ? 'Your subscription changed since this order was created. The payment has been refunded.'
+          : 'Your subscription changed since this order was created. Please contact support for a refund.'
+      };
+    }
+    db.prepare('UPDATE users SET totalSpent = totalSpent + ? WHERE id = ?').run(spent, payment.userId);
+    
+    return {
+      success: true,
+      message: 'Plan changed successfully',
+      credits: db.prepare('SELECT credits FROM users WHERE id = ?').get(payment.userId).credits,
+      subscription: db.prepare('SELECT * FROM user_subscriptions WHERE id = ?').get(subscription.id),
+      quote
+    };
+  }
+  
+  if (payment.type === 'subscription' && planId) {
+    const plan = db.prepare('SELECT * FROM subscription_plans WHERE id = ?').get(planId);
+    
+    // Start (or renew) the subscription period and grant the plan's credits
+    const { credits: newCredits, periodEnd } = subscriptionBilling.activate(payment.userId, plan, billingCycle);
+    db.prepare('UPDATE users SET totalSpent = totalSpent + ? WHERE id = ?').run(spent, payment.userId);
+    
+    logAudit(null, 'subscription_created', 'subscription', payment.userId, { planId, billingCycle, credits: plan.creditsPerMonth });
+    
+    return {
+      success: true,
+      message: 'Subscription activated successfully',
+      credits: newCredits,
+      subscription: {
+        planId,
+        planName: plan.name,
+        billingCycle,
+        creditsAdded: plan.creditsPerMonth,
+        periodEnd: periodEnd.toISOString()
+      }
+    };
+  }
+  
+  if (payment.type === 'credits') {
+    const account = creditAccounts.user(payment.userId);
+    const posted = creditLedger.transfer({
+      type: 'purchase', from: SYSTEM_ACCOUNTS.PURCHASES, to: account, amount: credits,
+      userId: payment.userId, description: 'Credits purchase', referenceId: payment.id, referenceType: 'payment'
+    });
+    const newCredits = posted ? posted.balances[account] : creditLedger.getBalance(account);
+    db.prepare('UPDATE users SET totalSpent = totalSpent + ? WHERE id = ?').run(spent, payment.userId);
+    
+    return {
+      success: true,
+      message: 'Credits added successfully',
+      credits: newCredits,
+      creditsAdded: credits
+    };
+  }
+  
+  return { success: true, message: 'Payment completed' };
+}
+
+/**
+ * Refund all of a captured payment that couldn't be fulfilled
+ * @param {Object} payment - payments row
+ * @param {string} gatewayPaymentId - The gateway's payment ID
+ * @param {string} reason
+ * @returns {Promise<boolean>} - Whether the refund went through
+ */
+async function refundUnfulfilledPayment(payment, gatewayPaymentId, reason) {
+  try {
+    const refund = await getGateway(payment.gateway, getSetting).refund(gatewayPaymentId, { amount: payment.amount, currency: payment.currency, reason });
+    recordRefund(payment.id, refund);
+    logAudit(null, 'payment_refunded', 'payment', payment.id, {
+      userId: payment.userId,
+      amount: payment.amount,
+      currency: payment.currency,
+      gateway: payment.gateway,
+      refundId: refund.refundId,
+      reason
+    });
+    return true;
+  } catch (err) {
+    logError('api', payment.userId, null, '/api/payments/verify', 'REFUND_ERROR', `Refund of payment ${payment.id} failed: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record a refund on its payment (from the admin refund or a gateway webhook), once per refund ID
+ * @returns {boolean} - False if it was already recorded
+ */
+function recordRefund(paymentId, { refundId, amount, status }) {
+  const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(paymentId);
+  const metadata = JSON.parse(payment.metadata || '{}');
+  const refunds = metadata.refunds || [];
+  if (refunds.some(refund => refund.refundId === refundId)) return false;
+  
+  refunds.push({ refundId, amount, status, createdAt: new Date().toISOString() });
+  const refundedAmount = Math.round(((payment.refundedAmount || 0) + amount) * 100) / 100;
+  db.prepare('UPDATE payments SET refundedAmount = ?, status = ?, metadata = ? WHERE id = ?').run(
+    refundedAmount,
+    refundedAmount >= payment.amount ? 'refunded' : 'partially_refunded',
+    JSON.stringify({ ...metadata, refunds }),
+    payment.id
+  );
+  return true;
+}
+
+// Currencies payments can be made in, and the gateway each would use
+app.get('/api/payments/options', (req, res) => {
+  try {
+    const currencies = Object.entries(getPaymentCurrencies(getSetting)).map(([code, rate]) => ({
+      code,
+      rate,
+      gateway: selectGateway({ currency: code, region: req.query.region }, getSetting)?.getName() || null
+    }));
+    res.json({ baseCurrency: BASE_CURRENCY, currencies });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a gateway order for subscription/credits
 app.post('/api/payments/create-order', userAuthMiddleware, async (req, res) => {
   try {
-    const { planId, billingCycle, type = 'subscription' } = req.body;
-    const razorpay = getRazorpay();
-    
-    if (!razorpay) {
-      return res.status(500).json({ error: 'Payment gateway not configured' });
-    }
+    const { planId, billingCycle, type = 'subscription', currency, region } = req.body;
     
     let amount = 0;
     let description = '';
+    let metadata = {};
     
     if (type === 'subscription' && planId) {
       const plan = db.prepare('SELECT * FROM subscription_plans WHERE id = ?').get(planId);
@@ -10087,161 +10970,102 @@ app.post('/api/payments/create-order', userAuthMiddleware, async (req, res) => {
       }
       amount = billingCycle === 'yearly' ? plan.priceYearly : plan.priceMonthly;
       description = `${plan.name} Plan - ${billingCycle === 'yearly' ? 'Yearly' : 'Monthly'}`;
+      metadata = { planId, billingCycle };
     } else if (type === 'credits') {
       const { credits } = req.body;
       const creditPrice = parseFloat(db.prepare('SELECT value FROM settings WHERE key = ?').get('creditPrice')?.value || '1');
       amount = Math.round(credits * creditPrice * 100); // Convert to paise
       description = `${credits} Credits Purchase`;
+      metadata = { credits };
     }
     
-    const order = await razorpay.orders.create({
-      amount: amount * 100, // Razorpay expects amount in paise
-      currency: 'INR',
-      receipt: uuidv4(),
-      notes: {
-        userId: req.user.id,
-        planId: planId || '',
-        billingCycle: billingCycle || '',
-        type
-      }
-    });
-    
-    // Store payment record
-    db.prepare(`
-      INSERT INTO payments (id, userId, amount, type, description, razorpayOrderId, status)
-      VALUES (?, ?, ?, ?, ?, ?, 'pending')
-    `).run(uuidv4(), req.user.id, amount, type, description, order.id);
-    
-    // Log audit
-    logAudit(null, 'payment_initiated', 'payment', order.id, { userId: req.user.id, amount, type });
+    const { paymentId, gateway, order } = await createPaymentOrder(req.user, { amount, type, description, currency, region, metadata });
     
     res.json({
-      orderId: order.id,
+      paymentId,
+      gateway: gateway.getName(),
+      orderId: order.orderId,
       amount: order.amount,
       currency: order.currency,
-      key: db.prepare('SELECT value FROM settings WHERE key = ?').get('razorpayKeyId')?.value
+      checkout: order.checkout
     });
   } catch (err) {
     logError('api', req.user?.id, null, '/api/payments/create-order', 'PAYMENT_ERROR', err.message);
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// Verify Razorpay payment
+// Verify a payment from checkout (Razorpay / fake: order ID, payment ID and signature)
 app.post('/api/payments/verify', userAuthMiddleware, async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, planId, billingCycle, type = 'subscription' } = req.body;
-    
-    const keySecret = db.prepare('SELECT value FROM settings WHERE key = ?').get('razorpayKeySecret')?.value;
-    
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', keySecret)
-      .update(body)
-      .digest('hex');
+    const orderId = req.body.orderId || req.body.razorpay_order_id;
+    const payment = db.prepare('SELECT * FROM payments WHERE gatewayOrderId = ? AND userId = ?').get(orderId, req.user.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
     
-    if (expectedSignature !== razorpay_signature) {
+    const paid = await getGateway(payment.gateway, getSetting).verifyPayment(orderId, req.body);
+    if (!paid) {
       logError('api', req.user.id, null, '/api/payments/verify', 'INVALID_SIGNATURE', 'Payment signature mismatch');
       return res.status(400).json({ error: 'Invalid payment signature' });
     }
     
-    // Update payment record
-    db.prepare(`
-      UPDATE payments 
-      SET razorpayPaymentId = ?, razorpaySignature = ?, status = 'completed'
-      WHERE razorpayOrderId = ?
-    `).run(razorpay_payment_id, razorpay_signature, razorpay_order_id);
-    
-    const payment = db.prepare('SELECT * FROM payments WHERE razorpayOrderId = ?').get(razorpay_order_id);
-    
-    if (type === 'subscription' && planId) {
-      const plan = db.prepare('SELECT * FROM subscription_plans WHERE id = ?').get(planId);
-      
-      // Calculate period dates
-      const now = new Date();
-      const periodEnd = new Date(now);
-      if (billingCycle === 'yearly') {
-        periodEnd.setFullYear(periodEnd.getFullYear() + 1);
-      } else {
-        periodEnd.setMonth(periodEnd.getMonth() + 1);
-      }
-      
-      // Check if user already has a subscription
-      const existingSub = db.prepare('SELECT * FROM user_subscriptions WHERE userId = ? AND status = ?').get(req.user.id, 'active');
-      
-      if (existingSub) {
-        // Update existing subscription
-        db.prepare(`
-          UPDATE user_subscriptions 
-          SET planId = ?, billingCycle = ?, currentPeriodStart = ?, currentPeriodEnd = ?, updatedAt = datetime('now')
-          WHERE id = ?
-        `).run(planId, billingCycle, now.toISOString(), periodEnd.toISOString(), existingSub.id);
-      } else {
-        // Create new subscription
-        const subId = uuidv4();
-        db.prepare(`
-          INSERT INTO user_subscriptions (id, userId, planId, status, billingCycle, currentPeriodStart, currentPeriodEnd)
-          VALUES (?, ?, ?, 'active', ?, ?, ?)
-        `).run(subId, req.user.id, planId, billingCycle, now.toISOString(), periodEnd.toISOString());
-        
-        // Update user's subscriptionId
-        db.prepare('UPDATE users SET subscriptionId = ? WHERE id = ?').run(subId, req.user.id);
-      }
-      
-      // Add credits to user
-      const currentCredits = req.user.credits || 0;
-      const newCredits = currentCredits + plan.creditsPerMonth;
-      db.prepare('UPDATE users SET credits = ?, totalSpent = totalSpent + ? WHERE id = ?')
-        .run(newCredits, payment.amount, req.user.id);
-      
-      // Log credit transaction
-      db.prepare(`
-        INSERT INTO credit_transactions (id, userId, type, amount, balanceBefore, balanceAfter, description, referenceId, referenceType)
-        VALUES (?, ?, 'subscription', ?, ?, ?, ?, ?, 'subscription')
-      `).run(uuidv4(), req.user.id, plan.creditsPerMonth, currentCredits, newCredits, `${plan.name} Plan subscription`, planId);
-      
-      logAudit(null, 'subscription_created', 'subscription', req.user.id, { planId, billingCycle, credits: plan.creditsPerMonth });
-      
-      res.json({
-        success: true,
-        message: 'Subscription activated successfully',
-        credits: newCredits,
-        subscription: {
-          planId,
-          planName: plan.name,
-          billingCycle,
-          creditsAdded: plan.creditsPerMonth,
-          periodEnd: periodEnd.toISOString()
-        }
-      });
-    } else if (type === 'credits') {
-      const { credits } = req.body;
-      const currentCredits = req.user.credits || 0;
-      const newCredits = currentCredits + credits;
-      
-      db.prepare('UPDATE users SET credits = ?, totalSpent = totalSpent + ? WHERE id = ?')
-        .run(newCredits, payment.amount, req.user.id);
-      
-      // Log credit transaction
-      db.prepare(`
-        INSERT INTO credit_transactions (id, userId, type, amount, balanceBefore, balanceAfter, description, referenceId, referenceType)
-        VALUES (?, ?, 'purchase', ?, ?, ?, 'Credits purchase', ?, 'payment')
-      `).run(uuidv4(), req.user.id, credits, currentCredits, newCredits, payment.id);
-      
-      res.json({
+    const outcome = await fulfillPayment(payment, paid, req.body);
+    if (!outcome) {
+      // Already completed (retried request, or the gateway webhook got there first)
+      return res.json({
         success: true,
-        message: 'Credits added successfully',
-        credits: newCredits,
-        creditsAdded: credits
+        message: 'Payment already processed',
+        credits: db.prepare('SELECT credits FROM users WHERE id = ?').get(req.user.id).credits
       });
     }
+    
+    const { status, ...body } = outcome;
+    res.status(status || 200).json(body);
   } catch (err) {
     logError('api', req.user?.id, null, '/api/payments/verify', 'VERIFY_ERROR', err.message);
     res.status(500).json({ error: err.message });
   }
 });
 
+// Checkout return URL for redirect gateways (Stripe): verify, fulfil, then back to the app
+app.get('/api/payments/return/:gatewayId', async (req, res) => {
+  const appUrl = `${process.env.FRONTEND_URL || ''}/dashboard`;
+  try {
+    const { session_id: orderId, cancelled } = req.query;
+    if (cancelled || !orderId) {
+      return res.redirect(`${appUrl}?payment=cancelled`);
+    }
+    
+    const payment = db.prepare('SELECT * FROM payments WHERE gateway = ? AND gatewayOrderId = ?').get(req.params.gatewayId, orderId);
+    const paid = payment && await getGateway(payment.gateway, getSetting).verifyPayment(orderId, req.query);
+    if (!paid) {
+      return res.redirect(`${appUrl}?payment=failed`);
+    }
+    
+    const outcome = await fulfillPayment(payment, paid);
+    res.redirect(`${appUrl}?payment=${outcome?.success === false ? 'failed' : 'success'}`);
+  } catch (err) {
+    logError('api', null, null, '/api/payments/return', 'VERIFY_ERROR', err.message);
+    res.redirect(`${appUrl}?payment=failed`);
+  }
+});
+
+// Fake gateway checkout: "pay" an order without a gateway (development and tests)
+app.post('/api/payments/fake/pay', userAuthMiddleware, (req, res) => {
+  const gateway = getGateway('fake', getSetting);
+  if (!gateway.isConfigured()) {
+    return res.status(404).json({ error: 'Fake payment gateway is not enabled' });
+  }
+  
+  const payment = db.prepare("SELECT id FROM payments WHERE gateway = 'fake' AND gatewayOrderId = ? AND userId = ?").get(req.body.orderId, req.user.id);
+  if (!payment) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+  
+  res.json(gateway.pay(req.body.orderId));
+});
+
 // Get user's current subscription
 app.get('/api/user/subscription', userAuthMiddleware, (req, res) => {
   try {
@@ -10275,13 +11099,12 @@ app.post('/api/user/subscription/cancel', userAuthMiddleware, (req, res) => {
       return res.status(404).json({ error: 'No active subscription found' });
     }
     
-    db.prepare(`
-      UPDATE user_subscriptions 
-      SET status = 'cancelled', cancelledAt = datetime('now'), updatedAt = datetime('now')
-      WHERE id = ?
-    `).run(subscription.id);
+    if (subscription.cancelledAt) {
+      return res.status(400).json({ error: 'Subscription is already cancelled', periodEnd: subscription.currentPeriodEnd });
+    }
     
-    logAudit(null, 'subscription_cancelled', 'subscription', req.user.id, { subscriptionId: subscription.id });
+    // The plan stays active until currentPeriodEnd; the billing scheduler downgrades the user then
+    subscriptionBilling.scheduleCancellation(subscription);
     
     res.json({ 
       success: true, 
@@ -10293,11 +11116,124 @@ app.post('/api/user/subscription/cancel', userAuthMiddleware, (req, res) => {
   }
 });
 
+/**
+ * Validate a plan change request and price it against the user's active subscription
+ * @returns {{subscription, plan, quote}|{status: number, error: string}}
+ */
+function quoteSubscriptionChange(userId, { planId, billingCycle }) {
+  if (!['monthly', 'yearly'].includes(billingCycle)) {
+    return { status: 400, error: 'billingCycle must be monthly or yearly' };
+  }
+  
+  const plan = db.prepare('SELECT * FROM subscription_plans WHERE id = ?').get(planId);
+  if (!plan) {
+    return { status: 404, error: 'Plan not found' };
+  }
+  
+  const subscription = db.prepare(`
+    SELECT * FROM user_subscriptions WHERE userId = ? AND status = 'active'
+  `).get(userId);
+  if (!subscription) {
+    return { status: 404, error: 'No active subscription found' };
+  }
+  if (subscription.planId === plan.id && subscription.billingCycle === billingCycle) {
+    return { status: 400, error: 'You are already on this plan' };
+  }
+  if (subscription.graceUntil) {
+    return { status: 400, error: 'Your subscription has a failed payment. Please renew it before changing plans.' };
+  }
+  if (subscription.razorpaySubscriptionId) {
+    // Recurring charges for the old plan would continue at Razorpay
+    return { status: 400, error: 'Plans billed through a recurring subscription cannot be changed here' };
+  }
+  
+  return { subscription, plan, quote: subscriptionBilling.quotePlanChange(subscription, plan, billingCycle) };
+}
+
+// Preview a plan / billing cycle change: prorated charge or credit and credit adjustment
+app.post('/api/user/subscription/change-plan/preview', userAuthMiddleware, (req, res) => {
+  try {
+    const { status, error, quote } = quoteSubscriptionChange(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    res.json(quote);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change plan / billing cycle. Upgrades return a gateway order for the prorated
+// difference and apply once it is paid; anything else applies now.
+app.post('/api/user/subscription/change-plan', userAuthMiddleware, async (req, res) => {
+  try {
+    const { status, error, subscription, plan, quote } = quoteSubscriptionChange(req.user.id, req.body);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    const description = `Plan change to ${plan.name} - ${quote.toBillingCycle === 'yearly' ? 'Yearly' : 'Monthly'}`;
+    
+    if (quote.amountDue > 0) {
+      const { paymentId, gateway, order } = await createPaymentOrder(req.user, {
+        amount: quote.amountDue,
+        type: 'plan_change',
+        description,
+        currency: req.body.currency,
+        region: req.body.region,
+        metadata: { planId: plan.id, billingCycle: quote.toBillingCycle, quote }
+      });
+      
+      return res.json({
+        requiresPayment: true,
+        paymentId,
+        gateway: gateway.getName(),
+        orderId: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        checkout: order.checkout,
+        quote
+      });
+    }
+    
+    // Nothing to pay (downgrade, or covered by the billing balance)
+    if (!subscriptionBilling.applyPlanChange(subscription, quote)) {
+      return res.status(409).json({ error: 'Your subscription changed. Please try again.' });
+    }
+    
+    const credited = quote.proratedCredit > 0;
+    db.prepare(`
+      INSERT INTO payments (id, userId, amount, type, description, status, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      uuidv4(), req.user.id, credited ? -quote.proratedCredit : 0,
+      credited ? 'proration_credit' : 'plan_change', description,
+      credited ? 'credited' : 'completed', JSON.stringify({ quote })
+    );
+    
+    res.json({
+      requiresPayment: false,
+      success: true,
+      message: 'Plan changed successfully',
+      credits: db.prepare('SELECT credits FROM users WHERE id = ?').get(req.user.id).credits,
+      subscription: db.prepare('SELECT * FROM user_subscriptions WHERE id = ?').get(subscription.id),
+      quote
+    });
+  } catch (err) {
+    logError('api', req.user?.id, null, '/api/user/subscription/change-plan', 'PLAN_CHANGE_ERROR', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 // Get user's payment history
 app.get('/api/user/payments', userAuthMiddleware, (req, res) => {
   try {
     const payments = db.prepare(`
-      SELECT * FROM payments WHERE userId = ? ORDER BY createdAt DESC LIMIT 50
+      SELECT p.*, i.id as invoiceId, i.number as invoiceNumber
+      FROM payments p
+      LEFT JOIN invoices i ON i.paymentId = p.id
+      WHERE p.userId = ? ORDER BY p.createdAt DESC LIMIT 50
     `).all(req.user.id);
     
     res.json(payments);
@@ -10306,6 +11242,54 @@ app.get('/api/user/payments', userAuthMiddleware, (req, res) => {
   }
 });
 
+/**
+ * Send an invoice as a PDF or HTML download
+ */
+function sendInvoice(res, invoice, format) {
+  if (format === 'pdf') {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${invoice.number}.pdf`);
+    return res.send(invoices.renderPdf(invoice));
+  }
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename=${invoice.number}.html`);
+  res.send(invoices.renderHtml(invoice));
+}
+
+// Get user's invoices
+app.get('/api/user/invoices', userAuthMiddleware, (req, res) => {
+  try {
+    const rows = db.prepare(`
+      SELECT i.id, i.number, i.paymentId, i.currency, i.subtotal, i.taxTotal, i.total, i.issuedAt, p.description, p.status as paymentStatus
+      FROM invoices i
+      JOIN payments p ON i.paymentId = p.id
+      WHERE i.userId = ? ORDER BY i.sequence DESC
+    `).all(req.user.id);
+    
+    res.json(rows);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download an invoice (PDF or HTML)
+app.get('/api/user/invoices/:id/:format', userAuthMiddleware, (req, res) => {
+  try {
+    if (!['pdf', 'html'].includes(req.params.format)) {
+      return res.status(400).json({ error: 'Format must be pdf or html' });
+    }
+    
+    const invoice = invoices.get(req.params.id);
+    if (!invoice || invoice.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    sendInvoice(res, invoice, req.params.format);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get user's credit transactions
 app.get('/api/user/credit-transactions', userAuthMiddleware, (req, res) => {
   try {
@@ -10323,41 +11307,56 @@ app.get('/api/user/credit-transactions', userAuthMiddleware, (req, res) => {
   }
 });
 
-// Razorpay Webhook
-app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), (req, res) => {
+// Payment gateway webhooks
+async function handlePaymentWebhook(gatewayId, req, res) {
   try {
-    const keySecret = db.prepare('SELECT value FROM settings WHERE key = ?').get('razorpayKeySecret')?.value;
-    const webhookSignature = req.headers['x-razorpay-signature'];
+    if (!GATEWAY_CONFIG[gatewayId]) {
+      return res.status(404).json({ error: `Unknown payment gateway: ${gatewayId}` });
+    }
     
-    // Verify webhook signature
-    const body = req.body.toString();
-    const expectedSignature = crypto
-      .createHmac('sha256', keySecret)
-      .update(body)
-      .digest('hex');
+    // A disabled gateway (e.g. fake outside development) takes no webhooks
+    const gateway = getGateway(gatewayId, getSetting);
+    if (!gateway.isConfigured()) {
+      return res.status(404).json({ error: `Payment gateway ${gatewayId} is not enabled` });
+    }
     
-    if (expectedSignature !== webhookSignature) {
-      console.log('[WEBHOOK] Invalid signature');
+    // Signatures cover the exact bytes (express.json keeps them for this route)
+    if (!gateway.verifyWebhook(req.headers, req.rawBody)) {
+      console.log(`[WEBHOOK] Invalid ${gatewayId} signature`);
       return res.status(400).json({ error: 'Invalid webhook signature' });
     }
     
-    const event = JSON.parse(body);
-    console.log('[WEBHOOK] Received event:', event.event);
+    const event = gateway.parseWebhook(JSON.parse(String(req.rawBody)));
+    const findPayment = (column, value) => value && db.prepare(`SELECT * FROM payments WHERE gateway = ? AND ${column} = ?`).get(gatewayId, value);
     
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        // Payment was successful - already handled in verify endpoint
+    switch (event.type) {
+      case 'payment.succeeded': {
+        // Usually already fulfilled by /api/payments/verify or the return URL
+        const payment = findPayment('gatewayOrderId', event.orderId);
+        if (payment && await fulfillPayment(payment, event)) {
+          console.log(`[WEBHOOK] ${gatewayId} payment ${payment.id} fulfilled`);
+        }
         break;
+      }
       case 'payment.failed':
-        // Update payment status
         db.prepare(`
-          UPDATE payments SET status = 'failed' WHERE razorpayPaymentId = ?
-        `).run(event.payload.payment.entity.id);
+          UPDATE payments SET status = 'failed' WHERE gateway = ? AND gatewayOrderId = ? AND status = 'pending'
+        `).run(gatewayId, event.orderId);
         break;
-      case 'subscription.charged':
-        // Recurring subscription payment
-        // Add credits for the billing cycle
+      case 'refund.succeeded': {
+        // Refunds issued from the gateway dashboard, or confirmations of ours
+        const payment = findPayment('gatewayPaymentId', event.paymentId);
+        if (payment && recordRefund(payment.id, event)) {
+          console.log(`[WEBHOOK] ${gatewayId} refund ${event.refundId} recorded for payment ${payment.id}`);
+        }
+        break;
+      }
+      case 'subscription':
+        // Recurring subscription charges, failed charges and cancellations
+        if (GATEWAY_EVENTS.includes(event.event.event)) {
+          const result = subscriptionBilling.handleGatewayEvent(event.event);
+          console.log(`[WEBHOOK] ${event.event.event}: ${result}`);
+        }
         break;
     }
     
@@ -10366,6 +11365,68 @@ app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), (re
     console.error('[WEBHOOK] Error:', err.message);
     res.status(500).json({ error: err.message });
   }
+}
+
+// Razorpay's original webhook URL, and one per gateway
+app.post('/api/payments/webhook', (req, res) => handlePaymentWebhook('razorpay', req, res));
+app.post('/api/payments/webhook/:gatewayId', (req, res) => handlePaymentWebhook(req.params.gatewayId, req, res));
+
+// ============ ADMIN: INVOICES ============
+app.get('/api/admin/invoices', adminAuthMiddleware, (req, res) => {
+  try {
+    const { userId, search, page = 1, limit = 20 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    
+    let where = 'WHERE 1=1';
+    const params = [];
+    if (userId) {
+      where += ' AND i.userId = ?';
+      params.push(userId);
+    }
+    if (search) {
+      where += ' AND (i.number LIKE ? OR u.email LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+    
+    const rows = db.prepare(`
+      SELECT i.id, i.number, i.paymentId, i.userId, i.currency, i.subtotal, i.taxTotal, i.total, i.issuedAt,
+        p.description, p.status as paymentStatus, u.email as userEmail
+      FROM invoices i
+      JOIN payments p ON i.paymentId = p.id
+      LEFT JOIN users u ON i.userId = u.id
+      ${where}
+      ORDER BY i.sequence DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, parseInt(limit), offset);
+    
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count FROM invoices i LEFT JOIN users u ON i.userId = u.id ${where}
+    `).get(...params);
+    
+    res.json({
+      invoices: rows,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total: count, pages: Math.ceil(count / parseInt(limit)) }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/invoices/:id/:format', adminAuthMiddleware, (req, res) => {
+  try {
+    if (!['pdf', 'html'].includes(req.params.format)) {
+      return res.status(400).json({ error: 'Format must be pdf or html' });
+    }
+    
+    const invoice = invoices.get(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    
+    sendInvoice(res, invoice, req.params.format);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ============ ADMIN: SUBSCRIPTION MANAGEMENT ============
@@ -10419,9 +11480,10 @@ app.get('/api/admin/payments', adminAuthMiddleware, (req, res) => {
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
     let query = `
-      SELECT p.*, u.email, u.name
+      SELECT p.*, u.email, u.name, i.id as invoiceId, i.number as invoiceNumber
       FROM payments p
       JOIN users u ON p.userId = u.id
+      LEFT JOIN invoices i ON i.paymentId = p.id
       WHERE 1=1
     `;
     const params = [];
@@ -10440,12 +11502,12 @@ app.get('/api/admin/payments', adminAuthMiddleware, (req, res) => {
     
     const payments = db.prepare(query).all(...params);
     
-    // Get revenue stats
+    // Get revenue stats (net of refunds)
     const revenueStats = db.prepare(`
       SELECT 
-        SUM(CASE WHEN status = 'completed' THEN amount ELSE 0 END) as totalRevenue,
-        SUM(CASE WHEN status = 'completed' AND createdAt >= date('now', '-30 days') THEN amount ELSE 0 END) as last30Days,
-        SUM(CASE WHEN status = 'completed' AND createdAt >= date('now', '-7 days') THEN amount ELSE 0 END) as last7Days
+        SUM(CASE WHEN status IN ('completed', 'partially_refunded') THEN amount - COALESCE(refundedAmount, 0) ELSE 0 END) as totalRevenue,
+        SUM(CASE WHEN status IN ('completed', 'partially_refunded') AND createdAt >= date('now', '-30 days') THEN amount - COALESCE(refundedAmount, 0) ELSE 0 END) as last30Days,
+        SUM(CASE WHEN status IN ('completed', 'partially_refunded') AND createdAt >= date('now', '-7 days') THEN amount - COALESCE(refundedAmount, 0) ELSE 0 END) as last7Days
       FROM payments
     `).get();
     
@@ -10455,20 +11517,75 @@ app.get('/api/admin/payments', adminAuthMiddleware, (req, res) => {
   }
 });
 
+// Admin: Refund a payment through its gateway (full, or `amount` for a partial refund)
+app.post('/api/admin/payments/:id/refund', adminAuthMiddleware, async (req, res) => {
+  try {
+    const payment = db.prepare('SELECT * FROM payments WHERE id = ?').get(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (!['completed', 'partially_refunded'].includes(payment.status) || !payment.gateway || !payment.gatewayPaymentId) {
+      return res.status(400).json({ error: 'Only completed gateway payments can be refunded' });
+    }
+    
+    const remaining = Math.round((payment.amount - (payment.refundedAmount || 0)) * 100) / 100;
+    const amount = req.body.amount === undefined ? remaining : parseFloat(req.body.amount);
+    if (!(amount > 0) || amount > remaining) {
+      return res.status(400).json({ error: `Refund amount must be more than 0 and at most ${remaining} ${payment.currency}` });
+    }
+    
+    const gateway = getGateway(payment.gateway, getSetting);
+    if (!gateway.isConfigured()) {
+      return res.status(500).json({ error: `Payment gateway ${payment.gateway} is not configured` });
+    }
+    
+    const refund = await gateway.refund(payment.gatewayPaymentId, { amount, currency: payment.currency, reason: req.body.reason });
+    recordRefund(payment.id, refund);
+    
+    logAudit(req.admin.id, 'payment_refunded', 'payment', payment.id, {
+      userId: payment.userId,
+      amount,
+      currency: payment.currency,
+      gateway: payment.gateway,
+      refundId: refund.refundId,
+      reason: req.body.reason
+    }, req.ip);
+    
+    res.json({ success: true, refund, payment: db.prepare('SELECT * FROM payments WHERE id = ?').get(payment.id) });
+  } catch (err) {
+    logError('api', null, null, '/api/admin/payments/refund', 'REFUND_ERROR', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: Payment gateways and the currencies they are used for
+app.get('/api/admin/payment-gateways', adminAuthMiddleware, (req, res) => {
+  try {
+    const currencies = Object.keys(getPaymentCurrencies(getSetting)).map(code => ({
+      code,
+      gateway: selectGateway({ currency: code }, getSetting)?.getName() || null
+    }));
+    res.json({ gateways: getGateways(getSetting), currencies, baseCurrency: BASE_CURRENCY });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Admin: Manage subscription plans
 app.put('/api/admin/subscription-plans/:id', adminAuthMiddleware, (req, res) => {
   try {
     const { id } = req.params;
-    const { name, priceMonthly, priceYearly, creditsPerMonth, features, isPopular, displayOrder } = req.body;
+    const { name, priceMonthly, priceYearly, creditsPerMonth, features, isPopular, displayOrder, queuePriority } = req.body;
     
     db.prepare(`
       UPDATE subscription_plans 
       SET name = ?, priceMonthly = ?, priceYearly = ?, creditsPerMonth = ?, 
-          features = ?, isPopular = ?, displayOrder = ?
+          features = ?, isPopular = ?, displayOrder = ?, queuePriority = COALESCE(?, queuePriority)
       WHERE id = ?
     `).run(
       name, priceMonthly, priceYearly, creditsPerMonth,
-      JSON.stringify(features), isPopular ? 1 : 0, displayOrder, id
+      JSON.stringify(features), isPopular ? 1 : 0, displayOrder,
+      Number.isInteger(queuePriority) ? queuePriority : null, id
     );
     
     logAudit(req.admin.id, 'plan_updated', 'subscription_plan', id, req.body, req.ip);
@@ -10534,6 +11651,7 @@ function cleanupStuckGenerations() {
       FROM generations g
       WHERE g.status = 'pending' 
       AND datetime(g.startedAt, '+' || COALESCE(g.maxWaitTime, 300) || ' seconds') < datetime('now')
+      AND NOT EXISTS (SELECT 1 FROM generation_jobs j WHERE j.id = g.jobId AND j.status = 'queued')
     `).all();
     
     if (stuck.length > 0) {
@@ -10541,11 +11659,20 @@ function cleanupStuckGenerations() {
     }
     
     for (const gen of stuck) {
+      // Work that never reached a provider goes back in the queue until its job runs out of attempts.
+      // A job still running here times out instead: its late result is ignored (completeGeneration
+      // only finishes pending rows), so the provider is never called twice for it
+      if (gen.jobId && !gen.providerRequest && jobQueue.requeue(gen.jobId, 'Timed out')) {
+        console.log(`[CLEANUP] Requeued generation ${gen.id} (started: ${gen.startedAt})`);
+        continue;
+      }
+      
       console.log(`[CLEANUP] Marking generation ${gen.id} as timed out (started: ${gen.startedAt})`);
       
       // Mark as failed due to timeout
-      db.prepare("UPDATE generations SET status = 'failed', error = 'Generation timed out', errorType = 'timeout', completedAt = datetime('now') WHERE id = ?")
+      const updated = db.prepare("UPDATE generations SET status = 'failed', error = 'Generation timed out', errorType = 'timeout', completedAt = datetime('now') WHERE id = ? AND status = 'pending'")
         .run(gen.id);
+      if (updated.changes === 0) continue;
       
       // Log timeout error for monitoring
       logError(
@@ -10568,12 +11695,17 @@ function cleanupStuckGenerations() {
       
       // Release reserved credits
       const opts = JSON.parse(gen.options || '{}');
-      releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal');
+      releaseCredits(gen.userId, gen.credits, gen.workspaceId, opts.creditSource || 'personal', { referenceId: gen.id, referenceType: 'generation' });
       console.log(`[CLEANUP] Released ${gen.credits} credits for timed out generation ${gen.id}`);
     }
   } catch (err) {
     console.error('[CLEANUP] Error during cleanup:', err.message);
   }
+
+  // Poll requests whose webhook is overdue or whose poller was lost to a restart
+  providerWebhooks.pollPending().catch(err => {
+    console.error('[CLEANUP] Webhook poll fallback failed:', err.message);
+  });
 }
 
 // Start the cleanup interval (every 60 seconds)
@@ -10581,14 +11713,18 @@ let cleanupInterval = null;
 
 // ============ WORKFLOW / AI APPS ROUTES ============
 const { createWorkflowExecutor } = require('./services/workflowEngine');
-const { WORKFLOW_REGISTRY, listWorkflows } = require('./models/workflowSchema');
+const { WORKFLOW_REGISTRY, listWorkflows, validateWorkflow } = require('./models/workflowSchema');
 
 // Initialize workflow executor
 const workflowExecutor = createWorkflowExecutor({
   db,
   getSetting,
   providers: {
-    callOpenRouter,
+    completeText: async (model, prompt, options) => {
+      // Workflow steps may use short names (gpt-4o-mini) for vendor-prefixed chat models
+      const chatModel = getModel(model) || getModel(`openai/${model}`) || model;
+      return await completeText(chatModel, prompt, { ...options, title: 'OmniHub Workflow' });
+    },
     generateImage: async (model, prompt, options, images) => {
       // Use the provider layer for image generation
       const provider = getConfiguredProvider('fal');
@@ -10599,6 +11735,27 @@ const workflowExecutor = createWorkflowExecutor({
       const provider = getConfiguredProvider('fal');
       const modelObj = getModel(model) || { id: model, apiEndpoint: model };
       return await provider.generateVideo(modelObj, prompt, options, images);
+    },
+    generateSpeech: async (model, text, options) => {
+      // Audio models live in the model registry and fail over through the router
+      const { result } = await providerRouter.generateSpeech(model, text, options, getSetting, logError, {});
+      return result;
+    },
+    transcribeAudio: async (model, audioUrl, options) => {
+      const { result } = await providerRouter.transcribeAudio(model, audioUrl, options, getSetting, logError, {});
+      return result;
+    },
+    generateEmbeddings: async (model, texts) => {
+      // embeddingProvider: 'openrouter' (default) or 'selfhosted'
+      if (getSetting('embeddingProvider') === 'selfhosted') {
+        const provider = getConfiguredProvider('selfhosted');
+        return await provider.generateEmbeddings(getSetting('selfhostedEmbeddingModel') || model, texts);
+      }
+
+      const provider = getConfiguredProvider('openrouter');
+      if (!provider.apiKey) throw new Error('OpenRouter API key not configured');
+      // OpenRouter model slugs are vendor-prefixed (openai/text-embedding-3-small)
+      return await provider.generateEmbeddings(model.includes('/') ? model : `openai/${model}`, texts);
     }
   },
   logError
@@ -10728,7 +11885,7 @@ app.get('/api/director/conversations/:id', userAuthMiddleware, (req, res) => {
 });
 
 // Execute a plan
-app.post('/api/director/execute', userAuthMiddleware, async (req, res) => {
+app.post('/api/director/execute', userAuthMiddleware, rateLimiter.middleware('/api/director/execute'), async (req, res) => {
   const { plan, mode, workspaceId, conversationId } = req.body;
   
   if (!plan) {
@@ -10935,6 +12092,11 @@ app.get('/api/workflows/:id', (req, res) => {
 app.post('/api/workflows/:id/run', userAuthMiddleware, async (req, res) => {
   try {
     const { inputs, workspaceId } = req.body;
+
+    // Runs read and write the workspace's vector collections
+    if (workspaceId && !getUserWorkspaceRole(workspaceId, req.user.id)) {
+      return res.status(403).json({ error: 'Not a member of this workspace' });
+    }
     
     const result = await workflowExecutor.startRun(
       req.params.id,
@@ -10970,6 +12132,66 @@ app.get('/api/workflow-runs/:id', userAuthMiddleware, async (req, res) => {
   }
 });
 
+const FINISHED_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+const RUN_STREAM_HEARTBEAT = 15000;
+
+// Stream a run's live events over SSE: a snapshot of the current status first,
+// then step/credit/task events until the run completes, fails or is cancelled
+const streamWorkflowRun = async (req, res, runId) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  const send = (event) => {
+    if (!closed) res.write(`data: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Subscribe before reading the snapshot so nothing in between is missed
+  const unsubscribe = workflowExecutor.subscribe(runId, (event) => {
+    send(event);
+    if (['run_completed', 'run_failed', 'run_cancelled'].includes(event.type)) close();
+  });
+  // Comments keep proxies from closing the connection during long steps
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, RUN_STREAM_HEARTBEAT);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+  res.on('close', close);
+
+  try {
+    const status = await workflowExecutor.getRunStatus(runId);
+    send({ type: 'snapshot', run: status });
+    if (FINISHED_RUN_STATUSES.includes(status.status)) close();
+  } catch (err) {
+    console.error('[WORKFLOW] Run stream error:', err.message);
+    send({ type: 'error', error: 'Failed to get run status' });
+    close();
+  }
+};
+
+// Stream workflow run progress (SSE)
+app.get('/api/workflow-runs/:id/events', userAuthMiddleware, async (req, res) => {
+  const run = db.prepare('SELECT userId FROM workflow_runs WHERE id = ?').get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+  if (run.userId !== req.user.id) {
+    return res.status(403).json({ error: 'Unauthorized' });
+  }
+
+  await streamWorkflowRun(req, res, req.params.id);
+});
+
 // Cancel a workflow run
 app.post('/api/workflow-runs/:id/cancel', userAuthMiddleware, async (req, res) => {
   try {
@@ -11060,12 +12282,47 @@ app.get('/api/workflow-runs', userAuthMiddleware, (req, res) => {
   }
 });
 
+// Validate a workflow definition: schema rules, plus cycle detection on the
+// same dependency graph the executor orders steps by
+const validateWorkflowDefinition = (definition) => {
+  const { errors } = validateWorkflow(definition);
+  const steps = Array.isArray(definition.steps) ? definition.steps : [];
+
+  const executionOrder = workflowExecutor.getExecutionOrder(steps);
+  const cycle = workflowExecutor.findCycleSteps(steps);
+  if (cycle.length > 0) {
+    errors.push(`Steps form a cycle: ${cycle.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, errors, executionOrder, cycle };
+};
+
+// Admin: Validate a workflow definition (used by the workflow builder)
+app.post('/api/admin/workflows/validate', adminAuthMiddleware, (req, res) => {
+  try {
+    res.json(validateWorkflowDefinition(req.body.definition || {}));
+  } catch (err) {
+    console.error('Failed to validate workflow:', err);
+    res.status(500).json({ error: 'Failed to validate workflow' });
+  }
+});
+
 // Admin: Create/update workflow
 app.post('/api/admin/workflows', adminAuthMiddleware, (req, res) => {
   try {
     const { id, name, description, category, icon, color, definition, estimatedCredits, estimatedTime, isPublic } = req.body;
     
     const workflowId = id || uuidv4();
+
+    if (WORKFLOW_REGISTRY[workflowId]) {
+      return res.status(400).json({ error: 'Built-in workflows cannot be overwritten; save a copy with a new ID' });
+    }
+
+    const validation = validateWorkflowDefinition({ ...definition, id: workflowId, name });
+    if (!validation.valid) {
+      return res.status(400).json({ error: 'Invalid workflow', errors: validation.errors, cycle: validation.cycle });
+    }
+
     const existing = db.prepare('SELECT id FROM workflows WHERE id = ?').get(workflowId);
 
     if (existing) {
@@ -11092,6 +12349,59 @@ app.post('/api/admin/workflows', adminAuthMiddleware, (req, res) => {
   }
 });
 
+// Admin: Test-run a saved workflow from the builder. Runs belong to a user
+// (workflow_runs.userId references users), so the admin picks one to run as.
+app.post('/api/admin/workflows/:id/test-run', adminAuthMiddleware, async (req, res) => {
+  try {
+    const { inputs, runAs } = req.body;
+
+    const workflow = db.prepare('SELECT id FROM workflows WHERE id = ?').get(req.params.id);
+    if (!workflow) {
+      const error = WORKFLOW_REGISTRY[req.params.id]
+        ? 'Save a copy of this built-in workflow to test-run it'
+        : 'Workflow not found';
+      return res.status(400).json({ error });
+    }
+
+    const user = runAs && db.prepare('SELECT id, email FROM users WHERE id = ? OR email = ?').get(runAs, runAs);
+    if (!user) {
+      return res.status(400).json({ error: 'Choose an existing user (ID or email) to run the test as' });
+    }
+
+    const result = await workflowExecutor.startRun(req.params.id, user.id, inputs || {});
+    // The run shows in that user's history and vector scope, so record who started it
+    logAudit(req.admin.id, 'workflow_test_run', 'workflow', req.params.id, { runId: result.runId, runAsUserId: user.id, runAsEmail: user.email }, req.ip);
+    res.json(result);
+  } catch (err) {
+    console.error('Failed to start test run:', err);
+    res.status(400).json({ error: err.message || 'Failed to start test run' });
+  }
+});
+
+// Admin: Get any run's status (test runs belong to the user the admin ran them as)
+app.get('/api/admin/workflow-runs/:id', adminAuthMiddleware, async (req, res) => {
+  try {
+    const status = await workflowExecutor.getRunStatus(req.params.id);
+    if (!status) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json(status);
+  } catch (err) {
+    console.error('Failed to get run status:', err);
+    res.status(500).json({ error: 'Failed to get run status' });
+  }
+});
+
+// Admin: Stream a run's progress (used by the workflow builder's test runs)
+app.get('/api/admin/workflow-runs/:id/events', adminAuthMiddleware, async (req, res) => {
+  const run = db.prepare('SELECT id FROM workflow_runs WHERE id = ?').get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
+
+  await streamWorkflowRun(req, res, req.params.id);
+});
+
 // Admin: List all workflows
 app.get('/api/admin/workflows', adminAuthMiddleware, (req, res) => {
   try {
@@ -11125,8 +12435,40 @@ app.listen(PORT, () => {
   
   // Check API key status
   checkApiKeys();
-  
+
   // Start background cleanup job
   cleanupInterval = setInterval(cleanupStuckGenerations, 60000);
   console.log(`\n🧹 Background cleanup job started (every 60s)`);
+
+  // Everything below reads migrated columns, so it waits for the migrations
+  migrationsReady.then(() => {
+    // Open the credit ledger with existing balances (first run only) before anything moves credits,
+    // then reconcile balances against it periodically
+    try {
+      creditLedger.openBalances();
+    } catch (err) {
+      console.error('[LEDGER] Opening balances failed:', err.message);
+    }
+    creditLedger.start();
+
+    // Requeue generation jobs interrupted by the last shutdown and start the queue workers
+    jobQueue.recover();
+
+    // Continue workflow runs interrupted by the last shutdown, then resume elapsed waits
+    workflowExecutor.recoverRuns().catch(err => {
+      console.error('[WORKFLOW] Run recovery failed:', err.message);
+    });
+    workflowExecutor.startScheduler();
+
+    // Renew, downgrade and grant plan credits as subscription periods roll over
+    subscriptionBilling.start();
+
+    // Invoice captured payments that don't have one (from before invoicing, or failed to issue)
+    try {
+      const issued = invoices.issueMissing();
+      if (issued) console.log(`[INVOICE] Issued ${issued} missing invoices`);
+    } catch (err) {
+      console.error('[INVOICE] Invoice sweep failed:', err.message);
+    }
+  });
 });
@@ -72,6 +72,7 @@ const MODEL_REGISTRY = {
       },
       selfhosted: {
         checkpoint: 'flux1-pro-v1.1.safetensors',
+        comfyTemplate: 'flux', // ComfyUI backend; ignored by Automatic1111
         cost: 0,
       }
     },
@@ -167,6 +168,107 @@ const MODEL_REGISTRY = {
     fallbackOrder: ['replicate'],
   },
 
+  // Stable Diffusion XL on a self-hosted Automatic1111 server
+  // Input images: ControlNet control images come last, one per `controlnet`
+  // type; a remaining first image is the img2img / inpainting source.
+  'sdxl': {
+    name: 'Stable Diffusion XL',
+    type: 'image',
+    category: 'both',
+    tags: ['self-hosted', 'controlnet', 'lora', 'inpainting'],
+    displayOrder: 6,
+    baseCost: 0,
+    imageInput: 'optional',
+    maxInputImages: 3,
+    
+    options: {
+      image_size: {
+        label: 'Image Size',
+        type: 'select',
+        default: 'square_hd',
+        choices: [
+          { value: 'square_hd', label: '1024×1024', priceMultiplier: 1 },
+          { value: 'portrait_4_3', label: '768×1024', priceMultiplier: 1 },
+          { value: 'landscape_4_3', label: '1024×768', priceMultiplier: 1 },
+        ]
+      },
+      // Comma-separated for several units, e.g. 'pose,depth'
+      controlnet: {
+        label: 'ControlNet',
+        type: 'select',
+        default: 'none',
+        choices: [
+          { value: 'none', label: 'None', priceMultiplier: 1 },
+          { value: 'pose', label: 'Pose', priceMultiplier: 1 },
+          { value: 'depth', label: 'Depth', priceMultiplier: 1 },
+          { value: 'canny', label: 'Canny Edges', priceMultiplier: 1 },
+        ]
+      },
+      controlnet_weight: {
+        label: 'Control Strength',
+        type: 'select',
+        default: '1',
+        choices: [
+          { value: '0.5', label: 'Loose', priceMultiplier: 1 },
+          { value: '0.8', label: 'Balanced', priceMultiplier: 1 },
+          { value: '1', label: 'Strict', priceMultiplier: 1 },
+        ]
+      },
+      lora: {
+        label: 'LoRA',
+        type: 'select',
+        default: 'none',
+        choices: [
+          { value: 'none', label: 'None', priceMultiplier: 1 },
+          { value: 'detail', label: 'Extra Detail', priceMultiplier: 1 },
+          { value: 'pixel-art', label: 'Pixel Art', priceMultiplier: 1 },
+          { value: 'watercolor', label: 'Watercolor', priceMultiplier: 1 },
+        ]
+      },
+      lora_scale: {
+        label: 'LoRA Strength',
+        type: 'select',
+        default: '0.8',
+        choices: [
+          { value: '0.5', label: 'Subtle', priceMultiplier: 1 },
+          { value: '0.8', label: 'Normal', priceMultiplier: 1 },
+          { value: '1', label: 'Strong', priceMultiplier: 1 },
+        ]
+      },
+      // Image URL / data URL; white areas are repainted (needs a source image)
+      mask_image: {
+        label: 'Inpainting Mask',
+        type: 'image',
+      }
+    },
+    
+    providers: {
+      selfhosted: {
+        // ControlNet, LoRA and mask options are Automatic1111 only; ComfyUI
+        // uses the default txt2img / img2img templates
+        checkpoint: 'sd_xl_base_1.0.safetensors',
+        controlnetModels: {
+          pose: 'thibaud_xl_openpose',
+          depth: 'diffusers_xl_depth_full',
+          canny: 'diffusers_xl_canny_full',
+        },
+        loraMap: {
+          'detail': 'add-detail-xl',
+          'pixel-art': 'pixel-art-xl',
+          'watercolor': 'watercolor_style_xl',
+        },
+        cost: 0,
+      },
+      replicate: {
+        version: 'stability-ai/sdxl',
+        cost: 0.004,
+      }
+    },
+    
+    defaultProvider: 'selfhosted',
+    fallbackOrder: ['replicate'],
+  },
+
   // ============================================
   // VIDEO MODELS
   // ============================================
@@ -245,6 +347,144 @@ const MODEL_REGISTRY = {
     fallbackOrder: [],
   },
 
+  // ============================================
+  // AUDIO MODELS (TTS / STT)
+  // ============================================
+
+  'elevenlabs-turbo': {
+    name: 'ElevenLabs Turbo v2.5',
+    type: 'audio',
+    category: 'text-to-speech',
+    tags: ['voiceover', 'natural', 'fast'],
+    displayOrder: 1,
+    // Cost per 1000 characters
+    baseCost: 0.05,
+    
+    options: {
+      voice: {
+        label: 'Voice',
+        type: 'select',
+        default: 'professional-male',
+        choices: [
+          { value: 'professional-male', label: 'Professional (Male)', priceMultiplier: 1 },
+          { value: 'professional-female', label: 'Professional (Female)', priceMultiplier: 1 },
+          { value: 'casual-male', label: 'Casual (Male)', priceMultiplier: 1 },
+          { value: 'casual-female', label: 'Casual (Female)', priceMultiplier: 1 },
+        ]
+      },
+      speed: {
+        label: 'Speed',
+        type: 'select',
+        default: '1',
+        choices: [
+          { value: '0.8', label: 'Slow', priceMultiplier: 1 },
+          { value: '1', label: 'Normal', priceMultiplier: 1 },
+          { value: '1.2', label: 'Fast', priceMultiplier: 1 },
+        ]
+      }
+    },
+    
+    providers: {
+      fal: {
+        endpoint: 'fal-ai/elevenlabs/tts/turbo-v2.5',
+        voiceMap: {
+          'professional-male': 'Brian',
+          'professional-female': 'Rachel',
+          'casual-male': 'Charlie',
+          'casual-female': 'Sarah',
+        },
+        cost: 0.05,
+      },
+      replicate: {
+        version: 'jaaari/kokoro-82m',
+        voiceMap: {
+          'professional-male': 'am_michael',
+          'professional-female': 'af_bella',
+          'casual-male': 'am_adam',
+          'casual-female': 'af_sarah',
+        },
+        cost: 0.01,
+      }
+    },
+    
+    defaultProvider: 'fal',
+    fallbackOrder: ['replicate'],
+  },
+
+  'kokoro-tts': {
+    name: 'Kokoro TTS',
+    type: 'audio',
+    category: 'text-to-speech',
+    tags: ['voiceover', 'budget', 'open-source'],
+    displayOrder: 2,
+    baseCost: 0.02,
+    
+    options: {
+      voice: {
+        label: 'Voice',
+        type: 'select',
+        default: 'af_heart',
+        choices: [
+          { value: 'af_heart', label: 'Heart (Female)', priceMultiplier: 1 },
+          { value: 'af_bella', label: 'Bella (Female)', priceMultiplier: 1 },
+          { value: 'am_michael', label: 'Michael (Male)', priceMultiplier: 1 },
+          { value: 'am_adam', label: 'Adam (Male)', priceMultiplier: 1 },
+        ]
+      }
+    },
+    
+    providers: {
+      fal: {
+        endpoint: 'fal-ai/kokoro/american-english',
+        textParamName: 'prompt',
+        cost: 0.02,
+      },
+      replicate: {
+        version: 'jaaari/kokoro-82m',
+        cost: 0.01,
+      }
+    },
+    
+    defaultProvider: 'fal',
+    fallbackOrder: ['replicate'],
+  },
+
+  'whisper': {
+    name: 'Whisper Large v3',
+    type: 'audio',
+    category: 'speech-to-text',
+    tags: ['transcription', 'multilingual'],
+    displayOrder: 10,
+    // Cost per minute of audio
+    baseCost: 0.006,
+    
+    options: {
+      task: {
+        label: 'Task',
+        type: 'select',
+        default: 'transcribe',
+        choices: [
+          { value: 'transcribe', label: 'Transcribe', priceMultiplier: 1 },
+          { value: 'translate', label: 'Translate to English', priceMultiplier: 1 },
+        ]
+      }
+    },
+    
+    providers: {
+      fal: {
+        endpoint: 'fal-ai/whisper',
+        cost: 0.006,
+      },
+      replicate: {
+        version: 'openai/whisper',
+        cost: 0.006,
+      }
+    },
+    
+    defaultProvider: 'fal',
+    fallbackOrder: ['replicate'],
+  },
+
   // ============================================
   // UPSCALE MODELS
   // ============================================
@@ -291,6 +531,48 @@ const MODEL_REGISTRY = {
     defaultProvider: 'fal',
     fallbackOrder: [],
   },
+
+  'crystal-video-upscaler': {
+    name: 'Crystal Video Upscaler',
+    type: 'video',
+    category: 'upscale',
+    tags: ['upscale', 'enhance', 'video', '4k'],
+    displayOrder: 90,
+    // Cost per megapixel per second of video
+    baseCost: 0.10,
+    maxWaitTime: 900,
+    
+    options: {
+      scale_factor: {
+        label: 'Scale Factor',
+        type: 'select',
+        default: '2',
+        choices: [
+          { value: '2', label: '2x Upscale', priceMultiplier: 4 },
+          { value: '4', label: '4x Upscale (4K)', priceMultiplier: 16 },
+        ]
+      }
+    },
+    
+    providers: {
+      fal: {
+        endpoint: 'clarityai/crystal-video-upscaler',
+        cost: 0.10,
+      },
+      replicate: {
+        version: 'topazlabs/video-upscale',
+        // Takes a target resolution rather than a scale factor
+        resolutionMap: {
+          '2': '1080p',
+          '4': '4k',
+        },
+        cost: 0.08,
+      }
+    },
+    
+    defaultProvider: 'fal',
+    fallbackOrder: ['replicate'],
+  },
 };
 
 /**
@@ -312,7 +594,7 @@ function getAllModels() {
 
 /**
  * Get models by type
- * @param {string} type - 'image' | 'video' | 'chat'
+ * @param {string} type - 'image' | 'video' | 'audio' | 'chat'
  * @returns {Array}
  */
 function getModelsByType(type) {
@@ -358,7 +640,7 @@ function calculateCost(modelId, providerId, options = {}) {
   if (!model) return 0;
   
   const providerConfig = model.providers?.[providerId];
-  let cost = providerConfig?.cost || model.baseCost || 0;
+  let cost = providerConfig?.cost ?? model.baseCost ?? 0;
   
   // Apply option multipliers
   if (model.options && options) {
@@ -398,6 +680,43 @@ function modelSupportsProvider(modelId, providerId) {
   return !!(model?.providers?.[providerId]);
 }
 
+/**
+ * Find the registry model behind a provider endpoint (e.g. a DB model's Fal apiEndpoint)
+ * @param {string} endpoint
+ * @returns {string|null} - Model ID
+ */
+function getModelIdByEndpoint(endpoint) {
+  if (!endpoint) return null;
+  const match = Object.entries(MODEL_REGISTRY).find(([_, model]) =>
+    Object.values(model.providers || {}).some(config =>
+      [config.endpoint, config.textToImageEndpoint, config.imageToImageEndpoint].includes(endpoint)
+    )
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Add a provider to an existing model (plugin model mappings).
+ * The provider joins the end of the model's fallback order.
+ * @param {string} modelId
+ * @param {string} providerId
+ * @param {Object} config - Provider config for the model (endpoint, cost, ...)
+ */
+function registerProviderMapping(modelId, providerId, config) {
+  const model = MODEL_REGISTRY[modelId];
+  if (!model) {
+    throw new Error(`Unknown model: ${modelId}`);
+  }
+  if (model.providers?.[providerId]) {
+    throw new Error(`Model ${modelId} already has a ${providerId} mapping`);
+  }
+
+  model.providers = { ...model.providers, [providerId]: config };
+  if (model.defaultProvider !== providerId && !(model.fallbackOrder || []).includes(providerId)) {
+    model.fallbackOrder = [...(model.fallbackOrder || []), providerId];
+  }
+}
+
 module.exports = {
   MODEL_REGISTRY,
   getModel,
@@ -408,4 +727,6 @@ module.exports = {
   calculateCost,
   getModelsForProvider,
   modelSupportsProvider,
+  getModelIdByEndpoint,
+  registerProviderMapping,
 };
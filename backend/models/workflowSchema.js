@@ -33,15 +33,19 @@
  * @typedef {Object} WorkflowStep
  * @property {string} id - Step identifier (unique within workflow)
  * @property {string} name - Display name
- * @property {string} type - Step type (llm, image, video, tts, transform, condition, human)
+ * @property {string} type - Step type (llm, image, video, tts, transform, split, filter, merge, condition, loop, parallel, wait, human)
  * @property {string} [model] - AI model ID (if applicable)
  * @property {Object} config - Step-specific configuration
  * @property {Array<string>} dependsOn - IDs of steps this depends on
  * @property {Object} inputs - Input mapping (can reference other step outputs)
  * @property {Object} outputs - Output definitions
- * @property {Object} [condition] - Conditional execution rules
+ * @property {Array<WorkflowStep>} [steps] - Nested steps: the loop body run once per item, or the branches of a parallel step
+ * @property {Object|string} [when] - Guard: run only if this condition holds, e.g. { if: '${review.approved}', equals: true }
+ * @property {Object|string} [unless] - Guard: skip if this condition holds
+ * @property {Object} [condition] - Older name for `when`
  * @property {boolean} [optional] - Whether step can be skipped
  * @property {number} [retryCount] - Number of retries on failure
+ * @property {boolean} [idempotent] - Safe to re-run if a restart interrupts it (defaults by step type)
  * @property {number} [timeout] - Step timeout in seconds
  */
 
@@ -63,7 +67,7 @@ const STEP_TYPES = {
   FILTER: 'filter',         // Filter/validate data
   
   // Control Flow
-  CONDITION: 'condition',   // Conditional branching
+  CONDITION: 'condition',   // Conditional branching (config.onTrue / config.onFalse targets)
   LOOP: 'loop',             // Loop over array
   PARALLEL: 'parallel',     // Parallel execution
   WAIT: 'wait',             // Wait for duration
@@ -580,10 +584,10 @@ CREATE TABLE IF NOT EXISTS workflow_runs (
   workflowId TEXT NOT NULL REFERENCES workflows(id),
   userId TEXT NOT NULL REFERENCES users(id),
   workspaceId TEXT REFERENCES workspaces(id),
-  status TEXT DEFAULT 'pending', -- pending, running, paused, completed, failed, cancelled
+  status TEXT DEFAULT 'pending', -- pending, running, paused, waiting, completed, failed, cancelled
   inputs TEXT, -- JSON user inputs
   outputs TEXT, -- JSON final outputs
-  state TEXT, -- JSON current execution state
+  state TEXT, -- JSON current execution state (completed steps, outputs, pending wait)
   currentStepId TEXT,
   creditsUsed REAL DEFAULT 0,
   startedAt TIMESTAMP,
@@ -597,7 +601,7 @@ CREATE TABLE IF NOT EXISTS workflow_step_runs (
   id TEXT PRIMARY KEY,
   runId TEXT NOT NULL REFERENCES workflow_runs(id) ON DELETE CASCADE,
   stepId TEXT NOT NULL,
-  status TEXT DEFAULT 'pending', -- pending, running, completed, failed, skipped
+  status TEXT DEFAULT 'pending', -- pending, running, waiting, completed, failed, skipped
   inputs TEXT, -- JSON resolved inputs
   outputs TEXT, -- JSON step outputs
   error TEXT,
@@ -624,6 +628,23 @@ CREATE TABLE IF NOT EXISTS workflow_tasks (
   createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Vector Collections (store/query transform operations)
+CREATE TABLE IF NOT EXISTS workflow_vectors (
+  id TEXT PRIMARY KEY,
+  workspaceId TEXT REFERENCES workspaces(id), -- NULL for runs outside a workspace (scoped by userId)
+  userId TEXT NOT NULL REFERENCES users(id),
+  collection TEXT NOT NULL,
+  documentId TEXT NOT NULL, -- Caller-supplied ID; storing the same ID again replaces it
+  content TEXT,
+  metadata TEXT, -- JSON
+  embedding TEXT NOT NULL, -- JSON array of floats
+  dimensions INTEGER NOT NULL,
+  model TEXT,
+  runId TEXT,
+  createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Workflow Categories
 CREATE TABLE IF NOT EXISTS workflow_categories (
   id TEXT PRIMARY KEY,
@@ -640,6 +661,8 @@ CREATE INDEX IF NOT EXISTS idx_workflow_runs_status ON workflow_runs(status);
 CREATE INDEX IF NOT EXISTS idx_workflow_step_runs_runId ON workflow_step_runs(runId);
 CREATE INDEX IF NOT EXISTS idx_workflow_tasks_runId ON workflow_tasks(runId);
 CREATE INDEX IF NOT EXISTS idx_workflow_tasks_userId ON workflow_tasks(userId);
+CREATE INDEX IF NOT EXISTS idx_workflow_vectors_workspace ON workflow_vectors(workspaceId, collection);
+CREATE INDEX IF NOT EXISTS idx_workflow_vectors_user ON workflow_vectors(userId, collection);
 `;
 
 // ============ EXPORTS ============
@@ -690,6 +713,17 @@ module.exports = {
         errors.push(`Step ${step.id} has invalid type: ${step.type}`);
       }
       
+      // Branch targets belong on condition steps and must exist
+      for (const target of [].concat(step.config?.onTrue ?? [], step.config?.onFalse ?? [])) {
+        if (step.type !== STEP_TYPES.CONDITION) {
+          errors.push(`Step ${step.id} has branch targets but is not a condition step`);
+          break;
+        }
+        if (!workflow.steps.some(s => s.id === target)) {
+          errors.push(`Step ${step.id} branches to unknown step: ${target}`);
+        }
+      }
+      
       // Validate dependencies exist
       for (const dep of step.dependsOn || []) {
         if (!stepIds.has(dep) && dep !== step.id) {
@@ -9,8 +9,9 @@
  * - Fal.ai (default)
  * - Replicate
  * - Self-hosted (ComfyUI, Automatic1111)
- * - RunPod
- * - Modal
+ * - OpenRouter (chat / LLM)
+ * - Mock (local development and tests)
+ * - Plugins from providers/plugins, e.g. RunPod or Modal (see pluginLoader.js)
  */
 
 class BaseProvider {
@@ -94,6 +95,71 @@ class BaseProvider {
     throw new Error('upscaleVideo() must be implemented by provider');
   }
 
+  /**
+   * Generate speech audio from text (TTS)
+   * @param {Object} model - TTS model configuration
+   * @param {string} text - Text to speak
+   * @param {Object} options - Speech options (voice, speed, language, etc.)
+   * @returns {Promise<GenerationResult>} - url points to the audio file
+   */
+  async generateSpeech(model, text, options = {}) {
+    throw new Error('generateSpeech() must be implemented by provider');
+  }
+
+  /**
+   * Transcribe audio to text (STT)
+   * @param {Object} model - STT model configuration
+   * @param {string} audioUrl - Audio file URL
+   * @param {Object} options - Transcription options (language, task, etc.)
+   * @returns {Promise<TranscriptionResult>}
+   */
+  async transcribeAudio(model, audioUrl, options = {}) {
+    throw new Error('transcribeAudio() must be implemented by provider');
+  }
+
+  /**
+   * Embed text for semantic search
+   * @param {string} model - Embedding model name
+   * @param {Array<string>} texts - Texts to embed
+   * @param {Object} options - Embedding options
+   * @returns {Promise<EmbeddingResult>}
+   */
+  async generateEmbeddings(model, texts, options = {}) {
+    throw new Error('generateEmbeddings() must be implemented by provider');
+  }
+
+  /**
+   * Whether this provider is set up to serve chat completions
+   * (an API key by default; providers with a separate text endpoint override this)
+   * @returns {boolean}
+   */
+  isTextConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Complete a chat (LLM text generation)
+   * @param {Object} model - Chat model configuration
+   * @param {Array<Object>} messages - OpenAI-format messages (content may include image_url parts)
+   * @param {Object} options - Completion options (maxTokens, temperature, etc.)
+   * @returns {Promise<TextResult>}
+   */
+  async generateText(model, messages, options = {}) {
+    throw new Error('generateText() must be implemented by provider');
+  }
+
+  /**
+   * Stream a chat completion
+   * Async generator yielding { type: 'content', content } chunks and a final
+   * { type: 'done', ...TextResult } event
+   * @param {Object} model - Chat model configuration
+   * @param {Array<Object>} messages - OpenAI-format messages
+   * @param {Object} options - Completion options
+   */
+  async *streamText(model, messages, options = {}) {
+    throw new Error('streamText() must be implemented by provider');
+  }
+
   /**
    * Check status of async generation
    * @param {string} requestId - Provider-specific request ID
@@ -112,6 +178,70 @@ class BaseProvider {
     throw new Error('cancelGeneration() must be implemented by provider');
   }
 
+  /**
+   * Record an async request on its generation row so a webhook or the
+   * fallback poller can finish it, even after a restart
+   * @param {Object} db - Database connection
+   * @param {string} genId - Generation ID
+   * @param {string} requestId - Provider request ID
+   * @param {Object} details - Provider data needed to poll or cancel (URLs, callback flag)
+   */
+  trackRequest(db, genId, requestId, details = {}) {
+    if (!db || !genId) return;
+    db.prepare('UPDATE generations SET externalRequestId = ?, provider = ?, providerRequest = ? WHERE id = ?')
+      .run(requestId, this.name, JSON.stringify({ ...details, submittedAt: Date.now() }), genId);
+  }
+
+  /**
+   * Record progress on a running generation
+   * @param {Object} db - Database connection
+   * @param {string} genId - Generation ID
+   * @param {number} progress - Percentage (0-100)
+   */
+  reportProgress(db, genId, progress) {
+    if (!db || !genId) return;
+    db.prepare("UPDATE generations SET progress = ? WHERE id = ? AND status = 'pending'").run(progress, genId);
+  }
+
+  /**
+   * Verify a webhook delivery came from this provider
+   * @param {Object} headers - Request headers (lower-cased)
+   * @param {Buffer} rawBody - Unparsed request body
+   * @returns {Promise<boolean>}
+   */
+  async verifyWebhook(headers, rawBody) {
+    throw new Error('verifyWebhook() must be implemented by provider');
+  }
+
+  /**
+   * Read a webhook payload
+   * @param {Object} body - Parsed webhook body
+   * @returns {RequestOutcome}
+   */
+  parseWebhook(body) {
+    throw new Error('parseWebhook() must be implemented by provider');
+  }
+
+  /**
+   * Fetch the current outcome of a tracked request (polling fallback)
+   * @param {string} requestId - Provider request ID
+   * @param {Object} request - Details saved by trackRequest()
+   * @returns {Promise<RequestOutcome>}
+   */
+  async fetchRequest(requestId, request = {}) {
+    throw new Error('fetchRequest() must be implemented by provider');
+  }
+
+  /**
+   * Cancel a tracked request
+   * @param {string} requestId - Provider request ID
+   * @param {Object} request - Details saved by trackRequest()
+   * @returns {Promise<boolean>}
+   */
+  async cancelRequest(requestId, request = {}) {
+    return this.cancelGeneration(requestId);
+  }
+
   /**
    * Normalize provider-specific response to unified format
    * @param {Object} rawResponse - Raw provider response
@@ -247,6 +377,42 @@ class BaseProvider {
  * @property {string} [error] - Error message if failed
  */
 
+/**
+ * @typedef {Object} TranscriptionResult
+ * @property {boolean} success - Whether transcription succeeded
+ * @property {string} text - Full transcript
+ * @property {Array<{start: number, end: number, text: string}>} [segments] - Timed segments
+ * @property {string} [language] - Detected or requested language
+ * @property {Object} [metadata] - Additional metadata
+ */
+
+/**
+ * @typedef {Object} EmbeddingResult
+ * @property {boolean} success - Whether embedding succeeded
+ * @property {Array<Array<number>>} embeddings - One vector per input text, in input order
+ * @property {string} [model] - Model that produced the vectors
+ * @property {Object} [usage] - Token usage if reported ({promptTokens})
+ */
+
+/**
+ * @typedef {Object} TextResult
+ * @property {boolean} success - Whether completion succeeded
+ * @property {string} text - Completion text
+ * @property {string} [model] - Model that answered
+ * @property {Object} [usage] - Token usage if reported ({inputTokens, outputTokens, cost})
+ * @property {number|null} [cost] - Provider cost in USD, null if unknown
+ * @property {string} [finishReason] - Why the completion stopped
+ */
+
+/**
+ * @typedef {Object} RequestOutcome
+ * @property {string} requestId - Provider request ID
+ * @property {string} status - 'pending' | 'completed' | 'failed'
+ * @property {string} [url] - Result URL if completed
+ * @property {string} [error] - Error message if failed
+ * @property {number|null} [progress] - Progress percentage (0-100) while pending, if known
+ */
+
 /**
  * @typedef {Object} StatusResult
  * @property {string} status - 'pending' | 'processing' | 'completed' | 'failed'
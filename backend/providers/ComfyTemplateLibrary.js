@@ -0,0 +1,144 @@
+/**
+ * ComfyTemplateLibrary - ComfyUI workflow templates for SelfHostedProvider
+ *
+ * Templates are ComfyUI API-format workflows (Workflow > Export (API)) saved as
+ * JSON files. Values are bound through {{placeholder}} strings:
+ *
+ *   {{prompt}} {{negative_prompt}} {{seed}} {{width}} {{height}} {{checkpoint}}
+ *   {{image}} (first input image), {{image_1}} ... {{image_N}}
+ *   {{steps}} {{cfg}} {{guidance}} {{denoise}} {{batch_size}} {{sampler}} {{scheduler}}
+ *
+ * A value that is exactly one placeholder is replaced with the raw bound value
+ * (so numbers stay numbers); placeholders inside longer strings are interpolated.
+ *
+ * Built-in templates live in ./comfyTemplates. Extra templates are loaded from
+ * templatesDir, and a file with the same name replaces a built-in one.
+ * A model picks its template with providers.selfhosted.comfyTemplate; otherwise a
+ * template named after the model ID is used, then txt2img / img2img.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_TEMPLATES_DIR = path.join(__dirname, 'comfyTemplates');
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+const EXACT_PLACEHOLDER = /^\{\{(\w+)\}\}$/;
+
+class ComfyTemplateLibrary {
+  /**
+   * @param {Object} options
+   * @param {string} [options.templatesDir] - Directory of additional template JSON files
+   */
+  constructor({ templatesDir } = {}) {
+    this.templates = new Map();
+    this.loadDirectory(BUILT_IN_TEMPLATES_DIR);
+    if (templatesDir) {
+      this.loadDirectory(templatesDir);
+    }
+  }
+
+  /**
+   * Register every *.json file in a directory, named after the file
+   */
+  loadDirectory(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+    } catch (err) {
+      console.warn(`[COMFYUI] Template directory not readable: ${dir} (${err.message})`);
+      return;
+    }
+
+    for (const file of files) {
+      try {
+        const workflow = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        this.register(path.basename(file, '.json'), workflow);
+      } catch (err) {
+        console.warn(`[COMFYUI] Skipping template ${file}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Register an API-format workflow
+   * @param {string} name - Template name
+   * @param {Object} workflow - { [nodeId]: { class_type, inputs } }
+   */
+  register(name, workflow) {
+    const nodes = workflow && typeof workflow === 'object' ? Object.values(workflow) : [];
+    if (nodes.length === 0 || nodes.some(node => !node?.class_type)) {
+      throw new Error('Not an API-format workflow (export it with "Save (API Format)")');
+    }
+    this.templates.set(name, workflow);
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  list() {
+    return [...this.templates.keys()].map(name => ({
+      name,
+      placeholders: this.getPlaceholders(name)
+    }));
+  }
+
+  /**
+   * Placeholder names used by a template
+   */
+  getPlaceholders(name) {
+    const text = JSON.stringify(this.templates.get(name) || {});
+    return [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(([, key]) => key))];
+  }
+
+  /**
+   * Pick the template for a model
+   * @param {Object} model - Model with providerConfig.selfhosted
+   * @param {boolean} hasInputImages
+   * @returns {string} - Template name
+   */
+  resolve(model, hasInputImages) {
+    const configured = model.providerConfig?.selfhosted?.comfyTemplate || model.comfyTemplate;
+    if (configured) {
+      if (!this.has(configured)) throw new Error(`ComfyUI template not found: ${configured}`);
+      return configured;
+    }
+    if (model.id && this.has(model.id)) return model.id;
+    return hasInputImages ? 'img2img' : 'txt2img';
+  }
+
+  /**
+   * Build a workflow from a template with all placeholders bound
+   * @param {string} name - Template name
+   * @param {Object} bindings - Placeholder values
+   * @returns {Object} - API-format workflow ready for POST /prompt
+   */
+  build(name, bindings) {
+    const template = this.templates.get(name);
+    if (!template) throw new Error(`ComfyUI template not found: ${name}`);
+
+    const lookup = (key) => {
+      if (bindings[key] === undefined || bindings[key] === null) {
+        throw new Error(`ComfyUI template ${name} needs a value for {{${key}}}`);
+      }
+      return bindings[key];
+    };
+
+    const bind = (value) => {
+      if (typeof value === 'string') {
+        const exact = value.match(EXACT_PLACEHOLDER);
+        if (exact) return lookup(exact[1]);
+        return value.replace(PLACEHOLDER_PATTERN, (_, key) => String(lookup(key)));
+      }
+      if (Array.isArray(value)) return value.map(bind);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, bind(v)]));
+      }
+      return value;
+    };
+
+    return bind(template);
+  }
+}
+
+module.exports = ComfyTemplateLibrary;
@@ -2,24 +2,33 @@
  * FalProvider - Fal.ai API Provider Implementation
  * 
  * Implements the BaseProvider interface for Fal.ai's API.
- * Supports image generation, video generation, and upscaling.
+ * Supports image generation, video generation, upscaling, and speech (TTS/STT).
  * 
  * Features:
  * - Synchronous image generation via fal.run
- * - Async video generation via queue.fal.run with polling
+ * - Async video generation via queue.fal.run
+ * - Webhook callbacks (ED25519-signed) with polling as the fallback
  * - Automatic cancellation support
  * - Smart timeout handling
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const BaseProvider = require('./BaseProvider');
 
+const WEBHOOK_JWKS_URL = 'https://rest.alpha.fal.ai/.well-known/jwks.json';
+const WEBHOOK_KEYS_TTL = 24 * 60 * 60 * 1000; // Refetch signing keys daily
+const WEBHOOK_TOLERANCE = 300; // Reject deliveries signed more than 5 minutes away
+
 class FalProvider extends BaseProvider {
   constructor(apiKey, config = {}) {
     super(apiKey, config);
     this.name = 'fal';
     this.baseUrl = 'https://fal.run';
     this.queueUrl = 'https://queue.fal.run';
+    this.webhookUrl = config.webhookUrl || null;
+    this.webhookJwksUrl = config.webhookJwksUrl || WEBHOOK_JWKS_URL;
+    this.webhookKeys = null;
   }
 
   /**
@@ -70,7 +79,9 @@ class FalProvider extends BaseProvider {
   }
 
   /**
-   * Generate video (async with polling)
+   * Generate video (async)
+   * With a webhook URL and a generation row, returns { status: 'pending' } right
+   * after submitting - the webhook finishes the row. Otherwise polls for the result.
    */
   async generateVideo(model, prompt, options = {}, inputImages = [], genId = null, db = null) {
     const endpoint = this.getVideoEndpoint(model, inputImages);
@@ -82,35 +93,21 @@ class FalProvider extends BaseProvider {
     });
 
     try {
-      // Submit to queue
-      const submitResponse = await axios.post(`${this.queueUrl}/${endpoint}`, payload, {
-        headers: this.getHeaders()
-      });
+      const { data, requestId, queueUrls, callback } = await this.submitToQueue(endpoint, payload, genId, db);
 
-      const requestId = submitResponse.data.request_id;
-      
       // If immediate result (some fast models)
-      if (!requestId && submitResponse.data.video?.url) {
-        return this.normalizeVideoResponse(submitResponse.data);
+      if (!requestId && data.video?.url) {
+        return this.normalizeVideoResponse(data);
       }
 
       if (!requestId) {
         throw new Error('No request_id in queue response');
       }
 
-      // Use the response URLs from Fal.ai (they use the correct base path)
-      // This fixes the 405 error for models with nested endpoints like kling-video/v2.6/pro
-      const queueUrls = {
-        statusUrl: submitResponse.data.status_url,
-        responseUrl: submitResponse.data.response_url,
-        cancelUrl: submitResponse.data.cancel_url
-      };
-
       this.log('info', `Queue response - statusUrl: ${queueUrls.statusUrl}`);
 
-      // Store request ID for cancellation
-      if (genId && db) {
-        db.prepare('UPDATE generations SET externalRequestId = ? WHERE id = ?').run(requestId, genId);
+      if (callback) {
+        return { success: true, status: 'pending', requestId };
       }
 
       // Poll for result using the correct URLs from queue response
@@ -162,7 +159,7 @@ class FalProvider extends BaseProvider {
   }
 
   /**
-   * Upscale video (async)
+   * Upscale video (async, webhook or polling like generateVideo)
    */
   async upscaleVideo(model, videoUrl, options = {}, genId = null, db = null) {
     const endpoint = model.providerConfig?.fal?.endpoint || model.apiEndpoint;
@@ -175,22 +172,14 @@ class FalProvider extends BaseProvider {
     this.log('info', `Video upscale: ${endpoint}`, { scaleFactor: payload.scale_factor });
 
     try {
-      // Submit to queue
-      const submitResponse = await axios.post(`${this.queueUrl}/${endpoint}`, payload, {
-        headers: this.getHeaders()
-      });
-
-      const requestId = submitResponse.data.request_id;
+      const { requestId, queueUrls, callback } = await this.submitToQueue(endpoint, payload, genId, db);
       if (!requestId) {
         throw new Error('No request_id for video upscale');
       }
 
-      // Use the response URLs from Fal.ai
-      const queueUrls = {
-        statusUrl: submitResponse.data.status_url,
-        responseUrl: submitResponse.data.response_url,
-        cancelUrl: submitResponse.data.cancel_url
-      };
+      if (callback) {
+        return { success: true, status: 'pending', requestId };
+      }
 
       // Poll for result using correct URLs
       const result = await this.pollForResult(queueUrls, requestId, model, genId, db);
@@ -209,6 +198,200 @@ class FalProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Generate speech (TTS)
+   */
+  async generateSpeech(model, text, options = {}) {
+    const falConfig = model.providerConfig?.fal || {};
+    const endpoint = falConfig.endpoint || model.apiEndpoint;
+    const payload = this.buildSpeechPayload(model, text, options);
+
+    this.log('info', `Speech generation: ${endpoint}`, { 
+      voice: payload.voice,
+      characters: text.length 
+    });
+
+    try {
+      const response = await this.retry(async () => {
+        return axios.post(`${this.baseUrl}/${endpoint}`, payload, {
+          headers: this.getHeaders(),
+          timeout: this.timeout
+        });
+      });
+
+      return this.normalizeSpeechResponse(response.data);
+    } catch (error) {
+      this.log('error', 'Speech generation failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Transcribe audio (STT)
+   */
+  async transcribeAudio(model, audioUrl, options = {}) {
+    const endpoint = model.providerConfig?.fal?.endpoint || model.apiEndpoint;
+    
+    const payload = {
+      audio_url: audioUrl,
+      task: options.task || 'transcribe',
+      chunk_level: 'segment',
+    };
+    if (options.language) payload.language = options.language;
+
+    this.log('info', `Transcription: ${endpoint}`, { language: options.language || 'auto' });
+
+    try {
+      const response = await this.retry(async () => {
+        return axios.post(`${this.baseUrl}/${endpoint}`, payload, {
+          headers: this.getHeaders(),
+          timeout: this.timeout
+        });
+      });
+
+      return this.normalizeTranscriptionResponse(response.data, options);
+    } catch (error) {
+      this.log('error', 'Transcription failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Submit to the queue
+   * When there is a generation row to finish, Fal is asked to POST the result
+   * to our webhook; the row is tracked either way so it survives a restart.
+   * @returns {Promise<{data: Object, requestId: string|null, queueUrls: Object, callback: boolean}>}
+   */
+  async submitToQueue(endpoint, payload, genId = null, db = null) {
+    const callback = !!(this.webhookUrl && genId && db);
+    const query = callback ? `?fal_webhook=${encodeURIComponent(this.webhookUrl)}` : '';
+
+    const response = await axios.post(`${this.queueUrl}/${endpoint}${query}`, payload, {
+      headers: this.getHeaders()
+    });
+
+    const data = response.data;
+    const requestId = data.request_id || null;
+
+    // Use the response URLs from Fal.ai (they use the correct base path)
+    // This fixes the 405 error for models with nested endpoints like kling-video/v2.6/pro
+    const queueUrls = {
+      statusUrl: data.status_url,
+      responseUrl: data.response_url,
+      cancelUrl: data.cancel_url
+    };
+
+    if (requestId) {
+      this.trackRequest(db, genId, requestId, { ...queueUrls, callback });
+    }
+
+    return { data, requestId, queueUrls, callback };
+  }
+
+  /**
+   * Verify a webhook delivery
+   * Fal signs "requestId\nuserId\ntimestamp\nsha256(body)" with ED25519;
+   * the public keys are published as a JWKS.
+   */
+  async verifyWebhook(headers, rawBody) {
+    const requestId = headers['x-fal-webhook-request-id'];
+    const userId = headers['x-fal-webhook-user-id'];
+    const timestamp = headers['x-fal-webhook-timestamp'];
+    const signature = headers['x-fal-webhook-signature'];
+
+    if (!requestId || !userId || !timestamp || !signature) return false;
+    if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= WEBHOOK_TOLERANCE)) return false;
+
+    const bodyHash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    const message = Buffer.from([requestId, userId, timestamp, bodyHash].join('\n'));
+    const signatureBytes = Buffer.from(signature, 'hex');
+
+    const keys = await this.getWebhookKeys();
+    return keys.some(key => {
+      try {
+        return crypto.verify(null, message, key, signatureBytes);
+      } catch (e) {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Fal's webhook signing keys (cached)
+   * @returns {Promise<Array<crypto.KeyObject>>}
+   */
+  async getWebhookKeys() {
+    if (this.webhookKeys && Date.now() - this.webhookKeys.fetchedAt < WEBHOOK_KEYS_TTL) {
+      return this.webhookKeys.keys;
+    }
+
+    const response = await axios.get(this.webhookJwksUrl, { timeout: 10000 });
+    const keys = (response.data.keys || [])
+      .filter(jwk => jwk.x)
+      .map(jwk => crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: jwk.x }, format: 'jwk' }));
+
+    this.webhookKeys = { keys, fetchedAt: Date.now() };
+    return keys;
+  }
+
+  /**
+   * Read a webhook payload ({ request_id, status: 'OK' | 'ERROR', payload, error })
+   */
+  parseWebhook(body) {
+    const requestId = body.request_id;
+
+    if (body.status !== 'OK') {
+      const detail = body.payload?.detail;
+      return {
+        requestId,
+        status: 'failed',
+        error: (typeof detail === 'string' ? detail : detail?.[0]?.msg) || body.error || 'Generation failed'
+      };
+    }
+
+    return this.toOutcome(requestId, body.payload);
+  }
+
+  /**
+   * Poll a tracked queue request once
+   */
+  async fetchRequest(requestId, request = {}) {
+    try {
+      const statusRes = await axios.get(request.statusUrl, { headers: this.getHeaders() });
+
+      if (statusRes.data.status === 'COMPLETED') {
+        const resultRes = await axios.get(request.responseUrl, { headers: this.getHeaders() });
+        return this.toOutcome(requestId, resultRes.data);
+      }
+
+      if (statusRes.data.status === 'FAILED') {
+        return { requestId, status: 'failed', error: statusRes.data.error || 'Generation failed' };
+      }
+
+      return { requestId, status: 'pending' };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Cancel a tracked queue request (Fal cancels by URL)
+   */
+  async cancelRequest(requestId, request = {}) {
+    return this.cancelGeneration(request.cancelUrl);
+  }
+
+  /**
+   * Outcome from a finished request's output
+   */
+  toOutcome(requestId, output) {
+    const url = output?.video?.url || output?.images?.[0]?.url || output?.image?.url;
+    if (!url) {
+      return { requestId, status: 'failed', error: 'No result in response' };
+    }
+    return { requestId, status: 'completed', url };
+  }
+
   /**
    * Check status of async request
    * @param {string} statusUrl - Full status URL from queue response
@@ -408,6 +591,69 @@ class FalProvider extends BaseProvider {
     return payload;
   }
 
+  /**
+   * Build speech generation payload
+   * Registry voices (e.g. 'professional-male') are mapped to provider voices via voiceMap
+   */
+  buildSpeechPayload(model, text, options = {}) {
+    const falConfig = model.providerConfig?.fal || {};
+    const textParam = falConfig.textParamName || 'text';
+    const payload = { [textParam]: text };
+
+    const voice = options.voice || model.options?.voice?.default;
+    if (voice) payload.voice = falConfig.voiceMap?.[voice] || voice;
+    if (options.speed !== undefined) payload.speed = parseFloat(options.speed);
+    if (options.language) payload.language_code = options.language;
+    if (options.stability !== undefined) payload.stability = parseFloat(options.stability);
+
+    return payload;
+  }
+
+  /**
+   * Normalize speech response
+   */
+  normalizeSpeechResponse(data) {
+    const url = data.audio?.url || data.audio_url?.url || data.audio_url;
+
+    if (!url) {
+      throw new Error('No audio in response');
+    }
+
+    return {
+      success: true,
+      url,
+      metadata: {
+        duration: data.audio?.duration || data.duration,
+        contentType: data.audio?.content_type
+      }
+    };
+  }
+
+  /**
+   * Normalize transcription response
+   */
+  normalizeTranscriptionResponse(data, options = {}) {
+    if (typeof data.text !== 'string') {
+      throw new Error('No transcript in response');
+    }
+
+    const segments = (data.chunks || []).map(chunk => ({
+      start: chunk.timestamp?.[0],
+      end: chunk.timestamp?.[1],
+      text: chunk.text?.trim()
+    }));
+
+    return {
+      success: true,
+      text: data.text.trim(),
+      segments,
+      language: data.inferred_languages?.[0] || options.language || null,
+      metadata: {
+        duration: segments.length > 0 ? segments[segments.length - 1].end : undefined
+      }
+    };
+  }
+
   /**
    * Normalize image response
    */
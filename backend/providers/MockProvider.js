@@ -0,0 +1,375 @@
+/**
+ * MockProvider - Local placeholder provider for development and tests
+ *
+ * Implements the BaseProvider interface without any network access.
+ * Used in demo mode (no Fal.ai key) and, when enabled, as the last fallback
+ * for every registry model so routing and failover can be exercised locally.
+ *
+ * Features:
+ * - Deterministic PNG images and short H.264 MP4 videos showing the prompt
+ *   and seed (see mockMedia.js), served from /api/providers/mock/media
+ * - Simulated queue: IN_QUEUE -> IN_PROGRESS -> COMPLETED / FAILED
+ * - Configurable latency, queue time and failure rate
+ * - Video requests are tracked like Fal.ai queue requests, so cancellation,
+ *   timeouts and restart recovery go through the same code paths
+ *
+ * Prompt directives override the configuration for one request and are not
+ * rendered:
+ * - [mock:fail] or [mock:fail=429] - fail with that HTTP status (default 500)
+ * - [mock:hang] - never complete (exercises timeouts)
+ * - [mock:latency=5000] - processing time in ms
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BaseProvider = require('./BaseProvider');
+const { renderImage, renderVideo } = require('./mockMedia');
+
+const DIRECTIVE_PATTERN = /\[mock:(\w+)(?:=([\w.]+))?\]/gi;
+const MEDIA_FILE_PATTERN = /^[a-f0-9]{32}\.(png|mp4)$/;
+const POLL_INTERVAL = 500;
+const MAX_VIDEO_DURATION = 5; // seconds
+
+const ERROR_MESSAGES = {
+  400: 'Content policy violation (simulated)',
+  429: 'Rate limit exceeded (simulated)',
+};
+
+// Fal.ai image_size presets -> aspect ratio
+const IMAGE_SIZE_RATIOS = {
+  square: 1,
+  square_hd: 1,
+  landscape_4_3: 4 / 3,
+  landscape_16_9: 16 / 9,
+  portrait_4_3: 3 / 4,
+  portrait_16_9: 9 / 16,
+};
+
+class MockProvider extends BaseProvider {
+  constructor(apiKey, config = {}) {
+    super(apiKey, config);
+    this.name = 'mock';
+    this.enabled = !!config.enabled;
+    this.latency = toMs(config.latency, 2000);
+    this.queueTime = toMs(config.queueTime, 1000);
+    this.failureRate = parseFloat(config.failureRate) || 0;
+    this.mediaDir = config.mediaDir || path.join(os.tmpdir(), 'omnihub-mock-media');
+    this.mediaUrl = config.mediaUrl || 'http://localhost:3001/api/providers/mock/media';
+    // Request IDs cancelled while queued or in progress
+    this.cancelled = new Set();
+  }
+
+  /**
+   * Available to the router only when enabled (demo mode uses it directly)
+   */
+  async isAvailable() {
+    return this.enabled;
+  }
+
+  /**
+   * Generate placeholder images (one per num_images, consecutive seeds)
+   */
+  async generateImage(model, prompt, options = {}, inputImages = []) {
+    const { text, directives } = this.parsePrompt(prompt);
+    const seed = this.getSeed(text, options.seed);
+    const { width, height } = this.getSize(options, 1024);
+
+    const spec = {
+      kind: 'image',
+      prompt: text,
+      seed,
+      count: Math.max(1, parseInt(options.num_images) || 1),
+      width,
+      height,
+      title: this.getTitle(model, inputImages.length > 0 ? 'IMAGE TO IMAGE' : 'IMAGE'),
+    };
+
+    return this.run(model, spec, directives);
+  }
+
+  /**
+   * Generate a placeholder video via the simulated queue
+   */
+  async generateVideo(model, prompt, options = {}, inputImages = [], genId = null, db = null) {
+    const { text, directives } = this.parsePrompt(prompt);
+    const seed = this.getSeed(text, options.seed);
+    const { width, height } = this.getSize(options, 512);
+
+    const spec = {
+      kind: 'video',
+      prompt: text,
+      seed,
+      width,
+      height,
+      duration: Math.min(MAX_VIDEO_DURATION, Math.max(1, parseFloat(options.duration) || 3)),
+      title: this.getTitle(model, inputImages.length > 0 ? 'IMAGE TO VIDEO' : 'VIDEO'),
+    };
+
+    return this.run(model, spec, directives, genId, db);
+  }
+
+  /**
+   * "Upscale" an image - a placeholder naming the source and scale
+   */
+  async upscaleImage(model, imageUrl, options = {}) {
+    const scale = parseInt(options.scale_factor) || 2;
+    const spec = {
+      kind: 'image',
+      prompt: `Upscaled ${scale}x: ${path.basename(String(imageUrl).split('?')[0])}`,
+      seed: this.getSeed(String(imageUrl)),
+      count: 1,
+      width: 1024,
+      height: 1024,
+      title: this.getTitle(model, 'UPSCALE'),
+    };
+
+    return this.run(model, spec, {});
+  }
+
+  /**
+   * "Upscale" a video - a placeholder naming the source
+   */
+  async upscaleVideo(model, videoUrl, options = {}, genId = null, db = null) {
+    const spec = {
+      kind: 'video',
+      prompt: `Upscaled: ${path.basename(String(videoUrl).split('?')[0])}`,
+      seed: this.getSeed(String(videoUrl)),
+      width: 512,
+      height: 288,
+      duration: 3,
+      title: this.getTitle(model, 'VIDEO UPSCALE'),
+    };
+
+    return this.run(model, spec, {}, genId, db);
+  }
+
+  /**
+   * Submit a request to the simulated queue and wait for its outcome
+   * @param {Object} model - Model configuration (maxWaitTime)
+   * @param {Object} spec - What to render
+   * @param {Object} directives - Prompt directives
+   * @param {string} [genId] - Generation to track the request on
+   * @param {Object} [db] - Database connection
+   * @returns {Promise<GenerationResult>}
+   */
+  async run(model, spec, directives, genId = null, db = null) {
+    const requestId = crypto.randomUUID();
+    const request = {
+      spec,
+      queueTime: this.queueTime,
+      latency: toMs(directives.latency, this.latency),
+      failStatus: this.getFailStatus(spec, directives),
+      hang: !!directives.hang,
+      submittedAt: Date.now(),
+    };
+
+    this.log('info', `Submitted ${spec.kind} request ${requestId}`, { seed: spec.seed });
+    this.trackRequest(db, genId, requestId, request);
+
+    const maxWaitTime = (model.maxWaitTime || 600) * 1000;
+    let lastStatus = null;
+
+    try {
+      while (Date.now() - request.submittedAt < maxWaitTime) {
+        await new Promise(r => setTimeout(r, POLL_INTERVAL));
+
+        // Check if cancelled
+        if (genId && db) {
+          const gen = db.prepare('SELECT cancelledAt FROM generations WHERE id = ?').get(genId);
+          if (gen?.cancelledAt) this.cancelled.add(requestId);
+        }
+
+        const status = this.getQueueStatus(requestId, request);
+        if (status !== lastStatus) {
+          this.log('info', `Status: ${status} (${Math.round((Date.now() - request.submittedAt) / 1000)}s)`);
+          lastStatus = status;
+        }
+
+        if (status === 'CANCELLED') throw new Error('Generation cancelled by user');
+        if (status === 'FAILED') throw this.createError(request.failStatus);
+        if (status === 'COMPLETED') {
+          const urls = this.render(spec);
+          return {
+            success: true,
+            url: urls[0],
+            urls,
+            seed: spec.seed,
+            metadata: { width: spec.width, height: spec.height, requestId }
+          };
+        }
+      }
+
+      throw new Error('Generation timed out');
+    } finally {
+      this.cancelled.delete(requestId);
+    }
+  }
+
+  /**
+   * Simulated queue state, derived from the request alone so it survives restarts
+   * @returns {string} - 'IN_QUEUE' | 'IN_PROGRESS' | 'COMPLETED' | 'FAILED' | 'CANCELLED'
+   */
+  getQueueStatus(requestId, request) {
+    if (this.cancelled.has(requestId)) return 'CANCELLED';
+
+    const elapsed = Date.now() - request.submittedAt;
+    if (elapsed < request.queueTime) return 'IN_QUEUE';
+    if (request.hang || elapsed < request.queueTime + request.latency) return 'IN_PROGRESS';
+    return request.failStatus ? 'FAILED' : 'COMPLETED';
+  }
+
+  /**
+   * Outcome of a tracked request (polling fallback after a restart)
+   */
+  async fetchRequest(requestId, request = {}) {
+    const status = this.getQueueStatus(requestId, request);
+    switch (status) {
+      case 'COMPLETED':
+        return { requestId, status: 'completed', url: this.render(request.spec)[0], error: null };
+      case 'FAILED':
+        return { requestId, status: 'failed', url: null, error: this.createError(request.failStatus).message };
+      case 'CANCELLED':
+        return { requestId, status: 'failed', url: null, error: 'Generation cancelled by user' };
+      default:
+        return { requestId, status: 'pending', url: null, error: null };
+    }
+  }
+
+  /**
+   * Cancel a queued or in-progress request
+   */
+  async cancelGeneration(requestId) {
+    this.cancelled.add(requestId);
+    return true;
+  }
+
+  /**
+   * Render a spec to files in the media directory (cached by content)
+   * @returns {Array<string>} - Media URLs
+   */
+  render(spec) {
+    fs.mkdirSync(this.mediaDir, { recursive: true });
+
+    const seeds = spec.kind === 'image'
+      ? Array.from({ length: spec.count }, (_, i) => spec.seed + i)
+      : [spec.seed];
+
+    return seeds.map(seed => {
+      const { count, ...item } = { ...spec, seed };
+      const ext = spec.kind === 'image' ? 'png' : 'mp4';
+      const file = `${crypto.createHash('sha256').update(JSON.stringify(item)).digest('hex').slice(0, 32)}.${ext}`;
+      const filePath = path.join(this.mediaDir, file);
+
+      if (!fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, spec.kind === 'image' ? renderImage(item) : renderVideo(item));
+      }
+      return `${this.mediaUrl}/${file}`;
+    });
+  }
+
+  /**
+   * Path of a rendered media file, or null for names this provider never creates
+   * @param {string} file - File name from the media URL
+   * @returns {string|null}
+   */
+  getMediaPath(file) {
+    if (!MEDIA_FILE_PATTERN.test(file)) return null;
+    const filePath = path.join(this.mediaDir, file);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Strip [mock:...] directives from a prompt
+   * @returns {{text: string, directives: Object}}
+   */
+  parsePrompt(prompt = '') {
+    const directives = {};
+    const text = String(prompt || '')
+      .replace(DIRECTIVE_PATTERN, (_, name, value) => {
+        directives[name.toLowerCase()] = value ?? true;
+        return '';
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { text, directives };
+  }
+
+  /**
+   * Requested seed, or one derived from the prompt
+   */
+  getSeed(text, seed) {
+    const requested = parseInt(seed);
+    if (Number.isInteger(requested) && requested >= 0) return requested;
+    return hash(text) % 1000000;
+  }
+
+  /**
+   * HTTP status to fail with, or null. Configured failures are decided by a
+   * hash of the prompt and seed, so a given request always behaves the same.
+   */
+  getFailStatus(spec, directives) {
+    if (directives.fail) {
+      return directives.fail === true ? 500 : parseInt(directives.fail) || 500;
+    }
+    if (this.failureRate > 0 && hash(`${spec.prompt}:${spec.seed}`) / 4294967296 < this.failureRate) {
+      return 503;
+    }
+    return null;
+  }
+
+  /**
+   * Output size from aspect_ratio / image_size, longest side `longSide`,
+   * both sides multiples of 16
+   */
+  getSize(options, longSide) {
+    let ratio = IMAGE_SIZE_RATIOS[options.image_size] || 1;
+    if (options.image_size?.width && options.image_size?.height) {
+      ratio = options.image_size.width / options.image_size.height;
+    }
+    const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(options.aspect_ratio || '');
+    if (match && parseFloat(match[2]) > 0) {
+      ratio = parseFloat(match[1]) / parseFloat(match[2]);
+    }
+
+    const round16 = n => Math.max(16, Math.round(n / 16) * 16);
+    return ratio >= 1
+      ? { width: longSide, height: round16(longSide / ratio) }
+      : { width: round16(longSide * ratio), height: longSide };
+  }
+
+  getTitle(model, kind) {
+    return `OMNIHUB MOCK - ${kind} - ${model.name || model.id || model.apiEndpoint || 'MODEL'}`.slice(0, 60);
+  }
+
+  /**
+   * Simulated provider error, shaped like an HTTP error response
+   */
+  createError(status) {
+    const error = new Error(ERROR_MESSAGES[status] || `Mock provider error ${status} (simulated)`);
+    error.status = status;
+    error.response = { status, data: { detail: error.message } };
+    error.provider = 'mock';
+    return error;
+  }
+}
+
+function toMs(value, fallback) {
+  const ms = parseInt(value);
+  return ms >= 0 ? ms : fallback;
+}
+
+// 32-bit FNV-1a, finalized so neighbouring inputs (seed 1, 2, ...) spread out
+function hash(text) {
+  let h = 0x811C9DC5;
+  for (const char of String(text)) {
+    h ^= char.codePointAt(0);
+    h = Math.imul(h, 0x01000193);
+  }
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+module.exports = MockProvider;
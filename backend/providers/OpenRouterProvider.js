@@ -0,0 +1,301 @@
+/**
+ * OpenRouterProvider - OpenRouter API Provider Implementation
+ *
+ * Implements the BaseProvider interface for OpenRouter's OpenAI-compatible
+ * chat completions API. Used for chat, the AI Director, prompt enhancement
+ * and workflow LLM steps.
+ *
+ * Features:
+ * - Text completion and SSE streaming
+ * - Vision input (image_url message parts)
+ * - Embeddings
+ * - Per-request cost from OpenRouter usage accounting
+ *
+ * API Reference: https://openrouter.ai/docs/api-reference/overview
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./BaseProvider');
+
+class OpenRouterProvider extends BaseProvider {
+  constructor(apiKey, config = {}) {
+    super(apiKey, config);
+    this.name = 'openrouter';
+    this.baseUrl = config.baseUrl || 'https://openrouter.ai/api/v1';
+    this.referer = config.referer || 'http://localhost:5173';
+  }
+
+  /**
+   * Check if OpenRouter is available
+   * Only checks for a key - an extra request before every chat message
+   * would add latency, and auth failures surface on the real call.
+   */
+  async isAvailable() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Build OpenAI-format messages
+   * @param {string} prompt - User message text
+   * @param {Array<Object>} history - Previous messages ({role, content})
+   * @param {Array<string>} images - Image URLs or data URLs for vision models
+   * @param {Object} options - { system, imageDetail }
+   * @returns {Array<Object>}
+   */
+  buildMessages(prompt, history = [], images = [], options = {}) {
+    const messages = [];
+    if (options.system) {
+      messages.push({ role: 'system', content: options.system });
+    }
+    messages.push(...history);
+
+    if (images?.length > 0) {
+      messages.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...images.map(url => ({
+            type: 'image_url',
+            image_url: options.imageDetail ? { url, detail: options.imageDetail } : { url }
+          }))
+        ]
+      });
+    } else {
+      messages.push({ role: 'user', content: prompt });
+    }
+
+    return messages;
+  }
+
+  /**
+   * Complete a chat
+   * @param {Object} model - Chat model ({ apiEndpoint, inputCost, outputCost })
+   * @param {Array<Object>} messages - OpenAI-format messages
+   * @param {Object} options - { maxTokens, temperature, webSearch, title }
+   * @returns {Promise<TextResult>}
+   */
+  async generateText(model, messages, options = {}) {
+    const payload = this.buildPayload(model, messages, options);
+
+    this.log('info', 'Completing chat', { model: payload.model, messages: messages.length });
+
+    try {
+      const response = await this.retry(() => axios.post(`${this.baseUrl}/chat/completions`, payload, {
+        headers: this.getHeaders(options.title),
+        timeout: this.timeout
+      }));
+
+      const data = response.data;
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error(data.error?.message || 'OpenRouter returned no completion');
+      }
+
+      const usage = this.normalizeUsage(data.usage);
+      return {
+        success: true,
+        text,
+        model: data.model || payload.model,
+        usage,
+        cost: this.calculateTextCost(model, usage),
+        finishReason: data.choices[0].finish_reason || null
+      };
+    } catch (error) {
+      this.log('error', 'Chat completion failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream a chat completion
+   * Yields { type: 'content', content } per token chunk, then
+   * { type: 'done', text, model, usage, cost }. Connection errors are retried
+   * before the stream opens; once tokens have been sent there is no retry.
+   * @param {Object} model - Chat model ({ apiEndpoint, inputCost, outputCost })
+   * @param {Array<Object>} messages - OpenAI-format messages
+   * @param {Object} options - { maxTokens, temperature, webSearch, title, signal }
+   */
+  async *streamText(model, messages, options = {}) {
+    const payload = { ...this.buildPayload(model, messages, options), stream: true };
+
+    this.log('info', 'Streaming chat', { model: payload.model, messages: messages.length });
+
+    let response;
+    try {
+      response = await this.retry(() => axios.post(`${this.baseUrl}/chat/completions`, payload, {
+        headers: this.getHeaders(options.title),
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      }));
+    } catch (error) {
+      if (error.response?.data?.pipe) {
+        error.response.data = await this.readStreamBody(error.response.data);
+      }
+      this.log('error', 'Chat stream failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+
+    let text = '';
+    let usage = null;
+    let responseModel = payload.model;
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          continue; // Skip partial or keep-alive lines
+        }
+
+        if (parsed.error) {
+          throw this.normalizeError(new Error(parsed.error.message || 'OpenRouter stream error'));
+        }
+        if (parsed.model) responseModel = parsed.model;
+        if (parsed.usage) usage = this.normalizeUsage(parsed.usage);
+
+        const content = parsed.choices?.[0]?.delta?.content;
+        if (content) {
+          text += content;
+          yield { type: 'content', content };
+        }
+      }
+    }
+
+    yield {
+      type: 'done',
+      text,
+      model: responseModel,
+      usage,
+      cost: this.calculateTextCost(model, usage)
+    };
+  }
+
+  /**
+   * Embed text via OpenRouter
+   * @param {string} model - Vendor-prefixed model slug (openai/text-embedding-3-small)
+   * @param {Array<string>} texts - Texts to embed
+   * @returns {Promise<EmbeddingResult>}
+   */
+  async generateEmbeddings(model, texts, options = {}) {
+    try {
+      const response = await this.retry(() => axios.post(`${this.baseUrl}/embeddings`, {
+        model,
+        input: texts
+      }, {
+        headers: this.getHeaders(options.title),
+        timeout: this.timeout
+      }));
+
+      const data = response.data.data;
+      if (!Array.isArray(data) || data.length !== texts.length) {
+        throw new Error('OpenRouter returned no embeddings');
+      }
+
+      return {
+        success: true,
+        embeddings: [...data].sort((a, b) => a.index - b.index).map(d => d.embedding),
+        model: response.data.model || model,
+        usage: { promptTokens: response.data.usage?.prompt_tokens || null }
+      };
+    } catch (error) {
+      this.log('error', 'Embedding failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Build chat completions payload
+   */
+  buildPayload(model, messages, options = {}) {
+    const endpoint = typeof model === 'string' ? model : model.apiEndpoint || model.id;
+    const payload = {
+      model: options.webSearch ? `${endpoint}:online` : endpoint,
+      messages,
+      // Ask OpenRouter to report token counts and cost with the response
+      usage: { include: true }
+    };
+    if (options.maxTokens) payload.max_tokens = options.maxTokens;
+    if (options.temperature !== undefined) payload.temperature = options.temperature;
+    return payload;
+  }
+
+  /**
+   * Normalize OpenRouter usage block
+   * @returns {{inputTokens: number, outputTokens: number, cost: number|null}|null}
+   */
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      cost: typeof usage.cost === 'number' ? usage.cost : null
+    };
+  }
+
+  /**
+   * Provider cost in USD (1 USD = 1 credit)
+   * Uses the cost OpenRouter reports, falling back to the model's per-1K token pricing.
+   * @returns {number|null}
+   */
+  calculateTextCost(model, usage) {
+    if (!usage) return null;
+    if (usage.cost !== null) return usage.cost;
+    if (typeof model !== 'object' || model.inputCost === undefined) return null;
+    return (usage.inputTokens * model.inputCost / 1000) + (usage.outputTokens * (model.outputCost || 0) / 1000);
+  }
+
+  /**
+   * Read an error body from a streamed response
+   */
+  async readStreamBody(stream) {
+    let body = '';
+    try {
+      for await (const chunk of stream) body += chunk.toString();
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+
+  /**
+   * Normalize error response
+   */
+  normalizeError(error) {
+    const data = error.response?.data;
+    const message = data?.error?.message ||
+                   (typeof data?.error === 'string' ? data.error : null) ||
+                   error.message;
+
+    const normalized = new Error(message);
+    normalized.status = error.response?.status || error.status;
+    normalized.provider = 'openrouter';
+    normalized.originalError = error;
+
+    return normalized;
+  }
+
+  /**
+   * Get request headers
+   */
+  getHeaders(title) {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json',
+      'HTTP-Referer': this.referer,
+      'X-Title': title || 'OmniHub'
+    };
+  }
+}
+
+module.exports = OpenRouterProvider;
@@ -8,20 +8,26 @@
  * - Prediction-based API
  * - Webhook support for async results
  * - Automatic polling fallback
+ * - Progress from prediction logs, written to the generation row
+ * - Cancellation of tracked predictions
  * - Model version management
  * 
  * API Reference: https://replicate.com/docs/reference/http
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const BaseProvider = require('./BaseProvider');
 
+const WEBHOOK_TOLERANCE = 300; // Reject deliveries signed more than 5 minutes away
+
 class ReplicateProvider extends BaseProvider {
   constructor(apiKey, config = {}) {
     super(apiKey, config);
     this.name = 'replicate';
     this.baseUrl = 'https://api.replicate.com/v1';
     this.webhookUrl = config.webhookUrl || null;
+    this.webhookSecret = config.webhookSecret || null;
   }
 
   /**
@@ -66,8 +72,10 @@ class ReplicateProvider extends BaseProvider {
 
   /**
    * Generate video
+   * With a webhook URL and a generation row, returns { status: 'pending' } right
+   * after creating the prediction - the webhook finishes the row.
    */
-  async generateVideo(model, prompt, options = {}, inputImages = []) {
+  async generateVideo(model, prompt, options = {}, inputImages = [], genId = null, db = null) {
     const modelVersion = this.getModelVersion(model, 'video');
     const input = this.buildVideoInput(model, prompt, options, inputImages);
     
@@ -76,8 +84,15 @@ class ReplicateProvider extends BaseProvider {
     });
 
     try {
-      const prediction = await this.createPrediction(modelVersion, input);
-      const result = await this.waitForPrediction(prediction.id, model.maxWaitTime || 600);
+      const callback = !!(this.webhookUrl && genId && db);
+      const prediction = await this.createPrediction(modelVersion, input, callback);
+      this.trackRequest(db, genId, prediction.id, { callback });
+
+      if (callback) {
+        return { success: true, status: 'pending', requestId: prediction.id };
+      }
+
+      const result = await this.waitForPrediction(prediction.id, model.maxWaitTime || 600, genId, db);
       
       return this.normalizeVideoResponse(result);
     } catch (error) {
@@ -113,15 +128,135 @@ class ReplicateProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Upscale video
+   * Like generateVideo: tracked on the generation row, and finished by the
+   * webhook when one is configured.
+   */
+  async upscaleVideo(model, videoUrl, options = {}, genId = null, db = null) {
+    const modelVersion = this.getModelVersion(model, 'upscale');
+    const replicateConfig = model.providerConfig?.replicate || {};
+    
+    const input = {
+      video: videoUrl,
+      scale: parseInt(options.scale_factor) || 2,
+    };
+    const resolution = replicateConfig.resolutionMap?.[String(input.scale)];
+    if (resolution) input.target_resolution = resolution;
+    if (options.target_fps) input.target_fps = parseInt(options.target_fps);
+
+    this.log('info', `Video upscale: ${modelVersion}`, { scaleFactor: input.scale });
+
+    try {
+      const callback = !!(this.webhookUrl && genId && db);
+      const prediction = await this.createPrediction(modelVersion, input, callback);
+      this.trackRequest(db, genId, prediction.id, { callback });
+
+      if (callback) {
+        return { success: true, status: 'pending', requestId: prediction.id };
+      }
+
+      const result = await this.waitForPrediction(prediction.id, model.maxWaitTime || 600, genId, db);
+      
+      return this.normalizeVideoResponse(result);
+    } catch (error) {
+      this.log('error', 'Video upscale failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Generate speech (TTS)
+   */
+  async generateSpeech(model, text, options = {}) {
+    const modelVersion = this.getModelVersion(model, 'tts');
+    const replicateConfig = model.providerConfig?.replicate || {};
+    
+    const input = { text };
+    const voice = options.voice || model.options?.voice?.default;
+    if (voice) input.voice = replicateConfig.voiceMap?.[voice] || voice;
+    if (options.speed !== undefined) input.speed = parseFloat(options.speed);
+
+    this.log('info', `Speech generation: ${modelVersion}`, { voice: input.voice });
+
+    try {
+      const prediction = await this.createPrediction(modelVersion, input);
+      const result = await this.waitForPrediction(prediction.id, 300);
+      const url = Array.isArray(result.output) ? result.output[0] : result.output;
+
+      if (!url) {
+        throw new Error('No audio in response');
+      }
+
+      return {
+        success: true,
+        url,
+        metadata: {
+          predictTime: result.metrics?.predict_time
+        }
+      };
+    } catch (error) {
+      this.log('error', 'Speech generation failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Transcribe audio (STT)
+   */
+  async transcribeAudio(model, audioUrl, options = {}) {
+    const modelVersion = this.getModelVersion(model, 'stt');
+    
+    const input = {
+      audio: audioUrl,
+      translate: options.task === 'translate',
+    };
+    if (options.language) input.language = options.language;
+
+    this.log('info', `Transcription: ${modelVersion}`, { language: options.language || 'auto' });
+
+    try {
+      const prediction = await this.createPrediction(modelVersion, input);
+      const result = await this.waitForPrediction(prediction.id, 600);
+      const output = result.output || {};
+
+      if (typeof output.transcription !== 'string') {
+        throw new Error('No transcript in response');
+      }
+
+      const segments = (output.segments || []).map(segment => ({
+        start: segment.start,
+        end: segment.end,
+        text: segment.text?.trim()
+      }));
+
+      return {
+        success: true,
+        text: output.transcription.trim(),
+        segments,
+        language: output.detected_language || options.language || null,
+        metadata: {
+          duration: segments.length > 0 ? segments[segments.length - 1].end : undefined,
+          predictTime: result.metrics?.predict_time
+        }
+      };
+    } catch (error) {
+      this.log('error', 'Transcription failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
   /**
    * Create a prediction
+   * @param {boolean} withWebhook - Have Replicate POST the finished prediction to our webhook
    */
-  async createPrediction(version, input) {
+  async createPrediction(version, input, withWebhook = false) {
     const payload = { version, input };
     
-    if (this.webhookUrl) {
+    if (withWebhook && this.webhookUrl) {
       payload.webhook = this.webhookUrl;
-      payload.webhook_events_filter = ['completed'];
+      // 'logs' deliveries carry progress; Replicate sends them at most every 500ms
+      payload.webhook_events_filter = ['logs', 'completed'];
     }
 
     const response = await axios.post(`${this.baseUrl}/predictions`, payload, {
@@ -133,13 +268,26 @@ class ReplicateProvider extends BaseProvider {
 
   /**
    * Wait for prediction to complete
+   * With a generation row, also stops on user cancellation (cancelling the
+   * prediction) and writes progress from the prediction logs.
    */
-  async waitForPrediction(predictionId, maxWaitSeconds = 300) {
+  async waitForPrediction(predictionId, maxWaitSeconds = 300, genId = null, db = null) {
     const startTime = Date.now();
     const maxWaitTime = maxWaitSeconds * 1000;
     const pollInterval = 2000;
+    let lastLogLine = null;
+    let lastProgress = null;
 
     while ((Date.now() - startTime) < maxWaitTime) {
+      // Check if cancelled
+      if (genId && db) {
+        const gen = db.prepare('SELECT cancelledAt FROM generations WHERE id = ?').get(genId);
+        if (gen?.cancelledAt) {
+          await this.cancelGeneration(predictionId);
+          throw new Error('Generation cancelled by user');
+        }
+      }
+
       const response = await axios.get(
         `${this.baseUrl}/predictions/${predictionId}`,
         { headers: this.getHeaders() }
@@ -147,8 +295,17 @@ class ReplicateProvider extends BaseProvider {
 
       const prediction = response.data;
       const elapsed = Math.round((Date.now() - startTime) / 1000);
+      const logLine = this.getLastLogLine(prediction.logs);
+      const progress = this.parseProgress(prediction.logs);
 
-      this.log('info', `Status: ${prediction.status} (${elapsed}s)`);
+      // Only log the prediction's output as it grows
+      this.log('info', `Status: ${prediction.status} (${elapsed}s)`, logLine !== lastLogLine && logLine ? { log: logLine } : {});
+      lastLogLine = logLine;
+
+      if (progress !== null && progress !== lastProgress) {
+        this.reportProgress(db, genId, progress);
+        lastProgress = progress;
+      }
 
       if (prediction.status === 'succeeded') {
         return prediction;
@@ -168,6 +325,34 @@ class ReplicateProvider extends BaseProvider {
     throw new Error('Prediction timed out');
   }
 
+  /**
+   * Progress (0-100) from the latest progress bar in prediction logs,
+   * e.g. " 45%|████▌     | 9/20 [00:03<00:04, 2.71it/s]"
+   * @param {string} logs
+   * @returns {number|null}
+   */
+  parseProgress(logs) {
+    if (!logs) return null;
+
+    const matches = [...logs.matchAll(/(\d{1,3})%\||(\d+)\/(\d+) \[/g)];
+    const last = matches[matches.length - 1];
+    if (!last) return null;
+
+    const percent = last[1] !== undefined
+      ? parseInt(last[1])
+      : Math.round(parseInt(last[2]) / parseInt(last[3]) * 100);
+    return Number.isFinite(percent) ? Math.min(100, percent) : null;
+  }
+
+  /**
+   * Last non-empty log line (progress bars redraw with carriage returns)
+   */
+  getLastLogLine(logs) {
+    if (!logs) return null;
+    const lines = logs.split(/[\r\n]+/).map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 ? lines[lines.length - 1] : null;
+  }
+
   /**
    * Check prediction status
    */
@@ -193,6 +378,77 @@ class ReplicateProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Verify a webhook delivery
+   * Replicate signs "id.timestamp.body" with HMAC-SHA256 using the account's
+   * webhook signing secret (whsec_...).
+   */
+  async verifyWebhook(headers, rawBody) {
+    const id = headers['webhook-id'];
+    const timestamp = headers['webhook-timestamp'];
+    const signatures = headers['webhook-signature'];
+
+    if (!this.webhookSecret || !id || !timestamp || !signatures) return false;
+    if (!(Math.abs(Date.now() / 1000 - Number(timestamp)) <= WEBHOOK_TOLERANCE)) return false;
+
+    const key = Buffer.from(this.webhookSecret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest();
+
+    // Header holds space-separated "v1,<base64>" entries (several during secret rotation)
+    return signatures.split(' ').some(entry => {
+      const [version, signature] = entry.split(',');
+      const given = Buffer.from(signature || '', 'base64');
+      return version === 'v1' && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+  }
+
+  /**
+   * Read a webhook payload (the prediction object)
+   */
+  parseWebhook(body) {
+    return this.toOutcome(body);
+  }
+
+  /**
+   * Poll a tracked prediction once
+   */
+  async fetchRequest(requestId) {
+    try {
+      const response = await axios.get(
+        `${this.baseUrl}/predictions/${requestId}`,
+        { headers: this.getHeaders() }
+      );
+      return this.toOutcome(response.data);
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Outcome from a prediction
+   */
+  toOutcome(prediction) {
+    const requestId = prediction.id;
+
+    if (prediction.status === 'succeeded') {
+      const url = Array.isArray(prediction.output) ? prediction.output[0] : prediction.output;
+      if (!url) {
+        return { requestId, status: 'failed', error: 'No result in response' };
+      }
+      return { requestId, status: 'completed', url };
+    }
+
+    if (prediction.status === 'failed') {
+      return { requestId, status: 'failed', error: prediction.error || 'Prediction failed' };
+    }
+
+    if (prediction.status === 'canceled') {
+      return { requestId, status: 'failed', error: 'Prediction was canceled' };
+    }
+
+    return { requestId, status: 'pending', progress: this.parseProgress(prediction.logs) };
+  }
+
   /**
    * Cancel prediction
    */
@@ -261,6 +517,7 @@ class ReplicateProvider extends BaseProvider {
     if (inputImages?.length > 0) {
       input.image = inputImages[0];
       if (options.strength) input.prompt_strength = parseFloat(options.strength);
+      if (options.mask_image) input.mask = options.mask_image;
     }
 
     return input;
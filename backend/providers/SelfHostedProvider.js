@@ -11,13 +11,27 @@
  * - Full control over generation
  * 
  * Supported backends:
- * - ComfyUI (with API mode enabled)
- * - Automatic1111/Stable Diffusion WebUI
+ * - ComfyUI (API-format workflow templates, see ComfyTemplateLibrary)
+ * - Automatic1111/Stable Diffusion WebUI, with ControlNet units, LoRAs and
+ *   inpainting masks from the unified registry options
  * - Custom REST endpoints
+ * - Text embeddings (OpenAI-compatible /v1/embeddings, e.g. Ollama, vLLM, TEI)
+ * - Chat completions (OpenAI-compatible /v1/chat/completions at textUrl), so
+ *   chat and LLM steps can fail over from OpenRouter to a local model
  */
 
 const axios = require('axios');
 const BaseProvider = require('./BaseProvider');
+const ComfyTemplateLibrary = require('./ComfyTemplateLibrary');
+
+// ControlNet preprocessor and default model per unified `controlnet` type.
+// Model names depend on what the server has installed; models override them
+// with providers.selfhosted.controlnetModels.
+const CONTROLNET_TYPES = {
+  pose: { module: 'openpose_full', model: 'control_v11p_sd15_openpose' },
+  depth: { module: 'depth_midas', model: 'control_v11f1p_sd15_depth' },
+  canny: { module: 'canny', model: 'control_v11p_sd15_canny' },
+};
 
 class SelfHostedProvider extends BaseProvider {
   constructor(apiKey, config = {}) {
@@ -25,6 +39,7 @@ class SelfHostedProvider extends BaseProvider {
     this.name = 'selfhosted';
     this.baseUrl = config.baseUrl || 'http://localhost:7860';
     this.backend = config.backend || 'automatic1111'; // 'comfyui' | 'automatic1111' | 'custom'
+    this.comfyTemplates = null; // Loaded on first ComfyUI generation
   }
 
   /**
@@ -76,33 +91,195 @@ class SelfHostedProvider extends BaseProvider {
     throw new Error('Video generation not supported for self-hosted provider. Configure a workflow or use cloud providers.');
   }
 
+  /**
+   * Embed texts via an OpenAI-compatible embeddings endpoint
+   * (embeddingUrl defaults to the server's base URL)
+   */
+  async generateEmbeddings(model, texts, options = {}) {
+    const baseUrl = this.config.embeddingUrl || this.baseUrl;
+    const endpoint = options.endpoint || '/v1/embeddings';
+
+    this.log('info', 'Embedding via self-hosted', { model, count: texts.length });
+
+    try {
+      const response = await axios.post(`${baseUrl}${endpoint}`, {
+        model,
+        input: texts
+      }, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeout
+      });
+
+      return this.normalizeEmbeddingResponse(response.data, model);
+    } catch (error) {
+      this.log('error', 'Embedding failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  // ============ TEXT ============
+
+  /**
+   * Whether an OpenAI-compatible chat server is configured (textUrl)
+   */
+  isTextConfigured() {
+    return !!this.config.textUrl;
+  }
+
+  /**
+   * Complete a chat via the OpenAI-compatible chat completions endpoint
+   * @param {Object|string} model - Chat model; textModel, when set, names the local model instead
+   * @param {Array<Object>} messages - OpenAI-format messages
+   * @param {Object} options - { maxTokens, temperature }
+   * @returns {Promise<TextResult>}
+   */
+  async generateText(model, messages, options = {}) {
+    const payload = this.buildTextPayload(model, messages, options);
+
+    this.log('info', 'Completing chat via self-hosted', { model: payload.model, messages: messages.length });
+
+    try {
+      const response = await axios.post(`${this.config.textUrl}/v1/chat/completions`, payload, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeout
+      });
+
+      const data = response.data;
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Self-hosted server returned no completion');
+      }
+
+      return {
+        success: true,
+        text,
+        model: data.model || payload.model,
+        usage: this.normalizeTextUsage(data.usage),
+        cost: null, // No provider cost; callers price by the chat model
+        finishReason: data.choices[0].finish_reason || null
+      };
+    } catch (error) {
+      this.log('error', 'Chat completion failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+  }
+
+  /**
+   * Stream a chat completion
+   * Yields { type: 'content', content } chunks, then { type: 'done', text, model, usage, cost }
+   */
+  async *streamText(model, messages, options = {}) {
+    const payload = { ...this.buildTextPayload(model, messages, options), stream: true };
+
+    this.log('info', 'Streaming chat via self-hosted', { model: payload.model, messages: messages.length });
+
+    let response;
+    try {
+      response = await axios.post(`${this.config.textUrl}/v1/chat/completions`, payload, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        timeout: this.timeout,
+        responseType: 'stream',
+        signal: options.signal
+      });
+    } catch (error) {
+      this.log('error', 'Chat stream failed', { error: error.message });
+      throw this.normalizeError(error);
+    }
+
+    let text = '';
+    let usage = null;
+    let responseModel = payload.model;
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') continue;
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          continue; // Skip partial or keep-alive lines
+        }
+
+        if (parsed.error) {
+          throw this.normalizeError(new Error(parsed.error.message || 'Self-hosted stream error'));
+        }
+        if (parsed.model) responseModel = parsed.model;
+        if (parsed.usage) usage = this.normalizeTextUsage(parsed.usage);
+
+        const content = parsed.choices?.[0]?.delta?.content;
+        if (content) {
+          text += content;
+          yield { type: 'content', content };
+        }
+      }
+    }
+
+    yield { type: 'done', text, model: responseModel, usage, cost: null };
+  }
+
+  /**
+   * Build chat completions payload (web search is an OpenRouter feature and is ignored)
+   */
+  buildTextPayload(model, messages, options = {}) {
+    const requested = typeof model === 'string' ? model : model.apiEndpoint || model.id;
+    const payload = { model: this.config.textModel || requested, messages };
+    if (options.maxTokens) payload.max_tokens = options.maxTokens;
+    if (options.temperature !== undefined) payload.temperature = options.temperature;
+    return payload;
+  }
+
+  normalizeTextUsage(usage) {
+    if (!usage) return null;
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0, cost: null };
+  }
+
   /**
    * Generate via ComfyUI
    */
   async generateComfyUI(model, prompt, options = {}, inputImages = []) {
-    const workflow = this.buildComfyWorkflow(model, prompt, options, inputImages);
+    // LoadImage nodes read from ComfyUI's input folder, so images are uploaded first
+    const uploadedImages = [];
+    for (const image of inputImages || []) {
+      uploadedImages.push(await this.uploadComfyImage(image));
+    }
+
+    // Fix the seed up front so it can be reported with the result
+    const seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+    const workflow = this.buildComfyWorkflow(model, prompt, { ...options, seed }, uploadedImages);
     
     // Submit workflow
     const response = await axios.post(`${this.baseUrl}/prompt`, {
       prompt: workflow
-    });
+    }, { timeout: this.timeout });
 
     const promptId = response.data.prompt_id;
 
     // Poll for result
     const result = await this.pollComfyUI(promptId);
     
-    return this.normalizeComfyResponse(result);
+    return { ...(await this.normalizeComfyResponse(result)), seed };
   }
 
   /**
    * Generate via Automatic1111
+   * Unified options: controlnet (+ controlnet_weight) with control images,
+   * lora (+ lora_scale) and mask_image for inpainting
    */
   async generateAutomatic1111(model, prompt, options = {}, inputImages = []) {
-    const endpoint = inputImages?.length > 0 ? '/sdapi/v1/img2img' : '/sdapi/v1/txt2img';
+    const selfhostedConfig = model.providerConfig?.selfhosted || {};
+    const { initImage, controlUnits } = this.splitA1111Inputs(options, inputImages);
+    const endpoint = initImage ? '/sdapi/v1/img2img' : '/sdapi/v1/txt2img';
     
     const payload = {
-      prompt,
+      prompt: this.addLoraTag(prompt, options, selfhostedConfig),
       negative_prompt: options.negative_prompt || '',
       steps: options.steps || 30,
       cfg_scale: options.guidance_scale || 7,
@@ -120,16 +297,38 @@ class SelfHostedProvider extends BaseProvider {
     }
 
     // Add input image for img2img
-    if (inputImages?.length > 0) {
+    if (initImage) {
       // Fetch and convert to base64 if it's a URL
-      const imageBase64 = await this.fetchImageAsBase64(inputImages[0]);
+      const imageBase64 = await this.fetchImageAsBase64(initImage);
       payload.init_images = [imageBase64];
       payload.denoising_strength = options.strength || 0.75;
     }
 
+    // Inpainting: repaint the white areas of the mask, keep the rest of the source
+    if (options.mask_image) {
+      if (!initImage) {
+        throw new Error('Inpainting needs a source image as well as a mask');
+      }
+      payload.mask = await this.fetchImageAsBase64(options.mask_image);
+      payload.mask_blur = parseInt(options.mask_blur) || 4;
+      payload.inpainting_fill = 1; // start from the original content
+      payload.inpaint_full_res = true; // work on the masked area at full resolution
+      payload.inpaint_full_res_padding = 32;
+      payload.inpainting_mask_invert = 0;
+    }
+
+    // ControlNet units go through the sd-webui-controlnet extension
+    if (controlUnits.length > 0) {
+      const args = [];
+      for (const unit of controlUnits) {
+        args.push(await this.buildControlNetUnit(unit, options, selfhostedConfig));
+      }
+      payload.alwayson_scripts = { controlnet: { args } };
+    }
+
     // Override model if specified
-    if (model.providerConfig?.selfhosted?.checkpoint) {
-      await this.setA1111Model(model.providerConfig.selfhosted.checkpoint);
+    if (selfhostedConfig.checkpoint) {
+      await this.setA1111Model(selfhostedConfig.checkpoint);
     }
 
     const response = await axios.post(`${this.baseUrl}${endpoint}`, payload, {
@@ -139,6 +338,64 @@ class SelfHostedProvider extends BaseProvider {
     return this.normalizeA1111Response(response.data);
   }
 
+  /**
+   * Split input images into the img2img source and ControlNet control images.
+   * Control images are the last ones, one per `controlnet` type (comma-separated);
+   * a remaining first image is the source.
+   * @returns {{initImage: string|null, controlUnits: Array<{type: string, image: string}>}}
+   */
+  splitA1111Inputs(options = {}, inputImages = []) {
+    const images = inputImages || [];
+    const types = String(options.controlnet || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(type => type && type !== 'none');
+
+    for (const type of types) {
+      if (!CONTROLNET_TYPES[type]) {
+        throw new Error(`Unknown ControlNet type: ${type} (expected ${Object.keys(CONTROLNET_TYPES).join(', ')})`);
+      }
+    }
+    if (types.length > images.length) {
+      throw new Error(`ControlNet ${types.join(', ')} needs ${types.length} control image(s), got ${images.length}`);
+    }
+
+    const controlImages = images.slice(images.length - types.length);
+    return {
+      initImage: images.length > types.length ? images[0] : null,
+      controlUnits: types.map((type, i) => ({ type, image: controlImages[i] }))
+    };
+  }
+
+  /**
+   * Build one sd-webui-controlnet unit
+   */
+  async buildControlNetUnit(unit, options = {}, selfhostedConfig = {}) {
+    const defaults = CONTROLNET_TYPES[unit.type];
+    return {
+      enabled: true,
+      image: await this.fetchImageAsBase64(unit.image),
+      module: defaults.module,
+      model: selfhostedConfig.controlnetModels?.[unit.type] || defaults.model,
+      weight: parseFloat(options.controlnet_weight) || 1,
+      resize_mode: 'Crop and Resize',
+      pixel_perfect: true,
+      control_mode: 'Balanced',
+    };
+  }
+
+  /**
+   * Append the A1111 LoRA prompt tag (<lora:file:scale>) for the `lora` option,
+   * mapping unified names through providers.selfhosted.loraMap
+   */
+  addLoraTag(prompt, options = {}, selfhostedConfig = {}) {
+    if (!options.lora || options.lora === 'none') return prompt;
+
+    const name = selfhostedConfig.loraMap?.[options.lora] || options.lora;
+    const scale = parseFloat(options.lora_scale) || 0.8;
+    return `${prompt} <lora:${name}:${scale}>`;
+  }
+
   /**
    * Generate via custom endpoint
    */
@@ -183,7 +440,11 @@ class SelfHostedProvider extends BaseProvider {
           return result;
         }
         if (result.status?.status_str === 'error') {
-          throw new Error('ComfyUI workflow failed');
+          // messages is a list of [eventName, data] pairs
+          const failure = (result.status.messages || []).find(([event]) => event === 'execution_error')?.[1];
+          throw new Error(failure
+            ? `ComfyUI workflow failed in ${failure.node_type}: ${failure.exception_message}`
+            : 'ComfyUI workflow failed');
         }
       }
     }
@@ -192,21 +453,87 @@ class SelfHostedProvider extends BaseProvider {
   }
 
   /**
-   * Build ComfyUI workflow (simplified - real implementation would be more complex)
+   * Get the template library (built-ins plus config.comfyTemplatesDir)
+   */
+  getComfyTemplates() {
+    if (!this.comfyTemplates) {
+      this.comfyTemplates = new ComfyTemplateLibrary({ templatesDir: this.config.comfyTemplatesDir });
+    }
+    return this.comfyTemplates;
+  }
+
+  /**
+   * Build a ComfyUI workflow from the model's template
+   * @param {Object} model - Model with providerConfig.selfhosted (checkpoint, comfyTemplate)
+   * @param {string} prompt - Text prompt
+   * @param {Object} options - Generation options
+   * @param {Array<string>} inputImages - Image names returned by /upload/image
+   * @returns {Object} - API-format workflow
    */
   buildComfyWorkflow(model, prompt, options = {}, inputImages = []) {
-    // This is a simplified example - real workflows are much more complex
-    // In production, you'd load workflow templates from files
-    return {
-      '3': {
-        inputs: {
-          text: prompt,
-          clip: ['4', 0]
-        },
-        class_type: 'CLIPTextEncode'
-      },
-      // ... more nodes would be here
+    const templates = this.getComfyTemplates();
+    const templateName = templates.resolve(model, inputImages.length > 0);
+
+    const { width, height } = options.image_size
+      ? this.parseSizePreset(options.image_size)
+      : { width: options.width || 1024, height: options.height || 1024 };
+    const seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+
+    const bindings = {
+      prompt,
+      negative_prompt: options.negative_prompt || '',
+      seed,
+      width,
+      height,
+      checkpoint: model.providerConfig?.selfhosted?.checkpoint || model.checkpoint,
+      image: inputImages[0],
+      steps: options.steps || 30,
+      cfg: options.guidance_scale || 7,
+      guidance: options.guidance_scale || 3.5,
+      denoise: options.strength || 0.75,
+      batch_size: parseInt(options.num_images, 10) || 1,
+      sampler: options.sampler || 'dpmpp_2m',
+      scheduler: options.scheduler || 'karras',
     };
+    inputImages.forEach((name, i) => { bindings[`image_${i + 1}`] = name; });
+
+    this.log('info', 'Building ComfyUI workflow', { template: templateName, model: model.id });
+
+    return templates.build(templateName, bindings);
+  }
+
+  /**
+   * Upload an input image to ComfyUI's input folder
+   * @param {string} image - URL or data URL
+   * @returns {Promise<string>} - Name to use in LoadImage nodes
+   */
+  async uploadComfyImage(image) {
+    const base64 = await this.fetchImageAsBase64(image);
+    const mimeType = image.match(/^data:([^;]+);/)?.[1] || 'image/png';
+    const extension = mimeType.split('/')[1] || 'png';
+
+    const form = new FormData();
+    form.append('image', new Blob([Buffer.from(base64, 'base64')], { type: mimeType }), `omnihub-${Date.now()}.${extension}`);
+    form.append('type', 'input');
+    form.append('overwrite', 'true');
+
+    const response = await axios.post(`${this.baseUrl}/upload/image`, form, { timeout: this.timeout });
+    const { name, subfolder } = response.data;
+    return subfolder ? `${subfolder}/${name}` : name;
+  }
+
+  /**
+   * Download a ComfyUI output image from /view as a data URL
+   * (the ComfyUI box is usually not reachable from clients)
+   */
+  async fetchComfyImage(image) {
+    const response = await axios.get(`${this.baseUrl}/view`, {
+      params: { filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' },
+      responseType: 'arraybuffer',
+      timeout: this.timeout
+    });
+    const mimeType = response.headers['content-type'] || 'image/png';
+    return `data:${mimeType};base64,${Buffer.from(response.data).toString('base64')}`;
   }
 
   /**
@@ -324,25 +651,48 @@ class SelfHostedProvider extends BaseProvider {
   /**
    * Normalize ComfyUI response
    */
-  normalizeComfyResponse(data) {
-    // ComfyUI outputs are in the outputs field
-    const outputs = Object.values(data.outputs || {})[0];
-    const images = outputs?.images || [];
+  async normalizeComfyResponse(data) {
+    // Collect images from every output node; saved images win over previews
+    const allImages = Object.values(data.outputs || {}).flatMap(output => output.images || []);
+    const saved = allImages.filter(img => img.type === 'output');
+    const images = saved.length > 0 ? saved : allImages;
 
     if (images.length === 0) {
       throw new Error('No images in ComfyUI output');
     }
 
-    // Build URLs from ComfyUI output info
-    const urls = images.map(img => 
-      `${this.baseUrl}/view?filename=${img.filename}&subfolder=${img.subfolder}&type=${img.type}`
-    );
+    const urls = [];
+    for (const image of images) {
+      urls.push(await this.fetchComfyImage(image));
+    }
 
     return {
       success: true,
       urls,
       url: urls[0],
-      metadata: {}
+      metadata: {
+        files: images.map(({ filename, subfolder, type }) => ({ filename, subfolder, type }))
+      }
+    };
+  }
+
+  /**
+   * Normalize embeddings response (OpenAI format, or Ollama's { embeddings })
+   */
+  normalizeEmbeddingResponse(data, model) {
+    const embeddings = Array.isArray(data.data)
+      ? [...data.data].sort((a, b) => a.index - b.index).map(d => d.embedding)
+      : data.embeddings;
+
+    if (!Array.isArray(embeddings) || embeddings.length === 0) {
+      throw new Error('No embeddings in response');
+    }
+
+    return {
+      success: true,
+      embeddings,
+      model: data.model || model,
+      usage: { promptTokens: data.usage?.prompt_tokens || data.prompt_eval_count || null }
     };
   }
 
@@ -350,7 +700,11 @@ class SelfHostedProvider extends BaseProvider {
    * Normalize error
    */
   normalizeError(error) {
-    const message = error.response?.data?.error || 
+    // ComfyUI reports rejected workflows as { error: { message, details }, node_errors }
+    const comfyError = error.response?.data?.error?.message &&
+      [error.response.data.error.message, error.response.data.error.details].filter(Boolean).join(': ');
+    const message = comfyError ||
+                   error.response?.data?.error || 
                    error.response?.data?.detail ||
                    error.message;
     
@@ -3,12 +3,16 @@
  * 
  * Central registry for all AI generation providers.
  * Provides factory methods to get provider instances.
+ * Providers outside this file are added at startup by the plugin loader
+ * (see pluginLoader.js) through registerProvider().
  */
 
 const BaseProvider = require('./BaseProvider');
 const FalProvider = require('./FalProvider');
 const ReplicateProvider = require('./ReplicateProvider');
 const SelfHostedProvider = require('./SelfHostedProvider');
+const OpenRouterProvider = require('./OpenRouterProvider');
+const MockProvider = require('./MockProvider');
 
 // Provider configuration
 const PROVIDER_CONFIG = {
@@ -33,6 +37,22 @@ const PROVIDER_CONFIG = {
     settingsKey: 'selfhostedUrl',
     priority: 3,
   },
+  openrouter: {
+    name: 'OpenRouter',
+    class: OpenRouterProvider,
+    envKey: 'OPENROUTER_API_KEY',
+    settingsKey: 'openrouterApiKey',
+    priority: 4,
+    textOnly: true, // Chat / LLM only - never picked for media generation
+  },
+  mock: {
+    name: 'Mock (local)',
+    class: MockProvider,
+    envKey: 'MOCK_PROVIDER',
+    settingsKey: 'mockProviderEnabled',
+    priority: 99,
+    fallbackForAll: true, // When enabled, the last fallback for every registry model
+  },
 };
 
 // Cached provider instances
@@ -40,7 +60,7 @@ const providerInstances = new Map();
 
 /**
  * Get a provider instance
- * @param {string} providerId - Provider ID (fal, replicate, selfhosted)
+ * @param {string} providerId - Provider ID (fal, replicate, selfhosted, openrouter, mock)
  * @param {Function} getSettingFn - Function to get settings from DB
  * @returns {BaseProvider}
  */
@@ -57,7 +77,7 @@ function getProvider(providerId, getSettingFn) {
 
   // Get API key from settings or environment
   let apiKey = null;
-  if (getSettingFn) {
+  if (getSettingFn && config.settingsKey) {
     apiKey = getSettingFn(config.settingsKey);
   }
   if (!apiKey && config.envKey) {
@@ -70,16 +90,76 @@ function getProvider(providerId, getSettingFn) {
   // Add self-hosted specific config
   if (providerId === 'selfhosted') {
     providerConfig.baseUrl = apiKey || process.env.SELFHOSTED_URL || 'http://localhost:7860';
-    providerConfig.backend = process.env.SELFHOSTED_BACKEND || 'automatic1111';
+    providerConfig.backend = (getSettingFn && getSettingFn('selfhostedBackend')) || process.env.SELFHOSTED_BACKEND || 'automatic1111';
+    providerConfig.embeddingUrl = (getSettingFn && getSettingFn('selfhostedEmbeddingUrl')) || process.env.SELFHOSTED_EMBEDDING_URL;
+    providerConfig.textUrl = ((getSettingFn && getSettingFn('selfhostedTextUrl')) || process.env.SELFHOSTED_TEXT_URL || '').replace(/\/+$/, '') || null;
+    providerConfig.textModel = (getSettingFn && getSettingFn('selfhostedTextModel')) || process.env.SELFHOSTED_TEXT_MODEL;
+    providerConfig.comfyTemplatesDir = (getSettingFn && getSettingFn('comfyuiTemplatesDir')) || process.env.COMFYUI_TEMPLATES_DIR;
     apiKey = null; // Self-hosted doesn't need an API key in the traditional sense
   }
 
+  // Mock provider: simulation settings, media served by this backend
+  if (providerId === 'mock') {
+    const setting = (key, envKey) => (getSettingFn && getSettingFn(key)) || process.env[envKey];
+    providerConfig.enabled = ['true', '1'].includes(String(apiKey).toLowerCase());
+    providerConfig.latency = setting('mockLatencyMs', 'MOCK_LATENCY_MS');
+    providerConfig.queueTime = setting('mockQueueMs', 'MOCK_QUEUE_MS');
+    providerConfig.failureRate = setting('mockFailureRate', 'MOCK_FAILURE_RATE');
+    providerConfig.mediaDir = process.env.MOCK_MEDIA_DIR;
+    const baseUrl = setting('publicApiUrl', 'PUBLIC_API_URL') || `http://localhost:${process.env.PORT || 3001}`;
+    providerConfig.mediaUrl = `${baseUrl.replace(/\/+$/, '')}/api/providers/mock/media`;
+    apiKey = null;
+  }
+
+  // Plugin providers build their config from the settings they declare
+  if (config.configure) {
+    Object.assign(providerConfig, config.configure(getSettingFn));
+  }
+
+  // Async providers report results to /api/providers/:id/webhook when we are reachable
+  if (providerId === 'fal' || providerId === 'replicate' || config.webhooks) {
+    providerConfig.webhookUrl = getWebhookUrl(providerId, getSettingFn);
+  }
+  if (providerId === 'replicate') {
+    providerConfig.webhookSecret = (getSettingFn && getSettingFn('replicateWebhookSecret')) || process.env.REPLICATE_WEBHOOK_SECRET;
+  }
+
   const instance = new config.class(apiKey, providerConfig);
+  // Requests, webhooks and health are attributed by provider name, whatever a plugin's constructor set
+  if (config.plugin) {
+    instance.name = providerId;
+  }
   providerInstances.set(providerId, instance);
   
   return instance;
 }
 
+/**
+ * Register a provider that is not built in (plugins)
+ * @param {string} providerId - Provider ID
+ * @param {Object} config - PROVIDER_CONFIG entry (name, class, envKey, settingsKey, priority, configure)
+ */
+function registerProvider(providerId, config) {
+  if (PROVIDER_CONFIG[providerId]) {
+    throw new Error(`Provider ${providerId} is already registered`);
+  }
+  PROVIDER_CONFIG[providerId] = config;
+  providerInstances.delete(providerId);
+}
+
+/**
+ * Webhook URL a provider should call back, or null when no public URL is configured
+ * (providers cannot reach localhost, so results are polled instead)
+ * @param {string} providerId - Provider ID
+ * @param {Function} getSettingFn - Function to get settings from DB
+ * @returns {string|null}
+ */
+function getWebhookUrl(providerId, getSettingFn) {
+  const baseUrl = (getSettingFn && getSettingFn('publicApiUrl')) || process.env.PUBLIC_API_URL;
+  if (!baseUrl) return null;
+  return `${baseUrl.replace(/\/+$/, '')}/api/providers/${providerId}/webhook`;
+}
+
 /**
  * Get all available providers
  * @param {Function} getSettingFn - Function to get settings from DB
@@ -120,17 +200,18 @@ function clearProviderCache() {
 }
 
 /**
- * Get provider by priority that is available
+ * Get media generation provider by priority that is available
  * @param {Function} getSettingFn - Function to get settings from DB
  * @param {string} [preferredProvider] - Preferred provider to try first
  * @returns {Promise<BaseProvider|null>}
  */
 async function getFirstAvailableProvider(getSettingFn, preferredProvider = null) {
   const providerIds = Object.keys(PROVIDER_CONFIG)
+    .filter(id => !PROVIDER_CONFIG[id].textOnly)
     .sort((a, b) => PROVIDER_CONFIG[a].priority - PROVIDER_CONFIG[b].priority);
 
   // Try preferred provider first
-  if (preferredProvider && PROVIDER_CONFIG[preferredProvider]) {
+  if (preferredProvider && providerIds.includes(preferredProvider)) {
     const provider = getProvider(preferredProvider, getSettingFn);
     if (await provider.isAvailable()) {
       return provider;
@@ -156,12 +237,16 @@ module.exports = {
   FalProvider,
   ReplicateProvider,
   SelfHostedProvider,
+  OpenRouterProvider,
+  MockProvider,
   
   // Factory functions
   getProvider,
   getAvailableProviders,
   getFirstAvailableProvider,
   clearProviderCache,
+  getWebhookUrl,
+  registerProvider,
   
   // Config
   PROVIDER_CONFIG,
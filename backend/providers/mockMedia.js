@@ -0,0 +1,605 @@
+/**
+ * Mock Media - placeholder images and videos rendered without network or native deps
+ *
+ * Used by MockProvider. Every frame shows the prompt and seed on a gradient
+ * derived from the seed, so the same inputs always produce the same bytes.
+ *
+ * - Images: 24-bit PNG (zlib from Node core)
+ * - Videos: H.264 Constrained Baseline in MP4. Macroblocks are stored
+ *   uncompressed (I_PCM); after the first frame only macroblocks that changed
+ *   are coded and the rest are skipped, which keeps short clips small enough
+ *   and plays in every browser.
+ */
+
+const zlib = require('zlib');
+
+// 5x7 bitmap font, one 5-bit row per entry (bit 4 = leftmost pixel)
+const FONT = {
+  'A': [14, 17, 17, 31, 17, 17, 17], 'B': [30, 17, 17, 30, 17, 17, 30], 'C': [14, 17, 16, 16, 16, 17, 14],
+  'D': [28, 18, 17, 17, 17, 18, 28], 'E': [31, 16, 16, 30, 16, 16, 31], 'F': [31, 16, 16, 30, 16, 16, 16],
+  'G': [14, 17, 16, 23, 17, 17, 15], 'H': [17, 17, 17, 31, 17, 17, 17], 'I': [14, 4, 4, 4, 4, 4, 14],
+  'J': [7, 2, 2, 2, 2, 18, 12], 'K': [17, 18, 20, 24, 20, 18, 17], 'L': [16, 16, 16, 16, 16, 16, 31],
+  'M': [17, 27, 21, 21, 17, 17, 17], 'N': [17, 17, 25, 21, 19, 17, 17], 'O': [14, 17, 17, 17, 17, 17, 14],
+  'P': [30, 17, 17, 30, 16, 16, 16], 'Q': [14, 17, 17, 17, 21, 18, 13], 'R': [30, 17, 17, 30, 20, 18, 17],
+  'S': [15, 16, 16, 14, 1, 1, 30], 'T': [31, 4, 4, 4, 4, 4, 4], 'U': [17, 17, 17, 17, 17, 17, 14],
+  'V': [17, 17, 17, 17, 17, 10, 4], 'W': [17, 17, 17, 21, 21, 21, 10], 'X': [17, 17, 10, 4, 10, 17, 17],
+  'Y': [17, 17, 10, 4, 4, 4, 4], 'Z': [31, 1, 2, 4, 8, 16, 31],
+  '0': [14, 17, 19, 21, 25, 17, 14], '1': [4, 12, 4, 4, 4, 4, 14], '2': [14, 17, 1, 2, 4, 8, 31],
+  '3': [31, 2, 4, 2, 1, 17, 14], '4': [2, 6, 10, 18, 31, 2, 2], '5': [31, 16, 30, 1, 1, 17, 14],
+  '6': [6, 8, 16, 30, 17, 17, 14], '7': [31, 1, 2, 4, 8, 8, 8], '8': [14, 17, 17, 14, 17, 17, 14],
+  '9': [14, 17, 17, 15, 1, 2, 12],
+  ' ': [0, 0, 0, 0, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12], ',': [0, 0, 0, 0, 12, 4, 8],
+  ':': [0, 12, 12, 0, 12, 12, 0], ';': [0, 12, 12, 0, 12, 4, 8], '!': [4, 4, 4, 4, 4, 0, 4],
+  '?': [14, 17, 1, 2, 4, 0, 4], '-': [0, 0, 0, 31, 0, 0, 0], '+': [0, 4, 4, 31, 4, 4, 0],
+  '\'': [4, 4, 8, 0, 0, 0, 0], '"': [10, 10, 0, 0, 0, 0, 0], '/': [0, 1, 2, 4, 8, 16, 0],
+  '(': [2, 4, 8, 8, 8, 4, 2], ')': [8, 4, 2, 2, 2, 4, 8], '#': [10, 10, 31, 10, 31, 10, 10],
+  '%': [24, 25, 2, 4, 8, 19, 3], '&': [12, 18, 20, 8, 21, 18, 13], '=': [0, 0, 31, 0, 31, 0, 0],
+  '_': [0, 0, 0, 0, 0, 0, 31], '*': [0, 4, 21, 14, 21, 4, 0], '@': [14, 17, 1, 13, 21, 21, 14],
+  '[': [14, 8, 8, 8, 8, 8, 14], ']': [14, 2, 2, 2, 2, 2, 14], '<': [2, 4, 8, 16, 8, 4, 2],
+  '>': [8, 4, 2, 1, 2, 4, 8],
+};
+
+const WHITE = [255, 255, 255];
+const SHADOW = [12, 12, 20];
+
+// ============ Drawing ============
+
+/**
+ * Deterministic PRNG (mulberry32)
+ * @param {number} seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const a = s * Math.min(l, 1 - l);
+  const f = n => l - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0), f(8), f(4)].map(v => Math.round(v * 255));
+}
+
+/**
+ * Colors for a seed: gradient top/bottom and an accent
+ */
+function getPalette(seed) {
+  const random = createRandom(seed);
+  const hue = random() * 360;
+  return {
+    top: hslToRgb(hue, 0.55, 0.38),
+    bottom: hslToRgb((hue + 50) % 360, 0.6, 0.16),
+    accent: hslToRgb((hue + 180) % 360, 0.75, 0.62),
+  };
+}
+
+function createCanvas(width, height) {
+  return { width, height, data: new Uint8Array(width * height * 3) };
+}
+
+function fillRect(canvas, x, y, w, h, color) {
+  const x0 = Math.max(0, x), y0 = Math.max(0, y);
+  const x1 = Math.min(canvas.width, x + w), y1 = Math.min(canvas.height, y + h);
+  for (let py = y0; py < y1; py++) {
+    for (let px = x0; px < x1; px++) {
+      const i = (py * canvas.width + px) * 3;
+      canvas.data[i] = color[0];
+      canvas.data[i + 1] = color[1];
+      canvas.data[i + 2] = color[2];
+    }
+  }
+}
+
+function fillGradient(canvas, top, bottom) {
+  for (let y = 0; y < canvas.height; y++) {
+    const t = y / Math.max(1, canvas.height - 1);
+    fillRect(canvas, 0, y, canvas.width, 1, top.map((c, i) => Math.round(c + (bottom[i] - c) * t)));
+  }
+}
+
+function drawText(canvas, text, x, y, scale, color) {
+  for (const char of text) {
+    const glyph = FONT[char] || FONT['?'];
+    glyph.forEach((row, gy) => {
+      for (let gx = 0; gx < 5; gx++) {
+        if (row & (16 >> gx)) fillRect(canvas, x + gx * scale, y + gy * scale, scale, scale, color);
+      }
+    });
+    x += 6 * scale;
+  }
+}
+
+function drawLabel(canvas, label, y, scale, align = 'center') {
+  const margin = Math.round(canvas.width * 0.06);
+  const maxChars = Math.max(1, Math.floor((canvas.width - margin * 2) / (6 * scale)));
+  const text = [...label.toUpperCase()].map(c => (FONT[c] ? c : '?')).join('').slice(0, maxChars);
+  const width = text.length * 6 * scale - scale;
+  const x = align === 'left' ? margin : Math.round((canvas.width - width) / 2);
+  const offset = Math.max(1, Math.round(scale / 2));
+  drawText(canvas, text, x + offset, y + offset, scale, SHADOW);
+  drawText(canvas, text, x, y, scale, WHITE);
+}
+
+/**
+ * Upper-case and word-wrap text to the font, truncating to maxLines
+ */
+function wrapText(text, maxChars, maxLines) {
+  const words = text.toUpperCase().replace(/\s+/g, ' ').trim().split(' ')
+    .map(word => [...word].map(c => (FONT[c] ? c : '?')).join(''))
+    .flatMap(word => word.match(new RegExp(`.{1,${maxChars}}`, 'g')) || []);
+
+  const lines = [];
+  for (const word of words) {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && last.length + 1 + word.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 3)}...`;
+  }
+  return lines;
+}
+
+/**
+ * Draw a placeholder card
+ * @param {Object} spec - { width, height, prompt, seed, title, footer, progress }
+ * @returns {Object} - Canvas
+ */
+function drawPlaceholder(spec) {
+  const { width, height, prompt, seed, title, footer, progress } = spec;
+  const canvas = createCanvas(width, height);
+  const palette = getPalette(seed);
+  const scale = Math.max(1, Math.round(Math.min(width, height * 16 / 9) / 256));
+  const smallScale = Math.max(1, Math.round(scale * 0.75));
+  const margin = Math.round(width * 0.06);
+
+  fillGradient(canvas, palette.top, palette.bottom);
+  fillRect(canvas, 0, 0, width, Math.max(2, scale), palette.accent);
+
+  drawLabel(canvas, title, margin, smallScale, 'left');
+
+  const maxChars = Math.max(1, Math.floor((width - margin * 2) / (6 * scale)));
+  const lineHeight = 10 * scale;
+  const maxLines = Math.max(1, Math.floor(height * 0.55 / lineHeight));
+  const lines = wrapText(prompt || '(no prompt)', maxChars, maxLines);
+  const top = Math.round((height - lines.length * lineHeight) / 2);
+  lines.forEach((line, i) => drawLabel(canvas, line, top + i * lineHeight, scale));
+
+  const footerY = height - margin - 7 * smallScale;
+  drawLabel(canvas, footer, footerY, smallScale, 'left');
+
+  if (progress !== undefined) {
+    const barHeight = Math.max(4, scale * 2);
+    const barY = footerY - barHeight - 3 * smallScale;
+    fillRect(canvas, margin, barY, width - margin * 2, barHeight, SHADOW);
+    fillRect(canvas, margin, barY, Math.round((width - margin * 2) * progress), barHeight, palette.accent);
+  }
+
+  return canvas;
+}
+
+// ============ PNG ============
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(canvas) {
+  const { width, height, data } = canvas;
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolor RGB
+
+  // Filter type 0 (none) before each row
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * width * 3, (y + 1) * width * 3), y * (width * 3 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// ============ H.264 ============
+
+class BitWriter {
+  constructor() {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+  }
+
+  bit(value) {
+    this.current = (this.current << 1) | value;
+    if (++this.count === 8) {
+      this.bytes.push(this.current);
+      this.current = 0;
+      this.count = 0;
+    }
+  }
+
+  bits(value, length) {
+    for (let i = length - 1; i >= 0; i--) this.bit((value >>> i) & 1);
+  }
+
+  // Exp-Golomb codes
+  ue(value) {
+    const length = Math.floor(Math.log2(value + 1));
+    this.bits(0, length);
+    this.bits(value + 1, length + 1);
+  }
+
+  se(value) {
+    this.ue(value <= 0 ? -2 * value : 2 * value - 1);
+  }
+
+  align() {
+    while (this.count) this.bit(0);
+  }
+
+  // Whole bytes, only once aligned
+  raw(bytes) {
+    for (const byte of bytes) this.bytes.push(byte);
+  }
+
+  trailing() {
+    this.bit(1);
+    this.align();
+    return this.bytes;
+  }
+}
+
+/**
+ * Wrap an RBSP in a NAL unit, inserting emulation prevention bytes
+ */
+function nalUnit(type, rbsp) {
+  const out = [0x60 | type]; // nal_ref_idc 3
+  let zeros = 0;
+  for (const byte of rbsp) {
+    if (zeros >= 2 && byte <= 3) {
+      out.push(3);
+      zeros = 0;
+    }
+    out.push(byte);
+    zeros = byte === 0 ? zeros + 1 : 0;
+  }
+  return Buffer.from(out);
+}
+
+function buildSps(mbWidth, mbHeight) {
+  const w = new BitWriter();
+  w.bits(66, 8); // profile_idc: Baseline
+  w.bits(0xC0, 8); // constraint_set0/1: Constrained Baseline
+  w.bits(40, 8); // level_idc 4.0
+  w.ue(0); // seq_parameter_set_id
+  w.ue(0); // log2_max_frame_num_minus4
+  w.ue(2); // pic_order_cnt_type: output order = decode order
+  w.ue(1); // max_num_ref_frames
+  w.bit(0); // gaps_in_frame_num_value_allowed_flag
+  w.ue(mbWidth - 1);
+  w.ue(mbHeight - 1);
+  w.bit(1); // frame_mbs_only_flag
+  w.bit(1); // direct_8x8_inference_flag
+  w.bit(0); // frame_cropping_flag
+  w.bit(0); // vui_parameters_present_flag
+  return nalUnit(7, w.trailing());
+}
+
+function buildPps() {
+  const w = new BitWriter();
+  w.ue(0); // pic_parameter_set_id
+  w.ue(0); // seq_parameter_set_id
+  w.bit(0); // entropy_coding_mode_flag: CAVLC
+  w.bit(0); // bottom_field_pic_order_in_frame_present_flag
+  w.ue(0); // num_slice_groups_minus1
+  w.ue(0); // num_ref_idx_l0_default_active_minus1
+  w.ue(0); // num_ref_idx_l1_default_active_minus1
+  w.bit(0); // weighted_pred_flag
+  w.bits(0, 2); // weighted_bipred_idc
+  w.se(0); // pic_init_qp_minus26
+  w.se(0); // pic_init_qs_minus26
+  w.se(0); // chroma_qp_index_offset
+  w.bit(1); // deblocking_filter_control_present_flag
+  w.bit(0); // constrained_intra_pred_flag
+  w.bit(0); // redundant_pic_cnt_present_flag
+  return nalUnit(8, w.trailing());
+}
+
+/**
+ * RGB canvas to 4:2:0 YUV planes (BT.601 limited range).
+ * PCM samples of 0 were invalid before H.264 2005, so they are clamped to 1.
+ */
+function toYuv(canvas) {
+  const { width, height, data } = canvas;
+  const clamp = v => Math.min(255, Math.max(1, Math.round(v)));
+  const y = new Uint8Array(width * height);
+  const u = new Uint8Array(width * height / 4);
+  const v = new Uint8Array(width * height / 4);
+
+  for (let i = 0; i < width * height; i++) {
+    y[i] = clamp(16 + (65.738 * data[i * 3] + 129.057 * data[i * 3 + 1] + 25.064 * data[i * 3 + 2]) / 256);
+  }
+  for (let cy = 0; cy < height / 2; cy++) {
+    for (let cx = 0; cx < width / 2; cx++) {
+      let r = 0, g = 0, b = 0;
+      for (const [dx, dy] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        const i = ((cy * 2 + dy) * width + cx * 2 + dx) * 3;
+        r += data[i] / 4;
+        g += data[i + 1] / 4;
+        b += data[i + 2] / 4;
+      }
+      u[cy * width / 2 + cx] = clamp(128 + (-37.945 * r - 74.494 * g + 112.439 * b) / 256);
+      v[cy * width / 2 + cx] = clamp(128 + (112.439 * r - 94.154 * g - 18.285 * b) / 256);
+    }
+  }
+  return { y, u, v };
+}
+
+/**
+ * The 384 PCM samples of one macroblock (256 luma, 64 Cb, 64 Cr)
+ */
+function macroblockSamples(yuv, width, mbX, mbY) {
+  const samples = new Uint8Array(384);
+  let n = 0;
+  for (let row = 0; row < 16; row++) {
+    const start = (mbY * 16 + row) * width + mbX * 16;
+    samples.set(yuv.y.subarray(start, start + 16), n);
+    n += 16;
+  }
+  for (const plane of [yuv.u, yuv.v]) {
+    for (let row = 0; row < 8; row++) {
+      const start = (mbY * 8 + row) * (width / 2) + mbX * 8;
+      samples.set(plane.subarray(start, start + 8), n);
+      n += 8;
+    }
+  }
+  return samples;
+}
+
+function samplesEqual(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Encode one frame as a single slice.
+ * IDR frames code every macroblock; P frames code only changed macroblocks and
+ * skip the rest (all skip motion vectors predict to zero, so they copy the
+ * reference exactly).
+ * @param {Array<Uint8Array>} macroblocks - PCM samples per macroblock
+ * @param {Array<Uint8Array>|null} reference - Previous decoded macroblocks, null for IDR
+ * @param {number} frameNum
+ */
+function encodeSlice(macroblocks, reference, frameNum) {
+  const idr = !reference;
+  const w = new BitWriter();
+  w.ue(0); // first_mb_in_slice
+  w.ue(idr ? 7 : 5); // slice_type: I or P (all slices of the picture)
+  w.ue(0); // pic_parameter_set_id
+  w.bits(frameNum % 16, 4); // frame_num
+  if (idr) {
+    w.ue(0); // idr_pic_id
+  } else {
+    w.bit(0); // num_ref_idx_active_override_flag
+    w.bit(0); // ref_pic_list_modification_flag_l0
+  }
+  if (idr) {
+    w.bit(0); // no_output_of_prior_pics_flag
+    w.bit(0); // long_term_reference_flag
+  } else {
+    w.bit(0); // adaptive_ref_pic_marking_mode_flag
+  }
+  w.se(0); // slice_qp_delta
+  w.ue(1); // disable_deblocking_filter_idc
+
+  let skipRun = 0;
+  macroblocks.forEach((samples, i) => {
+    if (!idr && samplesEqual(samples, reference[i])) {
+      skipRun++;
+      return;
+    }
+    if (!idr) {
+      w.ue(skipRun);
+      skipRun = 0;
+    }
+    w.ue(idr ? 25 : 30); // mb_type I_PCM
+    w.align(); // pcm_alignment_zero_bit
+    w.raw(samples);
+  });
+  if (skipRun > 0) w.ue(skipRun);
+
+  return nalUnit(idr ? 5 : 1, w.trailing());
+}
+
+// ============ MP4 ============
+
+function box(type, ...parts) {
+  const body = Buffer.concat(parts);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+function fullBox(type, version, flags, ...parts) {
+  return box(type, u32((version << 24) | flags), ...parts);
+}
+
+function u8(...values) {
+  return Buffer.from(values);
+}
+
+function u16(...values) {
+  const buffer = Buffer.alloc(values.length * 2);
+  values.forEach((value, i) => buffer.writeUInt16BE(value, i * 2));
+  return buffer;
+}
+
+function u32(...values) {
+  const buffer = Buffer.alloc(values.length * 4);
+  values.forEach((value, i) => buffer.writeUInt32BE(value >>> 0, i * 4));
+  return buffer;
+}
+
+const MATRIX = u32(0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000);
+
+/**
+ * Mux H.264 samples into an MP4 (moov before mdat for progressive playback)
+ */
+function muxMp4(samples, sps, pps, width, height, fps) {
+  const timescale = fps * 1000;
+  const duration = samples.length * 1000; // in track timescale
+  const movieDuration = Math.round(samples.length * 1000 / fps); // in ms
+  const sizes = samples.map(sample => sample.length);
+
+  const avcC = box('avcC',
+    u8(1, sps[1], sps[2], sps[3], 0xFF, 0xE1), u16(sps.length), sps,
+    u8(1), u16(pps.length), pps
+  );
+  const avc1 = box('avc1',
+    Buffer.alloc(6), u16(1), // reserved, data_reference_index
+    Buffer.alloc(16), u16(width, height),
+    u32(0x00480000, 0x00480000, 0), u16(1), // resolution, reserved, frame_count
+    Buffer.alloc(32), u16(0x0018, 0xFFFF), // compressorname, depth, pre_defined
+    avcC
+  );
+
+  const buildMoov = (dataOffset) => box('moov',
+    fullBox('mvhd', 0, 0, u32(0, 0, 1000, movieDuration, 0x00010000), u16(0x0100), Buffer.alloc(10), MATRIX, Buffer.alloc(24), u32(2)),
+    box('trak',
+      fullBox('tkhd', 0, 3, u32(0, 0, 1, 0, movieDuration), Buffer.alloc(8), u16(0, 0, 0, 0), MATRIX, u32(width << 16, height << 16)),
+      box('mdia',
+        fullBox('mdhd', 0, 0, u32(0, 0, timescale, duration), u16(0x55C4, 0)), // language 'und'
+        fullBox('hdlr', 0, 0, u32(0), Buffer.from('vide', 'ascii'), Buffer.alloc(12), Buffer.from('VideoHandler\0', 'ascii')),
+        box('minf',
+          fullBox('vmhd', 0, 1, u16(0, 0, 0, 0)),
+          box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1))),
+          box('stbl',
+            fullBox('stsd', 0, 0, u32(1), avc1),
+            fullBox('stts', 0, 0, u32(1, samples.length, 1000)),
+            fullBox('stss', 0, 0, u32(1, 1)),
+            fullBox('stsc', 0, 0, u32(1, 1, samples.length, 1)),
+            fullBox('stsz', 0, 0, u32(0, samples.length, ...sizes)),
+            fullBox('stco', 0, 0, u32(1, dataOffset))
+          )
+        )
+      )
+    )
+  );
+
+  const ftyp = box('ftyp', Buffer.from('isom', 'ascii'), u32(0x200), Buffer.from('isomiso2avc1mp41', 'ascii'));
+  // Sample offsets depend on the moov size, which does not depend on their values
+  const moovSize = buildMoov(0).length;
+  const moov = buildMoov(ftyp.length + moovSize + 8);
+  const mdat = box('mdat', ...samples);
+
+  return Buffer.concat([ftyp, moov, mdat]);
+}
+
+/**
+ * Encode canvases (dimensions multiples of 16) as an H.264 MP4
+ * @param {Array<Object>} frames - Canvases
+ * @param {number} fps
+ * @returns {Buffer}
+ */
+function encodeMp4(frames, fps) {
+  const { width, height } = frames[0];
+  const mbWidth = width / 16;
+  const mbHeight = height / 16;
+  const sps = buildSps(mbWidth, mbHeight);
+  const pps = buildPps();
+
+  const lengthPrefixed = (...nals) => Buffer.concat(nals.flatMap(nal => [u32(nal.length), nal]));
+  const samples = [];
+  let reference = null;
+
+  frames.forEach((frame, frameNum) => {
+    const yuv = toYuv(frame);
+    const macroblocks = [];
+    for (let mbY = 0; mbY < mbHeight; mbY++) {
+      for (let mbX = 0; mbX < mbWidth; mbX++) {
+        macroblocks.push(macroblockSamples(yuv, width, mbX, mbY));
+      }
+    }
+    samples.push(lengthPrefixed(encodeSlice(macroblocks, reference, frameNum)));
+    // Coded macroblocks are lossless, so the decoded frame is exactly this one
+    reference = macroblocks;
+  });
+
+  return muxMp4(samples, sps, pps, width, height, fps);
+}
+
+// ============ Public API ============
+
+/**
+ * Render a placeholder PNG
+ * @param {Object} spec - { width, height, prompt, seed, title }
+ * @returns {Buffer}
+ */
+function renderImage(spec) {
+  const canvas = drawPlaceholder({
+    ...spec,
+    footer: `SEED ${spec.seed}  ${spec.width}X${spec.height}`,
+  });
+  return encodePng(canvas);
+}
+
+/**
+ * Render a placeholder MP4 with a progress bar and frame counter
+ * @param {Object} spec - { width, height, prompt, seed, title, duration, fps }
+ * @returns {Buffer}
+ */
+function renderVideo(spec) {
+  const fps = spec.fps || 12;
+  const total = Math.max(1, Math.round(spec.duration * fps));
+  const pad = n => String(n).padStart(String(total).length, '0');
+
+  const frames = Array.from({ length: total }, (_, i) => drawPlaceholder({
+    ...spec,
+    footer: `SEED ${spec.seed}  FRAME ${pad(i + 1)}/${total}`,
+    progress: (i + 1) / total,
+  }));
+  return encodeMp4(frames, fps);
+}
+
+module.exports = {
+  renderImage,
+  renderVideo,
+};
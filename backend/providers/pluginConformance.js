@@ -0,0 +1,231 @@
+/**
+ * Provider Plugin Conformance Harness
+ *
+ * Checks a provider plugin against the plugin format and the BaseProvider
+ * contract, the same way the plugin loader does at startup, then exercises
+ * the provider instance. With `live`, it also runs one real call per mapped
+ * model and checks the result shape the router relies on.
+ *
+ * Usage:
+ *   npm run plugin:check -- ./providers/plugins/runpod.js
+ *   npm run plugin:check -- ./providers/plugins/runpod.js --live --setting runpodApiKey=... --setting runpodEndpointId=...
+ *
+ * Or from a plugin's own tests:
+ *   const { runConformance } = require('../pluginConformance'); // from providers/plugins/
+ *   const report = await runConformance(require('./runpod'), { settings: { runpodApiKey: 'test' } });
+ *   assert.ok(report.passed, report.checks.filter(c => !c.ok).map(c => c.error).join('\n'));
+ */
+
+const path = require('path');
+const BaseProvider = require('./BaseProvider');
+const { validatePlugin, buildProviderEntry, requirePlugin, getRequiredMethods } = require('./pluginLoader');
+const { MODEL_REGISTRY } = require('../models/modelRegistry');
+
+const CALL_TIMEOUT = 30000; // isAvailable()
+const LIVE_CALL_TIMEOUT = 10 * 60 * 1000; // generation calls
+
+// 1x1 PNG / short silent WAV for calls that need an input
+const SAMPLE_IMAGE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+const SAMPLE_AUDIO = 'data:audio/wav;base64,UklGRiQAAABXQVZFZm10IBAAAAABAAEAQB8AAIA+AAACABAAZGF0YQAAAAA=';
+
+/**
+ * Reject when a promise takes too long
+ */
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} did not return within ${ms / 1000}s`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check a GenerationResult / TranscriptionResult from a live call
+ * @returns {string|null} - Problem, null when the shape is valid
+ */
+function checkResultShape(method, result) {
+  if (!result || typeof result !== 'object') return 'must return an object';
+  if (result.success !== true) return `success must be true (got ${JSON.stringify(result.success)})`;
+
+  if (method === 'transcribeAudio') {
+    return typeof result.text === 'string' ? null : 'TranscriptionResult needs text';
+  }
+  // Async requests finish through webhooks / fetchRequest()
+  if (result.status === 'pending') {
+    return result.requestId ? null : 'pending results need a requestId';
+  }
+  const urls = result.urls || (result.url ? [result.url] : []);
+  if (urls.length === 0 || urls.some(url => typeof url !== 'string' || !url)) {
+    return 'GenerationResult needs url or urls';
+  }
+  return null;
+}
+
+/**
+ * Run one live call the way providerRouter.generate() does
+ */
+async function callModel(provider, method, modelId, providerId, prompt) {
+  const model = MODEL_REGISTRY[modelId];
+  const providerConfig = model.providers?.[providerId] || {};
+  const modelWithProvider = { id: modelId, ...model, ...providerConfig, providerConfig: { [providerId]: providerConfig } };
+
+  switch (method) {
+    case 'generateImage':
+      return provider.generateImage(modelWithProvider, prompt, {}, model.imageInput === 'required' ? [SAMPLE_IMAGE] : []);
+    case 'generateVideo':
+      return provider.generateVideo(modelWithProvider, prompt, {}, model.imageInput === 'required' ? [SAMPLE_IMAGE] : []);
+    case 'upscaleImage':
+      return provider.upscaleImage(modelWithProvider, SAMPLE_IMAGE, {});
+    case 'upscaleVideo':
+      throw new Error('live upscaleVideo needs a sample video; check it against your own endpoint');
+    case 'generateSpeech':
+      return provider.generateSpeech(modelWithProvider, prompt, {});
+    case 'transcribeAudio':
+      return provider.transcribeAudio(modelWithProvider, SAMPLE_AUDIO, {});
+  }
+}
+
+/**
+ * Run the conformance checks for a plugin
+ * @param {Object} plugin - Plugin module exports
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Values for the plugin's declared settings (falls back to their env variables)
+ * @param {boolean} [options.live] - Also make one real call per mapped model
+ * @param {string} [options.prompt] - Prompt for live calls
+ * @returns {Promise<{passed: boolean, checks: Array<{name: string, ok: boolean, error?: string}>}>}
+ */
+async function runConformance(plugin, { settings = {}, live = false, prompt = 'A red apple on a wooden table' } = {}) {
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      const error = await fn();
+      checks.push(error ? { name, ok: false, error } : { name, ok: true });
+      return !error;
+    } catch (err) {
+      checks.push({ name, ok: false, error: err.message });
+      return false;
+    }
+  };
+  const report = () => ({ passed: checks.every(c => c.ok), checks });
+
+  // Static contract - the startup validation
+  const valid = await check('plugin format and BaseProvider contract', () => {
+    const errors = validatePlugin(plugin);
+    return errors.length ? errors.join('; ') : null;
+  });
+  if (!valid) return report();
+
+  // Construct it the way getProvider() does
+  let provider;
+  const entry = buildProviderEntry(plugin);
+  const getSetting = (key) => settings[key] ?? null;
+  const constructed = await check('constructs from declared settings', () => {
+    const apiKey = (entry.settingsKey && getSetting(entry.settingsKey)) || (entry.envKey && process.env[entry.envKey]) || null;
+    provider = new entry.class(apiKey, entry.configure(getSetting));
+    provider.name = plugin.id;
+    return provider instanceof BaseProvider ? null : 'instance is not a BaseProvider';
+  });
+  if (!constructed) return report();
+
+  // Generations are attributed (trackRequest, webhooks, health) by provider name
+  await check('getName() matches plugin id', () =>
+    provider.getName() === plugin.id ? null : `getName() returned ${JSON.stringify(provider.getName())}, expected ${plugin.id}`
+  );
+
+  let available = false;
+  await check('isAvailable() resolves to a boolean', async () => {
+    available = await withTimeout(Promise.resolve(provider.isAvailable()), CALL_TIMEOUT, 'isAvailable()');
+    return typeof available === 'boolean' ? null : `isAvailable() returned ${JSON.stringify(available)}`;
+  });
+
+  await check('calculateCost() returns a number for mapped models', () => {
+    const bad = Object.keys(plugin.models || {}).filter(modelId =>
+      !Number.isFinite(provider.calculateCost({ ...MODEL_REGISTRY[modelId], ...plugin.models[modelId] }, {}))
+    );
+    return bad.length ? `not a number for ${bad.join(', ')}` : null;
+  });
+
+  if (!live) return report();
+
+  if (!available) {
+    checks.push({ name: 'live calls', ok: false, error: 'provider is not available with these settings' });
+    return report();
+  }
+
+  for (const modelId of Object.keys(plugin.models || {})) {
+    for (const method of getRequiredMethods(MODEL_REGISTRY[modelId])) {
+      await check(`live ${method}() for ${modelId}`, async () => {
+        const result = await withTimeout(
+          Promise.resolve(callModel(provider, method, modelId, plugin.id, prompt)),
+          LIVE_CALL_TIMEOUT,
+          `${method}()`
+        );
+        const problem = checkResultShape(method, result);
+        if (!problem && result.status === 'pending') {
+          const outcome = await withTimeout(provider.fetchRequest(result.requestId, {}), CALL_TIMEOUT, 'fetchRequest()');
+          if (!['pending', 'completed', 'failed'].includes(outcome?.status)) {
+            return `fetchRequest() returned status ${JSON.stringify(outcome?.status)}`;
+          }
+        }
+        return problem;
+      });
+    }
+  }
+
+  return report();
+}
+
+/**
+ * Parse CLI arguments: <plugin path> [--live] [--prompt text] [--setting key=value ...]
+ */
+function parseArgs(argv) {
+  const args = { settings: {}, live: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--live') {
+      args.live = true;
+    } else if (arg === '--prompt') {
+      args.prompt = argv[++i];
+    } else if (arg === '--setting') {
+      const [key, ...value] = String(argv[++i] || '').split('=');
+      args.settings[key] = value.join('=');
+    } else if (!args.source) {
+      args.source = arg;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { source, ...options } = parseArgs(process.argv.slice(2));
+  if (!source) {
+    console.error('Usage: node providers/pluginConformance.js <plugin path> [--live] [--prompt text] [--setting key=value ...]');
+    process.exit(2);
+  }
+
+  let plugin;
+  try {
+    plugin = requirePlugin(path.resolve(source));
+  } catch (error) {
+    console.error(`[PLUGINS] Failed to load ${source}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { passed, checks } = await runConformance(plugin, options);
+  for (const c of checks) {
+    console.log(`${c.ok ? 'PASS' : 'FAIL'}  ${c.name}${c.ok ? '' : `\n      ${c.error}`}`);
+  }
+  console.log(passed ? `\n${plugin.id}: all ${checks.length} checks passed` : `\n${plugin.id}: ${checks.filter(c => !c.ok).length} of ${checks.length} checks failed`);
+  process.exit(passed ? 0 : 1);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runConformance,
+  checkResultShape,
+};
@@ -0,0 +1,311 @@
+/**
+ * Provider Plugin Loader
+ *
+ * Discovers provider modules from a directory (providers/plugins, or
+ * PROVIDER_PLUGINS_DIR) so new backends such as RunPod or Modal can be added
+ * without editing PROVIDER_CONFIG or MODEL_REGISTRY.
+ *
+ * A plugin is a .js file, or a directory with an index.js, exporting:
+ *
+ *   module.exports = {
+ *     id: 'runpod',                    // provider ID (lowercase, a-z0-9-)
+ *     name: 'RunPod',
+ *     Provider: RunPodProvider,        // class extending BaseProvider
+ *     priority: 10,                    // optional, default 50
+ *     settings: [                      // shown on the admin settings screen
+ *       { key: 'runpodApiKey', env: 'RUNPOD_API_KEY', label: 'API Key', secret: true, apiKey: true },
+ *       { key: 'runpodEndpointId', env: 'RUNPOD_ENDPOINT_ID', label: 'Endpoint ID' },
+ *     ],
+ *     configure: (setting) => ({ endpointId: setting('runpodEndpointId') }), // optional
+ *     models: {                        // registry model ID -> provider config
+ *       'flux-dev': { endpoint: 'flux-dev', cost: 0.02 },
+ *     },
+ *   };
+ *
+ * The `apiKey` setting is passed to the constructor as the API key, and
+ * `configure` builds the constructor config from the other settings.
+ * Plugins are checked against the BaseProvider contract at startup; a plugin
+ * that fails is skipped (and reported) without affecting the others.
+ * Plugin authors can run the same checks, and live calls, with
+ * pluginConformance.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./BaseProvider');
+const { PROVIDER_CONFIG, registerProvider } = require('./index');
+const { MODEL_REGISTRY, registerProviderMapping } = require('../models/modelRegistry');
+
+const DEFAULT_PLUGINS_DIR = path.join(__dirname, 'plugins');
+const DEFAULT_PRIORITY = 50;
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SETTING_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9]*$/;
+
+// Plugins registered by loadProviderPlugins()
+const loadedPlugins = [];
+const failedPlugins = [];
+
+/**
+ * Provider methods a model needs, by registry type / category
+ * @param {Object} model - Registry model
+ * @returns {Array<string>}
+ */
+function getRequiredMethods(model) {
+  if (model.category === 'upscale') {
+    return [model.type === 'video' ? 'upscaleVideo' : 'upscaleImage'];
+  }
+  if (model.category === 'text-to-speech') return ['generateSpeech'];
+  if (model.category === 'speech-to-text') return ['transcribeAudio'];
+  if (model.type === 'video') return ['generateVideo'];
+  return ['generateImage'];
+}
+
+/**
+ * Whether a provider class overrides a BaseProvider method
+ */
+function implementsMethod(ProviderClass, method) {
+  const fn = ProviderClass.prototype[method];
+  return typeof fn === 'function' && fn !== BaseProvider.prototype[method];
+}
+
+/**
+ * Check a plugin module against the plugin format and the BaseProvider contract
+ * @param {Object} plugin - Plugin module exports
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reservedSettings] - Setting keys already used by the core
+ * @returns {Array<string>} - Problems found, empty when valid
+ */
+function validatePlugin(plugin, { reservedSettings = [] } = {}) {
+  const errors = [];
+  if (!plugin || typeof plugin !== 'object') {
+    return ['module must export a plugin object'];
+  }
+
+  if (typeof plugin.id !== 'string' || !PLUGIN_ID_PATTERN.test(plugin.id)) {
+    errors.push('id must be a lowercase provider ID (a-z, 0-9, -)');
+  } else if (PROVIDER_CONFIG[plugin.id] && PROVIDER_CONFIG[plugin.id].plugin !== plugin) {
+    errors.push(`provider ${plugin.id} is already registered`);
+  }
+  if (!plugin.name || typeof plugin.name !== 'string') {
+    errors.push('name is required');
+  }
+  if (plugin.priority !== undefined && !Number.isFinite(plugin.priority)) {
+    errors.push('priority must be a number');
+  }
+  if (plugin.configure !== undefined && typeof plugin.configure !== 'function') {
+    errors.push('configure must be a function');
+  }
+
+  // Provider class
+  const ProviderClass = plugin.Provider;
+  if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseProvider)) {
+    errors.push('Provider must be a class extending BaseProvider');
+  } else {
+    if (!implementsMethod(ProviderClass, 'isAvailable')) {
+      errors.push('Provider must implement isAvailable()');
+    }
+    // getProvider() names the instance after the plugin id
+    if (implementsMethod(ProviderClass, 'getName')) {
+      errors.push('Provider must not override getName() (it is named by the plugin id)');
+    }
+  }
+
+  // Settings
+  const settings = plugin.settings || [];
+  if (!Array.isArray(settings)) {
+    errors.push('settings must be an array');
+  } else {
+    const keys = new Set();
+    for (const setting of settings) {
+      if (!setting || !SETTING_KEY_PATTERN.test(setting.key || '')) {
+        errors.push(`setting key ${JSON.stringify(setting?.key)} must be camelCase letters and digits`);
+        continue;
+      }
+      const reserved = reservedSettings.includes(setting.key) ||
+        Object.entries(PROVIDER_CONFIG).some(([id, config]) => id !== plugin.id && config.settingsKey === setting.key);
+      if (reserved || keys.has(setting.key)) {
+        errors.push(`setting ${setting.key} is already in use`);
+      }
+      if (!setting.label) {
+        errors.push(`setting ${setting.key} needs a label`);
+      }
+      keys.add(setting.key);
+    }
+    if (settings.filter(setting => setting?.apiKey).length > 1) {
+      errors.push('only one setting can be the apiKey');
+    }
+  }
+
+  // Model mappings
+  const models = plugin.models || {};
+  if (typeof models !== 'object' || Array.isArray(models)) {
+    errors.push('models must map registry model IDs to provider configs');
+  } else {
+    for (const [modelId, config] of Object.entries(models)) {
+      const model = MODEL_REGISTRY[modelId];
+      if (!model) {
+        errors.push(`models.${modelId}: unknown registry model`);
+        continue;
+      }
+      if (!config || typeof config !== 'object') {
+        errors.push(`models.${modelId}: provider config must be an object`);
+        continue;
+      }
+      if (model.providers?.[plugin.id] && model.providers[plugin.id] !== config) {
+        errors.push(`models.${modelId}: already has a ${plugin.id} mapping`);
+      }
+      if (typeof ProviderClass === 'function') {
+        for (const method of getRequiredMethods(model)) {
+          if (!implementsMethod(ProviderClass, method)) {
+            errors.push(`models.${modelId}: Provider must implement ${method}() for ${model.type} models`);
+          }
+        }
+      }
+    }
+  }
+
+  // Async requests: the webhook / polling fallback needs fetchRequest()
+  if (typeof ProviderClass === 'function' &&
+      (implementsMethod(ProviderClass, 'parseWebhook') || implementsMethod(ProviderClass, 'verifyWebhook')) &&
+      !implementsMethod(ProviderClass, 'fetchRequest')) {
+    errors.push('Provider with webhooks must implement fetchRequest() for the polling fallback');
+  }
+
+  return errors;
+}
+
+/**
+ * PROVIDER_CONFIG entry for a plugin
+ * @param {Object} plugin - Validated plugin module
+ * @returns {Object}
+ */
+function buildProviderEntry(plugin) {
+  const settings = plugin.settings || [];
+  const apiKeySetting = settings.find(setting => setting.apiKey);
+
+  return {
+    name: plugin.name,
+    class: plugin.Provider,
+    envKey: apiKeySetting?.env,
+    settingsKey: apiKeySetting?.key,
+    priority: plugin.priority ?? DEFAULT_PRIORITY,
+    plugin,
+    // Receives /api/providers/:id/webhook deliveries
+    webhooks: implementsMethod(plugin.Provider, 'verifyWebhook') && implementsMethod(plugin.Provider, 'parseWebhook'),
+    // Settings lookup for plugin.configure: admin setting, then its env variable
+    configure: (getSettingFn) => {
+      if (!plugin.configure) return {};
+      const setting = (key) => {
+        const declared = settings.find(s => s.key === key);
+        return (getSettingFn && getSettingFn(key)) || (declared?.env && process.env[declared.env]) || null;
+      };
+      return plugin.configure(setting) || {};
+    },
+  };
+}
+
+/**
+ * Load a plugin module from a file or directory
+ * @returns {Object} - Module exports
+ */
+function requirePlugin(source) {
+  const resolved = require.resolve(source);
+  delete require.cache[resolved];
+  return require(resolved);
+}
+
+/**
+ * Plugin module paths in a directory: *.js files and directories with an index.js
+ */
+function findPluginModules(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && !entry.name.startsWith('_'))
+    .filter(entry => entry.isDirectory()
+      ? fs.existsSync(path.join(dir, entry.name, 'index.js'))
+      : entry.name.endsWith('.js'))
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Discover, validate and register provider plugins
+ * @param {string} [dir] - Plugins directory
+ * @param {Object} [options]
+ * @param {Array<string>} [options.reservedSettings] - Setting keys already used by the core
+ * @returns {{loaded: Array<Object>, failed: Array<{source: string, errors: Array<string>}>}}
+ */
+function loadProviderPlugins(dir = DEFAULT_PLUGINS_DIR, { reservedSettings = [] } = {}) {
+  for (const source of findPluginModules(dir)) {
+    let plugin;
+    try {
+      plugin = requirePlugin(source);
+    } catch (error) {
+      failedPlugins.push({ source, errors: [`failed to load: ${error.message}`] });
+      console.error(`[PLUGINS] Failed to load ${source}:`, error.message);
+      continue;
+    }
+
+    const errors = validatePlugin(plugin, {
+      reservedSettings: [...reservedSettings, ...getPluginSettings().map(setting => setting.key)]
+    });
+    if (errors.length > 0) {
+      failedPlugins.push({ source, id: plugin?.id, errors });
+      console.error(`[PLUGINS] Skipping ${source}:\n  - ${errors.join('\n  - ')}`);
+      continue;
+    }
+
+    registerProvider(plugin.id, buildProviderEntry(plugin));
+    for (const [modelId, config] of Object.entries(plugin.models || {})) {
+      registerProviderMapping(modelId, plugin.id, config);
+    }
+
+    loadedPlugins.push({
+      id: plugin.id,
+      name: plugin.name,
+      source,
+      settings: plugin.settings || [],
+      models: Object.keys(plugin.models || {}),
+    });
+    console.log(`[PLUGINS] Loaded provider ${plugin.id} (${Object.keys(plugin.models || {}).length} models) from ${source}`);
+  }
+
+  return { loaded: loadedPlugins, failed: failedPlugins };
+}
+
+/**
+ * Settings declared by loaded plugins, for the admin settings screen
+ * @returns {Array<{provider: string, key: string, label: string, env?: string, secret?: boolean, description?: string}>}
+ */
+function getPluginSettings() {
+  return loadedPlugins.flatMap(plugin =>
+    plugin.settings.map(({ key, label, env, secret, apiKey, description, type }) => ({
+      provider: plugin.id,
+      key,
+      label,
+      env,
+      secret: !!(secret || apiKey),
+      description,
+      type: type || 'text',
+    }))
+  );
+}
+
+/**
+ * Loaded and rejected plugins
+ */
+function getProviderPlugins() {
+  return { loaded: loadedPlugins, failed: failedPlugins };
+}
+
+module.exports = {
+  loadProviderPlugins,
+  validatePlugin,
+  buildProviderEntry,
+  requirePlugin,
+  getRequiredMethods,
+  getPluginSettings,
+  getProviderPlugins,
+  DEFAULT_PLUGINS_DIR,
+};
@@ -5,12 +5,12 @@
  * multi-step AI workflows through natural conversation.
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const { buildSystemPromptKnowledge, getModelLookup } = require('./modelKnowledge');
 const { buildSOTAPromptSection, loadSOTAGuide } = require('./modelSOTAKnowledge');
+const { streamText } = require('./providerRouter');
 
 // ============================================================
 // MODEL FEEDBACK TRACKING - For AI Director Learning
@@ -599,53 +599,21 @@ The plan is ready above - review the prompts and hit Start when you're happy, or
     console.log(`[Director] Using model: ${directorModel}, Vision: ${isVisionModel && hasImageAttachments}`);
 
     try {
-      // Stream response from OpenRouter
-      const response = await axios.post(
-        'https://openrouter.ai/api/v1/chat/completions',
-        {
-          model: directorModel,
-          messages: apiMessages,
-          stream: true,
-          max_tokens: 2000,
-          temperature: 0.7
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${openrouterKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': 'http://localhost:5173',
-            'X-Title': 'OmniHub AI Director'
-          },
-          responseType: 'stream'
-        }
-      );
+      // Stream response through the text provider router
+      const stream = streamText(directorModel, apiMessages, {
+        maxTokens: 2000,
+        temperature: 0.7,
+        title: 'OmniHub AI Director'
+      }, this.getSetting, null, { userId });
 
       let fullContent = '';
-      let buffer = '';
 
       yield { type: 'start', conversationId: conversation.id };
 
-      for await (const chunk of response.data) {
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-            
-            try {
-              const parsed = JSON.parse(data);
-              const content = parsed.choices?.[0]?.delta?.content;
-              if (content) {
-                fullContent += content;
-                yield { type: 'content', content };
-              }
-            } catch (e) {
-              // Skip parse errors
-            }
-          }
+      for await (const event of stream) {
+        if (event.type === 'content') {
+          fullContent += event.content;
+          yield { type: 'content', content: event.content };
         }
       }
 
@@ -976,7 +944,7 @@ The plan is ready above - review the prompts and hit Start when you're happy, or
 
         // Reserve credits first
         if (this.reserveCredits) {
-          const reservation = this.reserveCredits(userId, price, workspaceId);
+          const reservation = this.reserveCredits(userId, price, workspaceId, { referenceId: genId, referenceType: 'generation' });
           if (!reservation.success) {
             console.error(`[Director] Step ${step.order} failed: insufficient credits`);
             failedSteps.add(step.order);
@@ -0,0 +1,354 @@
+/**
+ * Credit Ledger
+ *
+ * Double-entry ledger for every credit movement. Each credit balance is an account:
+ * - user:<userId>, user:<userId>:reserved - users.credits / reservedCredits
+ * - workspace:<id>, workspace:<id>:reserved - workspaces.credits / reservedCredits
+ * - member:<workspaceId>:<userId>, member:<workspaceId>:<userId>:reserved -
+ *   workspace_members.allocatedCredits / reservedAllocated
+ * - system:<name> - where credits come from and go to (SYSTEM_ACCOUNTS)
+ *
+ * A posting is a credit_ledger_transactions row with entries that sum to zero,
+ * written together with the balance columns in one DB transaction. The columns
+ * are a cache: an account's balance is the sum of its entries, and reconcile()
+ * records accounts where the two disagree (drift). Movements on spendable
+ * balances also get a credit_transactions row, the user-facing statement.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const RECONCILE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DRIFT_TOLERANCE = 1e-6;
+const MAX_DRIFT_RECORDED = 100;
+
+// Counterparties for credits entering and leaving user / workspace balances
+const SYSTEM_ACCOUNTS = {
+  OPENING: 'system:opening', // Balances that predate the ledger
+  GRANTS: 'system:grants', // Sign-up bonus, workspace top-ups
+  PURCHASES: 'system:purchases', // Credit packs paid for
+  SUBSCRIPTIONS: 'system:subscriptions', // Plan credits
+  USAGE: 'system:usage', // Credits spent on generations, chat, etc.
+  ADJUSTMENTS: 'system:adjustments', // Balances set by admins and workspace owners
+  FORFEITED: 'system:forfeited', // Balances of deleted users, workspaces and members
+};
+
+const accounts = {
+  user: (userId) => `user:${userId}`,
+  userReserved: (userId) => `user:${userId}:reserved`,
+  workspace: (workspaceId) => `workspace:${workspaceId}`,
+  workspaceReserved: (workspaceId) => `workspace:${workspaceId}:reserved`,
+  member: (workspaceId, userId) => `member:${workspaceId}:${userId}`,
+  memberReserved: (workspaceId, userId) => `member:${workspaceId}:${userId}:reserved`,
+};
+
+/**
+ * Balance column behind an account (null for system accounts)
+ * @param {string} account
+ * @returns {{table: string, column: string, where: string, params: string[], userId: string|null, workspaceId: string|null, reserved: boolean}|null}
+ */
+function resolveAccount(account) {
+  const parts = String(account).split(':');
+  const reserved = parts[parts.length - 1] === 'reserved';
+  if (reserved) parts.pop();
+
+  switch (parts[0]) {
+    case 'user':
+      if (parts.length !== 2) break;
+      return {
+        table: 'users', column: reserved ? 'reservedCredits' : 'credits', where: 'id = ?', params: [parts[1]],
+        userId: parts[1], workspaceId: null, reserved
+      };
+    case 'workspace':
+      if (parts.length !== 2) break;
+      return {
+        table: 'workspaces', column: reserved ? 'reservedCredits' : 'credits', where: 'id = ?', params: [parts[1]],
+        userId: null, workspaceId: parts[1], reserved
+      };
+    case 'member':
+      if (parts.length !== 3) break;
+      return {
+        table: 'workspace_members', column: reserved ? 'reservedAllocated' : 'allocatedCredits',
+        where: 'workspaceId = ? AND userId = ?', params: [parts[1], parts[2]],
+        userId: parts[2], workspaceId: parts[1], reserved
+      };
+    case 'system':
+      if (parts.length === 2 && !reserved) return null;
+      break;
+  }
+  throw new Error(`Invalid credit account: ${account}`);
+}
+
+function roundCredits(amount) {
+  return Math.round(amount * 1e9) / 1e9;
+}
+
+class CreditLedger {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   * @param {Function} [options.logAudit] - (adminId, action, targetType, targetId, details) => void
+   * @param {Function} [options.logError] - (type, userId, generationId, endpoint, errorCode, message, stack, details) => void
+   */
+  constructor({ db, logAudit, logError }) {
+    this.db = db;
+    this.logAudit = logAudit || (() => {});
+    this.logError = logError || (() => {});
+    this.interval = null;
+  }
+
+  // ============ POSTING ============
+
+  /**
+   * Current balance of an account, from its balance column
+   */
+  getBalance(account) {
+    const target = resolveAccount(account);
+    if (!target) return this.getLedgerBalance(account);
+    const row = this.db.prepare(`SELECT ${target.column} as balance FROM ${target.table} WHERE ${target.where}`).get(...target.params);
+    return row ? row.balance || 0 : 0;
+  }
+
+  /**
+   * Balance of an account derived from its ledger entries
+   */
+  getLedgerBalance(account) {
+    return this.db.prepare('SELECT COALESCE(SUM(amount), 0) as balance FROM credit_ledger_entries WHERE account = ?').get(account).balance;
+  }
+
+  /**
+   * Post a balanced transaction and apply it to the balance columns
+   * @param {Object} posting
+   * @param {string} posting.type - usage, reserve, release, purchase, subscription, ...
+   * @param {Array<{account: string, amount: number}>} posting.entries - Must sum to zero
+   * @param {string} [posting.description]
+   * @param {string} [posting.userId] - User the movement was for / made by
+   * @param {string} [posting.workspaceId]
+   * @param {string} [posting.referenceId]
+   * @param {string} [posting.referenceType] - generation, payment, subscription, conversation, ...
+   * @param {string} [posting.createdBy] - Admin ID for admin changes
+   * @returns {{id: string, balances: Object<string, number>}|null} - null when every amount is zero
+   */
+  post({ type, entries, description = null, userId = null, workspaceId = null, referenceId = null, referenceType = null, createdBy = null }) {
+    const lines = entries
+      .map(entry => ({ account: entry.account, amount: roundCredits(entry.amount) }))
+      .filter(entry => entry.amount !== 0);
+    if (lines.some(entry => !Number.isFinite(entry.amount))) {
+      throw new Error(`Invalid credit ledger amount (${type})`);
+    }
+    if (lines.length === 0) return null;
+
+    const total = lines.reduce((sum, entry) => sum + entry.amount, 0);
+    if (Math.abs(total) > DRIFT_TOLERANCE) {
+      throw new Error(`Unbalanced credit ledger transaction (${type}): entries sum to ${total}`);
+    }
+
+    return this.db.transaction(() => {
+      const id = uuidv4();
+      this.db.prepare(`
+        INSERT INTO credit_ledger_transactions (id, type, description, userId, workspaceId, referenceId, referenceType, createdBy)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, type, description, userId, workspaceId, referenceId, referenceType, createdBy);
+
+      const balances = {};
+      for (const { account, amount } of lines) {
+        const target = resolveAccount(account);
+        let balanceAfter = null;
+
+        if (target) {
+          const updated = this.db.prepare(`UPDATE ${target.table} SET ${target.column} = COALESCE(${target.column}, 0) + ? WHERE ${target.where}`)
+            .run(amount, ...target.params);
+          if (updated.changes === 0) {
+            throw new Error(`Credit account not found: ${account}`);
+          }
+          balanceAfter = this.getBalance(account);
+          balances[account] = balanceAfter;
+
+          // Statement line for spendable balances
+          if (!target.reserved) {
+            this.db.prepare(`
+              INSERT INTO credit_transactions (id, userId, workspaceId, type, amount, balanceBefore, balanceAfter, description, referenceId, referenceType)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(uuidv4(), target.userId || userId, target.workspaceId, type, amount, balanceAfter - amount, balanceAfter,
+              description, referenceId, referenceType);
+          }
+        }
+
+        this.db.prepare(`
+          INSERT INTO credit_ledger_entries (id, transactionId, account, userId, workspaceId, amount, balanceAfter)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(uuidv4(), id, account, target?.userId || null, target?.workspaceId || null, amount, balanceAfter);
+      }
+
+      return { id, balances };
+    })();
+  }
+
+  /**
+   * Move credits from one account to another
+   * @param {Object} movement - post() options with from, to and amount instead of entries
+   */
+  transfer({ from, to, amount, ...posting }) {
+    return this.post({ ...posting, entries: [{ account: from, amount: -amount }, { account: to, amount }] });
+  }
+
+  /**
+   * Set an account to a balance, against a system account
+   * @returns {Object|null} - The posting, null if the balance was already right
+   */
+  setBalance(account, balance, { counterAccount = SYSTEM_ACCOUNTS.ADJUSTMENTS, ...posting }) {
+    const difference = balance - this.getBalance(account);
+    return this.transfer({ ...posting, from: counterAccount, to: account, amount: difference });
+  }
+
+  /**
+   * Move the remaining balances of accounts about to be deleted to system:forfeited
+   * @param {string[]} accountList
+   * @param {Object} posting - post() options
+   */
+  closeAccounts(accountList, posting) {
+    const entries = accountList
+      .map(account => ({ account, amount: -this.getBalance(account) }))
+      .filter(entry => entry.amount !== 0);
+    const forfeited = -entries.reduce((sum, entry) => sum + entry.amount, 0);
+    return this.post({ ...posting, entries: [...entries, { account: SYSTEM_ACCOUNTS.FORFEITED, amount: forfeited }] });
+  }
+
+  // ============ RECONCILIATION ============
+
+  /**
+   * Every account with a balance column, with the column's value
+   * @returns {Map<string, number>}
+   */
+  getColumnBalances() {
+    const balances = new Map();
+    for (const row of this.db.prepare('SELECT id, credits, reservedCredits FROM users').all()) {
+      balances.set(accounts.user(row.id), row.credits || 0);
+      balances.set(accounts.userReserved(row.id), row.reservedCredits || 0);
+    }
+    for (const row of this.db.prepare('SELECT id, credits, reservedCredits FROM workspaces').all()) {
+      balances.set(accounts.workspace(row.id), row.credits || 0);
+      balances.set(accounts.workspaceReserved(row.id), row.reservedCredits || 0);
+    }
+    for (const row of this.db.prepare('SELECT workspaceId, userId, allocatedCredits, reservedAllocated FROM workspace_members').all()) {
+      balances.set(accounts.member(row.workspaceId, row.userId), row.allocatedCredits || 0);
+      balances.set(accounts.memberReserved(row.workspaceId, row.userId), row.reservedAllocated || 0);
+    }
+    return balances;
+  }
+
+  /**
+   * Balances derived from the ledger, per account (system accounts included)
+   * @returns {Map<string, number>}
+   */
+  getLedgerBalances() {
+    const rows = this.db.prepare('SELECT account, SUM(amount) as balance FROM credit_ledger_entries GROUP BY account').all();
+    return new Map(rows.map(row => [row.account, row.balance]));
+  }
+
+  /**
+   * Post opening balances for accounts whose balances predate the ledger.
+   * Only runs while the ledger is empty; after that a difference is drift.
+   * @returns {number} - Accounts opened
+   */
+  openBalances() {
+    if (this.db.prepare('SELECT 1 FROM credit_ledger_transactions LIMIT 1').get()) return 0;
+
+    const entries = [...this.getColumnBalances()]
+      .filter(([, balance]) => balance !== 0)
+      .map(([account, balance]) => ({ account, amount: balance }));
+    if (entries.length === 0) return 0;
+
+    // The columns already hold these balances; only the entries are written
+    return this.db.transaction(() => {
+      const id = uuidv4();
+      this.db.prepare(`
+        INSERT INTO credit_ledger_transactions (id, type, description) VALUES (?, 'opening_balance', 'Balances before the credit ledger')
+      `).run(id);
+      const insertEntry = this.db.prepare(`
+        INSERT INTO credit_ledger_entries (id, transactionId, account, userId, workspaceId, amount, balanceAfter)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      let opening = 0;
+      for (const { account, amount } of entries) {
+        const target = resolveAccount(account);
+        insertEntry.run(uuidv4(), id, account, target.userId, target.workspaceId, amount, amount);
+        opening -= amount;
+      }
+      insertEntry.run(uuidv4(), id, SYSTEM_ACCOUNTS.OPENING, null, null, roundCredits(opening), null);
+
+      console.log(`[LEDGER] Opened ${entries.length} account balances`);
+      return entries.length;
+    })();
+  }
+
+  /**
+   * Compare balance columns with the ledger and record the result
+   * @returns {{id: string, accountsChecked: number, driftCount: number, ledgerImbalance: number, drift: Array<{account: string, ledger: number, actual: number, difference: number}>}}
+   */
+  reconcile() {
+    const columns = this.getColumnBalances();
+    const ledger = this.getLedgerBalances();
+
+    const drift = [];
+    const accountList = new Set([...columns.keys(), ...[...ledger.keys()].filter(account => !account.startsWith('system:'))]);
+    for (const account of accountList) {
+      // Accounts whose row is gone have no balance left
+      const actual = columns.get(account) || 0;
+      const expected = ledger.get(account) || 0;
+      if (Math.abs(actual - expected) > DRIFT_TOLERANCE) {
+        drift.push({ account, ledger: roundCredits(expected), actual: roundCredits(actual), difference: roundCredits(actual - expected) });
+      }
+    }
+
+    // Entries across all accounts, system ones included, must sum to zero
+    const ledgerImbalance = roundCredits([...ledger.values()].reduce((sum, balance) => sum + balance, 0)) || 0;
+
+    const result = { id: uuidv4(), accountsChecked: accountList.size, driftCount: drift.length, ledgerImbalance, drift };
+    this.db.prepare(`
+      INSERT INTO credit_reconciliations (id, accountsChecked, driftCount, ledgerImbalance, drift) VALUES (?, ?, ?, ?, ?)
+    `).run(result.id, result.accountsChecked, result.driftCount, ledgerImbalance, JSON.stringify(drift.slice(0, MAX_DRIFT_RECORDED)));
+
+    if (drift.length > 0 || Math.abs(ledgerImbalance) > DRIFT_TOLERANCE) {
+      console.warn(`[LEDGER] Drift in ${drift.length} of ${accountList.size} accounts, ledger imbalance ${ledgerImbalance}`);
+      this.logError('system', null, null, 'credit-ledger/reconcile', 'CREDIT_DRIFT',
+        `${drift.length} accounts differ from the credit ledger`, null, { reconciliationId: result.id, ledgerImbalance, drift: drift.slice(0, 10) });
+      this.logAudit(null, 'credit_drift_detected', 'credit_reconciliation', result.id, { driftCount: drift.length, ledgerImbalance });
+    }
+    return result;
+  }
+
+  // ============ SCHEDULER ============
+
+  start(intervalMs = RECONCILE_INTERVAL) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      try {
+        this.reconcile();
+      } catch (err) {
+        console.error('[LEDGER] Reconciliation failed:', err.message);
+      }
+    }, intervalMs);
+    this.interval.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+}
+
+/**
+ * Create a credit ledger instance
+ */
+function createCreditLedger(options) {
+  return new CreditLedger(options);
+}
+
+module.exports = {
+  CreditLedger,
+  createCreditLedger,
+  resolveAccount,
+  accounts,
+  SYSTEM_ACCOUNTS
+};
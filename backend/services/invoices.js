@@ -0,0 +1,472 @@
+/**
+ * Invoices
+ *
+ * Sequentially numbered invoices for captured payments, rendered as HTML and PDF.
+ * Features:
+ * - One invoice per completed payment with an amount, numbered
+ *   "<invoicePrefix>-000001" in the order they are issued
+ * - Seller (company* settings) and customer (billing details on the user's
+ *   profile) are copied onto the invoice when it is issued; later edits
+ *   don't change issued invoices
+ * - Tax lines by jurisdiction. Prices include tax: the captured amount is the
+ *   invoice total and tax is worked back out of it
+ *   - seller in India: CGST + SGST within the seller's state, IGST across
+ *     states, zero-rated export of services to customers abroad
+ *   - other sellers: invoiceTaxRates per customer country ("GB:20,DE:19"),
+ *     reverse charge for business customers (tax ID) in another country
+ * - PDF without dependencies: one or more A4 pages of Helvetica text
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_PREFIX = 'INV';
+const DEFAULT_GST_RATE = 18;
+const NUMBER_DIGITS = 6;
+
+// Payments that were captured (refunds don't undo the invoice)
+const INVOICED_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+/**
+ * Round to the smallest currency unit
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Parse "KEY:value,KEY:value" rates (keys upper-cased)
+ * @returns {Object<string, number>}
+ */
+function parseRates(value) {
+  const rates = {};
+  for (const rule of String(value || '').split(',')) {
+    const [key, rate] = rule.split(':').map(part => part && part.trim());
+    const parsed = parseFloat(rate);
+    if (key && Number.isFinite(parsed) && parsed >= 0) rates[key.toUpperCase()] = parsed;
+  }
+  return rates;
+}
+
+function sameRegion(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Tax lines for a sale, by the seller's and customer's jurisdictions
+ * @param {Object} seller - { country, state }
+ * @param {Object} customer - { country, state, taxId }
+ * @param {Object} options - { gstRate, taxRates }
+ * @returns {{lines: Array<{name: string, rate: number}>, note: string|null}}
+ */
+function getTaxRules(seller, customer, { gstRate = DEFAULT_GST_RATE, taxRates = {} } = {}) {
+  // Customers without a billing country are taxed where the seller is
+  const sellerCountry = seller.country;
+  const customerCountry = customer.country || sellerCountry;
+  const domestic = customerCountry === sellerCountry;
+
+  if (sellerCountry === 'IN') {
+    if (!domestic) {
+      return { lines: [{ name: 'IGST', rate: 0 }], note: 'Export of services - zero-rated supply' };
+    }
+    if (!customer.state || sameRegion(customer.state, seller.state)) {
+      return { lines: [{ name: 'CGST', rate: gstRate / 2 }, { name: 'SGST', rate: gstRate / 2 }], note: null };
+    }
+    return { lines: [{ name: 'IGST', rate: gstRate }], note: null };
+  }
+
+  if (!domestic && customer.taxId) {
+    return { lines: [{ name: 'VAT', rate: 0 }], note: 'Reverse charge - VAT to be accounted for by the recipient' };
+  }
+  const rate = taxRates[customerCountry];
+  return rate ? { lines: [{ name: 'VAT', rate }], note: null } : { lines: [], note: null };
+}
+
+/**
+ * Split a tax-inclusive total into subtotal and tax lines
+ * @returns {{subtotal: number, taxTotal: number, taxLines: Array<{name: string, rate: number, amount: number}>}}
+ */
+function splitTax(total, rules) {
+  const combinedRate = rules.reduce((sum, rule) => sum + rule.rate, 0);
+  const subtotal = roundAmount(total / (1 + combinedRate / 100));
+  const taxTotal = roundAmount(total - subtotal);
+
+  // Lines share the tax by rate; the last one takes the rounding difference
+  let remaining = taxTotal;
+  const taxLines = rules.map((rule, index) => {
+    const amount = index === rules.length - 1
+      ? roundAmount(remaining)
+      : roundAmount(combinedRate ? taxTotal * rule.rate / combinedRate : 0);
+    remaining -= amount;
+    return { name: rule.name, rate: rule.rate, amount };
+  });
+
+  return { subtotal, taxTotal, taxLines };
+}
+
+function formatMoney(amount, currency) {
+  const value = Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${currency} ${value}`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toISOString().slice(0, 10);
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for a PDF string; characters Helvetica (WinAnsi) can't show become '?'
+ */
+function escapePdfText(value) {
+  return String(value ?? '')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+/**
+ * Lines of a party's name and address
+ */
+function partyLines(party) {
+  return [
+    party.name,
+    ...String(party.address || '').split('\n'),
+    [party.city, party.state, party.postalCode].filter(Boolean).join(', '),
+    party.country,
+    party.taxId ? `Tax ID: ${party.taxId}` : null,
+    party.email
+  ].map(line => line && String(line).trim()).filter(Boolean);
+}
+
+class Invoices {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   * @param {Function} options.getSetting - Settings lookup
+   * @param {Function} [options.logAudit] - (adminId, action, targetType, targetId, details) => void
+   */
+  constructor({ db, getSetting, logAudit }) {
+    this.db = db;
+    this.getSetting = getSetting;
+    this.logAudit = logAudit || (() => {});
+  }
+
+  // ============ ISSUING ============
+
+  getSeller() {
+    return {
+      name: this.getSetting('companyName') || 'OmniHub',
+      address: this.getSetting('companyAddress') || '',
+      state: this.getSetting('companyState') || '',
+      country: (this.getSetting('companyCountry') || 'IN').toUpperCase(),
+      taxId: this.getSetting('companyTaxId') || '',
+      email: this.getSetting('companyEmail') || ''
+    };
+  }
+
+  getCustomer(userId) {
+    const user = this.db.prepare(`
+      SELECT email, name, billingName, billingAddress, billingCity, billingState, billingPostalCode, billingCountry, taxId
+      FROM users WHERE id = ?
+    `).get(userId) || {};
+    return {
+      name: user.billingName || user.name || user.email || '',
+      email: user.email || '',
+      address: user.billingAddress || '',
+      city: user.billingCity || '',
+      state: user.billingState || '',
+      postalCode: user.billingPostalCode || '',
+      country: (user.billingCountry || '').toUpperCase(),
+      taxId: user.taxId || ''
+    };
+  }
+
+  /**
+   * Issue the invoice for a captured payment (once per payment)
+   * @param {string} paymentId
+   * @param {Date} [now]
+   * @returns {Object|null} - The payment's invoice, null if it isn't invoiceable
+   */
+  issue(paymentId, now = new Date()) {
+    return this.db.transaction(() => {
+      const existing = this.getByPayment(paymentId);
+      if (existing) return existing;
+
+      const payment = this.db.prepare('SELECT * FROM payments WHERE id = ?').get(paymentId);
+      if (!payment || !(payment.amount > 0) || !INVOICED_STATUSES.includes(payment.status)) return null;
+
+      const seller = this.getSeller();
+      const customer = this.getCustomer(payment.userId);
+      const gstRate = parseFloat(this.getSetting('gstRate'));
+      const { lines: rules, note } = getTaxRules(seller, customer, {
+        gstRate: Number.isFinite(gstRate) && gstRate >= 0 ? gstRate : DEFAULT_GST_RATE,
+        taxRates: parseRates(this.getSetting('invoiceTaxRates'))
+      });
+      const total = roundAmount(payment.amount);
+      const { subtotal, taxTotal, taxLines } = splitTax(total, rules);
+      const lines = [{ description: payment.description || payment.type, quantity: 1, unitAmount: subtotal, amount: subtotal }];
+
+      const sequence = (this.db.prepare('SELECT MAX(sequence) as last FROM invoices').get().last || 0) + 1;
+      const prefix = this.getSetting('invoicePrefix') || DEFAULT_PREFIX;
+      const invoice = {
+        id: uuidv4(),
+        number: `${prefix}-${String(sequence).padStart(NUMBER_DIGITS, '0')}`,
+        sequence,
+        paymentId: payment.id,
+        userId: payment.userId,
+        currency: payment.currency || 'INR',
+        subtotal,
+        taxTotal,
+        total,
+        taxNote: note,
+        issuedAt: now.toISOString()
+      };
+
+      this.db.prepare(`
+        INSERT INTO invoices (id, number, sequence, paymentId, userId, currency, subtotal, taxTotal, total, seller, customer, lines, taxLines, taxNote, issuedAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(invoice.id, invoice.number, sequence, payment.id, payment.userId, invoice.currency, subtotal, taxTotal, total,
+        JSON.stringify(seller), JSON.stringify(customer), JSON.stringify(lines), JSON.stringify(taxLines), note, invoice.issuedAt);
+
+      console.log(`[INVOICE] Issued ${invoice.number} for payment ${payment.id}`);
+      this.logAudit(null, 'invoice_issued', 'invoice', invoice.id, { number: invoice.number, paymentId: payment.id, total, currency: invoice.currency });
+
+      return this.get(invoice.id);
+    })();
+  }
+
+  /**
+   * Issue invoices for captured payments that don't have one yet (payments
+   * from before invoicing, or whose invoice failed), oldest first
+   * @returns {number} - Invoices issued
+   */
+  issueMissing() {
+    const payments = this.db.prepare(`
+      SELECT p.id FROM payments p
+      LEFT JOIN invoices i ON i.paymentId = p.id
+      WHERE i.id IS NULL AND p.amount > 0 AND p.status IN (${INVOICED_STATUSES.map(() => '?').join(', ')})
+      ORDER BY p.createdAt ASC
+    `).all(...INVOICED_STATUSES);
+
+    let issued = 0;
+    for (const { id } of payments) {
+      if (this.issue(id)) issued++;
+    }
+    return issued;
+  }
+
+  // ============ LOOKUP ============
+
+  hydrate(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      seller: JSON.parse(row.seller || '{}'),
+      customer: JSON.parse(row.customer || '{}'),
+      lines: JSON.parse(row.lines || '[]'),
+      taxLines: JSON.parse(row.taxLines || '[]')
+    };
+  }
+
+  get(invoiceId) {
+    return this.hydrate(this.db.prepare('SELECT * FROM invoices WHERE id = ?').get(invoiceId));
+  }
+
+  getByPayment(paymentId) {
+    return this.hydrate(this.db.prepare('SELECT * FROM invoices WHERE paymentId = ?').get(paymentId));
+  }
+
+  // ============ RENDERING ============
+
+  /**
+   * Standalone HTML document for an invoice
+   * @param {Object} invoice - Hydrated invoice
+   * @returns {string}
+   */
+  renderHtml(invoice) {
+    const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+    const party = (title, lines) => `
+      <div class="party"><h3>${title}</h3>${lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')}</div>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #111; max-width: 800px; margin: 40px auto; padding: 0 24px; }
+  h1 { margin: 0 0 4px; font-size: 28px; }
+  h3 { margin: 0 0 6px; font-size: 12px; text-transform: uppercase; color: #666; }
+  .meta { color: #444; margin-bottom: 32px; }
+  .parties { display: flex; gap: 48px; margin-bottom: 32px; }
+  .party { flex: 1; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  .amount { text-align: right; }
+  .totals td { border: none; }
+  .total td { font-weight: bold; border-top: 2px solid #111; }
+  .note { margin-top: 24px; color: #444; }
+</style>
+</head>
+<body>
+  <h1>Tax Invoice</h1>
+  <div class="meta">
+    <div>Invoice number: <strong>${escapeHtml(invoice.number)}</strong></div>
+    <div>Date: ${escapeHtml(formatDate(invoice.issuedAt))}</div>
+  </div>
+  <div class="parties">${party('From', partyLines(invoice.seller))}${party('Bill to', partyLines(invoice.customer))}
+  </div>
+  <table>
+    <thead><tr><th>Description</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr></thead>
+    <tbody>
+${invoice.lines.map(line => `      <tr><td>${escapeHtml(line.description)}</td><td class="amount">${line.quantity}</td><td class="amount">${money(line.unitAmount)}</td><td class="amount">${money(line.amount)}</td></tr>`).join('\n')}
+    </tbody>
+    <tbody class="totals">
+      <tr><td colspan="3" class="amount">Subtotal</td><td class="amount">${money(invoice.subtotal)}</td></tr>
+${invoice.taxLines.map(tax => `      <tr><td colspan="3" class="amount">${escapeHtml(tax.name)} (${tax.rate}%)</td><td class="amount">${money(tax.amount)}</td></tr>`).join('\n')}
+      <tr class="total"><td colspan="3" class="amount">Total</td><td class="amount">${money(invoice.total)}</td></tr>
+    </tbody>
+  </table>${invoice.taxNote ? `
+  <p class="note">${escapeHtml(invoice.taxNote)}</p>` : ''}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * PDF document for an invoice
+   * @param {Object} invoice - Hydrated invoice
+   * @returns {Buffer}
+   */
+  renderPdf(invoice) {
+    const money = (amount) => formatMoney(amount, invoice.currency);
+    const rows = [];
+    const text = (value, x, size = 10, bold = false) => rows.push({ value, x, size, bold });
+    const newLine = (gap = 14) => rows.push({ gap });
+
+    text('Tax Invoice', 50, 20, true);
+    newLine(24);
+    text(`Invoice number: ${invoice.number}`, 50);
+    newLine();
+    text(`Date: ${formatDate(invoice.issuedAt)}`, 50);
+    newLine(28);
+
+    // Seller and customer side by side
+    const seller = partyLines(invoice.seller);
+    const customer = partyLines(invoice.customer);
+    text('FROM', 50, 9, true);
+    text('BILL TO', 310, 9, true);
+    newLine();
+    for (let i = 0; i < Math.max(seller.length, customer.length); i++) {
+      if (seller[i]) text(seller[i], 50);
+      if (customer[i]) text(customer[i], 310);
+      newLine();
+    }
+    newLine(14);
+
+    text('Description', 50, 10, true);
+    text('Qty', 340, 10, true);
+    text('Amount', 420, 10, true);
+    newLine(18);
+    for (const line of invoice.lines) {
+      text(line.description, 50);
+      text(String(line.quantity), 340);
+      text(money(line.amount), 420);
+      newLine();
+    }
+    newLine(10);
+
+    text('Subtotal', 300);
+    text(money(invoice.subtotal), 420);
+    newLine();
+    for (const tax of invoice.taxLines) {
+      text(`${tax.name} (${tax.rate}%)`, 300);
+      text(money(tax.amount), 420);
+      newLine();
+    }
+    text('Total', 300, 11, true);
+    text(money(invoice.total), 420, 11, true);
+    newLine(28);
+    if (invoice.taxNote) text(invoice.taxNote, 50, 9);
+
+    return buildPdf(rows);
+  }
+}
+
+// ============ PDF ============
+
+const PAGE_WIDTH = 595; // A4, points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+/**
+ * Lay out text rows on A4 pages and write a PDF file
+ * @param {Array<{value?: string, x?: number, size?: number, bold?: boolean, gap?: number}>} rows - Text, and line breaks ({ gap })
+ * @returns {Buffer}
+ */
+function buildPdf(rows) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const row of rows) {
+    if (row.gap) {
+      y -= row.gap;
+      if (y < MARGIN) {
+        pages.push([]);
+        y = PAGE_HEIGHT - MARGIN;
+      }
+      continue;
+    }
+    const font = row.bold ? 'F2' : 'F1';
+    pages[pages.length - 1].push(`BT /${font} ${row.size} Tf ${row.x} ${y} Td (${escapePdfText(row.value)}) Tj ET`);
+  }
+
+  // 1: catalog, 2: page tree, 3-4: fonts, then a page and its content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  pages.forEach((commands, index) => {
+    const content = commands.join('\n');
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Create an invoices instance
+ */
+function createInvoices(options) {
+  return new Invoices(options);
+}
+
+module.exports = {
+  Invoices,
+  createInvoices,
+  getTaxRules,
+  splitTax,
+  INVOICED_STATUSES
+};
@@ -0,0 +1,395 @@
+/**
+ * Generation Job Queue
+ *
+ * Persistent queue (generation_jobs table) for generation work that used to be
+ * fired as untracked promises.
+ * Features:
+ * - Worker concurrency limits: global, per provider and per model
+ * - Priority by subscription plan (subscription_plans.queuePriority), FIFO within a priority
+ * - Queue position for queued generations
+ * - Recovery after a crash: jobs that were running are requeued, unless their
+ *   request already reached the provider (the provider webhook finishes those)
+ * - Requeue of stuck jobs up to maxAttempts
+ *
+ * Limits are stored in the jobQueueLimits setting:
+ *   { global: 8, providers: { default: 4, fal: 6 }, models: { default: 2, 'kling-video': 1 } }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_LIMITS = {
+  global: 8,
+  providers: { default: 4 },
+  models: { default: 2 },
+};
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   * @param {Function} options.getSetting - Settings lookup
+   * @param {Object<string, Function>} options.handlers - kind -> async (payload, job) => void
+   * @param {Function} [options.onFailed] - (job, error) => void, called when a job gives up
+   */
+  constructor({ db, getSetting, handlers, onFailed }) {
+    this.db = db;
+    this.getSetting = getSetting;
+    this.handlers = handlers;
+    this.onFailed = onFailed || (() => {});
+    // `${jobId}:${attempt}` -> { provider, modelId } for workers running in this process
+    this.running = new Map();
+    // Jobs are only dispatched once recover() has dealt with the last process's jobs
+    this.started = false;
+  }
+
+  // ============ LIMITS & PRIORITY ============
+
+  /**
+   * Effective concurrency limits (setting merged over defaults)
+   */
+  getLimits() {
+    let configured = {};
+    try {
+      configured = JSON.parse(this.getSetting('jobQueueLimits') || '{}');
+    } catch (e) {
+      console.warn('[QUEUE] Ignoring invalid jobQueueLimits setting');
+    }
+    return {
+      global: configured.global ?? DEFAULT_LIMITS.global,
+      providers: { ...DEFAULT_LIMITS.providers, ...configured.providers },
+      models: { ...DEFAULT_LIMITS.models, ...configured.models },
+    };
+  }
+
+  /**
+   * Validate a limits object before saving it
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateLimits(limits) {
+    if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+      return 'Limits must be an object';
+    }
+    const isLimit = value => Number.isInteger(value) && value > 0;
+    if (limits.global !== undefined && !isLimit(limits.global)) {
+      return 'global must be a positive integer';
+    }
+    for (const scope of ['providers', 'models']) {
+      if (limits[scope] === undefined) continue;
+      if (!limits[scope] || typeof limits[scope] !== 'object' || Array.isArray(limits[scope])) {
+        return `${scope} must be an object of limits`;
+      }
+      for (const [key, value] of Object.entries(limits[scope])) {
+        if (!isLimit(value)) return `${scope}.${key} must be a positive integer`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Queue priority of a user's active subscription plan (0 for free users)
+   */
+  getPriority(userId) {
+    const plan = this.db.prepare(`
+      SELECT p.queuePriority FROM user_subscriptions s
+      JOIN subscription_plans p ON p.id = s.planId
+      WHERE s.userId = ? AND s.status = 'active'
+      ORDER BY s.createdAt DESC LIMIT 1
+    `).get(userId);
+    return plan?.queuePriority || 0;
+  }
+
+  // ============ QUEUEING ============
+
+  /**
+   * Queue a job and dispatch workers
+   * @param {Object} job
+   * @param {string} job.kind - Handler name ('generate', 'upscale')
+   * @param {string} job.userId - Owner (sets the priority)
+   * @param {string} job.modelId - Model, for per-model limits
+   * @param {string} job.provider - Provider, for per-provider limits
+   * @param {Array<string>} job.generationIds - Generation rows the job produces
+   * @param {Object} job.payload - Handler arguments (must be JSON-serializable)
+   * @returns {{jobId: string, position: number|null}}
+   */
+  enqueue({ kind, userId, modelId, provider, generationIds, payload }) {
+    if (!this.handlers[kind]) {
+      throw new Error(`Unknown job kind: ${kind}`);
+    }
+
+    const jobId = uuidv4();
+    this.db.prepare(`
+      INSERT INTO generation_jobs (id, kind, userId, modelId, provider, generationIds, payload, priority, maxAttempts, queuedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      jobId, kind, userId, modelId, provider,
+      JSON.stringify(generationIds), JSON.stringify(payload),
+      this.getPriority(userId), DEFAULT_MAX_ATTEMPTS, Date.now()
+    );
+
+    const setJob = this.db.prepare('UPDATE generations SET jobId = ? WHERE id = ?');
+    generationIds.forEach(genId => setJob.run(jobId, genId));
+
+    this.pump();
+    return { jobId, position: this.getPosition(jobId) };
+  }
+
+  /**
+   * 1-based position among queued jobs, or null once the job is running or finished
+   */
+  getPosition(jobId) {
+    const job = this.db.prepare(
+      "SELECT rowid, priority, queuedAt FROM generation_jobs WHERE id = ? AND status = 'queued'"
+    ).get(jobId);
+    if (!job) return null;
+
+    const ahead = this.db.prepare(`
+      SELECT COUNT(*) as count FROM generation_jobs
+      WHERE status = 'queued' AND (
+        priority > ? OR (priority = ? AND (queuedAt < ? OR (queuedAt = ? AND rowid < ?)))
+      )
+    `).get(job.priority, job.priority, job.queuedAt, job.queuedAt, job.rowid).count;
+    return ahead + 1;
+  }
+
+  /**
+   * Queue positions for a set of jobs
+   * @param {Array<string>} jobIds
+   * @returns {Map<string, number>} - jobId -> position (queued jobs only)
+   */
+  getPositions(jobIds) {
+    const positions = new Map();
+    for (const jobId of new Set(jobIds.filter(Boolean))) {
+      const position = this.getPosition(jobId);
+      if (position !== null) positions.set(jobId, position);
+    }
+    return positions;
+  }
+
+  // ============ DISPATCH ============
+
+  /**
+   * Start as many queued jobs as the limits allow.
+   * A job blocked by its provider or model limit doesn't hold up jobs behind it.
+   */
+  pump() {
+    if (!this.started) return;
+
+    const limits = this.getLimits();
+    const queued = this.db.prepare(
+      "SELECT * FROM generation_jobs WHERE status = 'queued' ORDER BY priority DESC, queuedAt ASC, rowid ASC"
+    ).all();
+
+    for (const row of queued) {
+      if (this.running.size >= limits.global) break;
+
+      const slots = [...this.running.values()];
+      const providerLimit = limits.providers[row.provider] ?? limits.providers.default;
+      const modelLimit = limits.models[row.modelId] ?? limits.models.default;
+      if (slots.filter(s => s.provider === row.provider).length >= providerLimit) continue;
+      if (slots.filter(s => s.modelId === row.modelId).length >= modelLimit) continue;
+
+      this.start(parseJob(row));
+    }
+  }
+
+  /**
+   * Claim a queued job and run its handler
+   */
+  start(job) {
+    const attempt = job.attempts + 1;
+    const claimed = this.db.prepare(
+      "UPDATE generation_jobs SET status = 'running', attempts = ?, startedAt = ? WHERE id = ? AND status = 'queued'"
+    ).run(attempt, Date.now(), job.id);
+    if (claimed.changes === 0) return;
+
+    // Nothing left to do if every generation was cancelled while queued
+    const pending = this.db.prepare(
+      "SELECT COUNT(*) as count FROM generations WHERE jobId = ? AND status = 'pending'"
+    ).get(job.id).count;
+    if (pending === 0) {
+      this.finish(job.id, attempt, 'cancelled');
+      return;
+    }
+
+    // The generation's wait time counts from when work starts, not from when it was queued
+    // (progress from an earlier attempt no longer applies)
+    this.db.prepare("UPDATE generations SET startedAt = datetime('now'), progress = NULL WHERE jobId = ? AND status = 'pending'")
+      .run(job.id);
+
+    const slot = `${job.id}:${attempt}`;
+    this.running.set(slot, { provider: job.provider, modelId: job.modelId });
+    console.log(`[QUEUE] Started ${job.kind} job ${job.id} (attempt ${attempt}, ${job.provider}/${job.modelId})`);
+
+    Promise.resolve()
+      .then(() => this.handlers[job.kind](job.payload, { ...job, attempts: attempt }))
+      .then(() => this.finish(job.id, attempt, 'done'))
+      .catch(err => {
+        console.error(`[QUEUE] Job ${job.id} failed:`, err.message);
+        this.retryOrFail(job.id, attempt, err);
+      })
+      .finally(() => {
+        this.running.delete(slot);
+        this.pump();
+      });
+  }
+
+  /**
+   * Mark a job finished - unless it was requeued while this attempt was running
+   */
+  finish(jobId, attempt, status, error = null) {
+    this.db.prepare(`
+      UPDATE generation_jobs SET status = ?, lastError = COALESCE(?, lastError), completedAt = ?
+      WHERE id = ? AND attempts = ? AND status = 'running'
+    `).run(status, error, Date.now(), jobId, attempt);
+  }
+
+  /**
+   * Requeue a failed attempt, or give up once maxAttempts is reached
+   */
+  retryOrFail(jobId, attempt, err) {
+    const job = this.db.prepare("SELECT * FROM generation_jobs WHERE id = ? AND attempts = ? AND status = 'running'")
+      .get(jobId, attempt);
+    if (!job) return;
+
+    if (job.attempts < job.maxAttempts) {
+      this.db.prepare("UPDATE generation_jobs SET status = 'queued', lastError = ? WHERE id = ?").run(err.message, jobId);
+      return;
+    }
+
+    this.finish(jobId, attempt, 'failed', err.message);
+    this.onFailed(parseJob(job), err);
+  }
+
+  // ============ RECOVERY ============
+
+  /**
+   * Whether an attempt of the job is still running in this process
+   */
+  isRunningHere(jobId) {
+    for (const slot of this.running.keys()) {
+      if (slot.startsWith(`${jobId}:`)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Requeue a job whose worker is stuck or gone.
+   * A job whose attempt is still running here is left alone: a second attempt would
+   * call the provider again while the first is still waiting on it.
+   * @param {string} jobId
+   * @param {string} reason - Saved as lastError
+   * @returns {boolean} - true if the job is queued again, false if it has used all its
+   *   attempts or is still running here (the caller fails its generations instead)
+   */
+  requeue(jobId, reason) {
+    const job = this.db.prepare('SELECT status, attempts, maxAttempts FROM generation_jobs WHERE id = ?').get(jobId);
+    if (!job) return false;
+    if (job.status === 'queued') return true;
+    if (job.status !== 'running') return false;
+    if (this.isRunningHere(jobId)) return false;
+
+    if (job.attempts >= job.maxAttempts) {
+      this.db.prepare("UPDATE generation_jobs SET status = 'failed', lastError = ?, completedAt = ? WHERE id = ?")
+        .run(reason, Date.now(), jobId);
+      return false;
+    }
+
+    this.db.prepare("UPDATE generation_jobs SET status = 'queued', lastError = ? WHERE id = ?").run(reason, jobId);
+    console.log(`[QUEUE] Requeued job ${jobId}: ${reason}`);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Deal with jobs the previous process left running, then start dispatching.
+   * A job whose generations were all submitted to a provider (or finished) is
+   * done - the webhook or its poll fallback completes it. Anything else runs again.
+   */
+  recover() {
+    const orphaned = this.db.prepare("SELECT * FROM generation_jobs WHERE status = 'running'").all();
+
+    for (const row of orphaned) {
+      const unsubmitted = this.db.prepare(
+        "SELECT COUNT(*) as count FROM generations WHERE jobId = ? AND status = 'pending' AND providerRequest IS NULL"
+      ).get(row.id).count;
+
+      if (unsubmitted === 0) {
+        this.finish(row.id, row.attempts, 'done');
+      } else if (!this.requeue(row.id, 'Interrupted by restart')) {
+        this.onFailed(parseJob(row), new Error('Generation failed after repeated restarts'));
+      }
+    }
+
+    if (orphaned.length > 0) {
+      console.log(`[QUEUE] Recovered ${orphaned.length} interrupted job(s)`);
+    }
+
+    this.started = true;
+    this.pump();
+  }
+
+  // ============ STATUS ============
+
+  /**
+   * Queue overview for the admin panel
+   */
+  getStatus() {
+    const limits = this.getLimits();
+    const counts = this.db.prepare(`
+      SELECT status, provider, modelId, COUNT(*) as count FROM generation_jobs
+      WHERE status IN ('queued', 'running') GROUP BY status, provider, modelId
+    `).all();
+
+    const byProvider = {};
+    const byModel = {};
+    for (const { status, provider, modelId, count } of counts) {
+      byProvider[provider] = byProvider[provider] || { queued: 0, running: 0 };
+      byProvider[provider][status] += count;
+      byModel[modelId] = byModel[modelId] || { queued: 0, running: 0 };
+      byModel[modelId][status] += count;
+    }
+
+    const jobs = this.db.prepare(`
+      SELECT id, kind, userId, modelId, provider, priority, status, attempts, maxAttempts, lastError, queuedAt, startedAt
+      FROM generation_jobs WHERE status IN ('queued', 'running')
+      ORDER BY status DESC, priority DESC, queuedAt ASC, rowid ASC LIMIT 200
+    `).all();
+    let position = 0;
+    jobs.forEach(job => {
+      job.position = job.status === 'queued' ? ++position : null;
+    });
+
+    return {
+      limits,
+      workers: this.running.size,
+      queued: counts.filter(c => c.status === 'queued').reduce((sum, c) => sum + c.count, 0),
+      running: counts.filter(c => c.status === 'running').reduce((sum, c) => sum + c.count, 0),
+      byProvider,
+      byModel,
+      jobs
+    };
+  }
+}
+
+function parseJob(row) {
+  return {
+    ...row,
+    generationIds: JSON.parse(row.generationIds || '[]'),
+    payload: JSON.parse(row.payload || '{}')
+  };
+}
+
+/**
+ * Create a job queue instance
+ */
+function createJobQueue(options) {
+  return new JobQueue(options);
+}
+
+module.exports = {
+  JobQueue,
+  createJobQueue,
+  DEFAULT_LIMITS
+};
@@ -5,33 +5,213 @@
  * Features:
  * - Automatic failover between providers
  * - Health checking
- * - Cost-based routing
+ * - Routing policies (priority, cheapest, fastest, weighted, pinned)
  * - Provider preference per model
  * - Error logging and metrics
+ * - Chat / LLM completion and streaming (text providers)
  */
 
-const { getProvider, getAvailableProviders } = require('../providers');
+const { getProvider, getAvailableProviders, PROVIDER_CONFIG } = require('../providers');
 const { getModel, getProviderConfig, calculateCost } = require('../models/modelRegistry');
 
-// Track provider health
+// Track provider health (in memory until initHealthStore() provides a DB)
 const providerHealth = new Map();
 const HEALTH_CHECK_INTERVAL = 60000; // 1 minute
-const FAILURE_THRESHOLD = 3; // Failures before marking unhealthy
-const RECOVERY_TIME = 300000; // 5 minutes before retry
+const FAILURE_THRESHOLD = 3; // Default failures before opening the circuit
+const RECOVERY_TIME = 300000; // Default 5 minutes before probing an open circuit
+const PROBE_TIMEOUT = 60000; // A probe older than this is assumed lost
+const METRICS_WINDOW = 100; // Calls kept per provider / model for rolling metrics
+let healthDb = null;
+let healthGetSetting = null;
+
+// ============ ROUTING POLICIES ============
+// How generate() orders a model's providers. Policies are stored in the
+// routingPolicies setting as { global: {...}, models: { [modelId]: {...} } }:
+// - priority: defaultProvider, then fallbackOrder (the default)
+// - cheapest: lowest registry cost for the requested options first
+// - fastest:  lowest observed p50 latency first (providers without data last)
+// - weighted: first provider picked at random by weights ({ fal: 3, replicate: 1 })
+// - pinned:   only policy.provider, no failover
+// Enabled providers that serve any model (mock) are appended as the last fallback.
+// Unhealthy providers are still skipped by the circuit breaker.
+
+const ROUTING_POLICIES = ['priority', 'cheapest', 'fastest', 'weighted', 'pinned'];
+
+/**
+ * Read routing policy configuration from settings
+ * @returns {{global: Object|null, models: Object}}
+ */
+function getRoutingConfig(getSetting) {
+  const raw = getSetting?.('routingPolicies');
+  if (!raw) return { global: null, models: {} };
+  try {
+    const config = JSON.parse(raw);
+    return { global: config.global || null, models: config.models || {} };
+  } catch (error) {
+    console.error('[ROUTER] Invalid routingPolicies setting:', error.message);
+    return { global: null, models: {} };
+  }
+}
+
+/**
+ * Check a policy before it is saved
+ * @param {Object} policy - { policy, provider?, weights? }
+ * @param {string} [modelId] - Registry model the policy applies to (global when omitted)
+ * @returns {string|null} - Error message, null when valid
+ */
+function validateRoutingPolicy(policy, modelId = null) {
+  if (!policy || !ROUTING_POLICIES.includes(policy.policy)) {
+    return `policy must be one of: ${ROUTING_POLICIES.join(', ')}`;
+  }
+
+  const model = modelId ? getModel(modelId) : null;
+  if (modelId && !model) return `Unknown model: ${modelId}`;
+  const supports = (providerId) => model
+    ? !!(model.providers?.[providerId] || PROVIDER_CONFIG[providerId]?.fallbackForAll)
+    : !!PROVIDER_CONFIG[providerId];
+
+  if (policy.policy === 'pinned') {
+    if (!policy.provider || !supports(policy.provider)) {
+      return `pinned needs a provider${model ? ' this model supports' : ''}`;
+    }
+  }
+  if (policy.policy === 'weighted') {
+    const weights = Object.entries(policy.weights || {});
+    if (weights.length === 0 || weights.some(([id, weight]) => !supports(id) || !(weight >= 0))) {
+      return 'weighted needs weights >= 0 for supported providers';
+    }
+    if (!weights.some(([, weight]) => weight > 0)) {
+      return 'weighted needs at least one weight above 0';
+    }
+  }
+  return null;
+}
+
+/**
+ * Enabled providers that can stand in for any model (the mock provider)
+ * @param {Function} getSetting
+ * @returns {Array<string>}
+ */
+function getFallbackForAllProviders(getSetting) {
+  return Object.keys(PROVIDER_CONFIG).filter(id =>
+    PROVIDER_CONFIG[id].fallbackForAll && getProvider(id, getSetting).enabled
+  );
+}
+
+/**
+ * Order a model's providers by its routing policy
+ * @param {string} modelId - Registry model ID
+ * @param {Object} options - Generation options (for cost multipliers)
+ * @param {Function} getSetting
+ * @returns {{policy: string, order: Array<string>, reasons: Object<string, string>}}
+ */
+function planRoute(modelId, options, getSetting) {
+  const model = getModel(modelId);
+  const priorityOrder = [
+    model.defaultProvider,
+    ...(model.fallbackOrder || [])
+  ].filter(p => p && model.providers?.[p]);
+  priorityOrder.push(...getFallbackForAllProviders(getSetting).filter(p => !priorityOrder.includes(p)));
+
+  const config = getRoutingConfig(getSetting);
+  const policy = config.models[modelId] || config.global || { policy: 'priority' };
+  const scope = config.models[modelId] ? 'model' : 'global';
+
+  return orderByPolicy(priorityOrder, policy, scope, {
+    cost: (providerId) => calculateCost(modelId, providerId, options),
+    latency: (providerId) => getObservedLatency(providerId, modelId)
+  });
+}
+
+/**
+ * Order providers by a routing policy
+ * @param {Array<string>} priorityOrder - Providers in priority order
+ * @param {Object} policy - { policy, provider?, weights? }
+ * @param {string} scope - 'model' or 'global', for the reasons
+ * @param {Object} metrics - { cost(providerId) => number, latency(providerId) => number|null }
+ * @returns {{policy: string, order: Array<string>, reasons: Object<string, string>}}
+ */
+function orderByPolicy(priorityOrder, policy, scope, metrics) {
+  const reasons = {};
+
+  switch (policy.policy) {
+    case 'cheapest': {
+      const costs = Object.fromEntries(priorityOrder.map(p => [p, metrics.cost(p)]));
+      const order = [...priorityOrder].sort((a, b) => costs[a] - costs[b]);
+      order.forEach(p => { reasons[p] = `cheapest (${scope}): $${costs[p].toFixed(4)}`; });
+      return { policy: 'cheapest', order, reasons };
+    }
+
+    case 'fastest': {
+      const latencies = Object.fromEntries(priorityOrder.map(p => [p, metrics.latency(p)]));
+      const known = priorityOrder.filter(p => latencies[p] !== null).sort((a, b) => latencies[a] - latencies[b]);
+      const order = [...known, ...priorityOrder.filter(p => latencies[p] === null)];
+      order.forEach(p => {
+        reasons[p] = `fastest (${scope}): ${latencies[p] !== null ? `p50 ${latencies[p]}ms` : 'no latency data'}`;
+      });
+      return { policy: 'fastest', order, reasons };
+    }
+
+    case 'weighted': {
+      const candidates = priorityOrder.filter(p => policy.weights?.[p] > 0);
+      if (candidates.length === 0) break;
+      const total = candidates.reduce((sum, p) => sum + policy.weights[p], 0);
+      let pick = Math.random() * total;
+      const first = candidates.find(p => (pick -= policy.weights[p]) < 0) || candidates[candidates.length - 1];
+      const order = [first, ...priorityOrder.filter(p => p !== first)];
+      order.forEach(p => {
+        reasons[p] = p === first
+          ? `weighted (${scope}): ${Math.round(policy.weights[p] / total * 100)}% share`
+          : `weighted (${scope}): fallback`;
+      });
+      return { policy: 'weighted', order, reasons };
+    }
+
+    case 'pinned': {
+      if (!priorityOrder.includes(policy.provider)) break;
+      reasons[policy.provider] = `pinned (${scope})`;
+      return { policy: 'pinned', order: [policy.provider], reasons };
+    }
+  }
+
+  // priority, or a global policy this model can't use
+  priorityOrder.forEach((p, i) => {
+    reasons[p] = i === 0 ? 'priority: default provider' : 'priority: fallback';
+  });
+  return { policy: 'priority', order: priorityOrder, reasons };
+}
+
+/**
+ * Record which provider served a generation (or every row of a batch) and why
+ */
+function recordRouteDecision(context, providerId, reason) {
+  const genIds = context.genIds || (context.genId ? [context.genId] : []);
+  if (!context.db || genIds.length === 0) return;
+  try {
+    const recordRoute = context.db.prepare('UPDATE generations SET provider = ?, routingReason = ? WHERE id = ?');
+    genIds.forEach(genId => recordRoute.run(providerId, reason, genId));
+  } catch (error) {
+    console.error('[ROUTER] Failed to record route decision:', error.message);
+  }
+}
 
 /**
  * Generate content using the best available provider
  * 
  * @param {string} modelId - Model ID from registry
- * @param {string} type - 'image' | 'video' | 'upscale'
+ * @param {string} type - 'image' | 'video' | 'upscale' | 'tts' | 'stt'
  * @param {Object} params - Generation parameters
- * @param {string} params.prompt - Text prompt
+ * @param {string} params.prompt - Text prompt (text to speak for tts)
  * @param {Object} params.options - Generation options
  * @param {Array<string>} params.inputImages - Input images for img2img/upscale
+ * @param {string} [params.audioUrl] - Input audio for stt
  * @param {Function} getSetting - Function to get settings from DB
  * @param {Function} logError - Function to log errors
  * @param {Object} context - Additional context (db, genId, etc.)
- * @returns {Promise<GenerationResult>}
+ *   With db and genId, the chosen provider and routing reason are saved on the generation row
+ *   (on every row in genIds for a batch).
+ * @returns {Promise<{success: boolean, provider: string, routingReason: string, result: GenerationResult, attempts: Array, cost: number}>}
+ * @throws {Error} - When no provider succeeds; carries the route's policy and attempts
  */
 async function generate(modelId, type, params, getSetting, logError, context = {}) {
   const model = getModel(modelId);
@@ -39,38 +219,37 @@ async function generate(modelId, type, params, getSetting, logError, context = {
     throw new Error(`Unknown model: ${modelId}`);
   }
 
-  const { prompt, options = {}, inputImages = [] } = params;
+  const { prompt, options = {}, inputImages = [], audioUrl } = params;
   
-  // Build provider order: default first, then fallbacks
-  const providerOrder = [
-    model.defaultProvider,
-    ...(model.fallbackOrder || [])
-  ].filter(p => p && model.providers?.[p]);
+  // Order providers by the model's routing policy
+  const { policy, order: providerOrder, reasons } = planRoute(modelId, options, getSetting);
 
   // Track attempts for logging
   const attempts = [];
   let lastError = null;
 
   for (const providerId of providerOrder) {
-    // Check provider health
-    if (!isProviderHealthy(providerId)) {
+    // Check provider health (probes an open circuit once its recovery time has passed)
+    if (!await checkCircuit(providerId, getSetting)) {
       attempts.push({ provider: providerId, skipped: true, reason: 'unhealthy' });
       continue;
     }
 
+    const startedAt = Date.now();
     try {
       const provider = getProvider(providerId, getSetting);
       
       // Check if provider is available
       if (!await provider.isAvailable()) {
         attempts.push({ provider: providerId, skipped: true, reason: 'unavailable' });
-        markProviderFailure(providerId);
+        markProviderFailure(providerId, { modelId, error: 'Provider unavailable' });
         continue;
       }
 
       // Get provider-specific model config
       const providerConfig = getProviderConfig(modelId, providerId);
       const modelWithProvider = {
+        id: modelId,
         ...model,
         ...providerConfig,
         providerConfig: { [providerId]: providerConfig }
@@ -105,16 +284,28 @@ async function generate(modelId, type, params, getSetting, logError, context = {
             result = await provider.upscaleImage(modelWithProvider, inputImages[0], options);
           }
           break;
+        case 'tts':
+          result = await provider.generateSpeech(modelWithProvider, prompt, options);
+          break;
+        case 'stt':
+          result = await provider.transcribeAudio(modelWithProvider, audioUrl, options);
+          break;
         default:
           throw new Error(`Unknown generation type: ${type}`);
       }
 
       // Success! Mark provider healthy
-      markProviderSuccess(providerId);
+      markProviderSuccess(providerId, { modelId, latency: Date.now() - startedAt });
+
+      const routingReason = attempts.length
+        ? `${reasons[providerId]}; after ${attempts.map(a => `${a.provider} ${a.skipped ? a.reason : 'failed'}`).join(', ')}`
+        : reasons[providerId];
+      recordRouteDecision(context, providerId, routingReason);
 
       return {
         success: true,
         provider: providerId,
+        routingReason,
         result,
         attempts,
         cost: calculateCost(modelId, providerId, options)
@@ -122,7 +313,7 @@ async function generate(modelId, type, params, getSetting, logError, context = {
 
     } catch (error) {
       lastError = error;
-      markProviderFailure(providerId);
+      markProviderFailure(providerId, { modelId, latency: Date.now() - startedAt, error: error.message });
       
       attempts.push({
         provider: providerId,
@@ -150,10 +341,13 @@ async function generate(modelId, type, params, getSetting, logError, context = {
   }
 
   // All providers failed
-  throw new Error(
+  const error = new Error(
     lastError?.message || 
     `All providers failed for model ${modelId}: ${attempts.map(a => a.provider).join(', ')}`
   );
+  error.policy = policy;
+  error.attempts = attempts;
+  throw error;
 }
 
 /**
@@ -182,112 +376,539 @@ async function upscale(modelId, sourceUrl, options, getSetting, logError, contex
 }
 
 /**
- * Check if provider is healthy
+ * Generate speech from text (TTS)
  */
-function isProviderHealthy(providerId) {
-  const health = providerHealth.get(providerId);
-  if (!health) return true; // Unknown = assume healthy
-  
-  // If marked unhealthy, check if recovery time has passed
-  if (!health.healthy && health.lastFailure) {
-    const timeSinceFailure = Date.now() - health.lastFailure;
-    if (timeSinceFailure > RECOVERY_TIME) {
-      // Reset and try again
-      providerHealth.delete(providerId);
-      return true;
+async function generateSpeech(modelId, text, options, getSetting, logError, context) {
+  return generate(modelId, 'tts', { prompt: text, options }, getSetting, logError, context);
+}
+
+/**
+ * Transcribe audio to text (STT)
+ */
+async function transcribeAudio(modelId, audioUrl, options, getSetting, logError, context) {
+  return generate(modelId, 'stt', { prompt: '', options, audioUrl }, getSetting, logError, context);
+}
+
+// ============ TEXT / LLM ============
+
+// Providers that serve chat completions, in priority order. Each is used once
+// it is configured (isTextConfigured): OpenRouter with an API key, the
+// self-hosted provider with an OpenAI-compatible selfhostedTextUrl.
+const TEXT_PROVIDERS = ['openrouter', 'selfhosted'];
+
+/**
+ * Order the text providers by the global routing policy, like planRoute() for media.
+ * Chat models aren't registry models, so per-model policies don't apply; a global
+ * policy naming only media providers falls back to priority order.
+ * @param {Object|string} model - Chat model or provider model slug
+ * @param {Function} getSetting
+ * @returns {{policy: string, order: Array<string>, reasons: Object<string, string>}}
+ */
+function planTextRoute(model, getSetting) {
+  const modelId = getTextModelId(model);
+  const policy = getRoutingConfig(getSetting).global || { policy: 'priority' };
+
+  return orderByPolicy(TEXT_PROVIDERS, policy, 'global', {
+    // Self-hosted has no per-token cost; OpenRouter costs the model's per-1K token pricing
+    cost: (providerId) => providerId === 'selfhosted'
+      ? 0
+      : (typeof model === 'object' && model.inputCost !== undefined ? model.inputCost + (model.outputCost || 0) : Infinity),
+    latency: (providerId) => getObservedLatency(providerId, modelId)
+  });
+}
+
+/**
+ * Complete a chat using the best available text provider
+ *
+ * @param {Object|string} model - Chat model ({ id, apiEndpoint, inputCost, outputCost }) or provider model slug
+ * @param {Array<Object>} messages - OpenAI-format messages (content may include image_url parts)
+ * @param {Object} options - { maxTokens, temperature, webSearch, title }
+ * @param {Function} getSetting - Function to get settings from DB
+ * @param {Function} logError - Function to log errors
+ * @param {Object} context - Additional context (userId, etc.)
+ * @returns {Promise<{success: boolean, provider: string, routingReason: string, result: TextResult, attempts: Array, cost: number|null}>}
+ */
+async function generateText(model, messages, options, getSetting, logError, context = {}) {
+  const { order, reasons } = planTextRoute(model, getSetting);
+  const attempts = [];
+  let lastError = null;
+
+  for (const providerId of order) {
+    const provider = await getUsableTextProvider(providerId, getSetting, attempts);
+    if (!provider) continue;
+
+    const startedAt = Date.now();
+    try {
+      const result = await provider.generateText(model, messages, options);
+      markProviderSuccess(providerId, { modelId: getTextModelId(model), latency: Date.now() - startedAt });
+
+      return {
+        success: true,
+        provider: providerId,
+        routingReason: attempts.length
+          ? `${reasons[providerId]}; after ${attempts.map(a => `${a.provider} ${a.skipped ? a.reason : 'failed'}`).join(', ')}`
+          : reasons[providerId],
+        result,
+        attempts,
+        cost: result.cost
+      };
+    } catch (error) {
+      lastError = error;
+      recordTextFailure(providerId, model, error, Date.now() - startedAt);
+      recordTextFailover(providerId, model, error, attempts, logError, context);
     }
-    return false;
   }
-  
-  return health.healthy;
+
+  throw lastError || new Error(`No text provider available: ${attempts.map(a => `${a.provider} (${a.reason})`).join(', ')}`);
 }
 
 /**
- * Mark provider as failed
+ * Stream a chat completion from the best available text provider
+ * Yields { type: 'content', content } chunks, then { type: 'done', text, usage, cost, provider }.
+ * Fails over only until the first chunk has been yielded.
+ *
+ * @param {Object|string} model - Chat model or provider model slug
+ * @param {Array<Object>} messages - OpenAI-format messages
+ * @param {Object} options - { maxTokens, temperature, webSearch, title, signal }
+ * @param {Function} getSetting - Function to get settings from DB
+ * @param {Function} logError - Function to log errors
+ * @param {Object} context - Additional context (userId, etc.)
  */
-function markProviderFailure(providerId) {
-  const health = providerHealth.get(providerId) || { 
-    healthy: true, 
-    failures: 0, 
-    successes: 0 
+async function* streamText(model, messages, options, getSetting, logError, context = {}) {
+  const { order } = planTextRoute(model, getSetting);
+  const attempts = [];
+  let lastError = null;
+
+  for (const providerId of order) {
+    const provider = await getUsableTextProvider(providerId, getSetting, attempts);
+    if (!provider) continue;
+
+    const startedAt = Date.now();
+    let started = false;
+    try {
+      for await (const event of provider.streamText(model, messages, options)) {
+        if (event.type === 'done') {
+          markProviderSuccess(providerId, { modelId: getTextModelId(model), latency: Date.now() - startedAt });
+          yield { ...event, provider: providerId };
+        } else {
+          started = true;
+          yield event;
+        }
+      }
+      return;
+    } catch (error) {
+      lastError = error;
+      recordTextFailure(providerId, model, error, Date.now() - startedAt);
+      // Part of the answer has already reached the client
+      if (started) throw error;
+      recordTextFailover(providerId, model, error, attempts, logError, context);
+    }
+  }
+
+  throw lastError || new Error(`No text provider available: ${attempts.map(a => `${a.provider} (${a.reason})`).join(', ')}`);
+}
+
+/**
+ * Get a text provider if it is healthy and configured
+ * A missing API key is configuration, not an outage, so it doesn't count as a failure.
+ */
+async function getUsableTextProvider(providerId, getSetting, attempts) {
+  const provider = getProvider(providerId, getSetting);
+  if (!provider.isTextConfigured()) {
+    attempts.push({ provider: providerId, skipped: true, reason: 'not configured' });
+    return null;
+  }
+
+  if (!await checkCircuit(providerId, getSetting)) {
+    attempts.push({ provider: providerId, skipped: true, reason: 'unhealthy' });
+    return null;
+  }
+  return provider;
+}
+
+function getTextModelId(model) {
+  return typeof model === 'string' ? model : model.id || model.apiEndpoint;
+}
+
+/**
+ * Record a failed text call
+ * Request errors only count in the model's metrics, not against provider health.
+ */
+function recordTextFailure(providerId, model, error, latency) {
+  const modelId = getTextModelId(model);
+  if (isRequestError(error)) {
+    recordModelResult(providerId, modelId, false, latency, error.message);
+    releaseTrial(providerId);
+  } else {
+    markProviderFailure(providerId, { modelId, latency, error: error.message });
+  }
+}
+
+/**
+ * Errors caused by the request itself (unknown model, bad payload) rather than the provider
+ * Auth failures and rate limits still count against provider health.
+ */
+function isRequestError(error) {
+  return error.status >= 400 && error.status < 500 && ![401, 403, 429].includes(error.status);
+}
+
+function recordTextFailover(providerId, model, error, attempts, logError, context) {
+  attempts.push({
+    provider: providerId,
+    error: error.message,
+    status: error.status
+  });
+
+  if (logError) {
+    logError(
+      'provider_failover',
+      context.userId,
+      null,
+      providerId,
+      'failover',
+      error.message,
+      null,
+      { modelId: getTextModelId(model), attempts: attempts.length }
+    );
+  }
+}
+
+// ============ HEALTH / CIRCUIT BREAKER ============
+// Each provider has a circuit: closed (serving), open (skipped until the
+// recovery time passes, then probed with checkProviderHealth) and half_open
+// (probe passed - one trial request at a time, claimed with probeStartedAt;
+// its success closes the circuit, its failure re-opens it).
+// Admins can force a circuit open or closed, which overrides all of this.
+//
+// Rows live in provider_health once initHealthStore() has run, so state
+// survives restarts and is shared between instances. Provider rows have
+// modelId '' and carry the circuit; per-model rows only carry metrics.
+
+/**
+ * Persist health in the provider_health table
+ * @param {Object} db - Database connection
+ * @param {Function} getSetting - Reads providerFailureThreshold / providerRecoveryTime (seconds)
+ */
+function initHealthStore(db, getSetting) {
+  healthDb = db;
+  healthGetSetting = getSetting;
+}
+
+function getFailureThreshold() {
+  return parseInt(healthGetSetting?.('providerFailureThreshold')) || FAILURE_THRESHOLD;
+}
+
+function getRecoveryTime() {
+  const seconds = parseInt(healthGetSetting?.('providerRecoveryTime'));
+  return seconds > 0 ? seconds * 1000 : RECOVERY_TIME;
+}
+
+function loadHealth(providerId, modelId = '') {
+  let health;
+  if (healthDb) {
+    const row = healthDb.prepare('SELECT * FROM provider_health WHERE providerId = ? AND modelId = ?')
+      .get(providerId, modelId);
+    if (row) health = { ...row, samples: JSON.parse(row.samples || '[]') };
+  } else {
+    health = providerHealth.get(`${providerId}:${modelId}`);
+  }
+
+  return health || {
+    providerId,
+    modelId,
+    state: 'closed',
+    forcedState: null,
+    failures: 0,
+    successes: 0,
+    totalFailures: 0,
+    samples: [],
+    lastFailure: null,
+    lastSuccess: null,
+    lastError: null,
+    openedAt: null,
+    probeStartedAt: null
+  };
+}
+
+function saveHealth(health) {
+  if (!healthDb) {
+    providerHealth.set(`${health.providerId}:${health.modelId}`, health);
+    return;
+  }
+
+  healthDb.prepare(`
+    INSERT OR REPLACE INTO provider_health
+      (providerId, modelId, state, forcedState, failures, successes, totalFailures, samples,
+       lastFailure, lastSuccess, lastError, openedAt, probeStartedAt, updatedAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).run(
+    health.providerId, health.modelId, health.state, health.forcedState,
+    health.failures, health.successes, health.totalFailures, JSON.stringify(health.samples),
+    health.lastFailure, health.lastSuccess, health.lastError, health.openedAt, health.probeStartedAt
+  );
+}
+
+function addSample(health, ok, latency) {
+  health.samples.push({ at: Date.now(), ok, ms: typeof latency === 'number' ? latency : null });
+  if (health.samples.length > METRICS_WINDOW) {
+    health.samples = health.samples.slice(-METRICS_WINDOW);
+  }
+}
+
+/**
+ * Rolling metrics over the last METRICS_WINDOW calls
+ */
+function summarizeSamples(samples) {
+  const latencies = samples.filter(s => s.ms !== null).map(s => s.ms).sort((a, b) => a - b);
+  const errors = samples.filter(s => !s.ok).length;
+
+  return {
+    requests: samples.length,
+    errorRate: samples.length ? errors / samples.length : 0,
+    p50Latency: latencies.length ? latencies[Math.floor((latencies.length - 1) / 2)] : null,
+    avgLatency: latencies.length ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+    p95Latency: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null
   };
+}
+
+/**
+ * Observed p50 latency for a provider, per model when there is data for it
+ * @returns {number|null} - Milliseconds, null without samples
+ */
+function getObservedLatency(providerId, modelId) {
+  const modelLatency = summarizeSamples(loadHealth(providerId, modelId).samples).p50Latency;
+  if (modelLatency !== null) return modelLatency;
+  return summarizeSamples(loadHealth(providerId).samples).p50Latency;
+}
+
+/**
+ * Record a call outcome against the per-model metrics row
+ */
+function recordModelResult(providerId, modelId, ok, latency, error) {
+  if (!modelId) return;
+  const health = loadHealth(providerId, modelId);
+  addSample(health, ok, latency);
+  if (ok) {
+    health.successes++;
+    health.lastSuccess = Date.now();
+  } else {
+    health.totalFailures++;
+    health.lastFailure = Date.now();
+    health.lastError = error || null;
+  }
+  saveHealth(health);
+}
+
+/**
+ * Check if provider is healthy (circuit not open)
+ * Doesn't probe - use checkCircuit() before sending a request.
+ */
+function isProviderHealthy(providerId) {
+  const health = loadHealth(providerId);
+  if (health.forcedState) return health.forcedState === 'closed';
+  return health.state !== 'open';
+}
+
+/**
+ * Check whether a request may go to a provider
+ * An open circuit whose recovery time has passed is probed with
+ * checkProviderHealth; a passing probe moves it to half_open and the
+ * request that probed becomes its trial. A half-open circuit admits one
+ * trial request at a time, until markProviderSuccess / markProviderFailure settles it.
+ * @returns {Promise<boolean>}
+ */
+async function checkCircuit(providerId, getSetting) {
+  const health = loadHealth(providerId);
+  if (health.forcedState) return health.forcedState === 'closed';
+  if (health.state === 'closed') return true;
+
+  const now = Date.now();
+  // Another request (or instance) is already probing, or is the trial
+  const claimed = health.probeStartedAt && now - health.probeStartedAt < PROBE_TIMEOUT;
+
+  if (health.state === 'half_open') {
+    if (claimed) return false;
+    health.probeStartedAt = now;
+    saveHealth(health);
+    return true;
+  }
+
+  if (now - health.openedAt < getRecoveryTime()) return false;
+  if (claimed) return false;
+
+  health.probeStartedAt = now;
+  saveHealth(health);
+  return checkProviderHealth(providerId, getSetting, { trial: true });
+}
+
+/**
+ * Let the next request be a half-open circuit's trial (the last one ended without
+ * telling whether the provider works, e.g. a request error)
+ */
+function releaseTrial(providerId) {
+  const health = loadHealth(providerId);
+  if (health.state !== 'half_open' || !health.probeStartedAt) return;
+  health.probeStartedAt = null;
+  saveHealth(health);
+}
+
+/**
+ * Mark provider as failed
+ * @param {string} providerId
+ * @param {Object} [result] - { modelId, latency, error } for rolling metrics
+ */
+function markProviderFailure(providerId, result = {}) {
+  const health = loadHealth(providerId);
   
   health.failures++;
+  health.totalFailures++;
   health.lastFailure = Date.now();
+  health.lastError = result.error || null;
+  addSample(health, false, result.latency);
   
-  if (health.failures >= FAILURE_THRESHOLD) {
-    health.healthy = false;
-    console.log(`[ROUTER] Provider ${providerId} marked unhealthy after ${health.failures} failures`);
+  if (health.state !== 'open' && (health.state === 'half_open' || health.failures >= getFailureThreshold())) {
+    health.state = 'open';
+    health.openedAt = Date.now();
+    health.probeStartedAt = null;
+    console.log(`[ROUTER] Provider ${providerId} circuit opened after ${health.failures} failures`);
   }
   
-  providerHealth.set(providerId, health);
+  saveHealth(health);
+  recordModelResult(providerId, result.modelId, false, result.latency, result.error);
 }
 
 /**
  * Mark provider as successful
+ * @param {string} providerId
+ * @param {Object} [result] - { modelId, latency } for rolling metrics
  */
-function markProviderSuccess(providerId) {
-  const health = providerHealth.get(providerId) || { 
-    healthy: true, 
-    failures: 0, 
-    successes: 0 
-  };
+function markProviderSuccess(providerId, result = {}) {
+  const health = loadHealth(providerId);
   
+  if (health.state !== 'closed') {
+    console.log(`[ROUTER] Provider ${providerId} circuit closed`);
+  }
+  health.state = 'closed';
+  health.openedAt = null;
+  health.probeStartedAt = null;
   health.successes++;
-  health.healthy = true;
   health.failures = 0; // Reset failure count on success
+  health.lastSuccess = Date.now();
+  addSample(health, true, result.latency);
   
-  providerHealth.set(providerId, health);
+  saveHealth(health);
+  recordModelResult(providerId, result.modelId, true, result.latency);
 }
 
 /**
- * Get current health status of all providers
+ * Get current health status of all providers, with rolling metrics per provider and model
  */
 function getHealthStatus() {
+  const rows = healthDb
+    ? healthDb.prepare('SELECT * FROM provider_health ORDER BY providerId, modelId').all()
+      .map(row => ({ ...row, samples: JSON.parse(row.samples || '[]') }))
+    : [...providerHealth.values()];
+
   const status = {};
-  for (const [id, health] of providerHealth) {
-    status[id] = {
-      healthy: health.healthy,
+  for (const health of rows.filter(h => !h.modelId)) {
+    status[health.providerId] = {
+      state: health.state,
+      forcedState: health.forcedState,
+      healthy: health.forcedState ? health.forcedState === 'closed' : health.state !== 'open',
       failures: health.failures,
       successes: health.successes,
-      lastFailure: health.lastFailure
+      totalFailures: health.totalFailures,
+      lastFailure: health.lastFailure,
+      lastSuccess: health.lastSuccess,
+      lastError: health.lastError,
+      openedAt: health.openedAt,
+      metrics: summarizeSamples(health.samples),
+      models: {}
+    };
+  }
+
+  for (const health of rows.filter(h => h.modelId && status[h.providerId])) {
+    status[health.providerId].models[health.modelId] = {
+      successes: health.successes,
+      failures: health.totalFailures,
+      lastFailure: health.lastFailure,
+      lastError: health.lastError,
+      metrics: summarizeSamples(health.samples)
     };
   }
+
   return status;
 }
 
 /**
- * Force health check on a provider
+ * Force a provider's circuit open or closed, or hand it back to the breaker
+ * @param {string} providerId
+ * @param {string|null} forcedState - 'open' | 'closed' | null (automatic)
  */
-async function checkProviderHealth(providerId, getSetting) {
+function setProviderCircuit(providerId, forcedState) {
+  if (forcedState !== null && !['open', 'closed'].includes(forcedState)) {
+    throw new Error('Circuit state must be open, closed or null');
+  }
+
+  const health = loadHealth(providerId);
+  health.forcedState = forcedState;
+  // Back to automatic starts from a clean closed circuit
+  if (forcedState === null) {
+    health.state = 'closed';
+    health.failures = 0;
+    health.openedAt = null;
+  }
+  saveHealth(health);
+  console.log(`[ROUTER] Provider ${providerId} circuit ${forcedState ? `forced ${forcedState}` : 'set to automatic'}`);
+}
+
+/**
+ * Probe a provider with isAvailable() and update its circuit
+ * An open circuit that passes moves to half_open; a failed probe (re)opens it.
+ * @param {Object} [options]
+ * @param {boolean} [options.trial] - The caller sends the half-open trial request next, so keep the claim
+ */
+async function checkProviderHealth(providerId, getSetting, { trial = false } = {}) {
+  let available = false;
   try {
     const provider = getProvider(providerId, getSetting);
-    const available = await provider.isAvailable();
-    
-    if (available) {
-      markProviderSuccess(providerId);
-    } else {
-      markProviderFailure(providerId);
-    }
-    
-    return available;
+    available = await provider.isAvailable();
   } catch (error) {
-    markProviderFailure(providerId);
-    return false;
+    available = false;
   }
+
+  const health = loadHealth(providerId);
+  health.probeStartedAt = null;
+  if (available) {
+    if (trial && health.state === 'open') {
+      health.probeStartedAt = Date.now();
+    }
+    if (health.state === 'open') {
+      health.state = 'half_open';
+      console.log(`[ROUTER] Provider ${providerId} probe passed, circuit half-open`);
+    }
+  } else {
+    health.lastFailure = Date.now();
+    health.lastError = 'Health check failed';
+    if (health.state !== 'open') {
+      console.log(`[ROUTER] Provider ${providerId} probe failed, circuit opened`);
+    }
+    health.state = 'open';
+    health.openedAt = Date.now();
+  }
+  saveHealth(health);
+
+  return available;
 }
 
 /**
- * Get best provider for a model based on health and cost
+ * Get best provider for a model based on its routing policy and health
  */
-async function getBestProvider(modelId, getSetting) {
+async function getBestProvider(modelId, getSetting, options = {}) {
   const model = getModel(modelId);
   if (!model) return null;
 
-  const providerOrder = [
-    model.defaultProvider,
-    ...(model.fallbackOrder || [])
-  ].filter(p => p && model.providers?.[p]);
+  const { order: providerOrder, reasons } = planRoute(modelId, options, getSetting);
 
   for (const providerId of providerOrder) {
     if (isProviderHealthy(providerId)) {
@@ -298,7 +919,8 @@ async function getBestProvider(modelId, getSetting) {
             id: providerId,
             provider,
             config: model.providers[providerId],
-            cost: model.providers[providerId].cost || model.baseCost
+            cost: calculateCost(modelId, providerId, options),
+            reason: reasons[providerId]
           };
         }
       } catch (error) {
@@ -315,6 +937,9 @@ async function getBestProvider(modelId, getSetting) {
  */
 function resetHealth() {
   providerHealth.clear();
+  if (healthDb) {
+    healthDb.prepare('DELETE FROM provider_health').run();
+  }
 }
 
 module.exports = {
@@ -323,9 +948,16 @@ module.exports = {
   generateImage,
   generateVideo,
   upscale,
+  generateSpeech,
+  transcribeAudio,
+  generateText,
+  streamText,
   
   // Health management
+  initHealthStore,
   isProviderHealthy,
+  checkCircuit,
+  setProviderCircuit,
   markProviderFailure,
   markProviderSuccess,
   getHealthStatus,
@@ -334,4 +966,10 @@ module.exports = {
   
   // Provider selection
   getBestProvider,
+  planRoute,
+  planTextRoute,
+  getRoutingConfig,
+  validateRoutingPolicy,
+  getObservedLatency,
+  ROUTING_POLICIES,
 };
@@ -0,0 +1,185 @@
+/**
+ * Provider Webhook Service
+ *
+ * Finishes async generations (video, video upscale) from provider callbacks
+ * instead of holding a polling loop open for every request.
+ * Features:
+ * - Per-provider signature verification (provider.verifyWebhook)
+ * - Idempotent completion - retried deliveries and late polls are no-ops
+ * - Progress from intermediate deliveries (Replicate 'logs' events)
+ * - Polling fallback for callbacks that never arrive, and for requests whose
+ *   in-process poller was lost to a restart
+ * - Best-effort cancellation of tracked requests at the provider
+ *
+ * Requests are tracked on the generation row (externalRequestId, provider,
+ * providerRequest) by BaseProvider.trackRequest() when they are submitted.
+ */
+
+const { PROVIDER_CONFIG } = require('../providers');
+
+// Providers that can call us back (plus plugins that implement webhooks)
+const WEBHOOK_PROVIDERS = ['fal', 'replicate'];
+
+const FALLBACK_DELAY = 2 * 60 * 1000; // Start polling a callback request after 2 minutes
+const POLL_INTERVAL = 60 * 1000; // ...then poll it at most once a minute
+
+class ProviderWebhookService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   * @param {Function} options.getProvider - (providerId) => BaseProvider
+   * @param {Function} options.completeGeneration - (genId, url) => boolean
+   * @param {Function} options.failGeneration - (genId, error) => boolean
+   */
+  constructor({ db, getProvider, completeGeneration, failGeneration }) {
+    this.db = db;
+    this.getProvider = getProvider;
+    this.completeGeneration = completeGeneration;
+    this.failGeneration = failGeneration;
+    this.startedAt = Date.now();
+    // genId -> last fallback poll (ms)
+    this.lastPolled = new Map();
+  }
+
+  /**
+   * Handle a webhook delivery
+   * @param {string} providerId - Provider from the webhook URL
+   * @param {Object} headers - Request headers
+   * @param {Buffer} rawBody - Unparsed body (signatures cover the exact bytes)
+   * @returns {Promise<{generationId: string|null, status: string}>}
+   *   status: 'completed' | 'failed' | 'pending' | 'ignored'
+   */
+  async handle(providerId, headers, rawBody) {
+    if (!WEBHOOK_PROVIDERS.includes(providerId) && !PROVIDER_CONFIG[providerId]?.webhooks) {
+      throw httpError(404, `Provider ${providerId} does not send webhooks`);
+    }
+
+    const provider = this.getProvider(providerId);
+    if (!rawBody || !await provider.verifyWebhook(headers, rawBody)) {
+      throw httpError(401, 'Invalid webhook signature');
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString());
+    } catch (e) {
+      throw httpError(400, 'Webhook body is not JSON');
+    }
+
+    const outcome = provider.parseWebhook(body);
+    const gen = outcome.requestId && this.db.prepare(
+      'SELECT id FROM generations WHERE externalRequestId = ? AND provider = ?'
+    ).get(outcome.requestId, providerId);
+
+    if (!gen) {
+      console.log(`[WEBHOOK] No generation for ${providerId} request ${outcome.requestId}`);
+      return { generationId: null, status: 'ignored' };
+    }
+
+    const status = this.settle(gen.id, outcome);
+    if (status !== 'pending') {
+      console.log(`[WEBHOOK] ${providerId} request ${outcome.requestId}: generation ${gen.id} ${status}`);
+    }
+    return { generationId: gen.id, status };
+  }
+
+  /**
+   * Apply a request outcome to its generation
+   * @returns {string} - 'completed' | 'failed' | 'pending' | 'ignored'
+   */
+  settle(genId, outcome) {
+    if (outcome.status === 'pending') {
+      if (typeof outcome.progress === 'number') {
+        this.db.prepare("UPDATE generations SET progress = ? WHERE id = ? AND status = 'pending'")
+          .run(outcome.progress, genId);
+      }
+      return 'pending';
+    }
+
+    this.lastPolled.delete(genId);
+    const changed = outcome.status === 'completed'
+      ? this.completeGeneration(genId, outcome.url)
+      : this.failGeneration(genId, new Error(outcome.error || 'Generation failed'));
+
+    return changed ? outcome.status : 'ignored';
+  }
+
+  /**
+   * Polling fallback, run from the background cleanup job.
+   * Polls pending requests whose callback is overdue, and requests submitted
+   * before this process started (their poller died with the old process).
+   */
+  async pollPending() {
+    const now = Date.now();
+    const pending = this.db.prepare(`
+      SELECT id, provider, externalRequestId, providerRequest FROM generations
+      WHERE status = 'pending' AND providerRequest IS NOT NULL AND externalRequestId IS NOT NULL
+    `).all();
+
+    const pendingIds = new Set(pending.map(gen => gen.id));
+    for (const genId of this.lastPolled.keys()) {
+      if (!pendingIds.has(genId)) this.lastPolled.delete(genId);
+    }
+
+    for (const gen of pending) {
+      let request;
+      try {
+        request = JSON.parse(gen.providerRequest);
+      } catch (e) {
+        continue;
+      }
+
+      const orphaned = request.submittedAt < this.startedAt;
+      const overdue = request.callback && now - request.submittedAt >= FALLBACK_DELAY;
+      if (!orphaned && !overdue) continue;
+      if (now - (this.lastPolled.get(gen.id) || 0) < POLL_INTERVAL) continue;
+      this.lastPolled.set(gen.id, now);
+
+      try {
+        const outcome = await this.getProvider(gen.provider).fetchRequest(gen.externalRequestId, request);
+        const status = this.settle(gen.id, outcome);
+        if (status !== 'pending') {
+          console.log(`[WEBHOOK] Poll fallback: generation ${gen.id} ${status}`);
+        }
+      } catch (err) {
+        console.error(`[WEBHOOK] Poll fallback failed for generation ${gen.id}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Cancel a generation's tracked request at the provider (best effort)
+   * @param {Object} gen - generations row
+   * @returns {Promise<boolean>}
+   */
+  async cancel(gen) {
+    if (!gen.providerRequest || !gen.provider || !gen.externalRequestId) return false;
+
+    try {
+      const request = JSON.parse(gen.providerRequest);
+      return await this.getProvider(gen.provider).cancelRequest(gen.externalRequestId, request);
+    } catch (err) {
+      console.warn(`[WEBHOOK] Cancel failed for generation ${gen.id}:`, err.message);
+      return false;
+    }
+  }
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Create a provider webhook service instance
+ */
+function createProviderWebhooks(options) {
+  return new ProviderWebhookService(options);
+}
+
+module.exports = {
+  ProviderWebhookService,
+  createProviderWebhooks,
+  WEBHOOK_PROVIDERS
+};
@@ -0,0 +1,198 @@
+/**
+ * Rate Limiter Service
+ *
+ * Enforces the admin-configured limits in the rate_limits table.
+ * Features:
+ * - Rule resolution: user override > subscription plan (tier) > global
+ * - Sliding window counting for minute, hour and day windows
+ * - 429 responses with Retry-After header
+ * - Violation logging to rate_limit_violations
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+// Window sizes, checked from shortest to longest
+const WINDOWS = [
+  { name: 'minute', column: 'requestsPerMinute', ms: 60 * 1000 },
+  { name: 'hour', column: 'requestsPerHour', ms: 60 * 60 * 1000 },
+  { name: 'day', column: 'requestsPerDay', ms: 24 * 60 * 60 * 1000 },
+];
+
+const LONGEST_WINDOW = WINDOWS[WINDOWS.length - 1].ms;
+const SWEEP_INTERVAL = 10 * 60 * 1000; // Drop idle request logs every 10 minutes
+
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   */
+  constructor({ db }) {
+    this.db = db;
+    // key -> sorted array of request timestamps (ms) inside the longest window
+    this.requestLog = new Map();
+
+    this.sweepInterval = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepInterval.unref?.();
+  }
+
+  /**
+   * Resolve the rule that applies to a user.
+   * A user-specific rule wins over the user's plan tier, which wins over the global rule.
+   * @param {string} userId - User ID
+   * @returns {Object|null} - rate_limits row, or null if nothing applies
+   */
+  resolveRule(userId) {
+    const userRule = this.db.prepare(
+      "SELECT * FROM rate_limits WHERE type = 'user' AND targetId = ? AND enabled = 1"
+    ).get(userId);
+    if (userRule) return userRule;
+
+    const tierRule = this.db.prepare(
+      "SELECT * FROM rate_limits WHERE type = 'tier' AND targetId = ? AND enabled = 1"
+    ).get(this.getUserPlan(userId));
+    if (tierRule) return tierRule;
+
+    return this.db.prepare(
+      "SELECT * FROM rate_limits WHERE type = 'global' AND enabled = 1 ORDER BY createdAt ASC LIMIT 1"
+    ).get() || null;
+  }
+
+  /**
+   * Get the plan ID of a user's active subscription ('free' if none)
+   */
+  getUserPlan(userId) {
+    const subscription = this.db.prepare(
+      "SELECT planId FROM user_subscriptions WHERE userId = ? AND status = 'active' ORDER BY createdAt DESC LIMIT 1"
+    ).get(userId);
+    return subscription?.planId || 'free';
+  }
+
+  /**
+   * Check a request against a rule and record it if allowed
+   * @param {string} key - Counter key (one counter per user and rule, shared by all limited endpoints)
+   * @param {Object} rule - rate_limits row
+   * @param {number} [now] - Current time in ms
+   * @returns {{allowed: boolean, window?: string, limit?: number, count?: number, retryAfter?: number}}
+   */
+  consume(key, rule, now = Date.now()) {
+    const timestamps = this.prune(key, now);
+
+    for (const window of WINDOWS) {
+      const limit = rule[window.column];
+      if (!limit || limit <= 0) continue;
+
+      const windowStart = now - window.ms;
+      const inWindow = timestamps.filter(t => t > windowStart);
+
+      if (inWindow.length >= limit) {
+        // The request frees up once the oldest counted request leaves the window
+        const oldest = inWindow[inWindow.length - limit];
+        const retryAfter = Math.max(1, Math.ceil((oldest + window.ms - now) / 1000));
+        return { allowed: false, window: window.name, limit, count: inWindow.length, retryAfter };
+      }
+    }
+
+    timestamps.push(now);
+    this.requestLog.set(key, timestamps);
+    return { allowed: true };
+  }
+
+  /**
+   * Drop timestamps older than the longest window
+   */
+  prune(key, now) {
+    const timestamps = this.requestLog.get(key) || [];
+    const cutoff = now - LONGEST_WINDOW;
+    let firstValid = 0;
+    while (firstValid < timestamps.length && timestamps[firstValid] <= cutoff) firstValid++;
+    return firstValid > 0 ? timestamps.slice(firstValid) : timestamps;
+  }
+
+  sweep(now = Date.now()) {
+    for (const key of this.requestLog.keys()) {
+      const timestamps = this.prune(key, now);
+      if (timestamps.length === 0) {
+        this.requestLog.delete(key);
+      } else {
+        this.requestLog.set(key, timestamps);
+      }
+    }
+  }
+
+  /**
+   * Log a violation for the admin violations view
+   */
+  recordViolation(userId, rule, endpoint, result, ipAddress) {
+    try {
+      this.db.prepare(`
+        INSERT INTO rate_limit_violations (id, userId, ruleId, endpoint, violationType, metadata)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(
+        uuidv4(),
+        userId,
+        rule.id,
+        endpoint,
+        result.window,
+        JSON.stringify({
+          ruleName: rule.name,
+          ruleType: rule.type,
+          limit: result.limit,
+          count: result.count,
+          retryAfter: result.retryAfter,
+          ipAddress
+        })
+      );
+    } catch (err) {
+      console.error('[RATE_LIMIT] Failed to record violation:', err.message);
+    }
+  }
+
+  /**
+   * Express middleware. Must run after userAuthMiddleware so req.user is set.
+   * @param {string} endpoint - Endpoint label for violation logs
+   */
+  middleware(endpoint) {
+    return (req, res, next) => {
+      const userId = req.user?.id;
+      if (!userId) return next();
+
+      let rule;
+      try {
+        rule = this.resolveRule(userId);
+      } catch (err) {
+        // Never block requests because the limiter itself is broken
+        console.error('[RATE_LIMIT] Failed to resolve rule:', err.message);
+        return next();
+      }
+      if (!rule) return next();
+
+      const result = this.consume(`${userId}:${rule.id}`, rule);
+      if (result.allowed) return next();
+
+      console.log(`[RATE_LIMIT] ${userId} exceeded ${result.limit}/${result.window} on ${endpoint} (rule: ${rule.name})`);
+      this.recordViolation(userId, rule, endpoint, result, req.ip);
+
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: `Rate limit exceeded: ${result.limit} requests per ${result.window}`,
+        errorType: 'rate_limit',
+        limit: result.limit,
+        window: result.window,
+        retryAfter: result.retryAfter
+      });
+    };
+  }
+}
+
+/**
+ * Create a rate limiter instance
+ */
+function createRateLimiter(options) {
+  return new RateLimiter(options);
+}
+
+module.exports = {
+  RateLimiter,
+  createRateLimiter,
+  WINDOWS
+};
@@ -0,0 +1,182 @@
+/**
+ * Safe Outbound HTTP
+ *
+ * Guards requests to admin/user-defined URLs (workflow webhooks) against SSRF:
+ * - Host allowlist (exact hosts or *.wildcard subdomains)
+ * - Only http/https
+ * - Rejects loopback, private, link-local, CGNAT, multicast and reserved addresses
+ * - Re-checks the resolved address at connect time (DNS rebinding)
+ * - No redirect following
+ */
+
+const axios = require('axios');
+const dns = require('dns');
+const net = require('net');
+
+// Address ranges that must never be reachable from workflow steps
+const BLOCKED_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const MAX_RESPONSE_BYTES = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Errors for refused destinations are flagged so callers don't retry them
+ */
+function blockedError(message) {
+  const error = new Error(message);
+  error.blocked = true;
+  return error;
+}
+
+/**
+ * Check if an IP address is private/internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_RANGES.check(mapped[1], 'ipv4');
+
+  return BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Parse an allowlist setting ("api.example.com, *.hooks.example.com")
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+function parseAllowedHosts(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return list.map(h => h.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Check a hostname against the allowlist
+ */
+function isHostAllowed(hostname, allowedHosts) {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(pattern => {
+    if (pattern.startsWith('*.')) {
+      return host.endsWith(pattern.slice(1));
+    }
+    return host === pattern;
+  });
+}
+
+/**
+ * Validate a URL before making a request
+ * @param {string} rawUrl - Target URL
+ * @param {Object} options
+ * @param {Array<string>} options.allowedHosts - Parsed allowlist
+ * @returns {Promise<URL>}
+ */
+async function assertSafeUrl(rawUrl, { allowedHosts = [] } = {}) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    throw blockedError(`Invalid URL: ${rawUrl}`);
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw blockedError(`Unsupported protocol: ${url.protocol}`);
+  }
+
+  if (url.username || url.password) {
+    throw blockedError('URLs with embedded credentials are not allowed');
+  }
+
+  // Strip IPv6 brackets
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+  if (!isHostAllowed(hostname, allowedHosts)) {
+    throw blockedError(`Host ${hostname} is not in the outbound allowlist`);
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+
+  if (addresses.length === 0 || addresses.some(a => isBlockedAddress(a.address))) {
+    throw blockedError(`Host ${hostname} resolves to a private or reserved address`);
+  }
+
+  return url;
+}
+
+/**
+ * dns.lookup replacement that refuses private addresses at connect time,
+ * so a host cannot pass assertSafeUrl and then rebind to an internal IP.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const list = Array.isArray(addresses) ? addresses : [{ address: addresses, family: options.family }];
+    if (list.length === 0 || list.some(a => isBlockedAddress(a.address))) {
+      return callback(blockedError(`Host ${hostname} resolves to a private or reserved address`));
+    }
+
+    if (options.all) return callback(null, list);
+    callback(null, list[0].address, list[0].family);
+  });
+}
+
+/**
+ * Make an outbound request with SSRF protection
+ * @param {Object} config - axios request config (url, method, headers, params, data, timeout, responseType)
+ * @param {Object} options
+ * @param {Array<string>} options.allowedHosts - Parsed allowlist
+ * @returns {Promise<AxiosResponse>} - Resolves for every HTTP status; callers decide what is an error
+ */
+async function safeRequest(config, { allowedHosts = [] } = {}) {
+  await assertSafeUrl(config.url, { allowedHosts });
+
+  return axios.request({
+    ...config,
+    lookup: guardedLookup,
+    maxRedirects: 0,
+    maxContentLength: MAX_RESPONSE_BYTES,
+    maxBodyLength: MAX_RESPONSE_BYTES,
+    validateStatus: () => true,
+    proxy: false
+  });
+}
+
+module.exports = {
+  safeRequest,
+  assertSafeUrl,
+  isBlockedAddress,
+  isHostAllowed,
+  parseAllowedHosts,
+};
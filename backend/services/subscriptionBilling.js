@@ -0,0 +1,560 @@
+/**
+ * Subscription Billing
+ *
+ * Billing cycles for user_subscriptions: renewals, plan credit grants, grace
+ * periods for failed charges and downgrades at the end of a subscription.
+ * Features:
+ * - Renewal from Razorpay subscription webhooks (subscription.charged), or by
+ *   paying for the plan again (one-time orders)
+ * - subscription_plans.creditsPerMonth granted at every period start, and
+ *   monthly on yearly plans, each posted to the credit ledger
+ * - Grace period (subscriptionGraceDays) when a period ends unpaid or a charge
+ *   fails; the plan stays active until it runs out
+ * - Cancellation at currentPeriodEnd: cancelled subscriptions keep the plan
+ *   until then, and the scheduler downgrades the user when it passes
+ * - Plan and billing cycle changes, prorated over the rest of the period:
+ *   upgrades charge the difference, downgrades leave the unused value in
+ *   billingBalance for the next change, and the plan's credits are adjusted
+ *   for the rest of the current credit month
+ *
+ * A subscription is 'active' while it has plan access (including a scheduled
+ * cancellation, cancelledAt set, and a grace period, graceUntil set), then
+ * 'cancelled' or 'expired' once it has ended.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { accounts, SYSTEM_ACCOUNTS } = require('./creditLedger');
+const { BASE_CURRENCY } = require('../gateways');
+
+const DEFAULT_GRACE_DAYS = 3;
+const SCHEDULER_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+// Subscription events from the Razorpay webhook
+const GATEWAY_EVENTS = [
+  'subscription.charged',
+  'subscription.pending',
+  'subscription.halted',
+  'subscription.cancelled',
+  'subscription.completed',
+];
+
+/**
+ * Add calendar months, clamping to the end of shorter months (Jan 31 + 1 = Feb 28)
+ * @param {Date|string} date
+ * @param {number} months
+ * @returns {Date}
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+/**
+ * End of a billing period starting at `start`
+ */
+function getPeriodEnd(start, billingCycle) {
+  return addMonths(start, billingCycle === 'yearly' ? 12 : 1);
+}
+
+/**
+ * Monthly credit window containing `at`, counted from the period start
+ * @returns {{start: Date, end: Date}}
+ */
+function getCreditMonth(periodStart, at) {
+  let months = 1;
+  while (addMonths(periodStart, months) <= new Date(at)) months++;
+  return { start: addMonths(periodStart, months - 1), end: addMonths(periodStart, months) };
+}
+
+/**
+ * Round to the smallest currency unit (paise)
+ */
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * First monthly credit grant after `after`, counted from the period start
+ * (so grants stay on the subscription's day of month)
+ */
+function getNextCreditGrant(periodStart, after) {
+  let months = 1;
+  let next = addMonths(periodStart, months);
+  while (next <= new Date(after)) {
+    next = addMonths(periodStart, ++months);
+  }
+  return next;
+}
+
+class SubscriptionBilling {
+  /**
+   * @param {Object} options
+   * @param {Object} options.db - Database connection
+   * @param {Function} options.getSetting - Settings lookup
+   * @param {Function} [options.logAudit] - (adminId, action, targetType, targetId, details) => void
+   * @param {Object} options.creditLedger - CreditLedger that plan credits are posted to
+   * @param {Function} [options.onPaymentRecorded] - (paymentId) => void, after a renewal payment is recorded
+   */
+  constructor({ db, getSetting, logAudit, creditLedger, onPaymentRecorded }) {
+    this.db = db;
+    this.getSetting = getSetting;
+    this.creditLedger = creditLedger;
+    this.logAudit = logAudit || (() => {});
+    this.onPaymentRecorded = onPaymentRecorded || (() => {});
+    this.interval = null;
+  }
+
+  getGraceDays() {
+    const days = parseFloat(this.getSetting('subscriptionGraceDays'));
+    return Number.isFinite(days) && days >= 0 ? days : DEFAULT_GRACE_DAYS;
+  }
+
+  getPlan(planId) {
+    return this.db.prepare('SELECT * FROM subscription_plans WHERE id = ?').get(planId);
+  }
+
+  getPlanPrice(plan, billingCycle) {
+    return (billingCycle === 'yearly' ? plan.priceYearly : plan.priceMonthly) || 0;
+  }
+
+  // ============ CREDITS ============
+
+  /**
+   * Add (or, with a negative amount, remove) subscription credits through the credit ledger
+   * @returns {number} - New balance
+   */
+  adjustCredits(sub, amount, type, description) {
+    if (!this.db.prepare('SELECT 1 FROM users WHERE id = ?').get(sub.userId)) return 0;
+
+    const account = accounts.user(sub.userId);
+    const posted = this.creditLedger.transfer({
+      type, from: SYSTEM_ACCOUNTS.SUBSCRIPTIONS, to: account, amount, description,
+      userId: sub.userId, referenceId: sub.id, referenceType: 'subscription'
+    });
+    return posted ? posted.balances[account] : this.creditLedger.getBalance(account);
+  }
+
+  /**
+   * Grant a plan's monthly credits
+   * @returns {number} - New balance
+   */
+  grantPlanCredits(sub, plan, description) {
+    return this.adjustCredits(sub, plan.creditsPerMonth || 0, 'subscription', description);
+  }
+
+  // ============ LIFECYCLE ============
+
+  /**
+   * Start a paid period for a user: creates their subscription, or renews /
+   * replaces the active one, and grants the plan's credits
+   * @param {string} userId
+   * @param {Object} plan - subscription_plans row
+   * @param {string} billingCycle - 'monthly' | 'yearly'
+   * @param {Date} [now]
+   * @returns {{subscription: Object, credits: number, periodEnd: Date}}
+   */
+  activate(userId, plan, billingCycle, now = new Date()) {
+    return this.db.transaction(() => {
+      const periodEnd = getPeriodEnd(now, billingCycle);
+      const nextGrant = getNextCreditGrant(now, now);
+      const existing = this.db.prepare("SELECT * FROM user_subscriptions WHERE userId = ? AND status = 'active'").get(userId);
+
+      let subId;
+      if (existing) {
+        subId = existing.id;
+        this.db.prepare(`
+          UPDATE user_subscriptions
+          SET planId = ?, billingCycle = ?, currentPeriodStart = ?, currentPeriodEnd = ?, nextCreditGrantAt = ?,
+              graceUntil = NULL, cancelledAt = NULL, updatedAt = datetime('now')
+          WHERE id = ?
+        `).run(plan.id, billingCycle, now.toISOString(), periodEnd.toISOString(), nextGrant.toISOString(), subId);
+      } else {
+        subId = uuidv4();
+        this.db.prepare(`
+          INSERT INTO user_subscriptions (id, userId, planId, status, billingCycle, currentPeriodStart, currentPeriodEnd, nextCreditGrantAt)
+          VALUES (?, ?, ?, 'active', ?, ?, ?, ?)
+        `).run(subId, userId, plan.id, billingCycle, now.toISOString(), periodEnd.toISOString(), nextGrant.toISOString());
+      }
+      this.db.prepare('UPDATE users SET subscriptionId = ? WHERE id = ?').run(subId, userId);
+
+      const subscription = this.db.prepare('SELECT * FROM user_subscriptions WHERE id = ?').get(subId);
+      const credits = this.grantPlanCredits(subscription, plan, `${plan.name} Plan subscription`);
+      return { subscription, credits, periodEnd };
+    })();
+  }
+
+  /**
+   * Renew a subscription for its next period after a successful charge
+   * @param {Object} sub - user_subscriptions row
+   * @param {Object} [period] - Period from the payment gateway ({start, end}); defaults to the next cycle
+   * @returns {boolean} - Whether the subscription was renewed
+   */
+  renew(sub, period = {}) {
+    const plan = this.getPlan(sub.planId);
+    if (!plan) return false;
+
+    const start = period.start || new Date(sub.currentPeriodEnd);
+    const end = period.end || getPeriodEnd(start, sub.billingCycle);
+
+    return this.db.transaction(() => {
+      const updated = this.db.prepare(`
+        UPDATE user_subscriptions
+        SET currentPeriodStart = ?, currentPeriodEnd = ?, nextCreditGrantAt = ?, graceUntil = NULL, updatedAt = datetime('now')
+        WHERE id = ? AND status = 'active' AND currentPeriodEnd = ?
+      `).run(start.toISOString(), end.toISOString(), getNextCreditGrant(start, start).toISOString(), sub.id, sub.currentPeriodEnd);
+      if (updated.changes === 0) return false;
+
+      this.grantPlanCredits(sub, plan, `${plan.name} Plan renewal`);
+      this.logAudit(null, 'subscription_renewed', 'subscription', sub.id, {
+        userId: sub.userId, planId: plan.id, periodEnd: end.toISOString(), credits: plan.creditsPerMonth
+      });
+      console.log(`[BILLING] Renewed subscription ${sub.id} until ${end.toISOString()}`);
+      return true;
+    })();
+  }
+
+  /**
+   * A charge failed or a period ended unpaid: keep the plan for the grace period
+   * @returns {boolean} - Whether a grace period was started
+   */
+  startGracePeriod(sub, reason, now = new Date()) {
+    if (sub.graceUntil) return false;
+
+    const from = new Date(Math.max(now.getTime(), new Date(sub.currentPeriodEnd).getTime()));
+    const graceUntil = new Date(from.getTime() + this.getGraceDays() * 24 * 60 * 60 * 1000);
+    const updated = this.db.prepare(`
+      UPDATE user_subscriptions SET graceUntil = ?, updatedAt = datetime('now')
+      WHERE id = ? AND status = 'active' AND graceUntil IS NULL
+    `).run(graceUntil.toISOString(), sub.id);
+    if (updated.changes === 0) return false;
+
+    this.logAudit(null, 'subscription_past_due', 'subscription', sub.id, {
+      userId: sub.userId, reason, graceUntil: graceUntil.toISOString()
+    });
+    console.log(`[BILLING] Subscription ${sub.id} past due (${reason}), grace until ${graceUntil.toISOString()}`);
+    return true;
+  }
+
+  /**
+   * Cancel at the end of the current period (the plan stays until then)
+   */
+  scheduleCancellation(sub, reason = 'user') {
+    this.db.prepare(`
+      UPDATE user_subscriptions SET cancelledAt = datetime('now'), updatedAt = datetime('now')
+      WHERE id = ? AND status = 'active' AND cancelledAt IS NULL
+    `).run(sub.id);
+    this.logAudit(null, 'subscription_cancelled', 'subscription', sub.userId, {
+      subscriptionId: sub.id, reason, periodEnd: sub.currentPeriodEnd
+    });
+  }
+
+  /**
+   * End a subscription and downgrade its user to the free plan
+   * @param {Object} sub - user_subscriptions row
+   * @param {string} status - 'cancelled' | 'expired'
+   * @returns {boolean}
+   */
+  end(sub, status) {
+    return this.db.transaction(() => {
+      const updated = this.db.prepare(`
+        UPDATE user_subscriptions SET status = ?, graceUntil = NULL, nextCreditGrantAt = NULL, updatedAt = datetime('now')
+        WHERE id = ? AND status = 'active'
+      `).run(status, sub.id);
+      if (updated.changes === 0) return false;
+
+      this.db.prepare('UPDATE users SET subscriptionId = NULL WHERE id = ? AND subscriptionId = ?').run(sub.userId, sub.id);
+      this.logAudit(null, status === 'expired' ? 'subscription_expired' : 'subscription_ended', 'subscription', sub.id, {
+        userId: sub.userId, planId: sub.planId, periodEnd: sub.currentPeriodEnd
+      });
+      console.log(`[BILLING] Subscription ${sub.id} ${status}, user ${sub.userId} downgraded to free`);
+      return true;
+    })();
+  }
+
+  // ============ PLAN CHANGES ============
+
+  /**
+   * Price a switch to another plan and/or billing cycle, prorated over the rest of the period.
+   * Same billing cycle: the period is kept and the remaining share of both prices counts.
+   * New billing cycle: a new period starts now at the full new price, less the unused share of the old one.
+   * Credits follow the same rule over the current credit month.
+   * @param {Object} sub - Active user_subscriptions row
+   * @param {Object} plan - Target subscription_plans row
+   * @param {string} billingCycle - Target 'monthly' | 'yearly'
+   * @param {Date} [now]
+   * @returns {PlanChangeQuote}
+   */
+  quotePlanChange(sub, plan, billingCycle, now = new Date()) {
+    const currentPlan = this.getPlan(sub.planId);
+    const periodStart = new Date(sub.currentPeriodStart);
+    const periodEnd = new Date(sub.currentPeriodEnd);
+    const cycleChanged = billingCycle !== sub.billingCycle;
+
+    const periodLength = periodEnd - periodStart;
+    const remaining = periodLength > 0 ? Math.min(Math.max((periodEnd - now) / periodLength, 0), 1) : 0;
+    const unusedValue = roundAmount(this.getPlanPrice(currentPlan, sub.billingCycle) * remaining);
+    const newCharge = roundAmount(this.getPlanPrice(plan, billingCycle) * (cycleChanged ? 1 : remaining));
+    const difference = roundAmount(newCharge - unusedValue);
+
+    // Unused value from earlier downgrades pays towards an upgrade
+    const balance = sub.billingBalance || 0;
+    const balanceApplied = difference > 0 ? roundAmount(Math.min(balance, difference)) : 0;
+
+    const creditMonth = getCreditMonth(periodStart, now);
+    const creditRemaining = Math.min(Math.max((creditMonth.end - now) / (creditMonth.end - creditMonth.start), 0), 1);
+    const unusedCredits = (currentPlan?.creditsPerMonth || 0) * creditRemaining;
+    const newCredits = (plan.creditsPerMonth || 0) * (cycleChanged ? 1 : creditRemaining);
+
+    const newPeriodStart = cycleChanged ? now : periodStart;
+    return {
+      subscriptionId: sub.id,
+      fromPlanId: sub.planId,
+      fromBillingCycle: sub.billingCycle,
+      toPlanId: plan.id,
+      toBillingCycle: billingCycle,
+      currentPeriodEnd: sub.currentPeriodEnd,
+      periodStart: newPeriodStart.toISOString(),
+      periodEnd: (cycleChanged ? getPeriodEnd(now, billingCycle) : periodEnd).toISOString(),
+      remainingShare: Math.round(remaining * 10000) / 10000,
+      unusedValue,
+      newCharge,
+      balanceApplied,
+      amountDue: difference > 0 ? roundAmount(difference - balanceApplied) : 0,
+      proratedCredit: difference < 0 ? -difference : 0,
+      creditAdjustment: Math.round(newCredits - unusedCredits),
+      currency: BASE_CURRENCY,
+      quotedAt: now.toISOString(),
+    };
+  }
+
+  /**
+   * Apply a quoted plan change (after its amountDue, if any, was paid)
+   * @param {Object} sub - user_subscriptions row the quote was made for
+   * @param {PlanChangeQuote} quote
+   * @param {Date} [now]
+   * @returns {boolean} - False if the subscription changed since the quote (e.g. already applied)
+   */
+  applyPlanChange(sub, quote, now = new Date()) {
+    const plan = this.getPlan(quote.toPlanId);
+    if (!plan) return false;
+    const cycleChanged = quote.toBillingCycle !== quote.fromBillingCycle;
+
+    return this.db.transaction(() => {
+      const updated = this.db.prepare(`
+        UPDATE user_subscriptions
+        SET planId = ?, billingCycle = ?, currentPeriodStart = ?, currentPeriodEnd = ?,
+            nextCreditGrantAt = ?, billingBalance = COALESCE(billingBalance, 0) + ?, cancelledAt = NULL, updatedAt = datetime('now')
+        WHERE id = ? AND status = 'active' AND planId = ? AND billingCycle = ? AND currentPeriodEnd = ?
+      `).run(
+        plan.id, quote.toBillingCycle, quote.periodStart, quote.periodEnd,
+        cycleChanged ? getNextCreditGrant(now, now).toISOString() : sub.nextCreditGrantAt,
+        roundAmount(quote.proratedCredit - quote.balanceApplied),
+        sub.id, quote.fromPlanId, quote.fromBillingCycle, quote.currentPeriodEnd
+      );
+      if (updated.changes === 0) return false;
+
+      // Downgrades never take the balance below zero
+      let credits = quote.creditAdjustment;
+      if (credits < 0) {
+        const user = this.db.prepare('SELECT credits FROM users WHERE id = ?').get(sub.userId);
+        credits = -Math.min(-credits, Math.max(user?.credits || 0, 0));
+      }
+      if (credits !== 0) {
+        this.adjustCredits(sub, credits, 'plan_change', `Plan change: ${quote.fromPlanId} (${quote.fromBillingCycle}) to ${plan.id} (${quote.toBillingCycle})`);
+      }
+
+      this.logAudit(null, 'subscription_plan_changed', 'subscription', sub.id, {
+        userId: sub.userId,
+        from: { planId: quote.fromPlanId, billingCycle: quote.fromBillingCycle },
+        to: { planId: plan.id, billingCycle: quote.toBillingCycle },
+        amountDue: quote.amountDue,
+        proratedCredit: quote.proratedCredit,
+        credits
+      });
+      console.log(`[BILLING] Subscription ${sub.id} changed to ${plan.id} (${quote.toBillingCycle})`);
+      return true;
+    })();
+  }
+
+  // ============ PAYMENT GATEWAY EVENTS ============
+
+  /**
+   * Handle a Razorpay subscription webhook event
+   * @param {Object} event - Parsed webhook body
+   * @returns {string} - What happened ('renewed', 'grace', 'cancelling', 'duplicate', 'ignored')
+   */
+  handleGatewayEvent(event) {
+    const entity = event.payload?.subscription?.entity;
+    const sub = entity?.id && this.db.prepare(
+      "SELECT * FROM user_subscriptions WHERE razorpaySubscriptionId = ? AND status = 'active'"
+    ).get(entity.id);
+    if (!sub) {
+      console.log(`[BILLING] ${event.event}: no active subscription for ${entity?.id}`);
+      return 'ignored';
+    }
+
+    switch (event.event) {
+      case 'subscription.charged': {
+        const payment = event.payload.payment?.entity;
+        if (payment?.id && this.db.prepare("SELECT 1 FROM payments WHERE gateway = 'razorpay' AND gatewayPaymentId = ?").get(payment.id)) {
+          return 'duplicate';
+        }
+
+        const period = entity.current_start && entity.current_end
+          ? { start: new Date(entity.current_start * 1000), end: new Date(entity.current_end * 1000) }
+          : {};
+        // Razorpay charges the first period up front; it was already granted when the subscription was activated
+        if (period.end && period.end.toISOString() <= sub.currentPeriodEnd) {
+          this.recordRenewalPayment(sub, payment);
+          return 'duplicate';
+        }
+
+        const renewed = this.db.transaction(() => {
+          this.recordRenewalPayment(sub, payment);
+          return this.renew(sub, period);
+        })();
+        return renewed ? 'renewed' : 'ignored';
+      }
+
+      case 'subscription.pending':
+      case 'subscription.halted':
+        this.startGracePeriod(sub, event.event === 'subscription.halted' ? 'charge retries exhausted' : 'charge failed');
+        return 'grace';
+
+      case 'subscription.cancelled':
+      case 'subscription.completed':
+        this.scheduleCancellation(sub, event.event === 'subscription.completed' ? 'billing cycles completed' : 'gateway');
+        return 'cancelling';
+    }
+    return 'ignored';
+  }
+
+  /**
+   * Record the payment behind a gateway renewal
+   */
+  recordRenewalPayment(sub, payment) {
+    if (!payment?.id) return;
+    const amount = (payment.amount || 0) / 100; // paise
+    const paymentId = uuidv4();
+    this.db.prepare(`
+      INSERT INTO payments (id, userId, amount, currency, type, description, gateway, gatewayPaymentId, status, metadata)
+      VALUES (?, ?, ?, ?, 'subscription_renewal', ?, 'razorpay', ?, 'completed', ?)
+    `).run(paymentId, sub.userId, amount, payment.currency || BASE_CURRENCY, 'Subscription renewal', payment.id,
+      JSON.stringify({ subscriptionId: sub.id, razorpaySubscriptionId: sub.razorpaySubscriptionId }));
+    this.db.prepare('UPDATE users SET totalSpent = totalSpent + ? WHERE id = ?').run(amount, sub.userId);
+    this.onPaymentRecorded(paymentId);
+  }
+
+  // ============ SCHEDULER ============
+
+  /**
+   * Run one billing cycle pass
+   * - grant monthly credits due on yearly plans
+   * - at currentPeriodEnd: end cancelled subscriptions, start the grace period for unpaid ones
+   * - expire subscriptions whose grace period ran out
+   * @param {Date} [now]
+   * @returns {{granted: number, pastDue: number, ended: number, expired: number}}
+   */
+  runCycle(now = new Date()) {
+    const nowIso = now.toISOString();
+    const stats = { granted: 0, pastDue: 0, ended: 0, expired: 0 };
+
+    // Monthly credits within a longer period
+    const dueGrants = this.db.prepare(`
+      SELECT * FROM user_subscriptions
+      WHERE status = 'active' AND nextCreditGrantAt IS NOT NULL AND nextCreditGrantAt <= ?
+        AND nextCreditGrantAt < currentPeriodEnd AND graceUntil IS NULL
+    `).all(nowIso);
+    for (const sub of dueGrants) {
+      const plan = this.getPlan(sub.planId);
+      const next = getNextCreditGrant(sub.currentPeriodStart, now);
+      const claimed = this.db.prepare(`
+        UPDATE user_subscriptions SET nextCreditGrantAt = ? WHERE id = ? AND nextCreditGrantAt = ?
+      `).run(next.toISOString(), sub.id, sub.nextCreditGrantAt);
+      if (!plan || claimed.changes === 0) continue;
+
+      this.grantPlanCredits(sub, plan, `${plan.name} Plan monthly credits`);
+      stats.granted++;
+    }
+
+    // Period rollover
+    const ended = this.db.prepare(`
+      SELECT * FROM user_subscriptions WHERE status = 'active' AND currentPeriodEnd <= ?
+    `).all(nowIso);
+    for (const sub of ended) {
+      if (sub.cancelledAt) {
+        if (this.end(sub, 'cancelled')) stats.ended++;
+      } else if (!sub.graceUntil) {
+        if (this.startGracePeriod(sub, 'period ended unpaid', now)) stats.pastDue++;
+      } else if (sub.graceUntil <= nowIso) {
+        if (this.end(sub, 'expired')) stats.expired++;
+      }
+    }
+
+    if (stats.granted || stats.pastDue || stats.ended || stats.expired) {
+      console.log('[BILLING] Cycle:', stats);
+    }
+    return stats;
+  }
+
+  start(intervalMs = SCHEDULER_INTERVAL) {
+    if (this.interval) return;
+
+    this.interval = setInterval(() => {
+      try {
+        this.runCycle();
+      } catch (err) {
+        console.error('[BILLING] Billing cycle failed:', err.message);
+      }
+    }, intervalMs);
+    this.interval.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+}
+
+/**
+ * Create a subscription billing instance
+ */
+function createSubscriptionBilling(options) {
+  return new SubscriptionBilling(options);
+}
+
+/**
+ * @typedef {Object} PlanChangeQuote
+ * @property {string} subscriptionId
+ * @property {string} fromPlanId
+ * @property {string} fromBillingCycle
+ * @property {string} toPlanId
+ * @property {string} toBillingCycle
+ * @property {string} currentPeriodEnd - Period end the quote was made against
+ * @property {string} periodStart - Period after the change
+ * @property {string} periodEnd
+ * @property {number} remainingShare - Unused share of the current period (0-1)
+ * @property {number} unusedValue - Unused value of the current plan
+ * @property {number} newCharge - Price of the new plan for the new period / remaining share
+ * @property {number} balanceApplied - billingBalance used towards the charge
+ * @property {number} amountDue - To pay before the change applies
+ * @property {number} proratedCredit - Added to billingBalance (downgrades)
+ * @property {number} creditAdjustment - Plan credits added (or removed, negative)
+ * @property {string} currency
+ * @property {string} quotedAt
+ */
+
+module.exports = {
+  SubscriptionBilling,
+  createSubscriptionBilling,
+  addMonths,
+  getPeriodEnd,
+  getCreditMonth,
+  getNextCreditGrant,
+  GATEWAY_EVENTS
+};
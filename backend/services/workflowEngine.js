@@ -3,15 +3,47 @@
  * 
  * Handles the execution of multi-step AI workflows with:
  * - Dependency resolution (topological sort)
- * - State persistence between steps
+ * - Conditional branching (when/unless guards, true/false branch targets)
+ * - State persistence between steps, with restart recovery
  * - Error handling and automatic retries
  * - Human-in-the-loop task creation
  * - Credit tracking per step
  * - Parallel step execution
+ * - Durable wait steps resumed by a scheduler
+ * - Per-workspace vector collections for semantic search
+ * - Live run events for streaming progress to clients
  */
 
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const { STEP_TYPES, parseReferences } = require('../models/workflowSchema');
+const { STEP_TYPES, WORKFLOW_REGISTRY, parseReferences } = require('../models/workflowSchema');
+const { safeRequest, parseAllowedHosts } = require('./safeHttp');
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const EMBEDDING_BATCH_SIZE = 64; // Texts per provider request
+const WAIT_SCHEDULER_INTERVAL = 5000; // How often elapsed waits are checked
+
+// Step types that may be re-run after a restart interrupted them (a step's own
+// `idempotent` flag overrides this). Generation, webhook and storage steps have
+// side effects or real cost, so they must opt in.
+const IDEMPOTENT_STEP_TYPES = new Set([
+  STEP_TYPES.LLM,
+  STEP_TYPES.EMBEDDING,
+  STEP_TYPES.TRANSFORM,
+  STEP_TYPES.SPLIT,
+  STEP_TYPES.FILTER,
+  STEP_TYPES.MERGE,
+  STEP_TYPES.CONDITION
+]);
+
+// Thrown when a run is cancelled while a step is executing, so it ends as cancelled, not failed
+class WorkflowCancelledError extends Error {
+  constructor(runId) {
+    super('Workflow run cancelled');
+    this.name = 'WorkflowCancelledError';
+    this.runId = runId;
+  }
+}
 
 // ============ WORKFLOW EXECUTOR CLASS ============
 
@@ -29,6 +61,44 @@ class WorkflowExecutor {
     this.providers = providers;
     this.logError = logError;
     this.activeRuns = new Map();
+    this.schedulerInterval = null;
+    this.runListeners = new Map(); // runId -> Set of event listeners
+  }
+
+  // ============ RUN EVENTS ============
+
+  /**
+   * Listen to live events for one run (step started/completed/failed/skipped,
+   * credits, human tasks and run status changes)
+   * @param {string} runId - Run ID
+   * @param {Function} listener - Called with each event object
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(runId, listener) {
+    if (!this.runListeners.has(runId)) this.runListeners.set(runId, new Set());
+    this.runListeners.get(runId).add(listener);
+
+    return () => {
+      const listeners = this.runListeners.get(runId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.runListeners.delete(runId);
+    };
+  }
+
+  emitRunEvent(runId, type, data = {}) {
+    const listeners = this.runListeners.get(runId);
+    if (!listeners) return;
+
+    const event = { type, runId, ...data, timestamp: new Date().toISOString() };
+    for (const listener of [...listeners]) {
+      // A broken subscriber must never fail the run
+      try {
+        listener(event);
+      } catch (err) {
+        console.error('[WORKFLOW] Run event listener failed:', err.message);
+      }
+    }
   }
 
   /**
@@ -83,39 +153,57 @@ class WorkflowExecutor {
    * @param {string} runId - Run ID
    * @param {Object} workflow - Workflow definition
    * @param {Object} inputs - User inputs
+   * @param {Object} [resumeState] - Persisted state to continue from (completed steps are skipped)
    */
-  async executeRun(runId, workflow, inputs) {
-    console.log(`[WORKFLOW] Starting execution: ${runId}`);
+  async executeRun(runId, workflow, inputs, resumeState = null) {
+    console.log(`[WORKFLOW] ${resumeState ? 'Resuming' : 'Starting'} execution: ${runId}`);
 
     // Mark as running
-    await this.updateRunStatus(runId, 'running', { startedAt: new Date().toISOString() });
+    await this.updateRunStatus(runId, 'running');
+    await this.markRunStarted(runId);
 
     // Get execution order (topological sort)
     const executionOrder = this.getExecutionOrder(workflow.steps);
     console.log(`[WORKFLOW] Execution order: ${executionOrder.join(' → ')}`);
 
     // Initialize state
-    let state = {
+    let state = resumeState || {
       completedSteps: [],
-      stepOutputs: { input: inputs },
+      stepOutputs: {},
       currentStep: null
     };
+    state.stepOutputs.input = inputs;
+    state.skippedSteps = state.skippedSteps || [];
+    state.untakenBranches = state.untakenBranches || {}; // stepId -> condition step that ruled it out
 
     try {
       // Execute steps in order
       for (const stepId of executionOrder) {
         const step = workflow.steps.find(s => s.id === stepId);
+
+        if (state.completedSteps.includes(stepId) || state.skippedSteps.includes(stepId)) continue;
+
+        if (await this.isRunCancelled(runId)) {
+          throw new WorkflowCancelledError(runId);
+        }
+
+        const dependencies = this.getStepDependencies(step, workflow.steps);
         
         // Check if dependencies are met
-        if (!this.areDependenciesMet(step, state.completedSteps)) {
+        if (!this.areDependenciesMet(dependencies, state.completedSteps, state.skippedSteps)) {
           console.log(`[WORKFLOW] Step ${stepId} dependencies not met, skipping`);
           continue;
         }
 
-        // Check conditions
-        if (step.condition && !this.evaluateCondition(step.condition, state.stepOutputs)) {
-          console.log(`[WORKFLOW] Step ${stepId} condition not met, skipping`);
-          state.completedSteps.push(stepId);
+        // Check branches and guards
+        const skipReason = this.getSkipReason(step, dependencies, state);
+        if (skipReason) {
+          console.log(`[WORKFLOW] Step ${stepId} skipped: ${skipReason}`);
+          await this.recordSkippedStep(runId, stepId, skipReason);
+          // Skipped outputs resolve to null, so joins can reference either branch
+          state.stepOutputs[stepId] = null;
+          state.skippedSteps.push(stepId);
+          await this.updateRunState(runId, state);
           continue;
         }
 
@@ -135,14 +223,23 @@ class WorkflowExecutor {
           return; // Will resume when human task is completed
         }
 
+        // Handle wait steps - the scheduler resumes the run from its persisted state
+        if (stepResult.waitUntil) {
+          console.log(`[WORKFLOW] Step ${stepId} waiting until ${stepResult.waitUntil}`);
+          state.waiting = { stepId, stepRunId: stepResult.stepRunId, until: stepResult.waitUntil };
+          await this.updateRunState(runId, state);
+          await this.updateRunStatus(runId, 'waiting', { currentStepId: stepId });
+          return;
+        }
+
         // Store step outputs
         state.stepOutputs[stepId] = stepResult.outputs;
         state.completedSteps.push(stepId);
 
-        // Update credits
-        if (stepResult.creditsUsed) {
-          await this.addCreditsToRun(runId, stepResult.creditsUsed);
-        }
+        this.applyBranchDecision(step, stepResult.outputs, state);
+
+        // Update credits (loop and parallel steps post theirs as nested steps complete)
+        await this.postStepCredits(runId, stepResult);
 
         // Persist state
         await this.updateRunState(runId, state);
@@ -160,6 +257,13 @@ class WorkflowExecutor {
       console.log(`[WORKFLOW] Run ${runId} completed successfully`);
 
     } catch (error) {
+      if (error instanceof WorkflowCancelledError) {
+        // cancelRun() already set the status
+        console.log(`[WORKFLOW] Run ${runId} cancelled`);
+        await this.updateRunState(runId, state);
+        return;
+      }
+
       console.error(`[WORKFLOW] Run ${runId} failed:`, error.message);
       
       await this.updateRunStatus(runId, 'failed', {
@@ -179,20 +283,23 @@ class WorkflowExecutor {
    * @param {Object} step - Step definition
    * @param {Object} context - Current outputs context
    * @param {Object} workflow - Full workflow definition
+   * @param {number} [attempt] - Retry attempt (0 for the first try)
    * @returns {Promise<Object>} - Step result
    */
-  async executeStep(runId, step, context, workflow) {
+  async executeStep(runId, step, context, workflow, attempt = 0) {
     const stepRunId = uuidv4();
     const startTime = new Date().toISOString();
 
-    // Create step run record
+    // Create step run record (one per attempt)
     await this.insertStepRun({
       id: stepRunId,
       runId,
       stepId: step.id,
       status: 'running',
-      startedAt: startTime
+      startedAt: startTime,
+      retryCount: attempt
     });
+    this.emitRunEvent(runId, 'step_started', { stepId: step.id, stepRunId, stepType: step.type, attempt });
 
     try {
       // Resolve input references
@@ -203,7 +310,9 @@ class WorkflowExecutor {
 
       let outputs = {};
       let creditsUsed = 0;
+      let creditsPosted = 0; // Already added to the run by nested steps
       let requiresHuman = false;
+      let waitUntil = null;
 
       // Execute based on step type
       switch (step.type) {
@@ -220,7 +329,7 @@ class WorkflowExecutor {
           break;
 
         case STEP_TYPES.TRANSFORM:
-          outputs = await this.executeTransformStep(step, resolvedInputs);
+          ({ outputs, creditsUsed } = await this.executeTransformStep(runId, step, resolvedInputs));
           break;
 
         case STEP_TYPES.HUMAN:
@@ -229,13 +338,44 @@ class WorkflowExecutor {
           break;
 
         case STEP_TYPES.LOOP:
-          ({ outputs, creditsUsed } = await this.executeLoopStep(step, resolvedInputs, context, workflow));
+          ({ outputs, creditsUsed, creditsPosted } = await this.executeLoopStep(runId, step, resolvedInputs, context, workflow));
+          break;
+
+        case STEP_TYPES.PARALLEL:
+          ({ outputs, creditsUsed, creditsPosted } = await this.executeParallelStep(runId, step, context, workflow));
+          break;
+
+        case STEP_TYPES.WAIT:
+          waitUntil = this.getWaitUntil(step, resolvedInputs);
+          outputs = { waitUntil };
+          // A wait that has already elapsed completes immediately
+          if (new Date(waitUntil) <= new Date()) waitUntil = null;
+          break;
+
+        case STEP_TYPES.SPLIT:
+          outputs = this.executeSplitStep(step, resolvedInputs);
+          break;
+
+        case STEP_TYPES.FILTER:
+          outputs = this.executeFilterStep(step, resolvedInputs, context);
+          break;
+
+        case STEP_TYPES.MERGE:
+          outputs = this.executeMergeStep(step, resolvedInputs);
           break;
 
         case STEP_TYPES.CONDITION:
           outputs = this.executeConditionStep(step, resolvedInputs, context);
           break;
 
+        case STEP_TYPES.TTS:
+          ({ outputs, creditsUsed } = await this.executeTTSStep(step, resolvedInputs));
+          break;
+
+        case STEP_TYPES.STT:
+          ({ outputs, creditsUsed } = await this.executeSTTStep(step, resolvedInputs));
+          break;
+
         case STEP_TYPES.EMBEDDING:
           ({ outputs, creditsUsed } = await this.executeEmbeddingStep(step, resolvedInputs));
           break;
@@ -248,29 +388,33 @@ class WorkflowExecutor {
           throw new Error(`Unknown step type: ${step.type}`);
       }
 
-      // Mark step as completed
+      // Mark step as completed (human and wait steps stay open until the run resumes)
+      const paused = requiresHuman || Boolean(waitUntil);
       await this.updateStepRun(stepRunId, {
-        status: requiresHuman ? 'pending' : 'completed',
+        status: requiresHuman ? 'pending' : waitUntil ? 'waiting' : 'completed',
         outputs: JSON.stringify(outputs),
         creditsUsed,
-        completedAt: requiresHuman ? null : new Date().toISOString()
+        completedAt: paused ? null : new Date().toISOString()
       });
 
-      return { outputs, creditsUsed, requiresHuman };
-
-    } catch (error) {
-      console.error(`[WORKFLOW] Step ${step.id} failed:`, error.message);
+      // Human steps announce themselves through the human_task event
+      if (waitUntil) {
+        this.emitRunEvent(runId, 'step_waiting', { stepId: step.id, stepRunId, until: waitUntil });
+      } else if (!requiresHuman) {
+        this.emitRunEvent(runId, 'step_completed', { stepId: step.id, stepRunId, outputs, creditsUsed });
+      }
 
-      // Check if we should retry
-      const retryCount = step.retryCount || 0;
-      const currentRetry = await this.getStepRetryCount(stepRunId);
+      return { outputs, creditsUsed, creditsPosted, requiresHuman, waitUntil, stepRunId };
 
-      if (currentRetry < retryCount) {
-        console.log(`[WORKFLOW] Retrying step ${step.id} (${currentRetry + 1}/${retryCount})`);
-        await this.updateStepRun(stepRunId, { retryCount: currentRetry + 1 });
-        return this.executeStep(runId, step, context, workflow);
+    } catch (error) {
+      // A cancelled run is not retried
+      if (error instanceof WorkflowCancelledError) {
+        await this.updateStepRun(stepRunId, { status: 'cancelled', completedAt: new Date().toISOString() });
+        throw error;
       }
 
+      console.error(`[WORKFLOW] Step ${step.id} failed:`, error.message);
+
       // Mark as failed
       await this.updateStepRun(stepRunId, {
         status: 'failed',
@@ -278,6 +422,19 @@ class WorkflowExecutor {
         completedAt: new Date().toISOString()
       });
 
+      // Check if we should retry
+      const retryCount = step.retryCount || 0;
+      this.emitRunEvent(runId, 'step_failed', {
+        stepId: step.id,
+        stepRunId,
+        error: error.message,
+        willRetry: attempt < retryCount
+      });
+      if (attempt < retryCount) {
+        console.log(`[WORKFLOW] Retrying step ${step.id} (${attempt + 1}/${retryCount})`);
+        return this.executeStep(runId, step, context, workflow, attempt + 1);
+      }
+
       throw error;
     }
   }
@@ -288,16 +445,19 @@ class WorkflowExecutor {
     const model = step.model || 'gpt-4o-mini';
     const config = step.config || {};
 
-    // Call LLM via OpenRouter or other provider
     const prompt = inputs.prompt;
     if (!prompt) throw new Error('LLM step requires prompt input');
 
-    // Use OpenRouter for chat/LLM
-    if (this.providers?.callOpenRouter) {
-      const response = await this.providers.callOpenRouter(model, prompt, [], this.getSetting('openrouterApiKey'));
+    // Text providers fail over through the provider router
+    if (this.providers?.completeText) {
+      const result = await this.providers.completeText(model, prompt, {
+        maxTokens: config.maxTokens,
+        temperature: config.temperature
+      });
       return {
-        outputs: { [Object.keys(step.outputs)[0]]: response },
-        creditsUsed: this.calculateLLMCredits(model, prompt.length)
+        outputs: { [Object.keys(step.outputs)[0]]: result.text },
+        // Prefer the cost the provider reported over the flat estimate
+        creditsUsed: result.cost ?? this.calculateLLMCredits(model, prompt.length)
       };
     }
 
@@ -335,103 +495,664 @@ class WorkflowExecutor {
     throw new Error('Video provider not configured');
   }
 
+  async executeTTSStep(step, inputs) {
+    const model = step.model || 'elevenlabs-turbo';
+    const text = inputs.text;
+    if (!text) throw new Error('TTS step requires text input');
+
+    const options = {
+      voice: step.config?.voice,
+      speed: step.config?.speed,
+      language: step.config?.language,
+      ...(inputs.options || {})
+    };
+
+    if (this.providers?.generateSpeech) {
+      const result = await this.providers.generateSpeech(model, String(text), options);
+      return {
+        outputs: {
+          audio: result.url,
+          duration: result.metadata?.duration || this.estimateSpeechDuration(String(text), options.speed)
+        },
+        creditsUsed: this.calculateTTSCredits(model, String(text).length)
+      };
+    }
+
+    throw new Error('TTS provider not configured');
+  }
+
+  async executeSTTStep(step, inputs) {
+    const model = step.model || 'whisper';
+    const audioUrl = inputs.audio || inputs.audioUrl;
+    if (!audioUrl) throw new Error('STT step requires audio input');
+
+    const options = {
+      language: step.config?.language,
+      task: step.config?.task,
+      ...(inputs.options || {})
+    };
+
+    if (this.providers?.transcribeAudio) {
+      const result = await this.providers.transcribeAudio(model, audioUrl, options);
+      return {
+        outputs: {
+          text: result.text,
+          segments: result.segments || [],
+          language: result.language
+        },
+        creditsUsed: this.calculateSTTCredits(model, result.metadata?.duration)
+      };
+    }
+
+    throw new Error('STT provider not configured');
+  }
+
+  /**
+   * Embed inputs.text (outputs.embedding) or inputs.texts (outputs.embeddings)
+   */
   async executeEmbeddingStep(step, inputs) {
-    const model = step.model || 'text-embedding-3-small';
+    const model = step.model || DEFAULT_EMBEDDING_MODEL;
+
+    if (Array.isArray(inputs.texts)) {
+      const texts = inputs.texts.map(t => String(t));
+      const embeddings = await this.embedTexts(model, texts);
+      return {
+        outputs: { embeddings, dimensions: embeddings[0]?.length || 0 },
+        creditsUsed: this.calculateEmbeddingCredits(model, texts.join('').length)
+      };
+    }
+
     const text = inputs.text;
     if (!text) throw new Error('Embedding step requires text input');
 
-    // For now, return a placeholder
-    // In production, call OpenAI or other embedding provider
-    console.log(`[WORKFLOW] Embedding step would process: ${text.substring(0, 50)}...`);
+    const [embedding] = await this.embedTexts(model, [String(text)]);
     return {
-      outputs: { embedding: new Array(1536).fill(0).map(() => Math.random()) },
-      creditsUsed: 0.01
+      outputs: { embedding, dimensions: embedding.length },
+      creditsUsed: this.calculateEmbeddingCredits(model, String(text).length)
     };
   }
 
-  async executeTransformStep(step, inputs) {
+  async executeTransformStep(runId, step, inputs) {
     const operation = step.config?.operation;
     
     switch (operation) {
       case 'pdf-to-text':
         // Placeholder - would use PDF extraction library
-        return { text: inputs.file?.content || 'Extracted text placeholder' };
+        return { outputs: { text: inputs.file?.content || 'Extracted text placeholder' }, creditsUsed: 0 };
       
       case 'cosine-similarity':
         // Calculate cosine similarity between vectors
         const score = this.cosineSimilarity(inputs.vectorA, inputs.vectorB);
-        return { score, matches: [] };
+        return { outputs: { score, matches: [] }, creditsUsed: 0 };
       
       case 'json-parse':
-        return { data: JSON.parse(inputs.text) };
+        return { outputs: { data: JSON.parse(inputs.text) }, creditsUsed: 0 };
       
       case 'merge':
-        return { merged: { ...inputs } };
+        return { outputs: { merged: { ...inputs } }, creditsUsed: 0 };
+
+      case 'store':
+        return this.storeVectors(runId, step, inputs);
+
+      case 'query':
+        return this.queryVectors(runId, step, inputs);
       
       default:
-        return inputs;
+        return { outputs: inputs, creditsUsed: 0 };
     }
   }
 
+  /**
+   * Index documents into a vector collection.
+   * inputs.documents: strings or { id, text, metadata, embedding }; or a single inputs.text.
+   * Documents without an embedding are embedded with config.model. Storing an existing
+   * document ID in the same collection replaces it.
+   */
+  async storeVectors(runId, step, inputs) {
+    const config = step.config || {};
+    const collection = config.collection || 'default';
+    const model = config.model || step.model || DEFAULT_EMBEDDING_MODEL;
+
+    let documents = inputs.documents;
+    if (typeof documents === 'string') documents = this.parseJSONArray(documents);
+    if (documents === undefined && inputs.text !== undefined) {
+      documents = [{ id: inputs.id, text: inputs.text, metadata: inputs.metadata, embedding: inputs.embedding }];
+    }
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new Error('Store operation requires documents or text input');
+    }
+
+    const docs = documents.map(doc => {
+      const entry = typeof doc === 'object' && doc !== null ? doc : { text: doc };
+      const content = String(entry.text ?? entry.content ?? '');
+      return {
+        // Content hash keeps re-indexing the same text idempotent
+        id: String(entry.id || crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)),
+        content,
+        metadata: entry.metadata || {},
+        embedding: Array.isArray(entry.embedding) ? entry.embedding : null
+      };
+    });
+
+    const missing = docs.filter(d => !d.embedding);
+    if (missing.some(d => !d.content)) {
+      throw new Error('Documents without an embedding must have text');
+    }
+
+    let creditsUsed = 0;
+    if (missing.length > 0) {
+      const embeddings = await this.embedTexts(model, missing.map(d => d.content));
+      missing.forEach((doc, i) => { doc.embedding = embeddings[i]; });
+      creditsUsed = this.calculateEmbeddingCredits(model, missing.reduce((sum, d) => sum + d.content.length, 0));
+    }
+
+    const scope = await this.getRunScope(runId);
+    await this.upsertVectors(scope, collection, docs, model, runId);
+
+    console.log(`[WORKFLOW] Stored ${docs.length} vectors in ${collection}`);
+    return {
+      outputs: { collection, stored: docs.length, ids: docs.map(d => d.id) },
+      creditsUsed
+    };
+  }
+
+  /**
+   * Retrieve the top-k documents in a collection by cosine similarity.
+   * inputs.query (text, embedded with config.model) or inputs.embedding; optional
+   * inputs.filter matches metadata fields exactly.
+   */
+  async queryVectors(runId, step, inputs) {
+    const config = step.config || {};
+    const collection = config.collection || 'default';
+    const model = config.model || step.model || DEFAULT_EMBEDDING_MODEL;
+    const topK = Math.max(1, parseInt(inputs.topK ?? config.topK, 10) || 5);
+    const minScore = parseFloat(inputs.minScore ?? config.minScore);
+    const filter = inputs.filter || config.filter || null;
+
+    let embedding = inputs.embedding;
+    let creditsUsed = 0;
+    if (!Array.isArray(embedding)) {
+      if (!inputs.query) throw new Error('Query operation requires query text or embedding input');
+      [embedding] = await this.embedTexts(model, [String(inputs.query)]);
+      creditsUsed = this.calculateEmbeddingCredits(model, String(inputs.query).length);
+    }
+
+    const scope = await this.getRunScope(runId);
+    const rows = await this.getVectors(scope, collection, embedding.length);
+
+    const matches = rows
+      .map(row => ({
+        id: row.documentId,
+        content: row.content,
+        metadata: JSON.parse(row.metadata || '{}'),
+        score: this.cosineSimilarity(embedding, JSON.parse(row.embedding))
+      }))
+      .filter(match => !filter || Object.entries(filter).every(([key, value]) => match.metadata[key] === value))
+      .filter(match => isNaN(minScore) || match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+
+    return {
+      outputs: {
+        matches,
+        topMatch: matches[0] || null,
+        // Joined content, ready to drop into an LLM prompt
+        text: matches.map(m => m.content).join('\n\n')
+      },
+      creditsUsed
+    };
+  }
+
+  /**
+   * Evaluate config.condition. Steps listed in config.onTrue / config.onFalse
+   * only run when the condition goes their way; the others are skipped.
+   */
   executeConditionStep(step, inputs, context) {
     const condition = step.config?.condition;
     const result = this.evaluateCondition(condition, context);
-    return { result };
+    const { onTrue, onFalse } = this.getBranchTargets(step);
+    return { result, branch: result ? onTrue : onFalse };
   }
 
-  async executeLoopStep(step, inputs, context, workflow) {
-    const items = inputs.items || step.config?.items;
+  /**
+   * Run the loop body (step.steps) once per item.
+   * Each iteration gets its own context with ${item} and ${itemIndex}, and nested
+   * steps can reference earlier nested steps of the same iteration by ID.
+   * Iterations run sequentially, or in batches of maxParallel when parallel is set.
+   * Credits are added to the run as each nested step completes, so a failed or
+   * cancelled loop still accounts for what its finished iterations spent.
+   */
+  async executeLoopStep(runId, step, inputs, context, workflow) {
+    const items = inputs.items !== undefined ? inputs.items : step.config?.items;
     const parallel = step.config?.parallel || false;
-    const maxParallel = step.config?.maxParallel || 4;
+    const maxParallel = Math.max(1, step.config?.maxParallel || 4);
+    const bodySteps = step.steps || [];
 
     // Resolve items if it's a reference
     let itemsArray = Array.isArray(items) ? items : this.resolveValue(items, context);
     if (typeof itemsArray === 'string') {
-      try { itemsArray = JSON.parse(itemsArray); } catch {}
+      itemsArray = this.parseJSONArray(itemsArray);
     }
 
     if (!Array.isArray(itemsArray)) {
       throw new Error('Loop items must be an array');
     }
 
+    this.assertNestable(step, bodySteps);
+
+    const bodyOrder = this.getExecutionOrder(bodySteps);
     const results = [];
     let totalCredits = 0;
 
-    if (parallel) {
-      // Execute in parallel batches
-      for (let i = 0; i < itemsArray.length; i += maxParallel) {
-        const batch = itemsArray.slice(i, i + maxParallel);
-        const batchResults = await Promise.all(
-          batch.map(async (item, idx) => {
-            // Execute inner steps with item context
-            const innerContext = { ...context, item, itemIndex: i + idx };
-            // For now, just return the item - full implementation would execute nested steps
-            return { item };
-          })
+    const runIteration = async (item, index) => {
+      const iterationContext = { ...context, item, itemIndex: index };
+      const stepOutputs = {};
+      let lastOutputs = {};
+      let credits = 0;
+
+      for (const bodyStepId of bodyOrder) {
+        const bodyStep = bodySteps.find(s => s.id === bodyStepId);
+
+        // Record each iteration as its own step run: <loopId>[<index>].<bodyStepId>
+        const iterationStepId = `${step.id}[${index}].${bodyStep.id}`;
+
+        if (!this.passesGuards(bodyStep, iterationContext)) {
+          await this.recordSkippedStep(runId, iterationStepId, 'guard not met');
+          iterationContext[bodyStep.id] = null;
+          continue;
+        }
+
+        const stepResult = await this.executeStep(
+          runId,
+          { ...bodyStep, id: iterationStepId },
+          iterationContext,
+          workflow
         );
-        results.push(...batchResults);
+
+        await this.postStepCredits(runId, stepResult);
+
+        iterationContext[bodyStep.id] = stepResult.outputs;
+        stepOutputs[bodyStep.id] = stepResult.outputs;
+        lastOutputs = stepResult.outputs;
+        credits += stepResult.creditsUsed || 0;
       }
-    } else {
-      // Execute sequentially
-      for (let i = 0; i < itemsArray.length; i++) {
-        const innerContext = { ...context, item: itemsArray[i], itemIndex: i };
-        results.push({ item: itemsArray[i] });
+
+      return { result: { item, index, outputs: lastOutputs, steps: stepOutputs }, credits };
+    };
+
+    const batchSize = parallel ? maxParallel : 1;
+    for (let i = 0; i < itemsArray.length; i += batchSize) {
+      if (await this.isRunCancelled(runId)) {
+        throw new WorkflowCancelledError(runId);
+      }
+
+      const batch = itemsArray.slice(i, i + batchSize);
+      const batchResults = await Promise.all(
+        batch.map((item, idx) => runIteration(item, i + idx))
+      );
+
+      for (const { result, credits } of batchResults) {
+        results.push(result);
+        totalCredits += credits;
       }
     }
 
     return {
-      outputs: { items: results },
-      creditsUsed: totalCredits
+      outputs: { items: results, ...this.aggregateLoopOutputs(step.outputs, results) },
+      creditsUsed: totalCredits,
+      creditsPosted: totalCredits
     };
   }
 
+  /**
+   * Run a group of steps (step.steps) concurrently against the same context.
+   * Outputs are keyed by branch ID, so later steps use ${<parallelId>.<branchId>.<output>}.
+   * config.maxParallel caps concurrency; with config.continueOnError a failed branch
+   * is reported under errors instead of failing the step.
+   */
+  async executeParallelStep(runId, step, context, workflow) {
+    const branches = step.steps || [];
+    const config = step.config || {};
+    if (branches.length === 0) {
+      throw new Error(`Parallel step ${step.id} has no steps`);
+    }
+    this.assertNestable(step, branches);
+
+    const maxParallel = Math.max(1, config.maxParallel || branches.length);
+    const outputs = {};
+    const errors = {};
+    let creditsUsed = 0;
+
+    for (let i = 0; i < branches.length; i += maxParallel) {
+      if (await this.isRunCancelled(runId)) {
+        throw new WorkflowCancelledError(runId);
+      }
+
+      const batch = branches.slice(i, i + maxParallel);
+      const results = await Promise.allSettled(batch.map(async branch => {
+        // Recorded as <parallelId>.<branchId>
+        const branchStepId = `${step.id}.${branch.id}`;
+        if (!this.passesGuards(branch, context)) {
+          await this.recordSkippedStep(runId, branchStepId, 'guard not met');
+          return null;
+        }
+        const branchResult = await this.executeStep(runId, { ...branch, id: branchStepId }, context, workflow);
+        await this.postStepCredits(runId, branchResult);
+        return branchResult;
+      }));
+
+      results.forEach((result, idx) => {
+        const branchId = batch[idx].id;
+        if (result.status === 'rejected' && result.reason instanceof WorkflowCancelledError) {
+          throw result.reason;
+        }
+        if (result.status === 'rejected') {
+          errors[branchId] = result.reason?.message || String(result.reason);
+        } else if (result.value) {
+          outputs[branchId] = result.value.outputs;
+          creditsUsed += result.value.creditsUsed || 0;
+        } else {
+          outputs[branchId] = null; // Branch guard not met
+        }
+      });
+    }
+
+    const failed = Object.keys(errors);
+    if (failed.length > 0 && !config.continueOnError) {
+      throw new Error(`Parallel step ${step.id} failed in ${failed.join(', ')}: ${errors[failed[0]]}`);
+    }
+
+    return {
+      outputs: failed.length > 0 ? { ...outputs, errors } : outputs,
+      creditsUsed,
+      creditsPosted: creditsUsed
+    };
+  }
+
+  /**
+   * Nested steps (loop bodies, parallel branches) run inside one step and cannot pause the run
+   */
+  assertNestable(step, nestedSteps) {
+    const pausing = nestedSteps.find(s => s.type === STEP_TYPES.HUMAN || s.type === STEP_TYPES.WAIT);
+    if (pausing) {
+      throw new Error(`${step.type} step ${step.id} cannot contain ${pausing.type} steps`);
+    }
+  }
+
+  /**
+   * Work out when a wait step ends, from `until` (a timestamp) or `duration`
+   * (seconds, or '30s' / '5m' / '2h' / '1d') in the step inputs or config
+   * @returns {string} - ISO timestamp
+   */
+  getWaitUntil(step, inputs) {
+    const config = step.config || {};
+    const until = inputs.until ?? config.until;
+
+    if (until) {
+      const date = new Date(until);
+      if (isNaN(date.getTime())) throw new Error(`Invalid wait until: ${until}`);
+      return date.toISOString();
+    }
+
+    const duration = inputs.duration ?? config.duration;
+    if (duration === undefined || duration === null || duration === '') {
+      throw new Error('Wait step requires a duration or until');
+    }
+
+    const match = String(duration).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])?$/i);
+    if (!match) throw new Error(`Invalid wait duration: ${duration}`);
+
+    const unitSeconds = { s: 1, m: 60, h: 3600, d: 86400 }[(match[2] || 's').toLowerCase()];
+    return new Date(Date.now() + parseFloat(match[1]) * unitSeconds * 1000).toISOString();
+  }
+
+  /**
+   * Split inputs.text on config.delimiter (default newline; config.format 'json'
+   * parses a JSON array instead), or take inputs.items as-is. config.chunkSize
+   * groups the result into arrays of that size and config.limit caps the count.
+   */
+  executeSplitStep(step, inputs) {
+    const config = step.config || {};
+    const source = inputs.items !== undefined ? inputs.items : inputs.text;
+    let items;
+
+    if (Array.isArray(source)) {
+      items = source;
+    } else if (typeof source === 'string') {
+      if (config.format === 'json') {
+        items = this.toArray(source, 'Split');
+      } else {
+        items = source.split(config.delimiter ?? '\n').map(part => part.trim());
+        if (!config.keepEmpty) items = items.filter(part => part !== '');
+      }
+    } else {
+      throw new Error('Split step requires text or items input');
+    }
+
+    if (config.limit) items = items.slice(0, config.limit);
+
+    if (config.chunkSize) {
+      const size = Math.max(1, parseInt(config.chunkSize, 10));
+      const chunks = [];
+      for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+      }
+      items = chunks;
+    }
+
+    return { items, count: items.length };
+  }
+
+  /**
+   * Keep the entries of inputs.items that pass config.condition, evaluated per item
+   * with ${item} and ${itemIndex} in scope, e.g. { if: '${item.score}', greaterThan: 0.7 }
+   */
+  executeFilterStep(step, inputs, context) {
+    const condition = step.config?.condition;
+    if (!condition) throw new Error('Filter step requires config.condition');
+
+    const items = this.toArray(inputs.items, 'Filter');
+    const kept = [];
+    const rejected = [];
+
+    items.forEach((item, index) => {
+      const passes = this.evaluateCondition(condition, { ...context, item, itemIndex: index });
+      (passes ? kept : rejected).push(item);
+    });
+
+    const limited = step.config.limit ? kept.slice(0, step.config.limit) : kept;
+    return { items: limited, rejected, count: limited.length };
+  }
+
+  /**
+   * Combine the resolved inputs according to config.mode:
+   * - concat (default when every input is an array): one flat array; config.unique drops duplicates
+   * - zip: arrays combined index by index into objects keyed by input name
+   * - object (default otherwise): object inputs merged shallowly, other values kept under their input name
+   */
+  executeMergeStep(step, inputs) {
+    const config = step.config || {};
+    const entries = Object.entries(inputs);
+    const mode = config.mode || (entries.length > 0 && entries.every(([, v]) => Array.isArray(v)) ? 'concat' : 'object');
+    let merged;
+
+    switch (mode) {
+      case 'concat': {
+        merged = entries.flatMap(([key, value]) => (Array.isArray(value) || typeof value === 'string')
+          ? this.toArray(value, `Merge input ${key}`)
+          : [value]);
+        if (config.unique) {
+          const seen = new Set();
+          merged = merged.filter(item => {
+            const key = JSON.stringify(item);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        }
+        break;
+      }
+
+      case 'zip': {
+        const arrays = entries.map(([key, value]) => [key, this.toArray(value, `Merge input ${key}`)]);
+        const length = Math.max(0, ...arrays.map(([, arr]) => arr.length));
+        merged = Array.from({ length }, (_, i) =>
+          Object.fromEntries(arrays.map(([key, arr]) => [key, arr[i] ?? null]))
+        );
+        break;
+      }
+
+      case 'object':
+        merged = {};
+        for (const [key, value] of entries) {
+          if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(merged, value);
+          } else {
+            merged[key] = value;
+          }
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown merge mode: ${mode}`);
+    }
+
+    return { merged, count: Array.isArray(merged) ? merged.length : Object.keys(merged).length };
+  }
+
+  /**
+   * Coerce a resolved input to an array (JSON array text is parsed)
+   */
+  toArray(value, label) {
+    const array = typeof value === 'string' ? this.parseJSONArray(value) : value;
+    if (!Array.isArray(array)) {
+      throw new Error(`${label} input must be an array`);
+    }
+    return array;
+  }
+
+  /**
+   * Collect declared loop outputs across iterations.
+   * An output { images: { type: 'array', items: 'image' } } gathers the `image`
+   * output of each iteration (from the last body step that produced it).
+   */
+  aggregateLoopOutputs(outputDefs, results) {
+    const aggregated = {};
+
+    for (const [key, def] of Object.entries(outputDefs || {})) {
+      if (key === 'items') continue;
+      const field = typeof def?.items === 'string' ? def.items : key;
+
+      aggregated[key] = results.map(result => {
+        if (result.outputs?.[field] !== undefined) return result.outputs[field];
+        const producer = Object.values(result.steps).reverse().find(o => o?.[field] !== undefined);
+        return producer ? producer[field] : null;
+      });
+    }
+
+    return aggregated;
+  }
+
+  /**
+   * Call an external HTTP endpoint.
+   * config.url, headers, query and body are templates resolved against the step's
+   * resolved inputs (e.g. { Authorization: 'Bearer ${apiToken}' }). Without a body
+   * template, POST/PUT/PATCH send the resolved inputs as JSON.
+   * config.responseSchema maps output names to paths in the response,
+   * e.g. { jobId: 'data.id', firstTag: 'data.tags[0]' }.
+   */
   async executeWebhookStep(step, inputs) {
-    const url = step.config?.url;
-    const method = step.config?.method || 'POST';
-    
-    // Would make HTTP request here
-    console.log(`[WORKFLOW] Webhook: ${method} ${url}`);
-    return { response: { success: true } };
+    const config = step.config || {};
+    const method = (config.method || 'POST').toUpperCase();
+    const url = this.resolveTemplate(config.url, inputs);
+    if (!url || typeof url !== 'string') throw new Error('Webhook step requires config.url');
+
+    const sendsBody = !['GET', 'HEAD', 'DELETE'].includes(method);
+    const request = {
+      url,
+      method,
+      headers: this.resolveTemplate(config.headers || {}, inputs),
+      params: this.resolveTemplate(config.query || {}, inputs),
+      data: sendsBody ? this.resolveTemplate(config.body !== undefined ? config.body : inputs, inputs) : undefined,
+      timeout: (step.timeout || config.timeout || 30) * 1000,
+      responseType: 'text',
+      transformResponse: [data => data]
+    };
+
+    const allowedHosts = parseAllowedHosts(this.getSetting('webhookAllowedHosts'));
+    const retries = config.retries || 0;
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = (config.retryDelay || 1000) * Math.pow(2, attempt - 1);
+        await new Promise(r => setTimeout(r, delay));
+        console.log(`[WORKFLOW] Webhook retry ${attempt}/${retries}: ${method} ${url}`);
+      }
+
+      try {
+        console.log(`[WORKFLOW] Webhook: ${method} ${url}`);
+        const response = await safeRequest(request, { allowedHosts });
+
+        // Retry on rate limits and server errors
+        if ((response.status === 429 || response.status >= 500) && attempt < retries) {
+          lastError = new Error(`Webhook returned ${response.status}`);
+          continue;
+        }
+
+        const body = this.parseWebhookResponse(response, config.responseType);
+
+        if (response.status >= 400) {
+          const detail = typeof body === 'string' ? body.slice(0, 200) : JSON.stringify(body).slice(0, 200);
+          throw Object.assign(new Error(`Webhook returned ${response.status}: ${detail}`), { final: true });
+        }
+
+        return {
+          status: response.status,
+          response: body,
+          ...this.extractResponseFields(config.responseSchema, body)
+        };
+      } catch (error) {
+        // Blocked destinations and definitive HTTP errors are not retried
+        if (error.blocked || error.cause?.blocked || error.final) throw error;
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Parse a webhook response body as JSON or text
+   * @param {Object} response - axios response with a raw string body
+   * @param {string} [responseType] - 'auto' | 'json' | 'text'
+   */
+  parseWebhookResponse(response, responseType = 'auto') {
+    const raw = response.data ?? '';
+    if (responseType === 'text') return raw;
+
+    const contentType = String(response.headers?.['content-type'] || '');
+    if (responseType === 'json' || contentType.includes('json')) {
+      try {
+        return raw === '' ? null : JSON.parse(raw);
+      } catch (error) {
+        if (responseType === 'json') throw new Error('Webhook response is not valid JSON');
+      }
+    }
+    return raw;
+  }
+
+  /**
+   * Pull named outputs out of a response using dotted paths with array indexes
+   */
+  extractResponseFields(schema, body) {
+    const outputs = {};
+    for (const [name, path] of Object.entries(schema || {})) {
+      const normalized = String(path).replace(/\[(\d+)\]/g, '.$1').replace(/^\./, '');
+      const value = normalized ? this.resolvePath(normalized, body) : body;
+      outputs[name] = value !== undefined ? value : null;
+    }
+    return outputs;
   }
 
   async createHumanTask(runId, step, inputs) {
@@ -450,6 +1171,10 @@ class WorkflowExecutor {
 
     await this.insertHumanTask(task);
     console.log(`[WORKFLOW] Created human task: ${taskId}`);
+    this.emitRunEvent(runId, 'human_task', {
+      stepId: step.id,
+      task: { ...task, data: inputs }
+    });
   }
 
   // ============ HELPER METHODS ============
@@ -469,7 +1194,7 @@ class WorkflowExecutor {
 
     // Build graph
     for (const step of steps) {
-      for (const dep of step.dependsOn || []) {
+      for (const dep of this.getStepDependencies(step, steps)) {
         if (graph.has(dep)) {
           graph.get(dep).push(step.id);
           inDegree.set(step.id, inDegree.get(step.id) + 1);
@@ -500,10 +1225,141 @@ class WorkflowExecutor {
   }
 
   /**
-   * Check if all dependencies are complete
+   * Steps that are part of a dependency cycle (strongly connected components with
+   * more than one step, or a step that depends on itself). Steps that are only
+   * downstream of a cycle are not included, although they can't run either.
+   * @returns {string[]}
+   */
+  findCycleSteps(steps) {
+    const ids = new Set(steps.map(s => s.id));
+    const dependencies = new Map(steps.map(s => [s.id, this.getStepDependencies(s, steps).filter(dep => ids.has(dep))]));
+
+    // Tarjan's algorithm
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycleSteps = [];
+
+    const visit = (id) => {
+      index.set(id, index.size);
+      lowLink.set(id, index.get(id));
+      stack.push(id);
+      onStack.add(id);
+
+      for (const dep of dependencies.get(id)) {
+        if (!index.has(dep)) {
+          visit(dep);
+          lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(dep)));
+        } else if (onStack.has(dep)) {
+          lowLink.set(id, Math.min(lowLink.get(id), index.get(dep)));
+        }
+      }
+
+      if (lowLink.get(id) === index.get(id)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== id);
+
+        if (component.length > 1 || dependencies.get(id).includes(id)) {
+          cycleSteps.push(...component);
+        }
+      }
+    };
+
+    for (const id of ids) {
+      if (!index.has(id)) visit(id);
+    }
+    return steps.map(s => s.id).filter(id => cycleSteps.includes(id));
+  }
+
+  /**
+   * A step depends on its dependsOn steps plus any condition step that names it as a branch target
+   */
+  getStepDependencies(step, steps) {
+    const dependencies = new Set(step.dependsOn || []);
+    for (const other of steps) {
+      if (other.type !== STEP_TYPES.CONDITION || other.id === step.id) continue;
+      const { onTrue, onFalse } = this.getBranchTargets(other);
+      if (onTrue.includes(step.id) || onFalse.includes(step.id)) dependencies.add(other.id);
+    }
+    return [...dependencies];
+  }
+
+  /**
+   * After a condition step, rule out the targets of the branch it did not take
+   */
+  applyBranchDecision(step, outputs, state) {
+    if (step.type !== STEP_TYPES.CONDITION) return;
+
+    const { onTrue, onFalse } = this.getBranchTargets(step);
+    const [taken, untaken] = outputs?.result ? [onTrue, onFalse] : [onFalse, onTrue];
+    for (const target of untaken.filter(id => !taken.includes(id))) {
+      state.untakenBranches[target] = step.id;
+    }
+  }
+
+  /**
+   * Whether a step can safely run again after a restart interrupted it.
+   * Loops and parallel groups are idempotent only if all their nested steps are.
    */
-  areDependenciesMet(step, completedSteps) {
-    return (step.dependsOn || []).every(dep => completedSteps.includes(dep));
+  isIdempotent(step) {
+    if (step.idempotent !== undefined) return Boolean(step.idempotent);
+    if (step.type === STEP_TYPES.LOOP || step.type === STEP_TYPES.PARALLEL) {
+      return (step.steps || []).every(nested => this.isIdempotent(nested));
+    }
+    return IDEMPOTENT_STEP_TYPES.has(step.type);
+  }
+
+  /**
+   * Branch targets of a condition step (config.onTrue / config.onFalse, an ID or list of IDs)
+   */
+  getBranchTargets(step) {
+    const toList = value => (value === undefined || value === null ? [] : [].concat(value));
+    return { onTrue: toList(step.config?.onTrue), onFalse: toList(step.config?.onFalse) };
+  }
+
+  /**
+   * Check if all dependencies are finished. A skipped dependency counts as finished,
+   * so a join after a branch waits only on the side that ran.
+   */
+  areDependenciesMet(dependencies, completedSteps, skippedSteps = []) {
+    return dependencies.every(dep => completedSteps.includes(dep) || skippedSteps.includes(dep));
+  }
+
+  /**
+   * Decide whether a ready step should be skipped
+   * @returns {string|null} - Reason, or null to run the step
+   */
+  getSkipReason(step, dependencies, state) {
+    if (state.untakenBranches[step.id]) {
+      return `branch not taken by ${state.untakenBranches[step.id]}`;
+    }
+
+    // Everything upstream was skipped, so this step is part of a branch that didn't run
+    if (dependencies.length > 0 && dependencies.every(dep => state.skippedSteps.includes(dep))) {
+      return 'all dependencies skipped';
+    }
+
+    if (!this.passesGuards(step, state.stepOutputs)) {
+      return 'guard not met';
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate a step's guards: `when` (or the older `condition`) must hold and `unless` must not
+   */
+  passesGuards(step, context) {
+    const when = step.when || step.condition;
+    if (when && !this.evaluateCondition(when, context)) return false;
+    if (step.unless && this.evaluateCondition(step.unless, context)) return false;
+    return true;
   }
 
   /**
@@ -523,26 +1379,75 @@ class WorkflowExecutor {
   resolveValue(value, context) {
     if (typeof value !== 'string') return value;
 
+    // A value that is exactly one reference keeps its raw type (arrays, objects, booleans)
+    const single = value.match(/^\$\{([^}]+)\}$/);
+    if (single) {
+      const result = this.resolvePath(single[1], context);
+      return result !== undefined ? result : value;
+    }
+
     // Replace all ${...} references
     return value.replace(/\$\{([^}]+)\}/g, (match, path) => {
-      const parts = path.split('.');
-      let result = context;
-      for (const part of parts) {
-        if (result && typeof result === 'object') {
-          result = result[part];
-        } else {
-          return match; // Keep original if not found
-        }
-      }
-      return result !== undefined ? result : match;
+      const result = this.resolvePath(path, context);
+      if (result === undefined) return match; // Keep original if not found
+      if (result === null) return ''; // e.g. output of a skipped step
+      return typeof result === 'object' && result !== null ? JSON.stringify(result) : result;
     });
   }
 
+  /**
+   * Resolve ${...} references anywhere inside a string, array or plain object
+   */
+  resolveTemplate(template, context) {
+    if (Array.isArray(template)) {
+      return template.map(v => this.resolveTemplate(v, context));
+    }
+    if (template && typeof template === 'object') {
+      const resolved = {};
+      for (const [key, value] of Object.entries(template)) {
+        resolved[key] = this.resolveTemplate(value, context);
+      }
+      return resolved;
+    }
+    return this.resolveValue(template, context);
+  }
+
+  /**
+   * Look up a dotted path (e.g. "generate-script.script") in the context
+   */
+  resolvePath(path, context) {
+    let result = context;
+    for (const part of path.split('.')) {
+      if (result && typeof result === 'object') {
+        result = result[part];
+      } else if (result === null) {
+        return null; // Paths through a skipped (null) step resolve to null
+      } else {
+        return undefined;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parse a JSON array from text, tolerating LLM markdown fences and surrounding prose
+   */
+  parseJSONArray(text) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      const match = text.match(/\[[\s\S]*\]/);
+      if (!match) return text;
+      try { return JSON.parse(match[0]); } catch { return text; }
+    }
+  }
+
   /**
    * Evaluate a condition
    */
   evaluateCondition(condition, context) {
     if (!condition) return true;
+    if (typeof condition === 'string') condition = { if: condition };
 
     const value = this.resolveValue(condition.if, context);
     const expected = condition.equals;
@@ -559,6 +1464,14 @@ class WorkflowExecutor {
       return String(value).includes(condition.contains);
     }
 
+    if (condition.greaterThan !== undefined) {
+      return Number(value) > Number(condition.greaterThan);
+    }
+
+    if (condition.lessThan !== undefined) {
+      return Number(value) < Number(condition.lessThan);
+    }
+
     return Boolean(value);
   }
 
@@ -592,6 +1505,34 @@ class WorkflowExecutor {
     return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
   }
 
+  /**
+   * Embed texts through the configured embedding provider, in batches
+   * @returns {Promise<Array<Array<number>>>} - One vector per text, in input order
+   */
+  async embedTexts(model, texts) {
+    if (!this.providers.generateEmbeddings) {
+      throw new Error('Embedding provider not configured');
+    }
+
+    const embeddings = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = texts.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const result = await this.providers.generateEmbeddings(model, batch);
+      if (!Array.isArray(result?.embeddings) || result.embeddings.length !== batch.length) {
+        throw new Error('Embedding provider returned no vectors');
+      }
+      embeddings.push(...result.embeddings);
+    }
+    return embeddings;
+  }
+
+  /**
+   * Estimate spoken duration in seconds (~15 characters per second at normal speed)
+   */
+  estimateSpeechDuration(text, speed = 1) {
+    return Math.round((text.length / 15) / (parseFloat(speed) || 1) * 10) / 10;
+  }
+
   /**
    * Validate user inputs against workflow definition
    */
@@ -639,6 +1580,32 @@ class WorkflowExecutor {
     return rates[model] || 0.4;
   }
 
+  calculateTTSCredits(model, textLength) {
+    // Per 1000 characters
+    const rates = {
+      'elevenlabs-turbo': 0.05,
+      'kokoro-tts': 0.02
+    };
+    return (rates[model] || 0.05) * Math.ceil(textLength / 1000);
+  }
+
+  calculateEmbeddingCredits(model, textLength) {
+    // Per 1000 characters
+    const rates = {
+      'text-embedding-3-small': 0.0001,
+      'text-embedding-3-large': 0.0005
+    };
+    return (rates[model] || 0.0002) * Math.max(1, Math.ceil(textLength / 1000));
+  }
+
+  calculateSTTCredits(model, durationSeconds) {
+    // Per minute of audio, minimum one minute
+    const rates = {
+      'whisper': 0.006
+    };
+    return (rates[model] || 0.006) * Math.max(1, Math.ceil((durationSeconds || 0) / 60));
+  }
+
   // ============ DATABASE OPERATIONS ============
 
   async getWorkflow(id) {
@@ -647,7 +1614,8 @@ class WorkflowExecutor {
       row.definition = JSON.parse(row.definition);
       return { ...row.definition, ...row };
     }
-    return null;
+    // Built-in workflows live in the registry, not the database
+    return WORKFLOW_REGISTRY[id] || null;
   }
 
   async insertRun(run) {
@@ -668,21 +1636,61 @@ class WorkflowExecutor {
 
     values.push(runId);
     this.db.prepare(`UPDATE workflow_runs SET ${sets.join(', ')} WHERE id = ?`).run(...values);
+
+    this.emitRunStatus(runId, status, updates);
+  }
+
+  /**
+   * Terminal statuses get their own event type carrying the final result
+   */
+  emitRunStatus(runId, status, updates) {
+    if (status === 'completed') {
+      const { creditsUsed } = this.db.prepare('SELECT creditsUsed FROM workflow_runs WHERE id = ?').get(runId) || {};
+      this.emitRunEvent(runId, 'run_completed', {
+        status,
+        outputs: updates.outputs ? JSON.parse(updates.outputs) : {},
+        creditsUsed
+      });
+    } else if (status === 'failed') {
+      this.emitRunEvent(runId, 'run_failed', { status, error: updates.error });
+    } else if (status === 'cancelled') {
+      this.emitRunEvent(runId, 'run_cancelled', { status });
+    } else {
+      this.emitRunEvent(runId, 'run_status', { status, currentStepId: updates.currentStepId });
+    }
+  }
+
+  async markRunStarted(runId) {
+    this.db.prepare('UPDATE workflow_runs SET startedAt = COALESCE(startedAt, ?) WHERE id = ?')
+      .run(new Date().toISOString(), runId);
   }
 
   async updateRunState(runId, state) {
     this.db.prepare('UPDATE workflow_runs SET state = ? WHERE id = ?').run(JSON.stringify(state), runId);
   }
 
+  /**
+   * Add a step's credits to the run, less what its nested steps already added
+   */
+  async postStepCredits(runId, stepResult) {
+    const credits = (stepResult.creditsUsed || 0) - (stepResult.creditsPosted || 0);
+    if (credits) {
+      await this.addCreditsToRun(runId, credits);
+    }
+  }
+
   async addCreditsToRun(runId, credits) {
     this.db.prepare('UPDATE workflow_runs SET creditsUsed = creditsUsed + ? WHERE id = ?').run(credits, runId);
+
+    const { creditsUsed } = this.db.prepare('SELECT creditsUsed FROM workflow_runs WHERE id = ?').get(runId) || {};
+    this.emitRunEvent(runId, 'credits', { credits, creditsUsed });
   }
 
   async insertStepRun(stepRun) {
     this.db.prepare(`
-      INSERT INTO workflow_step_runs (id, runId, stepId, status, startedAt)
-      VALUES (?, ?, ?, ?, ?)
-    `).run(stepRun.id, stepRun.runId, stepRun.stepId, stepRun.status, stepRun.startedAt);
+      INSERT INTO workflow_step_runs (id, runId, stepId, status, startedAt, retryCount)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(stepRun.id, stepRun.runId, stepRun.stepId, stepRun.status, stepRun.startedAt, stepRun.retryCount || 0);
   }
 
   async updateStepRun(stepRunId, updates) {
@@ -700,9 +1708,80 @@ class WorkflowExecutor {
     }
   }
 
-  async getStepRetryCount(stepRunId) {
-    const row = this.db.prepare('SELECT retryCount FROM workflow_step_runs WHERE id = ?').get(stepRunId);
-    return row?.retryCount || 0;
+  async isRunCancelled(runId) {
+    const row = this.db.prepare('SELECT status FROM workflow_runs WHERE id = ?').get(runId);
+    return row?.status === 'cancelled';
+  }
+
+  /**
+   * Vector collections belong to the run's workspace, or to the user for runs outside one
+   */
+  async getRunScope(runId) {
+    const row = this.db.prepare('SELECT userId, workspaceId FROM workflow_runs WHERE id = ?').get(runId);
+    if (!row) throw new Error(`Run not found: ${runId}`);
+    return { userId: row.userId, workspaceId: row.workspaceId || null };
+  }
+
+  async upsertVectors(scope, collection, docs, model, runId) {
+    const scopeClause = scope.workspaceId ? 'workspaceId = ?' : 'workspaceId IS NULL AND userId = ?';
+    const scopeValue = scope.workspaceId || scope.userId;
+    const remove = this.db.prepare(
+      `DELETE FROM workflow_vectors WHERE ${scopeClause} AND collection = ? AND documentId = ?`
+    );
+    const insert = this.db.prepare(`
+      INSERT INTO workflow_vectors (id, workspaceId, userId, collection, documentId, content, metadata, embedding, dimensions, model, runId)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      for (const doc of docs) {
+        remove.run(scopeValue, collection, doc.id);
+        insert.run(
+          uuidv4(), scope.workspaceId, scope.userId, collection, doc.id, doc.content,
+          JSON.stringify(doc.metadata), JSON.stringify(doc.embedding), doc.embedding.length, model, runId
+        );
+      }
+    })();
+  }
+
+  async getVectors(scope, collection, dimensions) {
+    const scopeClause = scope.workspaceId ? 'workspaceId = ?' : 'workspaceId IS NULL AND userId = ?';
+    // Vectors from a model with different dimensions can't be compared
+    return this.db.prepare(
+      `SELECT documentId, content, metadata, embedding FROM workflow_vectors WHERE ${scopeClause} AND collection = ? AND dimensions = ?`
+    ).all(scope.workspaceId || scope.userId, collection, dimensions);
+  }
+
+  /**
+   * Record a step that was not run, so run details show why
+   */
+  async recordSkippedStep(runId, stepId, reason) {
+    const stepRunId = uuidv4();
+    const now = new Date().toISOString();
+    await this.insertStepRun({ id: stepRunId, runId, stepId, status: 'skipped', startedAt: now });
+    await this.updateStepRun(stepRunId, {
+      outputs: JSON.stringify({ reason }),
+      completedAt: now
+    });
+    this.emitRunEvent(runId, 'step_skipped', { stepId, stepRunId, reason });
+  }
+
+  async getStepRuns(runId, statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return this.db.prepare(
+      `SELECT * FROM workflow_step_runs WHERE runId = ? AND status IN (${placeholders}) ORDER BY startedAt`
+    ).all(runId, ...statuses);
+  }
+
+  /**
+   * Move a run out of a status, so concurrent resumes can't both continue it
+   * @returns {boolean} - Whether this caller claimed the run
+   */
+  async claimRun(runId, fromStatus) {
+    const result = this.db.prepare(
+      "UPDATE workflow_runs SET status = 'running' WHERE id = ? AND status = ?"
+    ).run(runId, fromStatus);
+    return result.changes > 0;
   }
 
   async insertHumanTask(task) {
@@ -719,22 +1798,177 @@ class WorkflowExecutor {
     const run = this.db.prepare('SELECT * FROM workflow_runs WHERE id = ?').get(runId);
     if (!run) throw new Error('Run not found');
     if (run.status !== 'paused') throw new Error('Run is not paused');
+    if (!(await this.claimRun(runId, 'paused'))) throw new Error('Run is already resuming');
+
+    await this.continueRun(run, async (state) => {
+      // Add task response to context
+      const stepId = state.currentStep;
+      const [stepRun] = (await this.getStepRuns(runId, ['pending'])).filter(r => r.stepId === stepId);
+      if (stepRun) {
+        await this.updateStepRun(stepRun.id, {
+          status: 'completed',
+          outputs: JSON.stringify(taskResponse ?? null),
+          completedAt: new Date().toISOString()
+        });
+        this.emitRunEvent(runId, 'step_completed', { stepId, stepRunId: stepRun.id, outputs: taskResponse ?? null, creditsUsed: 0 });
+      }
 
-    const workflow = await this.getWorkflow(run.workflowId);
-    const state = JSON.parse(run.state);
-    const inputs = JSON.parse(run.inputs);
+      state.stepOutputs[stepId] = taskResponse;
+      state.completedSteps.push(stepId);
+    });
+  }
 
-    // Add task response to context
-    state.stepOutputs[state.currentStep] = taskResponse;
-    state.completedSteps.push(state.currentStep);
+  /**
+   * Continue a run from its persisted state. Shared by human-task resumes,
+   * elapsed waits and startup recovery.
+   * @param {Object} run - workflow_runs row
+   * @param {Function} [prepare] - (state, workflow) => void; adjusts the state before
+   *   execution continues. Throwing fails the run with that error.
+   */
+  async continueRun(run, prepare) {
+    try {
+      const workflow = await this.getWorkflow(run.workflowId);
+      if (!workflow) throw new Error(`Workflow not found: ${run.workflowId}`);
 
-    await this.updateRunState(runId, state);
-    await this.updateRunStatus(runId, 'running');
+      const state = await this.loadRunState(run, workflow);
+      if (prepare) await prepare(state, workflow);
+      await this.updateRunState(run.id, state);
 
-    // Continue execution
-    this.executeRun(runId, workflow, inputs).catch(err => {
-      console.error(`[WORKFLOW] Resume failed:`, err.message);
-    });
+      this.executeRun(run.id, workflow, JSON.parse(run.inputs || '{}'), state).catch(err => {
+        console.error(`[WORKFLOW] Resume failed:`, err.message);
+      });
+    } catch (error) {
+      console.error(`[WORKFLOW] Run ${run.id} could not be resumed:`, error.message);
+      await this.updateRunStatus(run.id, 'failed', {
+        error: error.message,
+        completedAt: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Load a run's state, folding in step runs that finished after the state was
+   * last written (the server stopped between the two writes)
+   */
+  async loadRunState(run, workflow) {
+    const state = JSON.parse(run.state || '{}');
+    state.completedSteps = state.completedSteps || [];
+    state.stepOutputs = state.stepOutputs || {};
+    state.skippedSteps = state.skippedSteps || [];
+    state.untakenBranches = state.untakenBranches || {};
+
+    for (const stepRun of await this.getStepRuns(run.id, ['completed', 'skipped'])) {
+      const step = workflow.steps.find(s => s.id === stepRun.stepId);
+      if (!step || state.completedSteps.includes(step.id) || state.skippedSteps.includes(step.id)) continue;
+
+      if (stepRun.status === 'skipped') {
+        state.stepOutputs[step.id] = null;
+        state.skippedSteps.push(step.id);
+      } else {
+        state.stepOutputs[step.id] = JSON.parse(stepRun.outputs || '{}');
+        state.completedSteps.push(step.id);
+        this.applyBranchDecision(step, state.stepOutputs[step.id], state);
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Startup recovery: continue runs that were executing when the server stopped.
+   * Completed steps are kept. Steps that were mid-flight run again if they are
+   * idempotent; otherwise the run fails.
+   * @returns {Promise<number>} - Number of runs recovered
+   */
+  async recoverRuns() {
+    const runs = this.db.prepare("SELECT * FROM workflow_runs WHERE status IN ('pending', 'running')").all();
+    if (runs.length === 0) return 0;
+
+    console.log(`[WORKFLOW] Recovering ${runs.length} interrupted run(s)`);
+    for (const run of runs) {
+      await this.continueRun(run, (state, workflow) => this.recoverInterruptedSteps(run.id, state, workflow));
+    }
+    return runs.length;
+  }
+
+  /**
+   * Close out step runs left 'running' by a restart and decide whether their steps may run again
+   */
+  async recoverInterruptedSteps(runId, state, workflow) {
+    const interrupted = await this.getStepRuns(runId, ['running']);
+    const now = new Date().toISOString();
+
+    for (const stepRun of interrupted) {
+      await this.updateStepRun(stepRun.id, {
+        status: 'failed',
+        error: 'Interrupted by server restart',
+        completedAt: now
+      });
+    }
+
+    // Nested step runs (<loopId>[0].x, <parallelId>.x) belong to their top-level step
+    const belongsTo = (step, stepId) =>
+      stepId === step.id || stepId.startsWith(`${step.id}[`) || stepId.startsWith(`${step.id}.`);
+
+    for (const step of workflow.steps) {
+      if (state.completedSteps.includes(step.id)) continue;
+      if (!interrupted.some(stepRun => belongsTo(step, stepRun.stepId))) continue;
+
+      if (!this.isIdempotent(step)) {
+        throw new Error(`Step ${step.id} was interrupted by a server restart and is not idempotent`);
+      }
+      console.log(`[WORKFLOW] Re-running interrupted step ${step.id} of run ${runId}`);
+    }
+  }
+
+  /**
+   * Start polling for waiting runs. Waits live in workflow_runs.state,
+   * so runs that were waiting when the server stopped resume after restart.
+   */
+  startScheduler(intervalMs = WAIT_SCHEDULER_INTERVAL) {
+    if (this.schedulerInterval) return;
+
+    this.schedulerInterval = setInterval(() => {
+      this.resumeDueWaits().catch(err => {
+        console.error('[WORKFLOW] Wait scheduler failed:', err.message);
+      });
+    }, intervalMs);
+    this.schedulerInterval.unref?.();
+  }
+
+  stopScheduler() {
+    clearInterval(this.schedulerInterval);
+    this.schedulerInterval = null;
+  }
+
+  /**
+   * Continue every waiting run whose wait has elapsed
+   */
+  async resumeDueWaits(now = new Date()) {
+    const runs = this.db.prepare("SELECT * FROM workflow_runs WHERE status = 'waiting'").all();
+
+    for (const run of runs) {
+      const waiting = JSON.parse(run.state || '{}').waiting;
+      if (!waiting || new Date(waiting.until) > now) continue;
+
+      // Claim the run so an overlapping tick can't resume it twice
+      if (!(await this.claimRun(run.id, 'waiting'))) continue;
+
+      console.log(`[WORKFLOW] Wait ${waiting.stepId} elapsed, resuming run ${run.id}`);
+      await this.continueRun(run, async (state) => {
+        const outputs = { waitUntil: waiting.until, resumedAt: now.toISOString() };
+        await this.updateStepRun(waiting.stepRunId, {
+          status: 'completed',
+          outputs: JSON.stringify(outputs),
+          completedAt: now.toISOString()
+        });
+        this.emitRunEvent(run.id, 'step_completed', { stepId: waiting.stepId, stepRunId: waiting.stepRunId, outputs, creditsUsed: 0 });
+
+        state.stepOutputs[waiting.stepId] = outputs;
+        state.completedSteps.push(waiting.stepId);
+        delete state.waiting;
+      });
+    }
   }
 
   /**
@@ -778,6 +2012,7 @@ class WorkflowExecutor {
 
 module.exports = {
   WorkflowExecutor,
+  WorkflowCancelledError,
   
   // Factory function
   createWorkflowExecutor: (options) => new WorkflowExecutor(options),
@@ -29,6 +29,7 @@ const TABS = [
   { id: 'landing-models', label: 'Landing Models', icon: Globe },
   { id: 'announcements', label: 'Announcements', icon: Globe },
   { id: 'audit-logs', label: 'Audit Logs', icon: Clock },
+  { id: 'credit-ledger', label: 'Credit Ledger', icon: Calculator },
   { id: 'error-logs', label: 'Error Logs', icon: AlertTriangle },
   { id: 'settings', label: 'Settings', icon: Settings },
 ];
@@ -73,8 +74,61 @@ interface AdminSettings {
   profitMarginChat: number;
   freeCredits: number;
   creditPrice: number;
+  // Settings declared by provider plugins
+  [key: string]: string | number | undefined;
 }
 
+interface PluginSetting {
+  key: string;
+  label: string;
+  env?: string;
+  envSet: boolean;
+  secret: boolean;
+  description?: string;
+  type: 'text' | 'number';
+}
+
+interface ProviderPlugin {
+  id: string;
+  name: string;
+  models: string[];
+  settings: PluginSetting[];
+}
+
+interface ProviderPlugins {
+  plugins: ProviderPlugin[];
+  failed: { source: string; id?: string; errors: string[] }[];
+}
+
+interface PaymentGateways {
+  gateways: { id: string; name: string; configured: boolean }[];
+  currencies: { code: string; gateway: string | null }[];
+  baseCurrency: string;
+}
+
+const PAYMENT_SETTINGS = [
+  { key: 'razorpayKeyId', label: 'Razorpay Key ID' },
+  { key: 'razorpayKeySecret', label: 'Razorpay Key Secret', secret: true },
+  { key: 'razorpayWebhookSecret', label: 'Razorpay Webhook Secret', secret: true },
+  { key: 'stripeSecretKey', label: 'Stripe Secret Key', secret: true },
+  { key: 'stripeWebhookSecret', label: 'Stripe Webhook Secret', secret: true },
+  { key: 'paymentCurrencyRates', label: 'Currency Rates (per 1 INR)', placeholder: 'USD:0.012,EUR:0.011' },
+  { key: 'paymentGatewayCurrencies', label: 'Gateway by Currency', placeholder: 'USD:stripe,EUR:stripe' },
+  { key: 'paymentGatewayRegions', label: 'Gateway by Region', placeholder: 'IN:razorpay,US:stripe' },
+];
+
+const INVOICE_SETTINGS = [
+  { key: 'companyName', label: 'Company Name' },
+  { key: 'companyTaxId', label: 'Company Tax ID (GSTIN / VAT)' },
+  { key: 'companyAddress', label: 'Company Address' },
+  { key: 'companyEmail', label: 'Billing Email' },
+  { key: 'companyState', label: 'Company State', placeholder: 'Karnataka' },
+  { key: 'companyCountry', label: 'Company Country', placeholder: 'IN' },
+  { key: 'invoicePrefix', label: 'Invoice Number Prefix', placeholder: 'INV' },
+  { key: 'gstRate', label: 'GST Rate (%)', placeholder: '18' },
+  { key: 'invoiceTaxRates', label: 'Tax Rates by Country (%)', placeholder: 'GB:20,DE:19' },
+];
+
 export default function AdminPanel() {
   const router = useRouter();
   const [activeTab, setActiveTab] = useState('dashboard');
@@ -249,6 +303,7 @@ export default function AdminPanel() {
           {activeTab === 'landing-models' && <LandingModelsTab key="landing-models" />}
           {activeTab === 'announcements' && <AnnouncementsTab key="announcements" />}
           {activeTab === 'audit-logs' && <AuditLogsTab key="audit-logs" />}
+          {activeTab === 'credit-ledger' && <CreditLedgerTab key="credit-ledger" />}
           {activeTab === 'error-logs' && <ErrorLogsTab key="error-logs" />}
           {activeTab === 'settings' && (
             <SettingsTab 
@@ -1331,6 +1386,147 @@ function AuditLogsTab() {
   );
 }
 
+// Credit Ledger Tab
+function CreditLedgerTab() {
+  const [transactions, setTransactions] = useState<any[]>([]);
+  const [reconciliation, setReconciliation] = useState<any>(null);
+  const [filter, setFilter] = useState({ userId: '', workspaceId: '' });
+  const [loading, setLoading] = useState(true);
+  const [reconciling, setReconciling] = useState(false);
+
+  const headers = { Authorization: `Bearer ${localStorage.getItem('adminToken')}` };
+
+  const fetchLedger = () => {
+    setLoading(true);
+    const params = new URLSearchParams({ limit: '100' });
+    if (filter.userId.trim()) params.set('userId', filter.userId.trim());
+    if (filter.workspaceId.trim()) params.set('workspaceId', filter.workspaceId.trim());
+    fetch(`${API_BASE}/admin/credit-ledger?${params}`, { headers })
+      .then(r => r.json())
+      .then(data => setTransactions(data.transactions || []))
+      .catch(() => setTransactions([]))
+      .finally(() => setLoading(false));
+  };
+
+  useEffect(() => {
+    fetchLedger();
+    fetch(`${API_BASE}/admin/credit-ledger/reconciliations?limit=1`, { headers })
+      .then(r => r.json())
+      .then(data => setReconciliation(data.reconciliations?.[0] || null))
+      .catch(() => setReconciliation(null));
+  }, []);
+
+  const handleReconcile = async () => {
+    setReconciling(true);
+    try {
+      const res = await fetch(`${API_BASE}/admin/credit-ledger/reconcile`, { method: 'POST', headers });
+      if (res.ok) setReconciliation(await res.json());
+    } finally {
+      setReconciling(false);
+    }
+  };
+
+  const formatAmount = (amount: number) => `${amount > 0 ? '+' : ''}${Math.round(amount * 10000) / 10000}`;
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -20 }}>
+      <div className="mb-8 flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold mb-2 text-[var(--text-primary)]">Credit Ledger</h1>
+          <p className="text-[var(--text-muted)]">Every credit movement, with balances reconciled against the ledger</p>
+        </div>
+        <button
+          onClick={handleReconcile}
+          disabled={reconciling}
+          className="flex items-center gap-2 px-4 py-2 bg-purple-500 hover:bg-purple-600 disabled:opacity-50 rounded-xl text-white text-sm font-medium"
+        >
+          <RefreshCw className={`w-4 h-4 ${reconciling ? 'animate-spin' : ''}`} />
+          Reconcile now
+        </button>
+      </div>
+
+      {reconciliation && (
+        <div className={`mb-6 rounded-xl p-4 border ${reconciliation.driftCount > 0 ? 'bg-red-500/10 border-red-500/30' : 'bg-green-500/10 border-green-500/30'}`}>
+          <p className="text-sm text-[var(--text-primary)]">
+            {reconciliation.driftCount > 0
+              ? `${reconciliation.driftCount} of ${reconciliation.accountsChecked} accounts differ from the ledger`
+              : `All ${reconciliation.accountsChecked} accounts match the ledger`}
+            <span className="text-[var(--text-muted)]"> · {reconciliation.createdAt || 'just now'}</span>
+          </p>
+          {(reconciliation.drift || []).slice(0, 10).map((item: any) => (
+            <p key={item.account} className="text-xs font-mono text-red-400 mt-1">
+              {item.account}: ledger {item.ledger}, balance {item.actual} ({formatAmount(item.difference)})
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3 mb-6">
+        <input
+          value={filter.userId}
+          onChange={(e) => setFilter({ ...filter, userId: e.target.value })}
+          placeholder="User ID"
+          className="flex-1 min-w-[200px] px-4 py-2 bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl text-sm text-[var(--text-primary)]"
+        />
+        <input
+          value={filter.workspaceId}
+          onChange={(e) => setFilter({ ...filter, workspaceId: e.target.value })}
+          placeholder="Workspace ID"
+          className="flex-1 min-w-[200px] px-4 py-2 bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl text-sm text-[var(--text-primary)]"
+        />
+        <button
+          onClick={fetchLedger}
+          className="flex items-center gap-2 px-4 py-2 bg-[var(--bg-tertiary)] hover:bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl text-sm text-[var(--text-primary)]"
+        >
+          <Search className="w-4 h-4" />
+          Filter
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-20">
+          <Loader2 className="w-8 h-8 animate-spin text-purple-400" />
+        </div>
+      ) : transactions.length === 0 ? (
+        <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-2xl p-8 text-center">
+          <Calculator className="w-12 h-12 mx-auto mb-4 text-[var(--text-muted)]" />
+          <p className="text-[var(--text-muted)]">No ledger entries</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {transactions.map((transaction) => (
+            <div key={transaction.id} className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl p-4">
+              <div className="flex items-center justify-between gap-4 mb-2">
+                <div>
+                  <span className="text-sm font-medium text-[var(--text-primary)]">{transaction.type}</span>
+                  {transaction.description && <span className="text-sm text-[var(--text-muted)]"> · {transaction.description}</span>}
+                </div>
+                <span className="text-xs text-[var(--text-muted)]">{transaction.createdAt}</span>
+              </div>
+              <p className="text-xs text-[var(--text-muted)] mb-2">
+                {transaction.userEmail || transaction.userId || 'system'}
+                {transaction.createdByUsername && ` · by ${transaction.createdByUsername}`}
+                {transaction.referenceType && ` · ${transaction.referenceType} ${transaction.referenceId || ''}`}
+              </p>
+              <div className="space-y-1">
+                {transaction.entries.map((entry: any, i: number) => (
+                  <div key={i} className="flex justify-between text-xs font-mono">
+                    <span className="text-[var(--text-muted)] truncate">{entry.account}</span>
+                    <span className={entry.amount < 0 ? 'text-red-400' : 'text-green-400'}>
+                      {formatAmount(entry.amount)}
+                      {entry.balanceAfter !== null && <span className="text-[var(--text-muted)]"> → {Math.round(entry.balanceAfter * 10000) / 10000}</span>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+}
+
 // Error Logs Tab
 function ErrorLogsTab() {
   const [logs, setLogs] = useState<any[]>([]);
@@ -1382,6 +1578,28 @@ function SettingsTab({ settings, setSettings, onSave, saveStatus }: {
   onSave: () => void;
   saveStatus: 'success' | 'error' | null;
 }) {
+  const [providerPlugins, setProviderPlugins] = useState<ProviderPlugins>({ plugins: [], failed: [] });
+  const [paymentGateways, setPaymentGateways] = useState<PaymentGateways | null>(null);
+
+  useEffect(() => {
+    fetch(`${API_BASE}/admin/provider-plugins`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('adminToken')}` }
+    })
+      .then(r => r.json())
+      .then(data => setProviderPlugins({ plugins: data.plugins || [], failed: data.failed || [] }))
+      .catch(() => console.error('Failed to fetch provider plugins'));
+  }, []);
+
+  // Refetched after saving, so gateway status reflects the new keys and rules
+  useEffect(() => {
+    fetch(`${API_BASE}/admin/payment-gateways`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('adminToken')}` }
+    })
+      .then(r => r.json())
+      .then(setPaymentGateways)
+      .catch(() => console.error('Failed to fetch payment gateways'));
+  }, [saveStatus]);
+
   return (
     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -20 }}>
       <div className="mb-8">
@@ -1457,6 +1675,117 @@ function SettingsTab({ settings, setSettings, onSave, saveStatus }: {
           </div>
         </div>
 
+        <div>
+          <h3 className="text-lg font-semibold mb-4 text-[var(--text-primary)]">Payments</h3>
+          {paymentGateways && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {paymentGateways.gateways.map(gateway => (
+                <span
+                  key={gateway.id}
+                  className={`text-xs px-2 py-1 rounded-full ${gateway.configured ? 'bg-green-500/20 text-green-400' : 'bg-[var(--bg-tertiary)] text-[var(--text-muted)]'}`}
+                >
+                  {gateway.name}: {gateway.configured ? 'configured' : 'not configured'}
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm text-[var(--text-muted)] mb-2">Default Gateway</label>
+              <select
+                value={settings.paymentGateway ?? 'razorpay'}
+                onChange={(e) => setSettings({ ...settings, paymentGateway: e.target.value })}
+                className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 text-[var(--text-primary)] outline-none focus:border-purple-500"
+              >
+                {(paymentGateways?.gateways || [{ id: 'razorpay', name: 'Razorpay' }]).map(gateway => (
+                  <option key={gateway.id} value={gateway.id}>{gateway.name}</option>
+                ))}
+              </select>
+            </div>
+            {PAYMENT_SETTINGS.map(setting => (
+              <div key={setting.key}>
+                <label className="block text-sm text-[var(--text-muted)] mb-2">{setting.label}</label>
+                <input
+                  type={setting.secret ? 'password' : 'text'}
+                  value={settings[setting.key] ?? ''}
+                  placeholder={setting.placeholder}
+                  onChange={(e) => setSettings({ ...settings, [setting.key]: e.target.value })}
+                  className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 text-[var(--text-primary)] outline-none focus:border-purple-500"
+                />
+              </div>
+            ))}
+          </div>
+          {paymentGateways && (
+            <p className="text-xs text-[var(--text-muted)] mt-2">
+              Plan prices are in {paymentGateways.baseCurrency}. Currency rules win over region rules.{' '}
+              {paymentGateways.currencies.map(c => `${c.code} → ${c.gateway || 'no gateway'}`).join(', ')}
+            </p>
+          )}
+        </div>
+
+        <div>
+          <h3 className="text-lg font-semibold mb-4 text-[var(--text-primary)]">Invoicing</h3>
+          <div className="grid grid-cols-2 gap-4">
+            {INVOICE_SETTINGS.map(setting => (
+              <div key={setting.key}>
+                <label className="block text-sm text-[var(--text-muted)] mb-2">{setting.label}</label>
+                <input
+                  type="text"
+                  value={settings[setting.key] ?? ''}
+                  placeholder={setting.placeholder}
+                  onChange={(e) => setSettings({ ...settings, [setting.key]: e.target.value })}
+                  className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 text-[var(--text-primary)] outline-none focus:border-purple-500"
+                />
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-[var(--text-muted)] mt-2">
+            Prices include tax. Sellers in India charge CGST + SGST within their state and IGST across states; exports are zero-rated.
+            Other sellers charge the country rate, with reverse charge for business customers abroad.
+          </p>
+        </div>
+
+        {(providerPlugins.plugins.length > 0 || providerPlugins.failed.length > 0) && (
+          <div>
+            <h3 className="text-lg font-semibold mb-4 text-[var(--text-primary)]">Provider Plugins</h3>
+            <div className="space-y-6">
+              {providerPlugins.plugins.map(plugin => (
+                <div key={plugin.id}>
+                  <div className="flex items-baseline justify-between mb-2">
+                    <span className="font-medium text-[var(--text-primary)]">{plugin.name}</span>
+                    <span className="text-xs text-[var(--text-muted)]">{plugin.models.length} models</span>
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    {plugin.settings.map(setting => (
+                      <div key={setting.key}>
+                        <label className="block text-sm text-[var(--text-muted)] mb-2">{setting.label}</label>
+                        <input
+                          type={setting.secret ? 'password' : setting.type}
+                          value={settings[setting.key] ?? ''}
+                          placeholder={setting.envSet ? `Using ${setting.env}` : ''}
+                          onChange={(e) => setSettings({ ...settings, [setting.key]: e.target.value })}
+                          className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 text-[var(--text-primary)] outline-none focus:border-purple-500"
+                        />
+                        {setting.description && (
+                          <p className="text-xs text-[var(--text-muted)] mt-1">{setting.description}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {providerPlugins.failed.map(plugin => (
+                <div key={plugin.source} className="flex gap-2 text-sm text-red-400">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+                  <div>
+                    <span className="font-medium">{plugin.id || plugin.source}</span> was not loaded: {plugin.errors.join('; ')}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <button
           onClick={onSave}
           className={`w-full py-3 rounded-xl font-medium transition-all flex items-center justify-center gap-2 ${
@@ -6,7 +6,7 @@ import { motion } from 'framer-motion';
 import {
   User, Settings, Heart, Image as ImageIcon, RefreshCw,
   Save, Lock, Mail, Calendar, Loader2,
-  Trash2, ExternalLink, Sparkles
+  Trash2, ExternalLink, Sparkles, Receipt, Download
 } from 'lucide-react';
 import { useDashboard } from '../layout';
 
@@ -20,6 +20,13 @@ interface Profile {
   avatarUrl?: string;
   isPublicProfile: boolean;
   createdAt: string;
+  billingName?: string;
+  billingAddress?: string;
+  billingCity?: string;
+  billingState?: string;
+  billingPostalCode?: string;
+  billingCountry?: string;
+  taxId?: string;
   stats: {
     generations: number;
     published: number;
@@ -36,9 +43,31 @@ interface PublishedPost {
   likeCount: number;
 }
 
+interface Invoice {
+  id: string;
+  number: string;
+  description: string;
+  currency: string;
+  total: number;
+  issuedAt: string;
+}
+
+type BillingField = 'billingName' | 'billingAddress' | 'billingCity' | 'billingState' | 'billingPostalCode' | 'billingCountry' | 'taxId';
+
+const BILLING_FIELDS: { key: BillingField; label: string; placeholder?: string }[] = [
+  { key: 'billingName', label: 'Billing Name', placeholder: 'Name or company' },
+  { key: 'taxId', label: 'Tax ID', placeholder: 'GSTIN / VAT number' },
+  { key: 'billingAddress', label: 'Address' },
+  { key: 'billingCity', label: 'City' },
+  { key: 'billingState', label: 'State / Region' },
+  { key: 'billingPostalCode', label: 'Postal Code' },
+  { key: 'billingCountry', label: 'Country', placeholder: 'Two-letter code, e.g. IN' }
+];
+
 const TABS = [
   { id: 'profile', label: 'Profile', icon: User },
   { id: 'published', label: 'My Published Works', icon: Sparkles },
+  { id: 'billing', label: 'Billing', icon: Receipt },
   { id: 'settings', label: 'Settings', icon: Settings }
 ];
 
@@ -97,6 +126,9 @@ export default function ProfilePage() {
   const [name, setName] = useState('');
   const [bio, setBio] = useState('');
   const [isPublicProfile, setIsPublicProfile] = useState(true);
+  const [billing, setBilling] = useState<Partial<Record<BillingField, string>>>({});
+  const [billingError, setBillingError] = useState('');
+  const [invoices, setInvoices] = useState<Invoice[]>([]);
   
   useEffect(() => {
     const token = localStorage.getItem('userToken');
@@ -119,6 +151,7 @@ export default function ProfilePage() {
       setName(data.name || '');
       setBio(data.bio || '');
       setIsPublicProfile(data.isPublicProfile);
+      setBilling(Object.fromEntries(BILLING_FIELDS.map(field => [field.key, data[field.key] || ''])));
     } catch (err) {
       console.error('Failed to fetch profile:', err);
     } finally {
@@ -129,9 +162,63 @@ export default function ProfilePage() {
   useEffect(() => {
     if (activeTab === 'published') {
       fetchPublishedPosts();
+    } else if (activeTab === 'billing') {
+      fetchInvoices();
     }
   }, [activeTab]);
   
+  const fetchInvoices = async () => {
+    try {
+      const token = localStorage.getItem('userToken');
+      const res = await fetch(`${API_BASE}/user/invoices`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      setInvoices(await res.json());
+    } catch (err) {
+      console.error('Failed to fetch invoices:', err);
+    }
+  };
+  
+  const handleDownloadInvoice = async (invoice: Invoice, format: 'pdf' | 'html') => {
+    try {
+      const token = localStorage.getItem('userToken');
+      const res = await fetch(`${API_BASE}/user/invoices/${invoice.id}/${format}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.number}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to download invoice:', err);
+    }
+  };
+  
+  const handleSaveBilling = async () => {
+    setSaving(true);
+    setBillingError('');
+    try {
+      const token = localStorage.getItem('userToken');
+      const res = await fetch(`${API_BASE}/profile`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${token}`
+        },
+        body: JSON.stringify(billing)
+      });
+      if (!res.ok) {
+        setBillingError((await res.json()).error || 'Failed to save billing details');
+      }
+    } catch (err) {
+      console.error('Failed to save billing details:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+  
   const fetchPublishedPosts = async () => {
     try {
       const token = localStorage.getItem('userToken');
@@ -397,6 +484,85 @@ export default function ProfilePage() {
             </div>
           )}
           
+          {/* Billing Tab */}
+          {activeTab === 'billing' && (
+            <div className="space-y-6">
+              <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl p-6">
+                <h3 className="font-medium mb-1 text-[var(--text-primary)]">Billing Details</h3>
+                <p className="text-sm text-[var(--text-muted)] mb-4">Shown on invoices issued from now on.</p>
+                
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  {BILLING_FIELDS.map(field => (
+                    <div key={field.key} className={field.key === 'billingAddress' ? 'sm:col-span-2' : ''}>
+                      <label className="block text-sm text-[var(--text-muted)] mb-2">{field.label}</label>
+                      {field.key === 'billingAddress' ? (
+                        <textarea
+                          value={billing[field.key] || ''}
+                          onChange={(e) => setBilling({ ...billing, [field.key]: e.target.value })}
+                          rows={2}
+                          className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 outline-none focus:border-cyan-500 transition-colors resize-none text-[var(--text-primary)]"
+                        />
+                      ) : (
+                        <input
+                          type="text"
+                          value={billing[field.key] || ''}
+                          placeholder={field.placeholder}
+                          onChange={(e) => setBilling({ ...billing, [field.key]: e.target.value })}
+                          className="w-full bg-[var(--bg-primary)] border border-[var(--border-color)] rounded-xl px-4 py-3 outline-none focus:border-cyan-500 transition-colors text-[var(--text-primary)]"
+                        />
+                      )}
+                    </div>
+                  ))}
+                </div>
+                
+                {billingError && <p className="text-sm text-red-400 mt-3">{billingError}</p>}
+                
+                <button
+                  onClick={handleSaveBilling}
+                  disabled={saving}
+                  className="mt-4 px-6 py-3 bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-400 hover:to-blue-500 rounded-xl font-medium transition-all flex items-center gap-2 disabled:opacity-50 text-white"
+                >
+                  {saving ? <Loader2 className="w-5 h-5 animate-spin" /> : <Save className="w-5 h-5" />}
+                  Save Billing Details
+                </button>
+              </div>
+              
+              <div className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl p-6">
+                <h3 className="font-medium mb-4 text-[var(--text-primary)]">Invoices</h3>
+                
+                {invoices.length > 0 ? (
+                  <div className="divide-y divide-[var(--border-color)]">
+                    {invoices.map(invoice => (
+                      <div key={invoice.id} className="flex items-center gap-4 py-3">
+                        <div className="flex-1 min-w-0">
+                          <p className="font-medium text-[var(--text-primary)]">{invoice.number}</p>
+                          <p className="text-sm text-[var(--text-muted)] truncate">
+                            {new Date(invoice.issuedAt).toLocaleDateString()} · {invoice.description}
+                          </p>
+                        </div>
+                        <span className="text-[var(--text-primary)]">
+                          {invoice.currency} {invoice.total.toFixed(2)}
+                        </span>
+                        {(['pdf', 'html'] as const).map(format => (
+                          <button
+                            key={format}
+                            onClick={() => handleDownloadInvoice(invoice, format)}
+                            className="px-3 py-1.5 bg-[var(--bg-tertiary)] hover:bg-[var(--card-hover)] rounded-lg transition-colors flex items-center gap-1.5 text-sm text-[var(--text-primary)]"
+                          >
+                            <Download className="w-4 h-4" />
+                            {format.toUpperCase()}
+                          </button>
+                        ))}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-sm text-[var(--text-muted)]">No invoices yet. Invoices are issued for every payment.</p>
+                )}
+              </div>
+            </div>
+          )}
+          
           {/* Settings Tab */}
           {activeTab === 'settings' && (
             <div className="space-y-6">
@@ -59,6 +59,8 @@ export interface Generation {
   error?: string;
   options?: string | Record<string, unknown>;
   inputImages?: string[];
+  queuePosition?: number | null;
+  progress?: number | null;
 }
 
 interface GenerationCardProps {
@@ -135,7 +137,9 @@ export function GenerationCard({ generation, viewMode = 'grid', onClick }: Gener
           {(generation.status === 'pending' || generation.status === 'processing') && (
             <span className="px-2 py-1 bg-yellow-500/10 text-yellow-400 rounded text-xs flex items-center gap-1">
               <Loader2 className="w-3 h-3 animate-spin" />
-              Processing
+              {generation.queuePosition
+                ? `Queued #${generation.queuePosition}`
+                : generation.progress != null ? `Processing ${generation.progress}%` : 'Processing'}
             </span>
           )}
           {generation.status === 'failed' && (
@@ -181,8 +185,13 @@ export function GenerationCard({ generation, viewMode = 'grid', onClick }: Gener
         </div>
       )}
       {(generation.status === 'pending' || generation.status === 'processing') && (
-        <div className="w-full h-full flex items-center justify-center">
+        <div className="w-full h-full flex flex-col items-center justify-center gap-2">
           <Loader2 className="w-8 h-8 animate-spin text-cyan-400" />
+          {generation.queuePosition ? (
+            <span className="text-xs text-[var(--text-muted)]">Queued #{generation.queuePosition}</span>
+          ) : generation.progress != null && (
+            <span className="text-xs text-[var(--text-muted)]">{generation.progress}%</span>
+          )}
         </div>
       )}
       {generation.status === 'failed' && (
@@ -16,6 +16,21 @@ interface Plan {
   isPopular?: number | boolean;
 }
 
+interface PaymentCurrency {
+  code: string;
+  rate: number;
+  gateway: string | null;
+}
+
+interface Checkout {
+  type: 'razorpay' | 'redirect' | 'fake';
+  key?: string;
+  orderId?: string;
+  amount?: number;
+  currency?: string;
+  url?: string;
+}
+
 interface User {
   id: string;
   email: string;
@@ -35,13 +50,29 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
   const [loading, setLoading] = useState(true);
   const [processingPlan, setProcessingPlan] = useState<string | null>(null);
   const [error, setError] = useState('');
+  const [currencies, setCurrencies] = useState<PaymentCurrency[]>([]);
+  const [currency, setCurrency] = useState('INR');
+
+  // Customer's country from the browser locale (en-US -> US), for region gateway rules
+  const region = typeof navigator !== 'undefined' ? navigator.language.split('-')[1] || '' : '';
 
   useEffect(() => {
     if (isOpen) {
       fetchPlans();
+      fetchPaymentOptions();
     }
   }, [isOpen]);
 
+  const fetchPaymentOptions = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/payments/options?region=${region}`);
+      const data = await response.json();
+      setCurrencies(data.currencies || []);
+    } catch (err) {
+      // Prices stay in INR
+    }
+  };
+
   const fetchPlans = async () => {
     try {
       setLoading(true);
@@ -77,49 +108,83 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
         body: JSON.stringify({
           planId: plan.id,
           billingCycle,
-          type: 'subscription'
+          type: 'subscription',
+          currency,
+          region
         }),
       });
 
       const orderData = await orderResponse.json();
-      const { orderId, amount, currency, key } = orderData;
+      if (!orderResponse.ok) {
+        throw new Error(orderData.error || 'Failed to create order');
+      }
+      const checkout: Checkout = orderData.checkout;
+
+      const verifyPayment = async (payment: { orderId: string; paymentId: string; signature: string }) => {
+        try {
+          const verifyResponse = await fetch(`${API_BASE}/payments/verify`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              Authorization: `Bearer ${token}`,
+            },
+            body: JSON.stringify({
+              ...payment,
+              planId: plan.id,
+              billingCycle,
+              type: 'subscription'
+            }),
+          });
+
+          const verifyData = await verifyResponse.json();
+          if (verifyData.success) {
+            onSuccess?.(verifyData);
+            onClose();
+          }
+        } catch (err) {
+          setError('Payment verification failed');
+        }
+        setProcessingPlan(null);
+      };
+
+      // Stripe: hosted checkout, which returns to the dashboard when done
+      if (checkout.type === 'redirect') {
+        window.location.href = checkout.url!;
+        return;
+      }
+
+      // Local fake gateway (development)
+      if (checkout.type === 'fake') {
+        if (!window.confirm(`Simulate a payment of ${formatPrice(orderData.amount, orderData.currency)}?`)) {
+          setProcessingPlan(null);
+          return;
+        }
+        const payResponse = await fetch(`${API_BASE}/payments/fake/pay`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${token}`,
+          },
+          body: JSON.stringify({ orderId: checkout.orderId }),
+        });
+        await verifyPayment(await payResponse.json());
+        return;
+      }
 
       // Initialize Razorpay
       const options = {
-        key,
-        amount,
-        currency,
+        key: checkout.key,
+        amount: checkout.amount,
+        currency: checkout.currency,
         name: 'OmniHub',
         description: `${plan.name} Plan - ${billingCycle === 'yearly' ? 'Yearly' : 'Monthly'}`,
-        order_id: orderId,
-        handler: async function (response: any) {
-          try {
-            // Verify payment
-            const verifyResponse = await fetch(`${API_BASE}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${token}`,
-              },
-              body: JSON.stringify({
-                razorpay_order_id: response.razorpay_order_id,
-                razorpay_payment_id: response.razorpay_payment_id,
-                razorpay_signature: response.razorpay_signature,
-                planId: plan.id,
-                billingCycle,
-                type: 'subscription'
-              }),
-            });
-
-            const verifyData = await verifyResponse.json();
-            if (verifyData.success) {
-              onSuccess?.(verifyData);
-              onClose();
-            }
-          } catch (err) {
-            setError('Payment verification failed');
-          }
-          setProcessingPlan(null);
+        order_id: checkout.orderId,
+        handler: function (response: any) {
+          verifyPayment({
+            orderId: response.razorpay_order_id,
+            paymentId: response.razorpay_payment_id,
+            signature: response.razorpay_signature,
+          });
         },
         prefill: {
           email: user?.email,
@@ -143,17 +208,19 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
     }
   };
 
-  const formatPrice = (price: number) => {
-    return new Intl.NumberFormat('en-IN', {
+  const formatPrice = (price: number, code: string = currency) => {
+    return new Intl.NumberFormat(code === 'INR' ? 'en-IN' : undefined, {
       style: 'currency',
-      currency: 'INR',
+      currency: code,
       minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      maximumFractionDigits: code === 'INR' ? 0 : 2
     }).format(price);
   };
 
+  // Plan prices are in INR; other currencies use the admin-configured rates
   const getPrice = (plan: Plan) => {
-    return billingCycle === 'yearly' ? plan.priceYearly / 12 : plan.priceMonthly;
+    const rate = currencies.find(c => c.code === currency)?.rate || 1;
+    return (billingCycle === 'yearly' ? plan.priceYearly / 12 : plan.priceMonthly) * rate;
   };
 
   const getSavingsPercentage = () => 20; // 20% yearly discount
@@ -192,7 +259,7 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
             </div>
 
             {/* Billing Toggle */}
-            <div className="flex justify-center mb-8">
+            <div className="flex justify-center items-center gap-3 mb-8">
               <div className="bg-[var(--bg-tertiary)] rounded-xl p-1 flex">
                 <button
                   onClick={() => setBillingCycle('monthly')}
@@ -218,6 +285,17 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
                   </span>
                 </button>
               </div>
+              {currencies.length > 1 && (
+                <select
+                  value={currency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  className="bg-[var(--bg-tertiary)] rounded-xl px-3 py-3 text-sm text-white outline-none"
+                >
+                  {currencies.map(c => (
+                    <option key={c.code} value={c.code}>{c.code}</option>
+                  ))}
+                </select>
+              )}
             </div>
 
             {/* Error Message */}
@@ -265,7 +343,9 @@ export function PricingModal({ isOpen, onClose, user, onSuccess }: PricingModalP
                       <span className="text-[var(--text-muted)] text-sm">
                         {billingCycle === 'yearly' ? '/mo (billed yearly)' : '/month'}
                       </span>
-                      <p className="text-xs text-[var(--text-muted)] mt-1">+ 18% GST applicable</p>
+                      {currency === 'INR' && (
+                        <p className="text-xs text-[var(--text-muted)] mt-1">Inclusive of 18% GST</p>
+                      )}
                     </div>
 
                     {/* Subscribe Button */}
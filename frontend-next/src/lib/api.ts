@@ -122,13 +122,130 @@ export const models = {
   get: (id: string) => api.get(`/models/${id}`, { auth: false }),
 };
 
+// Workflow run events (GET /workflow-runs/:id/events, server-sent)
+export interface WorkflowRunEvent {
+  type: string;
+  runId?: string;
+  timestamp?: string;
+  [key: string]: any;
+}
+
+/**
+ * Read a run's event stream, calling onEvent for each event until the run finishes.
+ * Uses fetch rather than EventSource, which can't send the Authorization header.
+ */
+async function streamRunEvents(
+  runId: string,
+  onEvent: (event: WorkflowRunEvent) => void,
+  signal?: AbortSignal
+): Promise<void> {
+  const headers: Record<string, string> = {};
+  const token = getToken();
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${API_BASE}/workflow-runs/${runId}/events`, { headers, signal });
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    throw new ApiError(data.error || 'Failed to stream run', response.status, data);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    // Events are separated by a blank line and may span chunks
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop() || '';
+
+    for (const block of blocks) {
+      const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('');
+      if (!data) continue;
+
+      let event: WorkflowRunEvent;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue; // Skip invalid JSON
+      }
+      if (event.type === 'error') throw new ApiError(event.error || 'Run stream failed', 500, event);
+      onEvent(event);
+    }
+  }
+}
+
+/**
+ * Apply a run event to the run status (as returned by getRunStatus)
+ */
+function applyRunEvent(run: any, event: WorkflowRunEvent): any {
+  if (event.type === 'snapshot') return event.run;
+  if (!run) return run;
+
+  const upsertStep = (changes: Record<string, any>) => {
+    const exists = run.steps.some((s: any) => s.id === event.stepRunId);
+    return {
+      ...run,
+      steps: exists
+        ? run.steps.map((s: any) => (s.id === event.stepRunId ? { ...s, ...changes } : s))
+        : [...run.steps, { id: event.stepRunId, stepId: event.stepId, ...changes }],
+    };
+  };
+
+  switch (event.type) {
+    case 'step_started':
+      return upsertStep({ status: 'running', retryCount: event.attempt, startedAt: event.timestamp });
+    case 'step_completed':
+      return upsertStep({ status: 'completed', outputs: event.outputs, creditsUsed: event.creditsUsed });
+    case 'step_failed':
+      return upsertStep({ status: 'failed', error: event.error });
+    case 'step_skipped':
+      return upsertStep({ status: 'skipped', outputs: { reason: event.reason } });
+    case 'step_waiting':
+      return upsertStep({ status: 'waiting', outputs: { waitUntil: event.until } });
+    case 'human_task':
+      return {
+        ...run,
+        steps: run.steps.map((s: any) => (s.stepId === event.stepId && s.status === 'running' ? { ...s, status: 'pending' } : s)),
+        pendingTasks: [...(run.pendingTasks || []), event.task],
+      };
+    case 'credits':
+      return { ...run, creditsUsed: event.creditsUsed };
+    case 'run_completed':
+      return { ...run, status: event.status, outputs: event.outputs, creditsUsed: event.creditsUsed ?? run.creditsUsed };
+    case 'run_failed':
+      return { ...run, status: event.status, error: event.error };
+    case 'run_status':
+    case 'run_cancelled':
+      return { ...run, status: event.status };
+    default:
+      return run;
+  }
+}
+
 // Workflows helpers
 export const workflows = {
   list: () => api.get('/workflows', { auth: false }),
   get: (id: string) => api.get(`/workflows/${id}`, { auth: false }),
   run: (id: string, inputs: any, workspaceId?: string) =>
     api.post(`/workflows/${id}/run`, { inputs, workspaceId }),
+  // One-off status; follow progress with watchRun instead of polling this
   getRunStatus: (runId: string) => api.get(`/workflow-runs/${runId}`),
+  // Raw run events, from a snapshot of the run to its final status
+  streamRun: (runId: string, onEvent: (event: WorkflowRunEvent) => void, signal?: AbortSignal) =>
+    streamRunEvents(runId, onEvent, signal),
+  // Live run status: onUpdate gets the run after every event; resolves with the run once it finishes
+  watchRun: async (runId: string, onUpdate: (run: any) => void, signal?: AbortSignal) => {
+    let run: any = null;
+    await streamRunEvents(runId, (event) => {
+      run = applyRunEvent(run, event);
+      onUpdate(run);
+    }, signal);
+    return run;
+  },
   cancelRun: (runId: string) => api.post(`/workflow-runs/${runId}/cancel`),
   completeTask: (taskId: string, response: any) =>
     api.post(`/workflow-tasks/${taskId}/complete`, { response }),
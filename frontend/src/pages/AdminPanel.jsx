@@ -9,7 +9,7 @@ import {
   BarChart3, Activity, Clock, Globe, ToggleLeft, ToggleRight,
   Eye, Calculator, ChevronDown, ChevronUp, Info, Sparkles,
   ExternalLink, RefreshCw, AlertTriangle, Calendar, ArrowUp, ArrowDown,
-  Heart, ImageIcon, Star
+  Heart, ImageIcon, Star, Workflow, Play
 } from 'lucide-react';
 import {
   LineChart, Line, AreaChart, Area, BarChart, Bar,
@@ -27,6 +27,7 @@ const TABS = [
   { id: 'models', label: 'Model Pricing', icon: Settings },
   { id: 'feature-flags', label: 'Feature Flags', icon: ToggleRight },
   { id: 'ai-tools', label: 'AI Tools', icon: Zap },
+  { id: 'workflows', label: 'Workflows', icon: Workflow },
   { id: 'landing-featured', label: 'Featured Content', icon: Sparkles },
   { id: 'community-gallery', label: 'Community Gallery', icon: Image },
   { id: 'landing-models', label: 'Landing Models', icon: Globe },
@@ -224,6 +225,9 @@ export default function AdminPanel() {
             {activeTab === 'ai-tools' && (
               <AiToolsTab key="ai-tools" />
             )}
+            {activeTab === 'workflows' && (
+              <WorkflowsTab key="workflows" />
+            )}
             {activeTab === 'landing-featured' && (
               <LandingFeaturedTab key="landing-featured" />
             )}
@@ -4539,6 +4543,1178 @@ function AnnouncementsTab() {
   );
 }
 
+// ============ WORKFLOWS TAB ============
+const WORKFLOW_STEP_TYPES = [
+  'llm', 'image', 'video', 'tts', 'stt', 'embedding',
+  'transform', 'merge', 'split', 'filter',
+  'condition', 'loop', 'parallel', 'wait',
+  'human', 'form', 'review',
+  'webhook', 'storage', 'email'
+];
+
+// Step types that pick their model from /api/models
+const STEP_MODEL_TYPES = { llm: 'chat', image: 'image', video: 'video' };
+
+// References that point at run data rather than other steps
+const NON_STEP_REFERENCES = ['input', 'item', 'itemIndex'];
+
+const NODE_WIDTH = 200;
+const NODE_HEIGHT = 64;
+
+const STEP_STATUS_STYLES = {
+  running: 'border-cyan-400 shadow-lg shadow-cyan-500/20',
+  pending: 'border-yellow-400',
+  waiting: 'border-yellow-400',
+  completed: 'border-green-400',
+  failed: 'border-red-400',
+  skipped: 'border-[#2a2c35] opacity-50',
+};
+
+const EDGE_STYLES = {
+  ref: { stroke: '#06b6d4', dash: null },
+  depends: { stroke: '#6b7280', dash: '6 4' },
+  true: { stroke: '#4ade80', dash: null },
+  false: { stroke: '#f87171', dash: null },
+};
+
+const FINISHED_RUN_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+/**
+ * Fold a run stream event into the run status object (same shape as GET /workflow-runs/:id)
+ */
+function applyRunEvent(run, event) {
+  if (event.type === 'snapshot') return event.run;
+  if (!run) return run;
+
+  const upsertStep = (changes) => {
+    const exists = run.steps.some(s => s.id === event.stepRunId);
+    return {
+      ...run,
+      steps: exists
+        ? run.steps.map(s => (s.id === event.stepRunId ? { ...s, ...changes } : s))
+        : [...run.steps, { id: event.stepRunId, stepId: event.stepId, ...changes }]
+    };
+  };
+
+  switch (event.type) {
+    case 'step_started':
+      return upsertStep({ status: 'running', retryCount: event.attempt, startedAt: event.timestamp });
+    case 'step_completed':
+      return upsertStep({ status: 'completed', outputs: event.outputs, creditsUsed: event.creditsUsed });
+    case 'step_failed':
+      return upsertStep({ status: 'failed', error: event.error });
+    case 'step_skipped':
+      return upsertStep({ status: 'skipped', outputs: { reason: event.reason } });
+    case 'step_waiting':
+      return upsertStep({ status: 'waiting', outputs: { waitUntil: event.until } });
+    case 'human_task':
+      return {
+        ...run,
+        steps: run.steps.map(s => (s.stepId === event.stepId && s.status === 'running' ? { ...s, status: 'pending' } : s)),
+        pendingTasks: [...(run.pendingTasks || []), event.task]
+      };
+    case 'credits':
+      return { ...run, creditsUsed: event.creditsUsed };
+    case 'run_completed':
+      return { ...run, status: event.status, outputs: event.outputs, creditsUsed: event.creditsUsed ?? run.creditsUsed };
+    case 'run_failed':
+      return { ...run, status: event.status, error: event.error };
+    case 'run_status':
+    case 'run_cancelled':
+      return { ...run, status: event.status };
+    default:
+      return run;
+  }
+}
+
+/**
+ * Step ids a step reads from via ${stepId.output} (inputs, config and guards)
+ */
+function getStepReferences(step) {
+  const text = JSON.stringify([step.inputs, step.config, step.when, step.unless, step.condition]);
+  const refs = new Set();
+  for (const [, path] of text.matchAll(/\$\{([^}]+)\}/g)) {
+    const [id] = path.split('.');
+    if (!NON_STEP_REFERENCES.includes(id) && id !== step.id) refs.add(id);
+  }
+  return [...refs];
+}
+
+/**
+ * Graph edges: references, explicit dependsOn and condition branch targets
+ */
+function getWorkflowEdges(steps) {
+  const ids = new Set(steps.map(s => s.id));
+  const edges = [];
+
+  for (const step of steps) {
+    const refs = getStepReferences(step).filter(id => ids.has(id));
+    refs.forEach(from => edges.push({ from, to: step.id, kind: 'ref' }));
+
+    (step.dependsOn || [])
+      .filter(id => ids.has(id) && !refs.includes(id))
+      .forEach(from => edges.push({ from, to: step.id, kind: 'depends' }));
+
+    if (step.type === 'condition') {
+      asList(step.config?.onTrue).filter(id => ids.has(id))
+        .forEach(to => edges.push({ from: step.id, to, kind: 'true' }));
+      asList(step.config?.onFalse).filter(id => ids.has(id))
+        .forEach(to => edges.push({ from: step.id, to, kind: 'false' }));
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Place nodes in columns by dependency depth; saved positions win
+ */
+function layoutWorkflow(steps, edges, layout = {}) {
+  const depth = Object.fromEntries(steps.map(s => [s.id, 0]));
+
+  // Bounded relaxation so a cycle can't loop forever
+  for (let pass = 0; pass < steps.length; pass++) {
+    let changed = false;
+    for (const { from, to } of edges) {
+      if (depth[from] + 1 > depth[to]) {
+        depth[to] = depth[from] + 1;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  const rows = {};
+  const positions = {};
+  for (const step of steps) {
+    const column = depth[step.id];
+    rows[column] = (rows[column] ?? -1) + 1;
+    positions[step.id] = layout[step.id] || { x: 40 + column * 260, y: 40 + rows[column] * 110 };
+  }
+  return positions;
+}
+
+/**
+ * The executor orders steps by dependsOn only, so every referenced
+ * top-level step has to be listed there before saving
+ */
+function syncDependencies(definition) {
+  const ids = new Set(definition.steps.map(s => s.id));
+  return {
+    ...definition,
+    steps: definition.steps.map(step => ({
+      ...step,
+      dependsOn: [...new Set([
+        ...(step.dependsOn || []).filter(id => ids.has(id)),
+        ...getStepReferences(step).filter(id => ids.has(id))
+      ])]
+    }))
+  };
+}
+
+/**
+ * Editable definition from an /admin/workflows row
+ */
+function toDraft(workflow) {
+  if (workflow.isBuiltIn) {
+    const { isBuiltIn, isActive, ...definition } = workflow;
+    return definition;
+  }
+  return {
+    ...workflow.definition,
+    id: workflow.id,
+    name: workflow.name,
+    description: workflow.description,
+    category: workflow.category,
+    icon: workflow.icon,
+    color: workflow.color,
+    estimatedCredits: workflow.estimatedCredits,
+    estimatedTime: workflow.estimatedTime,
+    isPublic: !!workflow.isPublic
+  };
+}
+
+const newWorkflowDraft = () => ({
+  id: `workflow-${Date.now()}`,
+  name: 'New Workflow',
+  description: '',
+  category: 'custom',
+  inputs: {},
+  outputs: {},
+  steps: [],
+  layout: {}
+});
+
+function WorkflowsTab() {
+  const [workflows, setWorkflows] = useState([]);
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [draft, setDraft] = useState(null);
+  const [isBuiltIn, setIsBuiltIn] = useState(false);
+  const [dirty, setDirty] = useState(false);
+  const [selectedStepId, setSelectedStepId] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [validation, setValidation] = useState(null);
+  const [saveStatus, setSaveStatus] = useState(null);
+  const [showJson, setShowJson] = useState(false);
+  const [jsonText, setJsonText] = useState('');
+  const [jsonError, setJsonError] = useState(null);
+  const [testInputs, setTestInputs] = useState({});
+  const [testRunAs, setTestRunAs] = useState('');
+  const [testRunId, setTestRunId] = useState(null);
+  const [testRun, setTestRun] = useState(null);
+  const [testError, setTestError] = useState(null);
+  // Bumped when the draft is replaced wholesale so panel-local text state resets
+  const [revision, setRevision] = useState(0);
+
+  const getAuthHeaders = () => ({
+    headers: { Authorization: `Bearer ${localStorage.getItem('adminToken')}` }
+  });
+
+  useEffect(() => {
+    fetchWorkflows();
+    axios.get(`${API_BASE}/models`)
+      .then(response => setModels(response.data))
+      .catch(err => console.error('Failed to fetch models:', err));
+  }, []);
+
+  // Follow the test run's event stream until it finishes
+  useEffect(() => {
+    if (!testRunId) return;
+    const controller = new AbortController();
+
+    const stream = async () => {
+      try {
+        const response = await fetch(`${API_BASE}/admin/workflow-runs/${testRunId}/events`, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('adminToken')}` },
+          signal: controller.signal
+        });
+        if (!response.ok) throw new Error(`Stream failed (${response.status})`);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          // Events are separated by a blank line and may span chunks
+          buffer += decoder.decode(value, { stream: true });
+          const events = buffer.split('\n\n');
+          buffer = events.pop();
+
+          for (const block of events) {
+            const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('');
+            if (!data) continue;
+
+            try {
+              const event = JSON.parse(data);
+              if (event.type === 'error') {
+                setTestError(event.error);
+              } else {
+                setTestRun(prev => applyRunEvent(prev, event));
+              }
+            } catch (e) {
+              // Skip invalid JSON
+            }
+          }
+        }
+      } catch (err) {
+        if (err.name !== 'AbortError') {
+          console.error('Failed to stream test run:', err);
+          setTestError(err.message);
+        }
+      }
+    };
+
+    stream();
+    return () => controller.abort();
+  }, [testRunId]);
+
+  const fetchWorkflows = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE}/admin/workflows`, getAuthHeaders());
+      setWorkflows(response.data.workflows || []);
+    } catch (err) {
+      console.error('Failed to fetch workflows:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openWorkflow = (workflow) => {
+    if (dirty && !confirm('Discard unsaved changes?')) return;
+    setDraft(workflow ? toDraft(workflow) : newWorkflowDraft());
+    setIsBuiltIn(!!workflow?.isBuiltIn);
+    setDirty(!workflow);
+    setSelectedStepId(null);
+    setValidation(null);
+    setSaveStatus(null);
+    setShowJson(false);
+    setTestInputs({});
+    setTestRunId(null);
+    setTestRun(null);
+    setTestError(null);
+    setRevision(r => r + 1);
+  };
+
+  const updateDraft = (updates) => {
+    setDraft(prev => ({ ...prev, ...updates }));
+    setDirty(true);
+  };
+
+  const updateStep = (stepId, updates) => {
+    setDraft(prev => ({
+      ...prev,
+      steps: prev.steps.map(s => (s.id === stepId ? { ...s, ...updates } : s))
+    }));
+    setDirty(true);
+  };
+
+  const renameStep = (oldId, newId) => {
+    if (!newId || newId === oldId || draft.steps.some(s => s.id === newId)) return;
+
+    // Rewrite references, dependencies and branch targets that pointed at the old id
+    const pattern = new RegExp(`\\$\\{${oldId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([.}])`, 'g');
+    const rewrite = (value) => (value == null ? value : JSON.parse(JSON.stringify(value).replace(pattern, `\${${newId}$1`)));
+    const retarget = (targets) => (Array.isArray(targets)
+      ? targets.map(t => (t === oldId ? newId : t))
+      : targets === oldId ? newId : targets);
+
+    setDraft(prev => {
+      const layout = { ...prev.layout };
+      if (layout[oldId]) {
+        layout[newId] = layout[oldId];
+        delete layout[oldId];
+      }
+      return {
+        ...prev,
+        layout,
+        outputs: rewrite(prev.outputs),
+        steps: prev.steps.map(s => {
+          const step = rewrite(s);
+          if (s.id === oldId) step.id = newId;
+          step.dependsOn = (s.dependsOn || []).map(d => (d === oldId ? newId : d));
+          if (s.type === 'condition' && step.config) {
+            step.config.onTrue = retarget(step.config.onTrue);
+            step.config.onFalse = retarget(step.config.onFalse);
+          }
+          return step;
+        })
+      };
+    });
+    setSelectedStepId(newId);
+    setDirty(true);
+  };
+
+  const addStep = () => {
+    let index = draft.steps.length + 1;
+    while (draft.steps.some(s => s.id === `step-${index}`)) index++;
+    const id = `step-${index}`;
+
+    updateDraft({
+      steps: [...draft.steps, {
+        id,
+        name: `Step ${index}`,
+        type: 'llm',
+        model: '',
+        config: {},
+        inputs: { prompt: '' },
+        outputs: { text: { type: 'text' } },
+        dependsOn: []
+      }]
+    });
+    setSelectedStepId(id);
+  };
+
+  const deleteStep = (stepId) => {
+    if (!confirm(`Delete step "${stepId}"?`)) return;
+    const layout = { ...draft.layout };
+    delete layout[stepId];
+    updateDraft({
+      layout,
+      steps: draft.steps
+        .filter(s => s.id !== stepId)
+        .map(s => ({ ...s, dependsOn: (s.dependsOn || []).filter(d => d !== stepId) }))
+    });
+    setSelectedStepId(null);
+  };
+
+  const validate = async (definition = syncDependencies(draft)) => {
+    try {
+      const response = await axios.post(`${API_BASE}/admin/workflows/validate`, { definition }, getAuthHeaders());
+      setValidation(response.data);
+      return response.data.valid;
+    } catch (err) {
+      console.error('Failed to validate workflow:', err);
+      setValidation({ valid: false, errors: [err.response?.data?.error || 'Validation failed'], cycle: [] });
+      return false;
+    }
+  };
+
+  // Returns the saved workflow ID, or null if nothing was saved
+  const handleSave = async () => {
+    let definition = syncDependencies(draft);
+
+    if (isBuiltIn) {
+      const copyId = prompt('Built-in workflows are read-only. Save a copy with ID:', `${draft.id}-copy`);
+      if (!copyId) return null;
+      definition = { ...definition, id: copyId.trim(), name: `${draft.name} (Copy)` };
+    }
+
+    if (!(await validate(definition))) return null;
+
+    try {
+      setSaveStatus('saving');
+      const { id, name, description, category, icon, color, estimatedCredits, estimatedTime, isPublic } = definition;
+      const response = await axios.post(`${API_BASE}/admin/workflows`, {
+        id, name, description, category, icon, color, estimatedCredits, estimatedTime, isPublic, definition
+      }, getAuthHeaders());
+
+      setDraft(definition);
+      setIsBuiltIn(false);
+      setDirty(false);
+      setSaveStatus('saved');
+      setTimeout(() => setSaveStatus(null), 2000);
+      fetchWorkflows();
+      return response.data.id;
+    } catch (err) {
+      console.error('Failed to save workflow:', err);
+      const data = err.response?.data;
+      setValidation({ valid: false, errors: data?.errors || [data?.error || 'Failed to save workflow'], cycle: data?.cycle || [] });
+      setSaveStatus(null);
+      return null;
+    }
+  };
+
+  const handleTestRun = async () => {
+    setTestError(null);
+    if (!testRunAs.trim()) {
+      setTestError('Enter a user to run the test as');
+      return;
+    }
+
+    // Runs need a saved workflow row, so built-ins are tested as a copy
+    const workflowId = dirty || isBuiltIn ? await handleSave() : draft.id;
+    if (!workflowId) return;
+
+    try {
+      setTestRun(null);
+      const response = await axios.post(`${API_BASE}/admin/workflows/${workflowId}/test-run`, {
+        inputs: testInputs,
+        runAs: testRunAs.trim()
+      }, getAuthHeaders());
+      setTestRunId(response.data.runId);
+    } catch (err) {
+      console.error('Failed to start test run:', err);
+      setTestError(err.response?.data?.error || 'Failed to start test run');
+    }
+  };
+
+  const openJson = () => {
+    setJsonText(JSON.stringify(draft, null, 2));
+    setJsonError(null);
+    setShowJson(true);
+  };
+
+  const applyJson = () => {
+    try {
+      const parsed = JSON.parse(jsonText);
+      if (!Array.isArray(parsed.steps)) throw new Error('Definition needs a steps array');
+      setDraft(parsed);
+      setDirty(true);
+      setRevision(r => r + 1);
+      setShowJson(false);
+    } catch (err) {
+      setJsonError(err.message);
+    }
+  };
+
+  // Node dragging: positions are saved with the definition
+  const handleCanvasMouseMove = (e) => {
+    if (!dragging) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = Math.max(0, Math.round(e.clientX - rect.left + e.currentTarget.scrollLeft - dragging.offsetX));
+    const y = Math.max(0, Math.round(e.clientY - rect.top + e.currentTarget.scrollTop - dragging.offsetY));
+    setDraft(prev => ({ ...prev, layout: { ...prev.layout, [dragging.id]: { x, y } } }));
+    setDirty(true);
+  };
+
+  if (!draft) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        exit={{ opacity: 0, y: -20 }}
+      >
+        <div className="mb-8 flex items-center justify-between">
+          <div>
+            <h1 className="text-3xl font-display font-bold mb-2">Workflows</h1>
+            <p className="text-[#6b7280]">Build multi-step AI workflows visually</p>
+          </div>
+          <button
+            onClick={() => openWorkflow(null)}
+            className="px-4 py-2 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-xl font-medium flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Workflow
+          </button>
+        </div>
+
+        <div className="bg-[#12131a] border border-[#1a1c25] rounded-2xl overflow-hidden">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-[#1a1c25]">
+                <th className="px-6 py-4 text-left text-sm font-medium text-[#6b7280]">Name</th>
+                <th className="px-6 py-4 text-left text-sm font-medium text-[#6b7280]">ID</th>
+                <th className="px-6 py-4 text-left text-sm font-medium text-[#6b7280]">Category</th>
+                <th className="px-6 py-4 text-left text-sm font-medium text-[#6b7280]">Steps</th>
+                <th className="px-6 py-4 text-left text-sm font-medium text-[#6b7280]">Source</th>
+                <th className="px-6 py-4 text-right text-sm font-medium text-[#6b7280]">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-[#1a1c25]">
+              {workflows.map((workflow) => (
+                <tr key={workflow.id} className="hover:bg-[#1a1c25]/50 transition-colors">
+                  <td className="px-6 py-4 font-medium">{workflow.name}</td>
+                  <td className="px-6 py-4 font-mono text-sm text-[#9ca3af]">{workflow.id}</td>
+                  <td className="px-6 py-4 text-[#9ca3af]">{workflow.category}</td>
+                  <td className="px-6 py-4 font-mono text-[#9ca3af]">
+                    {(workflow.isBuiltIn ? workflow.steps : workflow.definition?.steps)?.length || 0}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-lg text-xs font-medium ${
+                      workflow.isBuiltIn ? 'bg-purple-500/20 text-purple-400' : 'bg-cyan-500/20 text-cyan-400'
+                    }`}>
+                      {workflow.isBuiltIn ? 'built-in' : 'custom'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    <button
+                      onClick={() => openWorkflow(workflow)}
+                      className="p-2 text-[#6b7280] hover:text-cyan-400 hover:bg-cyan-500/10 rounded-lg transition-colors"
+                    >
+                      <Edit2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {workflows.length === 0 && (
+            <div className="py-12 text-center text-[#6b7280]">
+              {loading ? 'Loading...' : 'No workflows yet'}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    );
+  }
+
+  const edges = getWorkflowEdges(draft.steps);
+  const positions = layoutWorkflow(draft.steps, edges, draft.layout);
+  const cycle = validation?.cycle || [];
+  const selectedStep = draft.steps.find(s => s.id === selectedStepId);
+  const stepModels = selectedStep && STEP_MODEL_TYPES[selectedStep.type]
+    ? models.filter(m => m.type === STEP_MODEL_TYPES[selectedStep.type])
+    : [];
+
+  // Latest attempt wins when a step was retried
+  const stepStatuses = {};
+  (testRun?.steps || []).forEach(s => { stepStatuses[s.stepId] = s; });
+
+  const canvasWidth = Math.max(800, ...Object.values(positions).map(p => p.x + NODE_WIDTH + 40));
+  const canvasHeight = Math.max(420, ...Object.values(positions).map(p => p.y + NODE_HEIGHT + 40));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20 }}
+    >
+      <div className="mb-6 flex items-center justify-between">
+        <div className="flex items-center gap-3">
+          <button
+            onClick={() => { if (!dirty || confirm('Discard unsaved changes?')) { setDirty(false); setDraft(null); } }}
+            className="p-2 text-[#6b7280] hover:text-white hover:bg-[#1a1c25] rounded-lg transition-colors"
+          >
+            <ChevronRight className="w-5 h-5 rotate-180" />
+          </button>
+          <div>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft({ name: e.target.value })}
+              className="text-2xl font-display font-bold bg-transparent outline-none border-b border-transparent focus:border-cyan-500"
+            />
+            <p className="text-sm text-[#6b7280] font-mono">
+              {draft.id}{isBuiltIn && ' · built-in (saves as a copy)'}{dirty && ' · unsaved'}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={openJson}
+            className="px-4 py-2 bg-[#1a1c25] hover:bg-[#252830] rounded-xl text-sm"
+          >
+            JSON
+          </button>
+          <button
+            onClick={() => validate()}
+            className="px-4 py-2 bg-[#1a1c25] hover:bg-[#252830] rounded-xl text-sm flex items-center gap-2"
+          >
+            <Check className="w-4 h-4" />
+            Validate
+          </button>
+          <button
+            onClick={addStep}
+            className="px-4 py-2 bg-[#1a1c25] hover:bg-[#252830] rounded-xl text-sm flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Step
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={saveStatus === 'saving'}
+            className="px-4 py-2 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-xl font-medium flex items-center gap-2 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            {saveStatus === 'saving' ? 'Saving...' : saveStatus === 'saved' ? 'Saved' : isBuiltIn ? 'Save Copy' : 'Save'}
+          </button>
+        </div>
+      </div>
+
+      {validation && (
+        <div className={`mb-4 p-4 rounded-xl border text-sm ${
+          validation.valid ? 'bg-green-500/10 border-green-500/30 text-green-400' : 'bg-red-500/10 border-red-500/30 text-red-400'
+        }`}>
+          {validation.valid ? (
+            <span>Valid · execution order: {validation.executionOrder?.join(' → ')}</span>
+          ) : (
+            <ul className="list-disc list-inside space-y-1">
+              {validation.errors.map((error, i) => <li key={i}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-4">
+        {/* Canvas */}
+        <div className="flex-1 min-w-0 bg-[#12131a] border border-[#1a1c25] rounded-2xl overflow-hidden">
+          <div
+            className="relative overflow-auto h-[520px] select-none"
+            onMouseMove={handleCanvasMouseMove}
+            onMouseUp={() => setDragging(null)}
+            onMouseLeave={() => setDragging(null)}
+            onClick={() => setSelectedStepId(null)}
+          >
+            <div className="relative" style={{ width: canvasWidth, height: canvasHeight }}>
+              <svg className="absolute inset-0 pointer-events-none" width={canvasWidth} height={canvasHeight}>
+                <defs>
+                  {Object.entries(EDGE_STYLES).map(([kind, style]) => (
+                    <marker key={kind} id={`wf-arrow-${kind}`} markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                      <path d="M0,0 L8,4 L0,8 z" fill={style.stroke} />
+                    </marker>
+                  ))}
+                </defs>
+                {edges.map(({ from, to, kind }) => {
+                  const start = positions[from];
+                  const end = positions[to];
+                  const x1 = start.x + NODE_WIDTH;
+                  const y1 = start.y + NODE_HEIGHT / 2;
+                  const x2 = end.x;
+                  const y2 = end.y + NODE_HEIGHT / 2;
+                  const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+                  const style = EDGE_STYLES[kind];
+                  return (
+                    <g key={`${from}-${to}-${kind}`}>
+                      <path
+                        d={`M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`}
+                        fill="none"
+                        stroke={cycle.includes(from) && cycle.includes(to) ? '#ef4444' : style.stroke}
+                        strokeWidth="2"
+                        strokeDasharray={style.dash || undefined}
+                        markerEnd={`url(#wf-arrow-${kind})`}
+                      />
+                      {(kind === 'true' || kind === 'false') && (
+                        <text x={(x1 + x2) / 2} y={(y1 + y2) / 2 - 6} fill={style.stroke} fontSize="11" textAnchor="middle">
+                          {kind === 'true' ? 'T' : 'F'}
+                        </text>
+                      )}
+                    </g>
+                  );
+                })}
+              </svg>
+
+              {draft.steps.map((step) => {
+                const position = positions[step.id];
+                const run = stepStatuses[step.id];
+                return (
+                  <div
+                    key={step.id}
+                    className={`absolute rounded-xl border-2 bg-[#0d0e14] px-3 py-2 cursor-move transition-shadow ${
+                      cycle.includes(step.id) ? 'border-red-500' :
+                      run ? STEP_STATUS_STYLES[run.status] || 'border-[#2a2c35]' :
+                      selectedStepId === step.id ? 'border-cyan-500' : 'border-[#2a2c35]'
+                    } ${selectedStepId === step.id ? 'ring-2 ring-cyan-500/30' : ''}`}
+                    style={{ left: position.x, top: position.y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                    onMouseDown={(e) => {
+                      const rect = e.currentTarget.getBoundingClientRect();
+                      setDragging({ id: step.id, offsetX: e.clientX - rect.left, offsetY: e.clientY - rect.top });
+                    }}
+                    onClick={(e) => { e.stopPropagation(); setSelectedStepId(step.id); }}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium text-sm truncate">{step.name || step.id}</span>
+                      <span className="px-1.5 py-0.5 rounded bg-[#1a1c25] text-[10px] text-[#9ca3af] uppercase">{step.type}</span>
+                    </div>
+                    <div className="text-xs text-[#6b7280] font-mono truncate mt-1">
+                      {run ? `${run.status}${run.creditsUsed ? ` · ${run.creditsUsed} cr` : ''}` : step.model || step.id}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {draft.steps.length === 0 && (
+                <div className="absolute inset-0 flex items-center justify-center text-[#6b7280]">
+                  Add a step to start building
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="px-4 py-2 border-t border-[#1a1c25] flex gap-4 text-xs text-[#6b7280]">
+            <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-cyan-500" /> reference</span>
+            <span className="flex items-center gap-1"><span className="w-4 border-t-2 border-dashed border-[#6b7280]" /> dependsOn</span>
+            <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-green-400" /> on true</span>
+            <span className="flex items-center gap-1"><span className="w-4 h-0.5 bg-red-400" /> on false</span>
+          </div>
+        </div>
+
+        {/* Inspector */}
+        <div className="w-96 shrink-0 bg-[#12131a] border border-[#1a1c25] rounded-2xl p-5 h-[560px] overflow-y-auto">
+          {selectedStep ? (
+            <WorkflowStepInspector
+              key={`${selectedStep.id}-${revision}`}
+              step={selectedStep}
+              models={stepModels}
+              run={stepStatuses[selectedStep.id]}
+              onChange={(updates) => updateStep(selectedStep.id, updates)}
+              onRename={(newId) => renameStep(selectedStep.id, newId)}
+              onDelete={() => deleteStep(selectedStep.id)}
+            />
+          ) : (
+            <WorkflowSettingsPanel
+              key={`${draft.id}-${revision}`}
+              draft={draft}
+              onChange={updateDraft}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Test run */}
+      <div className="mt-4 bg-[#12131a] border border-[#1a1c25] rounded-2xl p-5">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-semibold">Test Run</h3>
+          <button
+            onClick={handleTestRun}
+            disabled={testRun && !FINISHED_RUN_STATUSES.includes(testRun.status)}
+            className="px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-500 rounded-xl font-medium flex items-center gap-2 disabled:opacity-50"
+          >
+            <Play className="w-4 h-4" />
+            {dirty || isBuiltIn ? 'Save & Run' : 'Run'}
+          </button>
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm text-[#6b7280] mb-1">Run as user</label>
+          <input
+            type="text"
+            value={testRunAs}
+            onChange={(e) => setTestRunAs(e.target.value)}
+            placeholder="User email or ID"
+            className="w-full max-w-sm bg-[#0d0e14] border border-[#1a1c25] rounded-xl px-3 py-2 outline-none focus:border-cyan-500"
+          />
+        </div>
+
+        {Object.keys(draft.inputs || {}).length > 0 && (
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            {Object.entries(draft.inputs).map(([name, field]) => (
+              <div key={name}>
+                <label className="block text-sm text-[#6b7280] mb-1">
+                  {field.label || name}{field.required && ' *'}
+                </label>
+                {field.type === 'select' ? (
+                  <select
+                    value={testInputs[name] ?? field.default ?? ''}
+                    onChange={(e) => setTestInputs({ ...testInputs, [name]: e.target.value })}
+                    className="w-full bg-[#0d0e14] border border-[#1a1c25] rounded-xl px-3 py-2 outline-none"
+                  >
+                    <option value="">Select...</option>
+                    {(field.options || []).map(option => <option key={option} value={option}>{option}</option>)}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={testInputs[name] ?? ''}
+                    placeholder={field.placeholder || field.default || ''}
+                    onChange={(e) => setTestInputs({ ...testInputs, [name]: e.target.value })}
+                    className="w-full bg-[#0d0e14] border border-[#1a1c25] rounded-xl px-3 py-2 outline-none focus:border-cyan-500"
+                  />
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {testError && <p className="text-sm text-red-400">{testError}</p>}
+
+        {testRun && (
+          <div className="space-y-3">
+            <div className="flex items-center gap-3 text-sm">
+              <span className={`px-2 py-1 rounded-lg text-xs font-medium ${
+                testRun.status === 'completed' ? 'bg-green-500/20 text-green-400' :
+                testRun.status === 'failed' ? 'bg-red-500/20 text-red-400' :
+                'bg-cyan-500/20 text-cyan-400'
+              }`}>
+                {testRun.status}
+              </span>
+              <span className="text-[#6b7280]">{testRun.creditsUsed || 0} credits</span>
+              {testRun.error && <span className="text-red-400">{testRun.error}</span>}
+            </div>
+            {testRun.status === 'paused' && (
+              <p className="text-sm text-yellow-400">Waiting on a human step; complete it from the workflow tasks to continue.</p>
+            )}
+            {testRun.status === 'completed' && (
+              <pre className="bg-[#0d0e14] rounded-xl p-3 text-xs text-[#9ca3af] overflow-auto max-h-64">
+                {JSON.stringify(testRun.outputs, null, 2)}
+              </pre>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* JSON editor */}
+      <AnimatePresence>
+        {showJson && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+            onClick={() => setShowJson(false)}
+          >
+            <motion.div
+              initial={{ scale: 0.95, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.95, opacity: 0 }}
+              className="bg-[#0d0e14] border border-[#1a1c25] rounded-2xl p-6 w-full max-w-3xl"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <h3 className="text-lg font-semibold mb-4">Workflow Definition</h3>
+              <textarea
+                value={jsonText}
+                onChange={(e) => setJsonText(e.target.value)}
+                spellCheck={false}
+                className="w-full h-[60vh] bg-[#12131a] border border-[#1a1c25] rounded-xl px-4 py-3 font-mono text-xs outline-none focus:border-cyan-500"
+              />
+              {jsonError && <p className="text-sm text-red-400 mt-2">{jsonError}</p>}
+              <div className="flex justify-end gap-3 mt-4">
+                <button
+                  onClick={() => setShowJson(false)}
+                  className="px-4 py-2 text-[#6b7280] hover:text-white"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={applyJson}
+                  className="px-4 py-2 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-lg font-medium"
+                >
+                  Apply
+                </button>
+              </div>
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.div>
+  );
+}
+
+/**
+ * JSON textarea that only commits parseable values
+ */
+function WorkflowJsonField({ label, value, onChange, rows = 4 }) {
+  const [text, setText] = useState(JSON.stringify(value ?? {}, null, 2));
+  const [error, setError] = useState(null);
+
+  return (
+    <div>
+      <label className="block text-sm text-[#6b7280] mb-1">{label}</label>
+      <textarea
+        value={text}
+        rows={rows}
+        spellCheck={false}
+        onChange={(e) => {
+          setText(e.target.value);
+          try {
+            onChange(JSON.parse(e.target.value || '{}'));
+            setError(null);
+          } catch {
+            setError('Invalid JSON');
+          }
+        }}
+        className={`w-full bg-[#0d0e14] border rounded-xl px-3 py-2 font-mono text-xs outline-none ${
+          error ? 'border-red-500' : 'border-[#1a1c25] focus:border-cyan-500'
+        }`}
+      />
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+function WorkflowStepInspector({ step, models, run, onChange, onRename, onDelete }) {
+  const [stepId, setStepId] = useState(step.id);
+  const inputs = Object.entries(step.inputs || {});
+  const inputClass = 'w-full bg-[#0d0e14] border border-[#1a1c25] rounded-xl px-3 py-2 outline-none focus:border-cyan-500 text-sm';
+
+  const setInput = (oldKey, key, value) => {
+    const next = {};
+    inputs.forEach(([k, v]) => {
+      if (k === oldKey) {
+        if (key) next[key] = value;
+      } else {
+        next[k] = v;
+      }
+    });
+    onChange({ inputs: next });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Step</h3>
+        <button
+          onClick={onDelete}
+          className="p-2 text-[#6b7280] hover:text-red-400 hover:bg-red-500/10 rounded-lg transition-colors"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">ID</label>
+        <input
+          type="text"
+          value={stepId}
+          onChange={(e) => setStepId(e.target.value.replace(/[^a-zA-Z0-9_-]/g, ''))}
+          onBlur={() => (stepId ? onRename(stepId) : setStepId(step.id))}
+          className={`${inputClass} font-mono`}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">Name</label>
+        <input
+          type="text"
+          value={step.name || ''}
+          onChange={(e) => onChange({ name: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">Type</label>
+        <select
+          value={step.type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          className={inputClass}
+        >
+          {WORKFLOW_STEP_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+      </div>
+
+      {(STEP_MODEL_TYPES[step.type] || step.type === 'embedding' || step.type === 'tts' || step.type === 'stt') && (
+        <div>
+          <label className="block text-sm text-[#6b7280] mb-1">Model</label>
+          {models.length > 0 ? (
+            <select
+              value={step.model || ''}
+              onChange={(e) => onChange({ model: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Select a model...</option>
+              {step.model && !models.some(m => m.id === step.model) && (
+                <option value={step.model}>{step.model}</option>
+              )}
+              {models.map(m => (
+                <option key={m.id} value={m.id}>{m.name} ({m.providerName || m.provider})</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={step.model || ''}
+              onChange={(e) => onChange({ model: e.target.value })}
+              className={`${inputClass} font-mono`}
+              placeholder="Model ID"
+            />
+          )}
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <label className="text-sm text-[#6b7280]">Inputs</label>
+          <button
+            onClick={() => onChange({ inputs: { ...step.inputs, [`input${inputs.length + 1}`]: '' } })}
+            className="text-xs text-cyan-400 hover:text-cyan-300"
+          >
+            + Add
+          </button>
+        </div>
+        <div className="space-y-2">
+          {inputs.map(([key, value]) => (
+            <div key={key} className="space-y-1">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  defaultValue={key}
+                  onBlur={(e) => e.target.value !== key && setInput(key, e.target.value, value)}
+                  className={`${inputClass} font-mono`}
+                />
+                <button
+                  onClick={() => setInput(key, null)}
+                  className="p-2 text-[#6b7280] hover:text-red-400"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+              <textarea
+                value={typeof value === 'string' ? value : JSON.stringify(value)}
+                rows={typeof value === 'string' && value.length > 60 ? 4 : 1}
+                onChange={(e) => setInput(key, key, e.target.value)}
+                placeholder="${input.field} or ${step-id.output}"
+                className={`${inputClass} font-mono text-xs`}
+              />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <WorkflowJsonField
+        label="Config"
+        value={step.config}
+        onChange={(config) => onChange({ config })}
+      />
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">Outputs</label>
+        <input
+          type="text"
+          defaultValue={Object.keys(step.outputs || {}).join(', ')}
+          onBlur={(e) => {
+            const names = e.target.value.split(',').map(n => n.trim()).filter(Boolean);
+            onChange({ outputs: Object.fromEntries(names.map(n => [n, step.outputs?.[n] || { type: 'text' }])) });
+          }}
+          className={`${inputClass} font-mono`}
+          placeholder="text, image"
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">Run only when</label>
+        <input
+          type="text"
+          value={step.when || ''}
+          onChange={(e) => onChange({ when: e.target.value || undefined })}
+          className={`${inputClass} font-mono text-xs`}
+          placeholder="${step-id.result}"
+        />
+      </div>
+
+      {run && (
+        <div className="pt-4 border-t border-[#1a1c25]">
+          <label className="block text-sm text-[#6b7280] mb-1">Last test run · {run.status}</label>
+          {run.error && <p className="text-xs text-red-400 mb-2">{run.error}</p>}
+          <pre className="bg-[#0d0e14] rounded-xl p-3 text-xs text-[#9ca3af] overflow-auto max-h-48">
+            {JSON.stringify(run.outputs, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function WorkflowSettingsPanel({ draft, onChange }) {
+  const inputClass = 'w-full bg-[#0d0e14] border border-[#1a1c25] rounded-xl px-3 py-2 outline-none focus:border-cyan-500 text-sm';
+
+  return (
+    <div className="space-y-4">
+      <h3 className="font-semibold">Workflow</h3>
+      <p className="text-xs text-[#6b7280]">Select a node to edit its step. Drag nodes to arrange the graph.</p>
+
+      <div>
+        <label className="block text-sm text-[#6b7280] mb-1">Description</label>
+        <textarea
+          value={draft.description || ''}
+          rows={2}
+          onChange={(e) => onChange({ description: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-sm text-[#6b7280] mb-1">Category</label>
+          <input
+            type="text"
+            value={draft.category || ''}
+            onChange={(e) => onChange({ category: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm text-[#6b7280] mb-1">Est. Credits</label>
+          <input
+            type="number"
+            value={draft.estimatedCredits ?? ''}
+            onChange={(e) => onChange({ estimatedCredits: e.target.value === '' ? undefined : parseFloat(e.target.value) })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <label className="flex items-center gap-2 text-sm text-[#9ca3af]">
+        <input
+          type="checkbox"
+          checked={!!draft.isPublic}
+          onChange={(e) => onChange({ isPublic: e.target.checked })}
+        />
+        Public
+      </label>
+
+      <WorkflowJsonField
+        label="Inputs"
+        value={draft.inputs}
+        rows={8}
+        onChange={(inputs) => onChange({ inputs })}
+      />
+
+      <WorkflowJsonField
+        label="Outputs"
+        value={draft.outputs}
+        rows={5}
+        onChange={(outputs) => onChange({ outputs })}
+      />
+    </div>
+  );
+}
+
 // ============ AUDIT LOGS TAB ============
 function AuditLogsTab() {
   const [logs, setLogs] = useState([]);
@@ -4973,6 +6149,99 @@ function SettingsTab({ settings, setSettings, onSave, saveStatus }) {
           </div>
         </div>
 
+        {/* Workflow Webhook Allowlist */}
+        <div className="glass rounded-2xl p-6">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-cyan-500 to-blue-500 flex items-center justify-center">
+              <ExternalLink className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h3 className="font-display font-semibold">Workflow Webhooks</h3>
+              <p className="text-sm text-[#6b6b8a]">Hosts that workflow webhook steps may call</p>
+            </div>
+          </div>
+          
+          <div>
+            <label className="block text-sm font-medium text-[#6b6b8a] mb-2">
+              Allowed Hosts
+            </label>
+            <input
+              type="text"
+              value={settings.webhookAllowedHosts || ''}
+              onChange={(e) => setSettings({ ...settings, webhookAllowedHosts: e.target.value })}
+              className="w-full bg-[#1a1a25]/50 border border-[#2a2a3d] rounded-xl py-3 px-4 outline-none focus:border-purple-500 input-glow transition-all font-mono"
+              placeholder="api.example.com, *.hooks.zapier.com"
+            />
+            <p className="mt-2 text-xs text-[#6b6b8a]">
+              Comma-separated. Use *.domain.com for subdomains. Private and internal addresses are always blocked.
+            </p>
+          </div>
+        </div>
+
+        {/* Workflow Embeddings */}
+        <div className="glass rounded-2xl p-6">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-indigo-500 to-purple-500 flex items-center justify-center">
+              <Layers className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h3 className="font-display font-semibold">Workflow Embeddings</h3>
+              <p className="text-sm text-[#6b6b8a]">Provider for embedding steps and vector store/query</p>
+            </div>
+          </div>
+          
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-[#6b6b8a] mb-2">
+                Embedding Provider
+              </label>
+              <select
+                value={settings.embeddingProvider || 'openrouter'}
+                onChange={(e) => setSettings({ ...settings, embeddingProvider: e.target.value })}
+                className="w-full bg-[#1a1a25]/50 border border-[#2a2a3d] rounded-xl py-3 px-4 outline-none focus:border-purple-500 transition-all"
+              >
+                <option value="openrouter">OpenRouter (uses the OpenRouter API key)</option>
+                <option value="selfhosted">Self-Hosted (OpenAI-compatible /v1/embeddings)</option>
+              </select>
+            </div>
+
+            {settings.embeddingProvider === 'selfhosted' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-[#6b6b8a] mb-2">
+                    Embedding Server URL
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.selfhostedEmbeddingUrl || ''}
+                    onChange={(e) => setSettings({ ...settings, selfhostedEmbeddingUrl: e.target.value })}
+                    className="w-full bg-[#1a1a25]/50 border border-[#2a2a3d] rounded-xl py-3 px-4 outline-none focus:border-purple-500 input-glow transition-all font-mono"
+                    placeholder="http://localhost:11434"
+                  />
+                  <p className="mt-2 text-xs text-[#6b6b8a]">
+                    Defaults to the self-hosted provider URL. Restart the server after changing it.
+                  </p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-[#6b6b8a] mb-2">
+                    Embedding Model
+                  </label>
+                  <input
+                    type="text"
+                    value={settings.selfhostedEmbeddingModel || ''}
+                    onChange={(e) => setSettings({ ...settings, selfhostedEmbeddingModel: e.target.value })}
+                    className="w-full bg-[#1a1a25]/50 border border-[#2a2a3d] rounded-xl py-3 px-4 outline-none focus:border-purple-500 input-glow transition-all font-mono"
+                    placeholder="nomic-embed-text"
+                  />
+                  <p className="mt-2 text-xs text-[#6b6b8a]">
+                    Leave empty to use the model named in each workflow step.
+                  </p>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+
         {/* Save button */}
         <motion.button
           onClick={onSave}